@@ -7,6 +7,7 @@ export const CONFIG = {
     GITHUB: {
         REPO: 'HCoreBeat/Analytics-Buquenque',
         FILE_PATH: 'Json/my_data.json',
+        PAYOUTS_PATH: 'Json/payouts.json', // Reglas de pago e histórico de periodos cerrados
         BRANCH: 'main'
     },
     SUMMARY_BOT: {
@@ -14,5 +15,16 @@ export const CONFIG = {
     },
     AUTO_REFRESH: {
         DEFAULT_INTERVAL: 10000
+    },
+    FISCAL_YEAR: {
+        START_MONTH: 0 // 0 = Enero (año natural)
+    },
+    TIMEZONE: {
+        SOURCE: 'America/Havana', // Zona en la que el backend escribe fecha_hora_entrada
+        BUSINESS: 'America/Havana' // Zona por defecto para días, horas y meses (editable en Preferencias)
+    },
+    DELIVERY: {
+        // Zona de las direcciones sin municipio, reparto ni calle conocidos (editable en Preferencias; null = sin asignar)
+        DEFAULT_AREA: { province: 'Las Tunas', municipality: 'Las Tunas' }
     }
 };
@@ -2,43 +2,47 @@
  * Módulo de manejo de datos
  */
 
-import { getMonthName, formatDate, getMonthIndex } from './utils.js';
+import { getMonthName, formatDate, getFiscalYearLabel, normalizeWhatsAppPhone } from './utils.js';
+import { EncodingRepair } from './encodingRepair.js';
+import { CohortAnalyzer } from '../Modules/Analytics/cohortAnalysis.js';
+import { CustomerIdentityResolver } from '../Modules/Analytics/customerIdentity.js';
+import { RFMAnalyzer } from '../Modules/Analytics/rfmSegmentation.js';
+import { SalesForecaster } from '../Modules/Analytics/salesForecast.js';
+import { AnomalyDetector } from '../Modules/Analytics/anomalyDetection.js';
+import { MarketBasketAnalyzer } from '../Modules/Analytics/marketBasket.js';
+import { ProductCatalogResolver } from '../Modules/Analytics/productCatalogResolver.js';
+import { QueryEngine } from '../Modules/Analytics/queryEngine.js';
+import { AffiliateAnalyzer } from '../Modules/Analytics/affiliateReport.js';
+import { PayoutRulesEngine } from '../Modules/Finanzas/payoutRules.js';
+import { ChannelAttribution } from '../Modules/Analytics/channelAttribution.js';
+import { DeliveryGeography, getDefaultDeliveryArea } from '../Modules/Analytics/deliveryGeography.js';
+import { OrderHeatmap } from '../Modules/Analytics/orderHeatmap.js';
+import { DataExporter } from '../Modules/Export/dataExport.js';
+import { parseDateTime, getZonedParts, makeDateKey, toDateKey, addDaysToKey, daysBetweenKeys, startOfDay, endOfDay, getTodayKey, shiftZonedDate } from './timezone.js';
 
 export class DataManager {
     constructor() {
         this.data = [];
         this.filteredData = [];
+        this.customers = new Map();
+        this.rfmScores = new Map();
+        this.encodingReport = null;
+        this.activeRange = null;
+        this.activeCriteria = {};
+        this.activeSearch = '';
+        this.identityResolver = new CustomerIdentityResolver();
+        this.forecaster = new SalesForecaster();
+        this.anomalyDetector = new AnomalyDetector();
+        this.basketAnalyzer = new MarketBasketAnalyzer();
+        this.catalogResolver = new ProductCatalogResolver();
+        this.catalogReport = null;
+        this.payoutEngine = new PayoutRulesEngine();
+        this.affiliateAnalyzer = new AffiliateAnalyzer(this.payoutEngine);
+        this.deliveryGeography = null;
     }
 
     normalizeWhatsAppPhone(phone, country = null) {
-        if (phone === null || phone === undefined) return null;
-
-        const raw = String(phone).trim();
-        if (!raw) return null;
-
-        const cleaned = raw.replace(/[^\d+]/g, '');
-        if (!cleaned) return null;
-
-        if (cleaned.startsWith('+')) {
-            return cleaned;
-        }
-
-        if (cleaned.startsWith('00')) {
-            return `+${cleaned.slice(2)}`;
-        }
-
-        const normalizedCountry = String(country || '').trim().toUpperCase();
-        if (['US', 'USA', 'UNITED STATES', 'UNITEDSTATES'].includes(normalizedCountry)) {
-            return `+1${cleaned.replace(/^1/, '')}`;
-        }
-        if (['PR', 'PUERTO RICO'].includes(normalizedCountry)) {
-            return `+1${cleaned.replace(/^1/, '')}`;
-        }
-        if (['CU', 'CUBA'].includes(normalizedCountry)) {
-            return `+53${cleaned}`;
-        }
-
-        return `+${cleaned}`;
+        return normalizeWhatsAppPhone(phone, country);
     }
 
     /**
@@ -56,6 +60,8 @@ export class DataManager {
                 throw new Error('Datos inválidos: el JSON no es un array');
             }
             
+            await this.loadGazetteer();
+            await this.loadPayouts();
             this.normalizeData();
             this.filteredData = [...this.data];
             return this.data;
@@ -65,13 +71,69 @@ export class DataManager {
         }
     }
 
+    /**
+     * Carga las reglas de pago y el histórico de periodos cerrados guardados en el repositorio.
+     * Si no existe el archivo o hay cambios locales sin guardar, se sigue con los de este navegador.
+     */
+    async loadPayouts() {
+        try {
+            const response = await fetch('Json/payouts.json', { cache: 'no-cache' });
+            if (!response.ok) return false;
+            return this.payoutEngine.applyRemote(await response.json());
+        } catch (error) {
+            console.warn('Reglas de pago: se usan las guardadas en este navegador', error);
+            return false;
+        }
+    }
+
+    /**
+     * Carga el nomenclátor de provincias y municipios de Cuba para localizar las entregas.
+     * Si falla, el dashboard sigue funcionando sin el desglose geográfico.
+     */
+    async loadGazetteer() {
+        if (this.deliveryGeography) return this.deliveryGeography;
+        try {
+            const response = await fetch('Json/cuba_municipios.json');
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            this.deliveryGeography = new DeliveryGeography(await response.json(), { defaultArea: getDefaultDeliveryArea() });
+        } catch (error) {
+            console.warn('No se pudo cargar el nomenclátor de municipios:', error);
+        }
+        return this.deliveryGeography;
+    }
+
+    /**
+     * Vuelve a localizar las entregas tras cambiar la zona predeterminada
+     * (los filtros deben volver a aplicarse)
+     */
+    applyDeliveryDefaultArea() {
+        if (!this.deliveryGeography) return;
+        this.deliveryGeography.setDefaultArea(getDefaultDeliveryArea());
+        this.data.forEach(item => {
+            item.deliveryArea = this.deliveryGeography.locate(item.direccion_envio);
+        });
+    }
+
+    /**
+     * Recalcula las fechas mostradas tras cambiar la zona horaria del negocio
+     * (item.date es un instante y no cambia; los filtros deben volver a aplicarse)
+     */
+    applyBusinessTimeZone() {
+        this.data.forEach(item => {
+            item.dateStr = formatDate(item.date);
+        });
+    }
+
     /**
      * Normaliza la estructura de los datos
      */
     normalizeData() {
+        // Reparar textos con doble codificación antes de derivar campos
+        this.encodingReport = EncodingRepair.repairDataset(this.data);
+
         this.data.forEach(item => {
-            // Convierte fecha a objeto Date
-            item.date = new Date(item.fecha_hora_entrada);
+            // Convierte fecha a objeto Date (fecha_hora_entrada viene sin zona, en la del backend)
+            item.date = parseDateTime(item.fecha_hora_entrada);
             item.dateStr = formatDate(item.date);
             
             // Parsea el precio
@@ -103,6 +165,13 @@ export class DataManager {
             item.isFromBuquenqe = item.hasOwnProperty('buquenqe.com') ? Boolean(item['buquenqe.com']) : true;
             item.sourceLabel = item.isFromBuquenqe ? 'Buquenque' : 'Externo';
 
+            // Canal de adquisición: UTM de la URL de entrada (origen) o referente (fuente_trafico)
+            item.landingUrl = item.origen || null;
+            item.attribution = ChannelAttribution.classify(item);
+
+            // Zona de entrega (provincia y municipio) a partir de la dirección de envío
+            item.deliveryArea = this.deliveryGeography ? this.deliveryGeography.locate(item.direccion_envio) : null;
+
             // Normaliza productos
             item.compras = item.compras.map(product => {
                 const priceBeforeDiscount = product.quantity * product.unitPrice;
@@ -115,6 +184,153 @@ export class DataManager {
                 };
             });
         });
+
+        this.resolveCustomerIdentities();
+        this.computeRFMSegments();
+        if (this.catalogResolver.hasCatalog()) this.linkProductCatalog();
+    }
+
+    /**
+     * Carga el catálogo (products.json y packs.json) y vincula con él las líneas de pedido
+     */
+    setProductCatalog(products = [], packs = []) {
+        this.catalogResolver.setCatalog(products, packs);
+        return this.linkProductCatalog();
+    }
+
+    /**
+     * Asigna a cada línea de `compras` su ID de catálogo y unifica el nombre
+     * de las variantes de escritura de un mismo producto
+     * @returns {Object|null} { lines, linked, byStatus, reviewQueue }
+     */
+    linkProductCatalog() {
+        if (!this.catalogResolver.hasCatalog()) return null;
+        this.catalogReport = this.catalogResolver.linkDataset(this.data);
+        return this.catalogReport;
+    }
+
+    /**
+     * Resultado de la última vinculación con el catálogo
+     */
+    getCatalogReport() {
+        return this.catalogReport;
+    }
+
+    /**
+     * Guarda un alias (nombre de pedido -> producto del catálogo) y vuelve a vincular
+     * @param {string|null} entryKey - Clave "product:ID" / "pack:ID", o null si no pertenece al catálogo
+     */
+    setProductAlias(name, entryKey) {
+        this.catalogResolver.setAlias(name, entryKey);
+        return this.linkProductCatalog();
+    }
+
+    removeProductAlias(key) {
+        this.catalogResolver.removeAlias(key);
+        return this.linkProductCatalog();
+    }
+
+    /**
+     * Informe de la última reparación de codificación (ver EncodingRepair.repairDataset)
+     */
+    getEncodingReport() {
+        return this.encodingReport;
+    }
+
+    /**
+     * Asigna a cada pedido un customerId único que agrupa teléfono, correo y
+     * variantes del nombre del mismo comprador
+     */
+    resolveCustomerIdentities() {
+        const { ids, customers } = this.identityResolver.resolve(this.data);
+        this.data.forEach((item, idx) => {
+            item.customerId = ids[idx];
+        });
+        this.customers = customers;
+        return customers;
+    }
+
+    /**
+     * Puntúa a cada cliente con RFM sobre todo el histórico y guarda el
+     * segmento en cada pedido (rfmSegment) para poder filtrar por él
+     */
+    computeRFMSegments() {
+        this.rfmScores = RFMAnalyzer.score(this.data);
+        this.data.forEach(item => {
+            item.rfmSegment = this.rfmScores.get(item.customerId)?.segment || null;
+        });
+        return this.rfmScores;
+    }
+
+    /**
+     * Resumen de clientes y valor por segmento RFM
+     */
+    getRFMSegments() {
+        return RFMAnalyzer.summarize(this.rfmScores);
+    }
+
+    /**
+     * Obtiene el perfil de identidad de un cliente por su ID
+     */
+    getCustomer(customerId) {
+        return this.customers.get(customerId) || null;
+    }
+
+    /**
+     * Construye el perfil completo de un cliente a partir de todos sus pedidos
+     * (sin aplicar filtros): valor de vida, ticket medio, productos favoritos,
+     * direcciones usadas y línea de tiempo de pedidos
+     */
+    getCustomerProfile(customerId) {
+        const customer = this.getCustomer(customerId);
+        if (!customer) return null;
+
+        const orders = this.data
+            .filter(order => order.customerId === customerId)
+            .sort((a, b) => b.date - a.date);
+        if (orders.length === 0) return null;
+
+        const lifetimeValue = orders.reduce((acc, order) => acc + order.total, 0);
+        const totalProducts = orders.reduce((acc, order) => acc + order.productsCount, 0);
+
+        const products = {};
+        orders.forEach(order => {
+            order.compras.forEach(product => {
+                if (!products[product.name]) products[product.name] = { product: product.name, quantity: 0, revenue: 0, orders: 0 };
+                products[product.name].quantity += product.quantity || 0;
+                products[product.name].revenue += product.precio_total || 0;
+                products[product.name].orders++;
+            });
+        });
+        const favouriteProducts = Object.values(products)
+            .sort((a, b) => b.quantity - a.quantity || b.revenue - a.revenue)
+            .slice(0, 5);
+
+        const addresses = [];
+        orders.forEach(order => {
+            const address = String(order.direccion_envio || '').trim();
+            if (address && !addresses.includes(address)) addresses.push(address);
+        });
+
+        const latestWithPhone = orders.find(order => order.whatsappUrl);
+        const latestWithEmail = orders.find(order => order.correo_comprador);
+
+        return {
+            ...customer,
+            rfm: this.rfmScores.get(customerId) || null,
+            email: latestWithEmail?.correo_comprador || null,
+            phone: latestWithPhone?.telefono_comprador || null,
+            whatsappUrl: latestWithPhone?.whatsappUrl || null,
+            lifetimeValue,
+            orderCount: orders.length,
+            avgBasket: lifetimeValue / orders.length,
+            totalProducts,
+            firstPurchase: orders[orders.length - 1].date,
+            lastPurchase: orders[0].date,
+            favouriteProducts,
+            addresses,
+            orders
+        };
     }
 
     /**
@@ -122,7 +338,8 @@ export class DataManager {
      * Si se especifica un rango de fechas, tiene prioridad sobre el período
      */
     filterByDateRange(startDate = null, endDate = null, period = 'all') {
-        const now = new Date();
+        // Los periodos se calculan sobre el calendario de la zona del negocio
+        const today = getZonedParts(new Date());
         let periodStart, periodEnd;
         
         // Normalizar valores vacíos a null
@@ -139,19 +356,16 @@ export class DataManager {
             // Solo aplicar período si NO hay rango de fechas especificado
             switch (period) {
                 case 'month':
-                    periodStart = new Date(now.getFullYear(), now.getMonth(), 1);
-                    periodEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-                    periodEnd.setHours(23, 59, 59, 999);
+                    periodStart = startOfDay(makeDateKey(today.year, today.month, 1));
+                    periodEnd = endOfDay(makeDateKey(today.year, today.month + 1, 0));
                     break;
                 case 'last-month':
-                    periodStart = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-                    periodEnd = new Date(now.getFullYear(), now.getMonth(), 0);
-                    periodEnd.setHours(23, 59, 59, 999);
+                    periodStart = startOfDay(makeDateKey(today.year, today.month - 1, 1));
+                    periodEnd = endOfDay(makeDateKey(today.year, today.month, 0));
                     break;
                 case 'year':
-                    periodStart = new Date(now.getFullYear(), 0, 1);
-                    periodEnd = new Date(now.getFullYear(), 11, 31);
-                    periodEnd.setHours(23, 59, 59, 999);
+                    periodStart = startOfDay(makeDateKey(today.year, 1, 1));
+                    periodEnd = endOfDay(makeDateKey(today.year, 12, 31));
                     break;
                 default:
                     periodStart = null;
@@ -159,46 +373,23 @@ export class DataManager {
             }
         }
         
+        // Extremos del rango (formato YYYY-MM-DD desde input HTML) en la zona del negocio;
+        // si no se pueden interpretar, ese extremo no filtra
+        const rangeStart = this.parseInputDate(startDate);
+        const rangeEnd = this.parseInputDate(endDate, true);
+
+        this.activeRange = this.resolveActiveRange(
+            hasDateRange ? rangeStart : periodStart,
+            hasDateRange ? rangeEnd : periodEnd
+        );
+
         this.filteredData = this.data.filter(item => {
             const itemDate = item.date;
             
             // Verificar rango de fechas: comparar usando fechas completas (Date objects)
-            // Normalizar las fechas a medianoche para comparación correcta
             let dateInRange = true;
-            
-            if (startDate) {
-                try {
-                    // Parsear startDate (formato YYYY-MM-DD desde input HTML)
-                    const parts = startDate.split('-');
-                    if (parts.length === 3) {
-                        const year = parseInt(parts[0], 10);
-                        const month = parseInt(parts[1], 10);
-                        const day = parseInt(parts[2], 10);
-                        const rangeStart = new Date(year, month - 1, day, 0, 0, 0, 0);
-                        dateInRange = itemDate >= rangeStart;
-                    }
-                } catch (e) {
-                    console.warn('Error al parsear startDate:', startDate, e);
-                    dateInRange = true; // Si hay error, permitir el item
-                }
-            }
-            
-            if (endDate && dateInRange) {
-                try {
-                    // Parsear endDate (formato YYYY-MM-DD desde input HTML)
-                    const parts = endDate.split('-');
-                    if (parts.length === 3) {
-                        const year = parseInt(parts[0], 10);
-                        const month = parseInt(parts[1], 10);
-                        const day = parseInt(parts[2], 10);
-                        const rangeEnd = new Date(year, month - 1, day, 23, 59, 59, 999);
-                        dateInRange = itemDate <= rangeEnd;
-                    }
-                } catch (e) {
-                    console.warn('Error al parsear endDate:', endDate, e);
-                    dateInRange = true; // Si hay error, permitir el item
-                }
-            }
+            if (rangeStart) dateInRange = itemDate >= rangeStart;
+            if (rangeEnd && dateInRange) dateInRange = itemDate <= rangeEnd;
             
             // Verificar período
             const periodInRange =
@@ -219,37 +410,145 @@ export class DataManager {
         return this.filteredData;
     }
 
+    /**
+     * Convierte una fecha YYYY-MM-DD de un input HTML al inicio del día
+     * (o al final si atEnd) en la zona del negocio
+     */
+    parseInputDate(value, atEnd = false) {
+        if (!value) return null;
+        const parts = String(value).split('-').map(n => parseInt(n, 10));
+        if (parts.length !== 3 || parts.some(isNaN)) return null;
+        const key = makeDateKey(parts[0], parts[1], parts[2]);
+        return atEnd ? endOfDay(key) : startOfDay(key);
+    }
+
+    /**
+     * Ventana efectiva del filtro de fechas; los extremos abiertos se
+     * cierran con la primera/última fecha de los datos
+     */
+    resolveActiveRange(start, end) {
+        const times = this.data.map(item => item.date?.getTime()).filter(t => !isNaN(t));
+        if (!start && times.length > 0) start = new Date(Math.min(...times));
+        if (!end && times.length > 0) end = new Date(Math.max(...times));
+        return start && end ? { start, end } : null;
+    }
+
     /**
      * Filtra por múltiples criterios: fechas, país, afiliado, tipo usuario, navegador, OS, rango de precio y si contiene compra
      */
-    filterByCriteria({ startDate = null, endDate = null, period = 'all', country = 'all', affiliate = 'all', userType = 'all', browser = 'all', os = 'all', minTotal = null, maxTotal = null, hasPurchase = 'all' } = {}) {
+    filterByCriteria(criteria = {}) {
+        const { startDate = null, endDate = null, period = 'all' } = criteria;
+        this.activeCriteria = criteria;
+        this.activeSearch = '';
+
         // Primero filtrar por rango/periodo usando la función existente
         this.filterByDateRange(startDate, endDate, period);
 
-        this.filteredData = this.filteredData.filter(item => {
-            if (country && country !== 'all' && (item.country || '').toLowerCase() !== (country || '').toLowerCase()) return false;
-            if (affiliate && affiliate !== 'all' && (item.affiliate || '').toLowerCase() !== (affiliate || '').toLowerCase()) return false;
-            if (userType && userType !== 'all' && (item.userType || '').toLowerCase() !== (userType || '').toLowerCase()) return false;
-            if (browser && browser !== 'all' && (item.browser || '').toLowerCase() !== (browser || '').toLowerCase()) return false;
-            if (os && os !== 'all' && (item.operatingSystem || '').toLowerCase() !== (os || '').toLowerCase()) return false;
+        this.filteredData = this.filteredData.filter(item => this.matchesCriteria(item, criteria));
 
-            if (minTotal !== null && minTotal !== '' && !isNaN(Number(minTotal))) {
-                if ((item.total || 0) < Number(minTotal)) return false;
-            }
-            if (maxTotal !== null && maxTotal !== '' && !isNaN(Number(maxTotal))) {
-                if ((item.total || 0) > Number(maxTotal)) return false;
-            }
+        return this.filteredData;
+    }
 
-            if (hasPurchase === 'with') {
-                if (!Array.isArray(item.compras) || item.compras.length === 0) return false;
-            } else if (hasPurchase === 'without') {
-                if (Array.isArray(item.compras) && item.compras.length > 0) return false;
-            }
+    /**
+     * Comprueba los criterios que no son de fecha sobre un pedido
+     */
+    matchesCriteria(item, { country = 'all', affiliate = 'all', userType = 'all', browser = 'all', os = 'all', minTotal = null, maxTotal = null, hasPurchase = 'all', segment = 'all' } = {}) {
+        if (country && country !== 'all' && (item.country || '').toLowerCase() !== (country || '').toLowerCase()) return false;
+        if (affiliate && affiliate !== 'all' && (item.affiliate || '').toLowerCase() !== (affiliate || '').toLowerCase()) return false;
+        if (userType && userType !== 'all' && (item.userType || '').toLowerCase() !== (userType || '').toLowerCase()) return false;
+        if (browser && browser !== 'all' && (item.browser || '').toLowerCase() !== (browser || '').toLowerCase()) return false;
+        if (os && os !== 'all' && (item.operatingSystem || '').toLowerCase() !== (os || '').toLowerCase()) return false;
+        if (segment && segment !== 'all' && item.rfmSegment !== segment) return false;
+
+        if (minTotal !== null && minTotal !== '' && !isNaN(Number(minTotal))) {
+            if ((item.total || 0) < Number(minTotal)) return false;
+        }
+        if (maxTotal !== null && maxTotal !== '' && !isNaN(Number(maxTotal))) {
+            if ((item.total || 0) > Number(maxTotal)) return false;
+        }
+
+        if (hasPurchase === 'with') {
+            if (!Array.isArray(item.compras) || item.compras.length === 0) return false;
+        } else if (hasPurchase === 'without') {
+            if (Array.isArray(item.compras) && item.compras.length > 0) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Calcula la ventana de comparación para la ventana activa
+     * @param {string} mode - 'previous' (periodo anterior de igual duración) | 'year' (mismo periodo del año pasado)
+     */
+    getComparisonRange(mode, range = this.activeRange) {
+        if (!range || !mode || mode === 'none') return null;
+
+        if (mode === 'year') {
+            const start = shiftZonedDate(range.start, { years: -1 });
+            const end = shiftZonedDate(range.end, { years: -1 });
+            return { start, end, shiftDays: null, shiftYears: 1 };
+        }
+
+        // Periodo anterior: misma cantidad de días naturales justo antes del inicio
+        const days = daysBetweenKeys(toDateKey(range.start), toDateKey(range.end)) + 1;
+        const start = shiftZonedDate(range.start, { days: -days });
+        const end = shiftZonedDate(range.end, { days: -days });
+        return { start, end, shiftDays: days, shiftYears: 0 };
+    }
+
+    /**
+     * Compara la selección actual con el periodo anterior o el mismo periodo
+     * del año pasado, aplicando los mismos filtros no temporales
+     * @param {string} mode - 'previous' | 'year'
+     * @returns {Object|null} { mode, range, comparisonRange, data, stats, deltas, topProducts, trend }
+     */
+    getComparison(mode, { topProducts = [] } = {}) {
+        const comparisonRange = this.getComparisonRange(mode);
+        if (!comparisonRange) return null;
 
-            return true;
+        const data = this.data.filter(item =>
+            item.date >= comparisonRange.start &&
+            item.date <= comparisonRange.end &&
+            this.matchesCriteria(item, this.activeCriteria)
+        );
+
+        const current = this.getStats();
+        const stats = this.getStats(data);
+        const deltas = {};
+        Object.keys(current).forEach(key => {
+            deltas[key] = stats[key] > 0 ? (current[key] - stats[key]) / stats[key] * 100 : null;
         });
 
-        return this.filteredData;
+        const productTotals = {};
+        data.forEach(order => {
+            order.compras.forEach(product => {
+                if (!productTotals[product.name]) productTotals[product.name] = { quantity: 0, revenue: 0 };
+                productTotals[product.name].quantity += product.quantity;
+                productTotals[product.name].revenue += product.precio_total || 0;
+            });
+        });
+
+        // Serie fantasma: para cada día del periodo actual, las ventas del día equivalente
+        const comparisonDaily = {};
+        this.getSalesTrend(data).forEach(({ date, total }) => { comparisonDaily[date] = total; });
+        const shiftDate = (isoDate) => {
+            const d = new Date(`${isoDate}T00:00:00Z`);
+            if (comparisonRange.shiftYears) d.setUTCFullYear(d.getUTCFullYear() - comparisonRange.shiftYears);
+            else d.setUTCDate(d.getUTCDate() - comparisonRange.shiftDays);
+            return d.toISOString().split('T')[0];
+        };
+
+        return {
+            mode,
+            label: mode === 'year' ? 'Mismo periodo del año pasado' : 'Periodo anterior',
+            range: this.activeRange,
+            comparisonRange,
+            data,
+            stats,
+            deltas,
+            topProducts: topProducts.map(({ product }) => ({ product, quantity: productTotals[product]?.quantity || 0, revenue: productTotals[product]?.revenue || 0 })),
+            trend: this.getSalesTrend().map(({ date }) => ({ date, total: comparisonDaily[shiftDate(date)] || 0 }))
+        };
     }
 
     /**
@@ -257,6 +556,7 @@ export class DataManager {
      */
     search(searchTerm) {
         const term = searchTerm.toLowerCase();
+        this.activeSearch = term;
         this.filteredData = this.data.filter(item =>
             item.searchText.includes(term)
         );
@@ -286,7 +586,7 @@ export class DataManager {
         const totalSales = data.reduce((acc, order) => acc + (order.total || 0), 0);
         const avgOrderValue = data.length > 0 ? totalSales / data.length : 0;
         const totalProducts = data.reduce((acc, order) => acc + (order.productsCount || 0), 0);
-        const uniqueCustomers = new Set(data.map(order => order.correo_comprador).filter(Boolean)).size;
+        const uniqueCustomers = new Set(data.map(order => order.customerId).filter(Boolean)).size;
 
         return {
             totalSales,
@@ -298,106 +598,210 @@ export class DataManager {
     }
 
     /**
-     * Obtiene el rango de fechas para Pago del Programador basado en el último día del mes anterior y el penúltimo día del mes seleccionado.
-     * monthOffset = 0 -> mes actual, 1 -> mes anterior, etc.
+     * Liquidación de cada beneficiario de las reglas de pago para un mes.
+     * Los periodos cerrados devuelven los importes congelados del histórico.
+     * @param {number} monthOffset - 0 -> mes actual, 1 -> mes anterior, etc.
+     * @param {number|null} exchangeRate - CUP por USD (FinanzasManager.getValorDolar)
+     * @returns {Array<{ rule, startDate, endDate, periodLabel, orders, sales, amountUSD, amountCUP, exchangeRate, closed }>}
      */
-    getProgrammerPaymentData(monthOffset = 0) {
-        const now = new Date();
-        const targetMonth = new Date(now.getFullYear(), now.getMonth() - monthOffset, 1);
-        const previousMonth = new Date(targetMonth.getFullYear(), targetMonth.getMonth() - 1, 1);
-
-        const rangeStartDate = new Date(previousMonth.getFullYear(), previousMonth.getMonth() + 1, 0, 0, 0, 0, 0);
-        const lastDayOfTarget = new Date(targetMonth.getFullYear(), targetMonth.getMonth() + 1, 0);
-        const rangeEndDate = new Date(targetMonth.getFullYear(), targetMonth.getMonth(), Math.max(1, lastDayOfTarget.getDate() - 1), 23, 59, 59, 999);
-
-        const formatYYYYMMDD = (date) => {
-            const y = date.getFullYear();
-            const m = String(date.getMonth() + 1).padStart(2, '0');
-            const d = String(date.getDate()).padStart(2, '0');
-            return `${y}-${m}-${d}`;
-        };
-
-        const startDateStr = formatYYYYMMDD(rangeStartDate);
-        const endDateStr = formatYYYYMMDD(rangeEndDate);
-
-        const currentFiltered = this.filteredData;
-
-        this.filterByDateRange(startDateStr, endDateStr, 'all');
-        const rangeStats = this.getStats(this.filteredData);
+    getPayoutStatements(monthOffset = 0, exchangeRate = null) {
+        return this.payoutEngine.getRules().map(rule => {
+            const { start, end, startDate, endDate, periodLabel } = PayoutRulesEngine.getSettlementWindow(rule.window, monthOffset);
+            const closed = this.payoutEngine.getClosedPeriod(rule.id, startDate, endDate);
+            if (closed) {
+                const { orders, sales, amountUSD, amountCUP } = closed;
+                return { rule, startDate, endDate, periodLabel, orders, sales, amountUSD, amountCUP, exchangeRate: closed.exchangeRate, closed };
+            }
 
-        // Restaurar filtro previo para no afectar interfaces externas
-        this.filteredData = currentFiltered;
+            const rangeData = this.data.filter(order => order.date >= start && order.date <= end);
+            return {
+                rule,
+                startDate,
+                endDate,
+                periodLabel,
+                ...PayoutRulesEngine.calculate(rule, rangeData, exchangeRate),
+                closed: null
+            };
+        });
+    }
 
-        const pagoProgramadorUSD = Number(rangeStats.totalSales || 0) * 0.05;
-        const pagoProgramadorCUP = pagoProgramadorUSD * 1; // Sin conversión de moneda en datos de pedidos
+    /**
+     * Cierra el periodo de un beneficiario y lo guarda en el histórico
+     */
+    closePayoutPeriod(payeeId, monthOffset = 0, exchangeRate = null) {
+        const statement = this.getPayoutStatements(monthOffset, exchangeRate).find(s => s.rule.id === payeeId);
+        if (!statement) throw new Error('Beneficiario no encontrado');
+        return this.payoutEngine.closePeriod(statement);
+    }
 
-        const periodLabel = monthOffset === 0 ? 'Mes actual' : `${monthOffset} meses atrás`;
+    /**
+     * Año fiscal al que pertenece una fecha (identificado por el año natural en que empieza)
+     */
+    getFiscalYear(date, fiscalStartMonth = 0) {
+        const { year, month } = getZonedParts(date);
+        return month - 1 >= fiscalStartMonth ? year : year - 1;
+    }
 
-        return {
-            startDate: startDateStr,
-            endDate: endDateStr,
-            totalOrders: rangeStats.totalOrders,
-            totalSales: rangeStats.totalSales,
-            pagoProgramadorUSD,
-            pagoProgramadorCUP,
-            periodLabel
-        };
+    /**
+     * Años fiscales con al menos un pedido, del más reciente al más antiguo
+     */
+    getAvailableYears(data = this.data, fiscalStartMonth = 0) {
+        const years = new Set(data
+            .filter(order => order.date instanceof Date && !isNaN(order.date.getTime()))
+            .map(order => this.getFiscalYear(order.date, fiscalStartMonth)));
+        return Array.from(years).sort((a, b) => b - a);
     }
 
     /**
-     * Obtiene datos mensuales comparativos
+     * Obtiene la comparación mensual de un año fiscal
+     * @param {Array} data
+     * @param {Object} options
+     * @param {number} options.year - Año fiscal (por defecto, el actual)
+     * @param {number} options.fiscalStartMonth - Mes de inicio del año fiscal (0 = Enero)
+     * @returns {Array} 12 meses en orden fiscal
      */
-    getMonthlyComparison(data = this.data) {
-        const monthlyData = {};
-        const currentYear = new Date().getFullYear();
-        
-        for (let month = 0; month < 12; month++) {
-            const key = `${currentYear}-${month}`;
-            monthlyData[key] = {
-                month: getMonthName(month),
+    getMonthlyComparison(data = this.data, { year = null, fiscalStartMonth = 0 } = {}) {
+        const fiscalYear = year ?? this.getFiscalYear(new Date(), fiscalStartMonth);
+        const monthlyData = [];
+
+        for (let offset = 0; offset < 12; offset++) {
+            const monthIndex = (fiscalStartMonth + offset) % 12;
+            monthlyData.push({
+                month: getMonthName(monthIndex),
+                monthIndex,
+                year: fiscalYear + (fiscalStartMonth + offset >= 12 ? 1 : 0),
+                fiscalYear,
                 orders: 0,
                 sales: 0,
                 products: 0,
                 hasData: false
-            };
+            });
         }
-        
+
         data.forEach(order => {
             const orderDate = order.date;
-            const year = orderDate.getFullYear();
-            const month = orderDate.getMonth();
-            
-            if (year === currentYear) {
-                const key = `${year}-${month}`;
-                monthlyData[key].orders++;
-                monthlyData[key].sales += order.total || 0;
-                monthlyData[key].products += order.productsCount || 0;
-                monthlyData[key].hasData = true;
-            }
+            if (!(orderDate instanceof Date) || isNaN(orderDate.getTime())) return;
+            if (this.getFiscalYear(orderDate, fiscalStartMonth) !== fiscalYear) return;
+
+            const entry = monthlyData[(getZonedParts(orderDate).month - 1 - fiscalStartMonth + 12) % 12];
+            entry.orders++;
+            entry.sales += order.total || 0;
+            entry.products += order.productsCount || 0;
+            entry.hasData = true;
         });
-        
-        return Object.values(monthlyData).sort((a, b) => {
-            const monthA = getMonthIndex(a.month);
-            const monthB = getMonthIndex(b.month);
-            return monthA - monthB;
+
+        return monthlyData;
+    }
+
+    /**
+     * Series mensuales de todos los años fiscales con datos
+     * @returns {Array<{ year, label, months }>} Del año más antiguo al más reciente
+     */
+    getMultiYearMonthlySeries(data = this.data, { fiscalStartMonth = 0 } = {}) {
+        return this.getAvailableYears(data, fiscalStartMonth)
+            .sort((a, b) => a - b)
+            .map(year => ({
+                year,
+                label: getFiscalYearLabel(year, fiscalStartMonth),
+                months: this.getMonthlyComparison(data, { year, fiscalStartMonth })
+            }));
+    }
+
+    /**
+     * Tabla de crecimiento interanual: ventas por mes y año fiscal y
+     * variación de cada año respecto al anterior
+     */
+    getYearOverYearGrowth(data = this.data, { fiscalStartMonth = 0 } = {}) {
+        const series = this.getMultiYearMonthlySeries(data, { fiscalStartMonth });
+        const growth = (current, previous) => previous > 0 ? (current - previous) / previous * 100 : null;
+
+        const totals = series.map(serie => serie.months.reduce((acc, m) => ({
+            sales: acc.sales + m.sales,
+            orders: acc.orders + m.orders,
+            products: acc.products + m.products
+        }), { sales: 0, orders: 0, products: 0 }));
+
+        const years = series.map((serie, idx) => {
+            const current = totals[idx];
+            const previous = idx > 0 ? totals[idx - 1] : null;
+            return {
+                year: serie.year,
+                label: serie.label,
+                ...current,
+                salesGrowth: previous ? growth(current.sales, previous.sales) : null,
+                ordersGrowth: previous ? growth(current.orders, previous.orders) : null
+            };
         });
+
+        const months = Array.from({ length: 12 }, (_, offset) => {
+            const cells = series.map((serie, idx) => {
+                const current = serie.months[offset];
+                const previous = idx > 0 ? series[idx - 1].months[offset] : null;
+                return {
+                    year: serie.year,
+                    sales: current.sales,
+                    orders: current.orders,
+                    hasData: current.hasData,
+                    growth: previous && previous.hasData && current.hasData ? growth(current.sales, previous.sales) : null
+                };
+            });
+            return { month: getMonthName((fiscalStartMonth + offset) % 12), cells };
+        });
+
+        return { fiscalStartMonth, years, months };
     }
 
     /**
      * Obtiene los productos más vendidos
+     * @param {string} metric - 'quantity' (unidades) | 'revenue' (ingresos netos tras descuento)
      */
-    getTopProducts(data = this.filteredData, limit = 10) {
+    getTopProducts(data = this.filteredData, limit = 10, metric = 'quantity') {
         const products = data.reduce((acc, order) => {
             order.compras.forEach(product => {
-                acc[product.name] = (acc[product.name] || 0) + product.quantity;
+                if (!acc[product.name]) acc[product.name] = { product: product.name, quantity: 0, revenue: 0 };
+                acc[product.name].quantity += product.quantity;
+                acc[product.name].revenue += product.precio_total || 0;
             });
             return acc;
         }, {});
 
-        return Object.entries(products)
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, limit)
-            .map(([product, quantity]) => ({ product, quantity }));
+        const secondary = metric === 'revenue' ? 'quantity' : 'revenue';
+        return Object.values(products)
+            .sort((a, b) => b[metric] - a[metric] || b[secondary] - a[secondary])
+            .slice(0, limit);
+    }
+
+    /**
+     * Rendimiento por producto: unidades, ingresos brutos, descuento concedido,
+     * ingresos netos, penetración (porcentaje de pedidos que lo incluyen) y precio medio
+     */
+    getProductPerformance(data = this.filteredData) {
+        const products = {};
+        data.forEach(order => {
+            const seen = new Set();
+            order.compras.forEach(product => {
+                if (!products[product.name]) {
+                    products[product.name] = { product: product.name, units: 0, grossRevenue: 0, netRevenue: 0, orders: 0 };
+                }
+                const entry = products[product.name];
+                entry.units += product.quantity || 0;
+                entry.grossRevenue += (product.quantity || 0) * (product.unitPrice || 0);
+                entry.netRevenue += product.precio_total || 0;
+                if (!seen.has(product.name)) {
+                    seen.add(product.name);
+                    entry.orders++;
+                }
+            });
+        });
+
+        return Object.values(products)
+            .map(entry => ({
+                ...entry,
+                discount: entry.grossRevenue - entry.netRevenue,
+                penetration: data.length > 0 ? entry.orders / data.length * 100 : 0,
+                avgPrice: entry.units > 0 ? entry.netRevenue / entry.units : 0
+            }))
+            .sort((a, b) => b.netRevenue - a.netRevenue);
     }
 
     /**
@@ -405,34 +809,207 @@ export class DataManager {
      */
     getSalesTrend(data = this.filteredData) {
         const dailySales = data.reduce((acc, order) => {
-            const dateStr = order.date.toISOString().split('T')[0];
-            acc[dateStr] = (acc[dateStr] || 0) + order.total;
+            const dateStr = toDateKey(order.date);
+            if (!acc[dateStr]) acc[dateStr] = { total: 0, orders: 0 };
+            acc[dateStr].total += order.total;
+            acc[dateStr].orders++;
             return acc;
         }, {});
 
         return Object.entries(dailySales)
-            .map(([date, total]) => ({ date, total }))
-            .sort((a, b) => new Date(a.date) - new Date(b.date));
+            .map(([date, { total, orders }]) => ({ date, total, orders }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Días con ventas inusuales (picos, caídas o ningún pedido cuando se esperaban)
+     * sobre la serie diaria de todo el histórico
+     */
+    getSalesAnomalies(data = this.data) {
+        return this.anomalyDetector.detect(this.getSalesTrend(data));
+    }
+
+    /**
+     * Todo el histórico con los filtros activos que no son de fecha (o con la búsqueda,
+     * que sustituye a los filtros). Da la referencia de días anteriores al periodo
+     * para que las anomalías se calculen sobre la misma serie que se dibuja.
+     */
+    getHistoryForActiveFilters() {
+        return this.activeSearch
+            ? this.data.filter(item => item.searchText.includes(this.activeSearch))
+            : this.data.filter(item => this.matchesCriteria(item, this.activeCriteria));
+    }
+
+    /**
+     * Pronostica ingresos y pedidos de los próximos días a partir de todo el
+     * histórico (Holt-Winters con estacionalidad semanal), empezando por hoy
+     * @param {number} horizon - Días a proyectar (30, 90...)
+     */
+    getSalesForecast(horizon = 30, data = this.data) {
+        return this.forecaster.forecastTrend(this.getSalesTrend(data), horizon, getTodayKey());
+    }
+
+    /**
+     * Productos que se compran juntos: pares frecuentes y reglas de asociación
+     * (soporte, confianza y lift) sobre los productos de cada pedido
+     */
+    getProductAssociations(data = this.filteredData) {
+        return this.basketAnalyzer.analyze(data);
+    }
+
+    /**
+     * Informe por afiliado: pedidos, ingresos, clientes nuevos/recurrentes y conversión.
+     * Un cliente es nuevo si su primer pedido de todo el histórico está en el periodo.
+     */
+    getAffiliateReport(data = this.filteredData, visits = null) {
+        const firstOrderDates = new Map();
+        this.data.forEach(order => {
+            if (!order.customerId || !(order.date instanceof Date) || isNaN(order.date.getTime())) return;
+            if (!Array.isArray(order.compras) || order.compras.length === 0) return;
+            const first = firstOrderDates.get(order.customerId);
+            if (!first || order.date < first) firstOrderDates.set(order.customerId, order.date);
+        });
+        return this.affiliateAnalyzer.buildReport(data, firstOrderDates, this.filterVisits(visits));
+    }
+
+    /**
+     * Liquidación mensual de comisiones de afiliados: las reglas de pago con afiliado,
+     * cada una con su ventana de liquidación y, si está cerrado, el importe del histórico
+     * @param {number} monthOffset - 0 -> mes actual, 1 -> mes anterior, etc.
+     * @param {number|null} exchangeRate - CUP por USD (FinanzasManager.getValorDolar); sin tasa el importe en CUP es null
+     */
+    getAffiliatePayoutData(monthOffset = 0, exchangeRate = null) {
+        const statements = this.getPayoutStatements(monthOffset, exchangeRate).filter(s => s.rule.affiliate);
+        const sum = (key) => statements.some(s => s[key] === null) ? null : statements.reduce((acc, s) => acc + s[key], 0);
+
+        return {
+            statements,
+            exchangeRate: Number(exchangeRate) > 0 ? Number(exchangeRate) : null,
+            totalOrders: sum('orders'),
+            totalSales: sum('sales'),
+            totalCommissionUSD: sum('amountUSD'),
+            totalCommissionCUP: sum('amountCUP')
+        };
+    }
+
+    /**
+     * Guarda la comisión de un afiliado como regla de pago ("5" o tramos "0:5; 500:7"; vacío = sin comisión)
+     */
+    setAffiliateCommission(affiliate, text) {
+        return this.affiliateAnalyzer.setCommission(affiliate, text);
+    }
+
+    /**
+     * Visitas del servidor con los mismos filtros que los pedidos: fechas, país, afiliado,
+     * tipo de usuario, navegador y sistema operativo.
+     * @param {Array|null} visits - Registros de /obtener-estadisticas
+     * @returns {Array|null} null si no hay visitas o si hay un filtro que no se puede aplicar
+     *   a las visitas (búsqueda, segmento, importe o compra): la conversión mezclaría poblaciones distintas
+     */
+    filterVisits(visits) {
+        if (!Array.isArray(visits)) return null;
+        const {
+            startDate = null, endDate = null, period = 'all',
+            country = 'all', affiliate = 'all', userType = 'all', browser = 'all', os = 'all',
+            minTotal = null, maxTotal = null, hasPurchase = 'all', segment = 'all'
+        } = this.activeCriteria || {};
+        const isSet = (value) => value !== null && value !== '' && value !== undefined;
+        if (this.activeSearch || (segment && segment !== 'all') || (hasPurchase && hasPurchase !== 'all') || isSet(minTotal) || isSet(maxTotal)) return null;
+
+        // Las visitas solo se acotan por fechas cuando hay un periodo o rango activo
+        const range = (startDate || endDate || (period && period !== 'all')) ? this.activeRange : null;
+        return visits.filter(visit => {
+            if (range) {
+                const date = parseDateTime(visit.fecha_hora_entrada);
+                if (isNaN(date.getTime()) || date < range.start || date > range.end) return false;
+            }
+            // Mismos valores por defecto que normalizeData
+            return this.matchesCriteria({
+                country: visit.pais || 'No especificado',
+                affiliate: visit.afiliado || 'Sin afiliado',
+                userType: visit.tipo_usuario || 'No especificado',
+                browser: visit.navegador || 'No especificado',
+                operatingSystem: visit.sistema_operativo || 'No especificado'
+            }, { country, affiliate, userType, browser, os });
+        });
+    }
+
+    /**
+     * Atribución por canal: visitas, pedidos, ingresos, conversión y ticket medio.
+     * Las visitas del servidor llevan los mismos filtros que los pedidos (ver filterVisits);
+     * si alguno no se les puede aplicar, se omiten visitas y conversión.
+     * @param {Array|null} visits - Registros de /obtener-estadisticas (null = sin conexión: sin visitas ni conversión)
+     */
+    getChannelAttribution(data = this.filteredData, visits = null) {
+        const filteredVisits = this.filterVisits(visits);
+        const withVisits = !Array.isArray(visits) || Array.isArray(filteredVisits);
+        return ChannelAttribution.analyze(data, filteredVisits, { withVisits });
+    }
+
+    /**
+     * Pedidos, ingresos y densidad de entregas por provincia y municipio
+     * @returns {Object|null} Ver DeliveryGeography.buildReport (null si no hay nomenclátor)
+     */
+    getDeliveryGeography(data = this.filteredData) {
+        return this.deliveryGeography ? this.deliveryGeography.buildReport(data) : null;
+    }
+
+    /**
+     * Pedidos e ingresos por día de la semana y hora en la zona horaria indicada
+     * @param {string} timeZone - Zona IANA o 'local' (ver getHeatmapTimeZones)
+     */
+    getOrderHeatmap(timeZone, data = this.filteredData) {
+        return OrderHeatmap.build(data, timeZone);
+    }
+
+    /**
+     * Archivo CSV o XLSX con los pedidos filtrados
+     * @param {Object} options - { format, level, columns, delimiter } (ver DataExporter.export)
+     * @returns {{ blob: Blob, fileName: string, rows: number }}
+     */
+    exportData(options = {}, data = this.filteredData) {
+        return DataExporter.export(data, options);
+    }
+
+    /**
+     * Consulta declarativa sobre los pedidos (where, groupBy y agregados)
+     * @param {Object} query - Ver QueryEngine.run
+     */
+    query(query, data = this.filteredData) {
+        return QueryEngine.run(data, query);
+    }
+
+    /**
+     * Tabla dinámica sobre los pedidos filtrados
+     * @param {Object} spec - { rows, columns, measure, where } (ver QueryEngine.pivot)
+     */
+    getPivot(spec, data = this.filteredData) {
+        return QueryEngine.pivot(data, spec);
+    }
+
+    /**
+     * Obtiene la matriz de cohortes por mes de primera compra y la auditoría
+     * de la etiqueta "Recurrente". Usa todo el histórico por defecto, ya que
+     * la primera compra de un cliente puede quedar fuera del filtro activo.
+     */
+    getCohortAnalysis(data = this.data) {
+        return {
+            ...CohortAnalyzer.build(data),
+            userTypeAudit: CohortAnalyzer.auditUserTypeLabel(data)
+        };
     }
 
     /**
      * Obtiene resumen diario (hoy y ayer)
      */
     getDailySummary() {
-        const now = new Date();
-        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        const yesterday = new Date(today);
-        yesterday.setDate(yesterday.getDate() - 1);
+        // "Hoy" y "ayer" según el calendario de la zona del negocio
+        const today = getTodayKey();
+        const yesterday = addDaysToKey(today, -1);
     
-        const todayOrders = this.data.filter(order => {
-            const orderDate = new Date(order.date.getFullYear(), order.date.getMonth(), order.date.getDate());
-            return orderDate.getTime() === today.getTime();
-        });
+        const todayOrders = this.data.filter(order => toDateKey(order.date) === today);
     
-        const yesterdayOrders = this.data.filter(order => {
-            const orderDate = new Date(order.date.getFullYear(), order.date.getMonth(), order.date.getDate());
-            return orderDate.getTime() === yesterday.getTime();
-        });
+        const yesterdayOrders = this.data.filter(order => toDateKey(order.date) === yesterday);
     
         const todaySales = todayOrders.reduce((sum, order) => sum + order.total, 0);
         const yesterdaySales = yesterdayOrders.reduce((sum, order) => sum + order.total, 0);
@@ -0,0 +1,122 @@
+/**
+ * Reparación de codificación (mojibake)
+ * Detecta y revierte textos UTF-8 que se decodificaron como Latin-1/Windows-1252
+ * una o varias veces (ej: "ColÃÂ³n" -> "Colón").
+ */
+
+// Caracteres de Windows-1252 en el rango 0x80-0x9F y el byte que representan
+const CP1252_BYTES = new Map([
+    [0x20AC, 0x80], [0x201A, 0x82], [0x0192, 0x83], [0x201E, 0x84], [0x2026, 0x85],
+    [0x2020, 0x86], [0x2021, 0x87], [0x02C6, 0x88], [0x2030, 0x89], [0x0160, 0x8A],
+    [0x2039, 0x8B], [0x0152, 0x8C], [0x017D, 0x8E], [0x2018, 0x91], [0x2019, 0x92],
+    [0x201C, 0x93], [0x201D, 0x94], [0x2022, 0x95], [0x2013, 0x96], [0x2014, 0x97],
+    [0x02DC, 0x98], [0x2122, 0x99], [0x0161, 0x9A], [0x203A, 0x9B], [0x0153, 0x9C],
+    [0x017E, 0x9E], [0x0178, 0x9F]
+]);
+
+// Byte inicial de una secuencia UTF-8 (Â-ô) seguido de un byte de continuación mal decodificado
+const MOJIBAKE_PATTERN = /[\u00C2-\u00F4][\u0080-\u00BF\u0152\u0153\u0160\u0161\u0178\u017D\u017E\u0192\u02C6\u02DC\u2013\u2014\u2018-\u201E\u2020-\u2022\u2026\u2030\u2039\u203A\u20AC\u2122]/;
+
+// Límite de pasadas por texto (cada pasada deshace una doble codificación)
+const MAX_PASSES = 4;
+
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * Deshace una pasada: vuelve a los bytes originales y los decodifica como UTF-8.
+ * Devuelve null si el texto no es una decodificación errónea válida.
+ */
+function decodeOnce(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        if (code <= 0xFF) bytes[i] = code;
+        else if (CP1252_BYTES.has(code)) bytes[i] = CP1252_BYTES.get(code);
+        else return null;
+    }
+    try {
+        return utf8Decoder.decode(bytes);
+    } catch (e) {
+        return null;
+    }
+}
+
+export class EncodingRepair {
+    /**
+     * Indica si un texto parece contener mojibake
+     */
+    static isSuspicious(text) {
+        return typeof text === 'string' && MOJIBAKE_PATTERN.test(text);
+    }
+
+    /**
+     * Repara un texto deshaciendo tantas pasadas de mala decodificación como sea posible
+     * @returns {{ value: string, passes: number }}
+     */
+    static repairString(text) {
+        let value = text;
+        let passes = 0;
+        while (passes < MAX_PASSES && EncodingRepair.isSuspicious(value)) {
+            const decoded = decodeOnce(value);
+            if (decoded === null || decoded === value) break;
+            value = decoded;
+            passes++;
+        }
+        return { value, passes };
+    }
+
+    /**
+     * Repara en el sitio todos los textos de un objeto o array (recursivo)
+     * @param {Array} fixes - Acumulador de cambios { path, before, after, passes }
+     */
+    static repairValue(target, path = '', fixes = []) {
+        if (Array.isArray(target)) {
+            target.forEach((value, idx) => EncodingRepair.repairEntry(target, idx, `${path}[${idx}]`, fixes));
+        } else if (target && typeof target === 'object') {
+            Object.keys(target).forEach(key => EncodingRepair.repairEntry(target, key, path ? `${path}.${key}` : key, fixes));
+        }
+        return fixes;
+    }
+
+    /**
+     * Repara una propiedad concreta de un objeto o array
+     * @private
+     */
+    static repairEntry(target, key, path, fixes) {
+        const value = target[key];
+        if (typeof value === 'string') {
+            const { value: repaired, passes } = EncodingRepair.repairString(value);
+            if (passes > 0) {
+                target[key] = repaired;
+                fixes.push({ path, before: value, after: repaired, passes });
+            }
+        } else if (value && typeof value === 'object') {
+            EncodingRepair.repairValue(value, path, fixes);
+        }
+    }
+
+    /**
+     * Repara un conjunto de pedidos en el sitio
+     * @param {Array} data - Pedidos tal como vienen de my_data.json
+     * @returns {{ scanned, recordsFixed, fieldsFixed, records: Array<{ index, label, fields }> }}
+     */
+    static repairDataset(data = []) {
+        const records = [];
+        (data || []).forEach((record, index) => {
+            const fields = EncodingRepair.repairValue(record);
+            if (fields.length === 0) return;
+            records.push({
+                index,
+                label: `${record.nombre_comprador || 'Desconocido'} · ${record.fecha_hora_entrada || 'sin fecha'}`,
+                fields
+            });
+        });
+
+        return {
+            scanned: (data || []).length,
+            recordsFixed: records.length,
+            fieldsFixed: records.reduce((acc, r) => acc + r.fields.length, 0),
+            records
+        };
+    }
+}
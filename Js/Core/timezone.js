@@ -0,0 +1,246 @@
+/**
+ * Capa de fechas con zona horaria
+ * `fecha_hora_entrada` llega sin zona ("2026-01-09 16:37:06"): se interpreta en
+ * la zona de origen del backend y los días, horas y meses se calculan en la zona
+ * del negocio, con independencia de la zona del navegador.
+ * Las fechas de calendario se manejan como claves YYYY-MM-DD.
+ */
+
+import { CONFIG } from './config.js';
+
+const STORAGE_KEY = 'business_timezone';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const formatters = new Map();
+
+// Zona de origen por defecto si la configuración no la define
+const DEFAULT_TIME_ZONE = 'America/Havana';
+
+/**
+ * Zonas que se ofrecen en las preferencias
+ */
+export const TIME_ZONE_OPTIONS = [
+    { id: 'America/Havana', label: 'Cuba (La Habana)' },
+    { id: 'America/New_York', label: 'EE. UU. Este (Miami, Nueva York)' },
+    { id: 'America/Chicago', label: 'EE. UU. Centro' },
+    { id: 'America/Los_Angeles', label: 'EE. UU. Pacífico' },
+    { id: 'Europe/Madrid', label: 'España (Madrid)' },
+    { id: 'UTC', label: 'UTC' }
+];
+
+function pad(n, length = 2) {
+    return String(n).padStart(length, '0');
+}
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            weekday: 'short'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * Indica si una zona IANA es válida en este navegador ('local' = zona del navegador)
+ */
+export function isValidTimeZone(timeZone) {
+    if (timeZone === 'local') return true;
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Zona en la que el backend escribe `fecha_hora_entrada`
+ */
+export function getSourceTimeZone() {
+    const zone = CONFIG.TIMEZONE?.SOURCE;
+    return isValidTimeZone(zone) ? zone : DEFAULT_TIME_ZONE;
+}
+
+/**
+ * Zona del negocio: la guardada en preferencias o la de la configuración
+ */
+export function getBusinessTimeZone() {
+    let stored = null;
+    try {
+        stored = localStorage.getItem(STORAGE_KEY);
+    } catch (e) {
+        // Sin localStorage (ej: scripts fuera del navegador)
+    }
+    if (isValidTimeZone(stored)) return stored;
+    const zone = CONFIG.TIMEZONE?.BUSINESS;
+    return isValidTimeZone(zone) ? zone : getSourceTimeZone();
+}
+
+export function setBusinessTimeZone(timeZone) {
+    if (!isValidTimeZone(timeZone)) throw new Error(`Zona horaria no válida: ${timeZone}`);
+    localStorage.setItem(STORAGE_KEY, timeZone);
+}
+
+/**
+ * Componentes de calendario de un instante en una zona
+ * @returns {{ year, month, day, hour, minute, second, weekday }} month 1-12, weekday 0 = domingo
+ */
+export function getZonedParts(date, timeZone = getBusinessTimeZone()) {
+    const d = date instanceof Date ? date : new Date(date);
+    if (timeZone === 'local') {
+        return {
+            year: d.getFullYear(),
+            month: d.getMonth() + 1,
+            day: d.getDate(),
+            hour: d.getHours(),
+            minute: d.getMinutes(),
+            second: d.getSeconds(),
+            weekday: d.getDay()
+        };
+    }
+
+    const parts = {};
+    getFormatter(timeZone).formatToParts(d).forEach(({ type, value }) => { parts[type] = value; });
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour) % 24,
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: WEEKDAY_INDEX[parts.weekday]
+    };
+}
+
+/**
+ * Diferencia (ms) entre la hora de pared de una zona y UTC en un instante
+ */
+function getOffset(time, timeZone) {
+    const p = getZonedParts(new Date(time), timeZone);
+    const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return wall - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Instante que corresponde a una hora de pared en una zona.
+ * Los componentes se normalizan como en Date.UTC (día 0, mes 13...).
+ * - Hora repetida al atrasar el reloj: se usa la primera.
+ * - Hora inexistente al adelantarlo: se desplaza hacia delante (00:30 -> 01:30).
+ */
+export function zonedTimeToDate({ year, month = 1, day = 1, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone = getBusinessTimeZone()) {
+    if (timeZone === 'local') return new Date(year, month - 1, day, hour, minute, second, millisecond);
+
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+    const before = getOffset(wall - DAY_MS, timeZone);
+    const after = getOffset(wall + DAY_MS, timeZone);
+    const candidates = [...new Set([before, after])]
+        .map(offset => wall - offset)
+        .filter(time => getOffset(time, timeZone) === wall - time);
+
+    return new Date(candidates.length > 0 ? Math.min(...candidates) : wall - before);
+}
+
+/**
+ * Interpreta una fecha. Los textos sin zona ("2026-01-09 16:37:06") se leen en `timeZone`;
+ * los que traen "Z" o desplazamiento (+05:00) se respetan.
+ * @returns {Date} Fecha inválida si no se puede interpretar
+ */
+export function parseDateTime(value, timeZone = getSourceTimeZone()) {
+    if (value instanceof Date) return new Date(value.getTime());
+    if (typeof value === 'number') return new Date(value);
+    if (value === null || value === undefined) return new Date(NaN);
+
+    const text = String(value).trim();
+    const match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/);
+    if (!match) return new Date(text);
+
+    const [, year, month, day, hour = 0, minute = 0, second = 0, fraction = '0'] = match;
+    return zonedTimeToDate({
+        year: Number(year),
+        month: Number(month),
+        day: Number(day),
+        hour: Number(hour),
+        minute: Number(minute),
+        second: Number(second),
+        millisecond: Number(fraction.padEnd(3, '0'))
+    }, timeZone);
+}
+
+/**
+ * Clave YYYY-MM-DD a partir de año, mes (1-12) y día; normaliza desbordes (día 0, mes 13...)
+ */
+export function makeDateKey(year, month, day) {
+    const d = new Date(Date.UTC(year, month - 1, day));
+    return `${pad(d.getUTCFullYear(), 4)}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+}
+
+function parseDateKey(key) {
+    const [year, month, day] = String(key).split('-').map(n => parseInt(n, 10));
+    return { year, month, day };
+}
+
+/**
+ * Día de calendario (YYYY-MM-DD) de un instante en una zona
+ */
+export function toDateKey(date, timeZone = getBusinessTimeZone()) {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return makeDateKey(year, month, day);
+}
+
+export function addDaysToKey(key, days) {
+    const { year, month, day } = parseDateKey(key);
+    return makeDateKey(year, month, day + days);
+}
+
+/**
+ * Días de calendario entre dos claves (positivo si `toKey` es posterior)
+ */
+export function daysBetweenKeys(fromKey, toKey) {
+    const from = parseDateKey(fromKey);
+    const to = parseDateKey(toKey);
+    return Math.round((Date.UTC(to.year, to.month - 1, to.day) - Date.UTC(from.year, from.month - 1, from.day)) / DAY_MS);
+}
+
+/**
+ * Primer instante de un día en una zona (no siempre las 00:00: en Cuba el cambio de hora es a medianoche)
+ */
+export function startOfDay(key, timeZone = getBusinessTimeZone()) {
+    return zonedTimeToDate(parseDateKey(key), timeZone);
+}
+
+/**
+ * Último instante de un día en una zona (los días con cambio de hora duran 23 o 25 horas)
+ */
+export function endOfDay(key, timeZone = getBusinessTimeZone()) {
+    return new Date(startOfDay(addDaysToKey(key, 1), timeZone).getTime() - 1);
+}
+
+export function getTodayKey(timeZone = getBusinessTimeZone(), now = new Date()) {
+    return toDateKey(now, timeZone);
+}
+
+/**
+ * Desplaza un instante en años, meses o días de calendario conservando la hora de pared
+ */
+export function shiftZonedDate(date, { years = 0, months = 0, days = 0 } = {}, timeZone = getBusinessTimeZone()) {
+    const p = getZonedParts(date, timeZone);
+    return zonedTimeToDate({
+        year: p.year + years,
+        month: p.month + months,
+        day: p.day + days,
+        hour: p.hour,
+        minute: p.minute,
+        second: p.second,
+        millisecond: ((date.getTime() % 1000) + 1000) % 1000
+    }, timeZone);
+}
@@ -2,6 +2,8 @@
  * Utilidades generales para el Dashboard
  */
 
+import { getBusinessTimeZone, makeDateKey, toDateKey, startOfDay, endOfDay } from './timezone.js';
+
 // Función para obtener el símbolo de moneda
 export function getCurrencySymbol() {
     return '$';
@@ -21,6 +23,18 @@ export function getMonthIndex(monthName) {
     return months.indexOf(monthName);
 }
 
+// Obtener el nombre del día de la semana (0 = Domingo, como Date.getDay)
+export function getWeekdayName(dayIndex) {
+    const days = ['Domingo', 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado'];
+    return days[dayIndex];
+}
+
+// Etiqueta de un año fiscal: "2026" si coincide con el natural, "2025/26" si no
+export function getFiscalYearLabel(startYear, startMonth = 0) {
+    if (!startMonth) return String(startYear);
+    return `${startYear}/${String(startYear + 1).slice(-2)}`;
+}
+
 // Formatear números a moneda
 export function formatCurrency(value) {
     return `${getCurrencySymbol()} ${parseFloat(value).toLocaleString('es-ES', {
@@ -34,40 +48,38 @@ export function formatNumber(value) {
     return parseInt(value || 0).toLocaleString('es-ES');
 }
 
-// Formatear fecha
+// Formatear fecha (en la zona horaria del negocio salvo que se indique otra)
 export function formatDate(date, options = {}) {
     if (!date) return '';
     const d = (date instanceof Date) ? date : new Date(date);
     if (isNaN(d.getTime())) return '';
+    const timeZone = getBusinessTimeZone();
     const defaultOptions = {
         day: '2-digit',
         month: '2-digit',
         year: 'numeric',
         hour: '2-digit',
         minute: '2-digit',
-        second: '2-digit'
+        second: '2-digit',
+        ...(timeZone !== 'local' && { timeZone })
     };
     return d.toLocaleString('es-ES', { ...defaultOptions, ...options });
 }
 
-// Validar rango de fechas
+// Validar rango de fechas (días completos en la zona horaria del negocio)
 export function isDateInRange(date, startDate, endDate) {
     const itemDate = new Date(date);
     
-    // Normalizar a medianoche en zona horaria local para comparación correcta
-    const itemDateOnly = new Date(itemDate.getFullYear(), itemDate.getMonth(), itemDate.getDate());
-    
     if (startDate) {
         let compareStart;
         if (typeof startDate === 'string') {
             // Si es string en formato YYYY-MM-DD (de input HTML type=date)
             const [year, month, day] = startDate.split('-').map(Number);
-            compareStart = new Date(year, month - 1, day, 0, 0, 0, 0);
+            compareStart = startOfDay(makeDateKey(year, month, day));
         } else {
-            compareStart = new Date(startDate);
-            compareStart = new Date(compareStart.getFullYear(), compareStart.getMonth(), compareStart.getDate());
+            compareStart = startOfDay(toDateKey(new Date(startDate)));
         }
-        if (itemDateOnly < compareStart) return false;
+        if (itemDate < compareStart) return false;
     }
     
     if (endDate) {
@@ -75,17 +87,57 @@ export function isDateInRange(date, startDate, endDate) {
         if (typeof endDate === 'string') {
             // Si es string en formato YYYY-MM-DD (de input HTML type=date)
             const [year, month, day] = endDate.split('-').map(Number);
-            compareEnd = new Date(year, month - 1, day, 23, 59, 59, 999);
+            compareEnd = endOfDay(makeDateKey(year, month, day));
         } else {
-            compareEnd = new Date(endDate);
-            compareEnd = new Date(compareEnd.getFullYear(), compareEnd.getMonth(), compareEnd.getDate(), 23, 59, 59, 999);
+            compareEnd = endOfDay(toDateKey(new Date(endDate)));
         }
-        if (itemDateOnly > compareEnd) return false;
+        if (itemDate > compareEnd) return false;
     }
     
     return true;
 }
 
+// Escapar texto para insertarlo en HTML (contenido o atributos entre comillas dobles)
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Teléfono en formato internacional para WhatsApp (+código de país según el país del pedido)
+export function normalizeWhatsAppPhone(phone, country = null) {
+    if (phone === null || phone === undefined) return null;
+
+    const raw = String(phone).trim();
+    if (!raw) return null;
+
+    const cleaned = raw.replace(/[^\d+]/g, '');
+    if (!cleaned) return null;
+
+    if (cleaned.startsWith('+')) {
+        return cleaned;
+    }
+
+    if (cleaned.startsWith('00')) {
+        return `+${cleaned.slice(2)}`;
+    }
+
+    const normalizedCountry = String(country || '').trim().toUpperCase();
+    if (['US', 'USA', 'UNITED STATES', 'UNITEDSTATES'].includes(normalizedCountry)) {
+        return `+1${cleaned.replace(/^1/, '')}`;
+    }
+    if (['PR', 'PUERTO RICO'].includes(normalizedCountry)) {
+        return `+1${cleaned.replace(/^1/, '')}`;
+    }
+    if (['CU', 'CUBA'].includes(normalizedCountry)) {
+        return `+53${cleaned}`;
+    }
+
+    return `+${cleaned}`;
+}
+
 // Calcular porcentaje de cambio
 export function calculatePercentageChange(current, previous) {
     if (previous === 0) return 0;
@@ -137,6 +189,13 @@ export async function downloadFile(dataUrl, filename) {
     link.click();
 }
 
+// Descargar un Blob generado en el navegador (CSV, XLSX...)
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    downloadFile(url, filename);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 // Copiar al portapapeles
 export async function copyToClipboard(text) {
     try {
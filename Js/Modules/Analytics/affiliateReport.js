@@ -0,0 +1,172 @@
+/**
+ * Rendimiento de afiliados y comisiones
+ * Agrupa los pedidos por `afiliado` (pedidos, ingresos, clientes nuevos y
+ * recurrentes, conversión). La comisión de cada afiliado es una regla de pago
+ * de PayoutRulesEngine (porcentaje fijo o por tramos de ventas) y se liquida y
+ * se cierra en Finanzas como la de cualquier otro beneficiario.
+ */
+
+import { PayoutRulesEngine } from '../Finanzas/payoutRules.js';
+
+// Comisiones guardadas antes de que fueran reglas de pago (se migran una vez)
+const LEGACY_COMMISSIONS_STORAGE_KEY = 'affiliate_commissions';
+
+// Valores de `afiliado` que significan venta directa
+const NO_AFFILIATE = new Set(['', 'ninguno', 'sin afiliado', 'none', 'null', 'undefined']);
+
+/**
+ * Indica si un valor de afiliado corresponde a un afiliado real
+ */
+export function isAffiliate(name) {
+    return !NO_AFFILIATE.has(String(name ?? '').trim().toLowerCase());
+}
+
+export class AffiliateAnalyzer {
+    /**
+     * @param {PayoutRulesEngine} payoutEngine - Reglas de pago donde viven las comisiones
+     */
+    constructor(payoutEngine = new PayoutRulesEngine()) {
+        this.payoutEngine = payoutEngine;
+        this.migrateLegacyCommissions();
+    }
+
+    /**
+     * Interpreta la comisión escrita por el usuario:
+     * - "7.5" -> 7,5% fijo
+     * - "0:5; 500:7; 1000:10" -> tramos (ventas del periodo desde : porcentaje)
+     * @returns {{ type: 'percent', value } | { type: 'tiers', tiers: Array<{ from, rate }> } | null}
+     */
+    static parseCommission(text) {
+        const value = String(text ?? '').trim().replace(/%/g, '');
+        if (!value) return null;
+
+        if (!value.includes(':')) {
+            const rate = parseFloat(value.replace(',', '.'));
+            if (isNaN(rate) || rate < 0 || rate > 100) throw new Error(`Porcentaje no válido: ${text}`);
+            return { type: 'percent', value: rate };
+        }
+        return { type: 'tiers', tiers: PayoutRulesEngine.parseTiers(value) };
+    }
+
+    /**
+     * Texto editable de la comisión de una regla (inverso de parseCommission)
+     */
+    static formatCommission(rule) {
+        if (!rule) return '';
+        if (rule.type === 'tiers') return PayoutRulesEngine.formatTiers(rule.tiers);
+        return String(rule.value);
+    }
+
+    /**
+     * Regla de pago con la comisión de un afiliado (null = sin comisión)
+     */
+    getCommission(affiliate) {
+        return this.payoutEngine.getAffiliateRule(affiliate);
+    }
+
+    /**
+     * Crea, actualiza o elimina (texto vacío) la regla de comisión de un afiliado.
+     * Una regla existente conserva su nombre y su ventana de liquidación.
+     */
+    setCommission(affiliate, text) {
+        const key = String(affiliate ?? '').trim();
+        const commission = AffiliateAnalyzer.parseCommission(text);
+        const existing = this.getCommission(key);
+        if (!commission) {
+            if (existing) this.payoutEngine.removeRule(existing.id);
+            return null;
+        }
+        return this.payoutEngine.saveRule({
+            id: existing?.id,
+            name: existing?.name || `Afiliado ${key}`,
+            window: existing?.window || { preset: 'shifted' },
+            ...commission,
+            affiliate: key
+        });
+    }
+
+    /**
+     * Convierte las comisiones del antiguo almacén propio en reglas de pago
+     */
+    migrateLegacyCommissions() {
+        let legacy;
+        try {
+            legacy = JSON.parse(localStorage.getItem(LEGACY_COMMISSIONS_STORAGE_KEY) || 'null');
+        } catch (e) {
+            legacy = null;
+        }
+        if (!legacy || typeof legacy !== 'object') return;
+
+        Object.entries(legacy).forEach(([affiliate, config]) => {
+            if (!config || this.getCommission(affiliate)) return;
+            try {
+                this.setCommission(affiliate, config.type === 'tiers'
+                    ? PayoutRulesEngine.formatTiers(config.tiers)
+                    : String(config.rate));
+            } catch (e) {
+                console.warn(`Comisión de ${affiliate} no migrada:`, e);
+            }
+        });
+        localStorage.removeItem(LEGACY_COMMISSIONS_STORAGE_KEY);
+    }
+
+    /**
+     * Informe por afiliado
+     * @param {Array} data - Pedidos normalizados por DataManager
+     * @param {Map} firstOrderDates - customerId -> fecha del primer pedido (sobre todos los datos)
+     * @param {Array|null} visits - Visitas de /obtener-estadisticas ya filtradas; sin ellas no hay visitas ni conversión
+     * @returns {Array<{ affiliate, isDirect, config, sessions, orders, revenue, avgTicket, customers, newCustomers, returningCustomers, conversion, share }>}
+     *   Ordenado por ingresos; las ventas directas se agrupan en una sola fila. sessions y conversion son null sin visitas;
+     *   config es la regla de pago con la comisión del afiliado (null si no tiene).
+     */
+    buildReport(data = [], firstOrderDates = new Map(), visits = null) {
+        const groups = new Map();
+        const hasVisits = Array.isArray(visits);
+        let totalRevenue = 0;
+        const getGroup = (afiliado) => {
+            const isDirect = !isAffiliate(afiliado);
+            const key = isDirect ? null : String(afiliado).trim();
+            if (!groups.has(key)) {
+                groups.set(key, { affiliate: key, isDirect, sessions: 0, orders: 0, webOrders: 0, revenue: 0, newIds: new Set(), returningIds: new Set() });
+            }
+            return groups.get(key);
+        };
+
+        if (hasVisits) visits.forEach(visit => { getGroup(visit.afiliado).sessions++; });
+
+        (data || []).forEach(order => {
+            const hasPurchase = Array.isArray(order.compras) && order.compras.length > 0;
+            if (!hasPurchase) return;
+            const group = getGroup(order.afiliado);
+            group.orders++;
+            // Los pedidos externos (manuales o importados) no pasan por una visita de la web
+            if (order.isFromBuquenqe !== false) group.webOrders++;
+            group.revenue += order.total || 0;
+            totalRevenue += order.total || 0;
+
+            if (!order.customerId) return;
+            const first = firstOrderDates.get(order.customerId);
+            // Nuevo: el primer pedido del cliente es este (no uno anterior con o sin afiliado)
+            if (first && order.date instanceof Date && first.getTime() === order.date.getTime()) group.newIds.add(order.customerId);
+            else group.returningIds.add(order.customerId);
+        });
+
+        return Array.from(groups.values())
+            .map(({ newIds, returningIds, webOrders, ...group }) => {
+                // Un cliente nuevo que vuelve dentro del periodo cuenta solo como nuevo
+                returningIds.forEach(id => { if (newIds.has(id)) returningIds.delete(id); });
+                return {
+                    ...group,
+                    sessions: hasVisits ? group.sessions : null,
+                    config: group.isDirect ? null : this.getCommission(group.affiliate),
+                    avgTicket: group.orders > 0 ? group.revenue / group.orders : 0,
+                    customers: newIds.size + returningIds.size,
+                    newCustomers: newIds.size,
+                    returningCustomers: returningIds.size,
+                    conversion: hasVisits && group.sessions > 0 ? (webOrders / group.sessions) * 100 : null,
+                    share: totalRevenue > 0 ? (group.revenue / totalRevenue) * 100 : 0
+                };
+            })
+            .sort((a, b) => (a.isDirect - b.isDirect) || b.revenue - a.revenue);
+    }
+}
@@ -0,0 +1,73 @@
+/**
+ * Detección de anomalías en ventas diarias
+ * Compara cada día con la mediana de los días anteriores usando la
+ * desviación absoluta mediana (MAD), robusta frente a los propios picos.
+ */
+
+import { SalesForecaster } from './salesForecast.js';
+
+// Escala la MAD para que sea comparable a una desviación típica en datos normales
+const MAD_SCALE = 1.4826;
+
+export const ANOMALY_TYPES = {
+    spike: { label: 'Pico inusual', icon: '🚀', color: '#16A34A' },
+    drop: { label: 'Caída brusca', icon: '📉', color: '#F59E0B' },
+    zero: { label: 'Día sin pedidos', icon: '⚠️', color: '#DC2626' }
+};
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+export class AnomalyDetector {
+    /**
+     * @param {Object} options
+     * @param {number} options.window - Días previos que forman la referencia
+     * @param {number} options.minHistory - Días mínimos de historia antes de evaluar
+     * @param {number} options.threshold - Puntuación robusta (en MAD) a partir de la cual se marca
+     * @param {number} options.minActiveShare - Fracción de días con pedidos para esperar pedidos hoy
+     */
+    constructor({ window = 14, minHistory = 7, threshold = 3.5, minActiveShare = 0.85 } = {}) {
+        this.window = window;
+        this.minHistory = minHistory;
+        this.threshold = threshold;
+        this.minActiveShare = minActiveShare;
+    }
+
+    /**
+     * Detecta días anómalos
+     * @param {Array} trend - Resultado de DataManager.getSalesTrend ({ date, total, orders })
+     * @returns {Array<{ date, total, orders, expected, expectedOrders, score, type }>}
+     */
+    detect(trend = []) {
+        const daily = SalesForecaster.densify(trend);
+        const anomalies = [];
+
+        for (let t = this.minHistory; t < daily.length; t++) {
+            const history = daily.slice(Math.max(0, t - this.window), t);
+            const totals = history.map(d => d.total);
+            const expected = median(totals);
+            const expectedOrders = median(history.map(d => d.orders));
+            const mad = median(totals.map(v => Math.abs(v - expected))) * MAD_SCALE;
+            // En series con muchos días vacíos la MAD se anula; la desviación media evita marcar cualquier venta como pico
+            const meanDeviation = totals.reduce((acc, v) => acc + Math.abs(v - expected), 0) / totals.length;
+            const scale = Math.max(mad, meanDeviation) || 1;
+            // Un día sin pedidos solo es anómalo si casi todos los días de referencia tuvieron pedidos
+            const activeShare = history.filter(d => d.orders > 0).length / history.length;
+
+            const { date, total, orders } = daily[t];
+            const score = (total - expected) / scale;
+
+            let type = null;
+            if (orders === 0 && activeShare >= this.minActiveShare) type = 'zero';
+            else if (score >= this.threshold) type = 'spike';
+            else if (score <= -this.threshold) type = 'drop';
+
+            if (type) anomalies.push({ date, total, orders, expected, expectedOrders, score, type });
+        }
+
+        return anomalies;
+    }
+}
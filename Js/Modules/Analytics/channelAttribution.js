@@ -0,0 +1,230 @@
+/**
+ * Atribución por canal de tráfico
+ * Clasifica cada visita en un canal (directo, búsqueda, redes sociales...)
+ * a partir de los parámetros UTM de `origen` o, si no los hay, del referente
+ * guardado en `fuente_trafico`, y cruza visitas con compras por canal.
+ */
+
+export const CHANNELS = {
+    direct: { label: 'Directo', color: '#64748B' },
+    'organic-search': { label: 'Búsqueda orgánica', color: '#2563EB' },
+    'paid-search': { label: 'Búsqueda de pago', color: '#7C3AED' },
+    social: { label: 'Redes sociales', color: '#0EA5E9' },
+    'paid-social': { label: 'Redes sociales de pago', color: '#DB2777' },
+    email: { label: 'Email', color: '#F59E0B' },
+    referral: { label: 'Referencia', color: '#16A34A' },
+    internal: { label: 'Navegación interna', color: '#94A3B8' },
+    campaign: { label: 'Otras campañas', color: '#EA580C' }
+};
+
+// Dominio propio: un referente interno no es un canal de adquisición
+const OWN_DOMAINS = ['buquenqe.com', 'buquenque.com'];
+
+const SEARCH_ENGINES = ['google', 'bing', 'yahoo', 'duckduckgo', 'yandex', 'ecosia', 'baidu', 'googlequicksearchbox'];
+const SOCIAL_NETWORKS = {
+    facebook: ['facebook.com', 'fb.com', 'fb.me'],
+    instagram: ['instagram.com'],
+    whatsapp: ['whatsapp.com', 'wa.me'],
+    twitter: ['twitter.com', 't.co', 'x.com'],
+    tiktok: ['tiktok.com'],
+    youtube: ['youtube.com', 'youtu.be'],
+    telegram: ['t.me', 'telegram.org'],
+    linkedin: ['linkedin.com', 'lnkd.in']
+};
+
+// Valores de utm_medium agrupados por canal
+const PAID_MEDIUMS = ['cpc', 'ppc', 'paid', 'paidsearch', 'cpm', 'cpv', 'display', 'banner', 'ads'];
+const SOCIAL_MEDIUMS = ['social', 'social-network', 'social-media', 'sm', 'social_media'];
+
+const DIRECT_VALUES = new Set(['', 'directo', 'direct', '(direct)', 'none', 'null', 'undefined']);
+
+function parseUrl(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+    try {
+        return new URL(text);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Host de un referente; los paquetes de Android se leen como dominio
+ * (android-app://com.facebook.katana -> "katana.facebook.com")
+ */
+function getReferrerHost(url) {
+    return url.protocol === 'android-app:' ? url.hostname.split('.').reverse().join('.') : url.hostname;
+}
+
+/**
+ * Nombre corto de un host (ej: "lm.facebook.com" -> "facebook")
+ */
+function getSourceName(host) {
+    const clean = host.replace(/^www\./, '').toLowerCase();
+    const social = Object.entries(SOCIAL_NETWORKS).find(([name, domains]) => clean === name || domains.some(d => clean === d || clean.endsWith(`.${d}`)));
+    if (social) return social[0];
+    const engine = SEARCH_ENGINES.find(name => clean.split('.').includes(name));
+    if (engine) return engine === 'googlequicksearchbox' ? 'google' : engine;
+    return clean;
+}
+
+/**
+ * Parámetros UTM de una URL (en la query o en el hash)
+ * @returns {{ source, medium, campaign, term, content, clickId }|null} null si no hay parámetros de campaña
+ */
+export function parseUtm(url) {
+    const parsed = parseUrl(url);
+    if (!parsed) return null;
+
+    const params = new URLSearchParams(parsed.search);
+    // Algunas landings llevan los parámetros en el hash (#?utm_source=... o #utm_source=...)
+    new URLSearchParams(parsed.hash.replace(/^#\??/, '')).forEach((value, key) => {
+        if (!params.has(key)) params.set(key, value);
+    });
+
+    const get = (key) => (params.get(key) || '').trim().toLowerCase() || null;
+    const clickId = ['gclid', 'fbclid', 'msclkid', 'ttclid'].find(key => params.has(key)) || null;
+    const utm = {
+        source: get('utm_source'),
+        medium: get('utm_medium'),
+        campaign: get('utm_campaign'),
+        term: get('utm_term'),
+        content: get('utm_content'),
+        clickId
+    };
+    if (!utm.source && !utm.medium && !utm.campaign && !clickId) return null;
+    return utm;
+}
+
+export class ChannelAttribution {
+    /**
+     * Canal de una visita o pedido
+     * @param {Object} record - Registro con `origen` (URL de entrada) y `fuente_trafico` (referente)
+     * @returns {{ channel, source, medium, campaign, utm: boolean }}
+     */
+    static classify(record = {}) {
+        const utm = parseUtm(record.origen);
+        if (utm && (utm.source || utm.medium || utm.campaign)) {
+            return { ...ChannelAttribution.classifyUtm(utm), utm: true };
+        }
+
+        const referrer = String(record.fuente_trafico ?? '').trim();
+        let result;
+        if (DIRECT_VALUES.has(referrer.toLowerCase())) {
+            result = { channel: 'direct', source: '(directo)', medium: '(none)', campaign: null };
+        } else {
+            const url = parseUrl(referrer);
+            const host = url ? getReferrerHost(url) : referrer;
+            const source = getSourceName(host);
+            const cleanHost = host.toLowerCase();
+            if (OWN_DOMAINS.some(d => cleanHost === d || cleanHost.endsWith(`.${d}`))) result = { channel: 'internal', source, medium: 'internal', campaign: null };
+            else if (SEARCH_ENGINES.includes(source)) result = { channel: 'organic-search', source, medium: 'organic', campaign: null };
+            else if (SOCIAL_NETWORKS[source]) result = { channel: 'social', source, medium: 'social', campaign: null };
+            else result = { channel: 'referral', source, medium: 'referral', campaign: null };
+        }
+
+        // Un identificador de clic sin UTM indica anuncio (gclid) o enlace compartido en redes (fbclid)
+        if (utm?.clickId === 'gclid' || utm?.clickId === 'msclkid') result = { ...result, channel: 'paid-search', medium: 'cpc' };
+        else if (utm?.clickId === 'fbclid' && result.channel !== 'social') result = { ...result, channel: 'social', source: 'facebook', medium: 'social' };
+        else if (utm?.clickId === 'ttclid' && result.channel !== 'social') result = { ...result, channel: 'social', source: 'tiktok', medium: 'social' };
+
+        return { ...result, utm: false };
+    }
+
+    /**
+     * Canal a partir de parámetros UTM
+     */
+    static classifyUtm({ source, medium, campaign }) {
+        const src = source || '(sin fuente)';
+        const med = medium || '(none)';
+        const isSocialSource = Boolean(SOCIAL_NETWORKS[getSourceName(src)]);
+        const isSearchSource = SEARCH_ENGINES.includes(getSourceName(src));
+
+        let channel = 'campaign';
+        if (med === 'email' || med === 'e-mail' || med === 'newsletter') channel = 'email';
+        else if (PAID_MEDIUMS.includes(med)) channel = isSocialSource ? 'paid-social' : (isSearchSource ? 'paid-search' : 'campaign');
+        else if (SOCIAL_MEDIUMS.includes(med) || (med === '(none)' && isSocialSource)) channel = 'social';
+        else if (med === 'organic') channel = 'organic-search';
+        else if (med === 'referral') channel = 'referral';
+
+        return { channel, source: src, medium: med, campaign: campaign || null };
+    }
+
+    /**
+     * Cruza visitas y compras por canal
+     * @param {Array} orders - Pedidos normalizados (con `attribution`, ver DataManager.normalizeData)
+     * @param {Array|null} visits - Visitas de /obtener-estadisticas; sin ellas no hay visitas ni conversión
+     * @param {Object} options
+     * @param {boolean} options.withVisits - false = sin visitas ni conversión (filtros que no se aplican a las visitas)
+     * @returns {{ channels: Array, campaigns: Array, totals, visitsSource: 'server' | 'orders' | 'none' }}
+     */
+    static analyze(orders = [], visits = null, { withVisits = true } = {}) {
+        const visitsSource = !withVisits ? 'none' : (Array.isArray(visits) ? 'server' : 'orders');
+        const channels = new Map();
+        const campaigns = new Map();
+        const ensure = (map, key, base) => {
+            if (!map.has(key)) map.set(key, { ...base, visits: 0, orders: 0, webOrders: 0, revenue: 0, sources: new Map() });
+            return map.get(key);
+        };
+
+        // Los pedidos no sustituyen a las visitas: sin servidor, visitas y conversión quedan en null
+        const hasVisits = visitsSource === 'server';
+        (hasVisits ? visits : []).forEach(record => {
+            const attribution = record.attribution || ChannelAttribution.classify(record);
+            ensure(channels, attribution.channel, { channel: attribution.channel }).visits++;
+            if (attribution.utm) {
+                const key = JSON.stringify([attribution.source, attribution.medium, attribution.campaign]);
+                ensure(campaigns, key, { source: attribution.source, medium: attribution.medium, campaign: attribution.campaign }).visits++;
+            }
+        });
+
+        orders.forEach(order => {
+            if (!Array.isArray(order.compras) || order.compras.length === 0) return;
+            const attribution = order.attribution || ChannelAttribution.classify(order);
+            // Con visitas del servidor, los pedidos externos (manuales o importados) no cuentan para la conversión
+            const fromWeb = visitsSource !== 'server' || order.isFromBuquenqe !== false;
+            const channel = ensure(channels, attribution.channel, { channel: attribution.channel });
+            channel.orders++;
+            if (fromWeb) channel.webOrders++;
+            channel.revenue += order.total || 0;
+            channel.sources.set(attribution.source, (channel.sources.get(attribution.source) || 0) + (order.total || 0));
+            if (attribution.utm) {
+                const key = JSON.stringify([attribution.source, attribution.medium, attribution.campaign]);
+                const campaign = ensure(campaigns, key, { source: attribution.source, medium: attribution.medium, campaign: attribution.campaign });
+                campaign.orders++;
+                if (fromWeb) campaign.webOrders++;
+                campaign.revenue += order.total || 0;
+            }
+        });
+
+        const totalRevenue = Array.from(channels.values()).reduce((acc, c) => acc + c.revenue, 0);
+        const finish = ({ sources, webOrders, ...row }) => ({
+            ...row,
+            visits: hasVisits ? row.visits : null,
+            label: row.channel ? CHANNELS[row.channel]?.label || row.channel : undefined,
+            color: row.channel ? CHANNELS[row.channel]?.color : undefined,
+            conversion: row.visits > 0 ? (webOrders / row.visits) * 100 : null,
+            avgOrderValue: row.orders > 0 ? row.revenue / row.orders : 0,
+            share: totalRevenue > 0 ? (row.revenue / totalRevenue) * 100 : 0,
+            topSources: Array.from(sources.entries()).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([source, revenue]) => ({ source, revenue }))
+        });
+
+        const channelRows = Array.from(channels.values()).map(finish).sort((a, b) => b.revenue - a.revenue || b.visits - a.visits);
+        const totalVisits = channelRows.reduce((acc, c) => acc + (c.visits || 0), 0);
+        const totalOrders = channelRows.reduce((acc, c) => acc + c.orders, 0);
+        const totalWebOrders = Array.from(channels.values()).reduce((acc, c) => acc + c.webOrders, 0);
+
+        return {
+            channels: channelRows,
+            campaigns: Array.from(campaigns.values()).map(finish).sort((a, b) => b.revenue - a.revenue || b.visits - a.visits),
+            totals: {
+                visits: hasVisits ? totalVisits : null,
+                orders: totalOrders,
+                revenue: totalRevenue,
+                conversion: totalVisits > 0 ? (totalWebOrders / totalVisits) * 100 : null,
+                avgOrderValue: totalOrders > 0 ? totalRevenue / totalOrders : 0
+            },
+            visitsSource
+        };
+    }
+}
@@ -0,0 +1,169 @@
+/**
+ * Análisis de cohortes de retención
+ * Agrupa compradores por el mes de su primera compra y calcula, mes a mes,
+ * cuántos vuelven a comprar (retención de clientes) y cuánto facturan
+ * (retención de ingresos) respecto al mes de adquisición.
+ */
+
+import { getMonthName } from '../../Core/utils.js';
+import { getZonedParts } from '../../Core/timezone.js';
+
+/**
+ * Clave de mes YYYY-MM (zona horaria del negocio) para una fecha
+ */
+function monthKey(date) {
+    const { year, month } = getZonedParts(date);
+    return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+/**
+ * Diferencia en meses entre dos claves YYYY-MM
+ */
+function monthDiff(fromKey, toKey) {
+    const [fy, fm] = fromKey.split('-').map(Number);
+    const [ty, tm] = toKey.split('-').map(Number);
+    return (ty - fy) * 12 + (tm - fm);
+}
+
+/**
+ * Etiqueta legible para una clave YYYY-MM (ej: "Enero 2026")
+ */
+export function formatCohortLabel(key) {
+    const [year, month] = key.split('-').map(Number);
+    return `${getMonthName(month - 1)} ${year}`;
+}
+
+export class CohortAnalyzer {
+    /**
+     * Obtiene la clave de cliente de un pedido normalizado: el customerId
+     * resuelto por DataManager o, si no existe, correo, teléfono o nombre.
+     */
+    static getCustomerKey(order) {
+        if (order.customerId) return order.customerId;
+        const email = String(order.correo_comprador || '').trim().toLowerCase();
+        if (email && email.includes('@')) return `email:${email}`;
+        if (order.buyerPhoneNormalized) return `phone:${order.buyerPhoneNormalized}`;
+        const name = String(order.nombre_comprador || '').trim().toLowerCase();
+        return name ? `name:${name}` : null;
+    }
+
+    /**
+     * Construye la matriz de cohortes
+     * @param {Array} data - Pedidos normalizados por DataManager
+     * @param {Object} options
+     * @param {Function} options.keyFn - Función que devuelve la clave de cliente de un pedido
+     * @returns {{ cohorts: Array, maxOffset: number, totalCustomers: number, repeatCustomers: number }}
+     */
+    static build(data = [], { keyFn = CohortAnalyzer.getCustomerKey } = {}) {
+        const orders = (data || [])
+            .filter(order => order.date instanceof Date && !isNaN(order.date.getTime()))
+            .sort((a, b) => a.date - b.date);
+
+        // Primera compra y meses activos por cliente
+        const customers = new Map();
+        orders.forEach(order => {
+            const key = keyFn(order);
+            if (!key) return;
+            const month = monthKey(order.date);
+            if (!customers.has(key)) {
+                customers.set(key, { cohort: month, orders: 0, months: new Map() });
+            }
+            const customer = customers.get(key);
+            customer.orders++;
+            customer.months.set(month, (customer.months.get(month) || 0) + (order.total || 0));
+        });
+
+        // Agregar por cohorte y desplazamiento (meses desde la primera compra)
+        const cohortMap = new Map();
+        customers.forEach(customer => {
+            if (!cohortMap.has(customer.cohort)) {
+                cohortMap.set(customer.cohort, { key: customer.cohort, size: 0, offsets: new Map() });
+            }
+            const cohort = cohortMap.get(customer.cohort);
+            cohort.size++;
+            customer.months.forEach((revenue, month) => {
+                const offset = monthDiff(customer.cohort, month);
+                if (!cohort.offsets.has(offset)) cohort.offsets.set(offset, { customers: 0, revenue: 0 });
+                const cell = cohort.offsets.get(offset);
+                cell.customers++;
+                cell.revenue += revenue;
+            });
+        });
+
+        const lastMonth = orders.length > 0 ? monthKey(orders[orders.length - 1].date) : null;
+        let maxOffset = 0;
+
+        const cohorts = Array.from(cohortMap.values())
+            .sort((a, b) => a.key.localeCompare(b.key))
+            .map(cohort => {
+                const span = lastMonth ? monthDiff(cohort.key, lastMonth) : 0;
+                maxOffset = Math.max(maxOffset, span);
+                const baseRevenue = cohort.offsets.get(0)?.revenue || 0;
+                const cells = [];
+                for (let offset = 0; offset <= span; offset++) {
+                    const cell = cohort.offsets.get(offset) || { customers: 0, revenue: 0 };
+                    cells.push({
+                        offset,
+                        customers: cell.customers,
+                        revenue: cell.revenue,
+                        customerRate: cohort.size > 0 ? cell.customers / cohort.size * 100 : 0,
+                        revenueRate: baseRevenue > 0 ? cell.revenue / baseRevenue * 100 : 0
+                    });
+                }
+                return {
+                    key: cohort.key,
+                    label: formatCohortLabel(cohort.key),
+                    size: cohort.size,
+                    revenue: cells.reduce((sum, c) => sum + c.revenue, 0),
+                    cells
+                };
+            });
+
+        const repeatCustomers = Array.from(customers.values()).filter(c => c.orders > 1).length;
+
+        return {
+            cohorts,
+            maxOffset,
+            totalCustomers: customers.size,
+            repeatCustomers
+        };
+    }
+
+    /**
+     * Contrasta la etiqueta "Recurrente" de tipo_usuario con el historial real:
+     * un pedido es realmente recurrente si el cliente ya había comprado antes.
+     */
+    static auditUserTypeLabel(data = [], { keyFn = CohortAnalyzer.getCustomerKey } = {}) {
+        const seen = new Set();
+        const result = {
+            labeledRecurring: 0,
+            labeledRecurringConfirmed: 0,
+            labeledUnique: 0,
+            labeledUniqueButRepeat: 0
+        };
+
+        [...(data || [])]
+            .filter(order => order.date instanceof Date && !isNaN(order.date.getTime()))
+            .sort((a, b) => a.date - b.date)
+            .forEach(order => {
+                const key = keyFn(order);
+                if (!key) return;
+                const isRepeat = seen.has(key);
+                seen.add(key);
+
+                if (order.tipo_usuario === 'Recurrente') {
+                    result.labeledRecurring++;
+                    if (isRepeat) result.labeledRecurringConfirmed++;
+                } else if (order.tipo_usuario === 'Único') {
+                    result.labeledUnique++;
+                    if (isRepeat) result.labeledUniqueButRepeat++;
+                }
+            });
+
+        result.recurringPrecision = result.labeledRecurring > 0
+            ? result.labeledRecurringConfirmed / result.labeledRecurring * 100
+            : 0;
+
+        return result;
+    }
+}
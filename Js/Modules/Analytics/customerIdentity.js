@@ -0,0 +1,247 @@
+/**
+ * Resolución de identidad de clientes
+ * Une en un mismo cliente los pedidos que comparten teléfono normalizado,
+ * correo o un nombre suficientemente parecido, y asigna un ID estable.
+ */
+
+// Nombres que no identifican a nadie y nunca deben fusionarse por nombre
+const PLACEHOLDER_NAMES = new Set(['desconocido', 'no especificado', 'n/a', 'na', 'cliente', 'sin nombre']);
+
+/**
+ * Estructura union-find con compresión de caminos.
+ * Cada raíz guarda los teléfonos y correos de su grupo, que se combinan al unir.
+ */
+class DisjointSet {
+    constructor(keys) {
+        this.parent = keys.map((_, i) => i);
+        this.phones = keys.map(k => new Set(k.phone ? [k.phone] : []));
+        this.emails = keys.map(k => new Set(k.email ? [k.email] : []));
+    }
+
+    find(i) {
+        while (this.parent[i] !== i) {
+            this.parent[i] = this.parent[this.parent[i]];
+            i = this.parent[i];
+        }
+        return i;
+    }
+
+    union(a, b) {
+        const ra = this.find(a);
+        const rb = this.find(b);
+        if (ra === rb) return ra;
+        // La raíz menor se conserva para que el resultado no dependa del orden de uniones
+        const [root, child] = ra < rb ? [ra, rb] : [rb, ra];
+        this.parent[child] = root;
+        this.phones[child].forEach(phone => this.phones[root].add(phone));
+        this.emails[child].forEach(email => this.emails[root].add(email));
+        this.phones[child] = this.emails[child] = null;
+        return root;
+    }
+}
+
+// Ambos conjuntos tienen valores y no comparten ninguno
+function disjoint(a, b) {
+    if (a.size === 0 || b.size === 0) return false;
+    for (const value of a) if (b.has(value)) return false;
+    return true;
+}
+
+/**
+ * Hash corto y determinista (djb2) en base 36
+ */
+function shortHash(value) {
+    let h = 5381;
+    for (let i = 0; i < value.length; i++) {
+        h = ((h << 5) + h + value.charCodeAt(i)) | 0;
+    }
+    return (h >>> 0).toString(36);
+}
+
+export class CustomerIdentityResolver {
+    /**
+     * @param {Object} options
+     * @param {number} options.nameSimilarity - Similitud mínima (0-1) para fusionar por nombre
+     */
+    constructor({ nameSimilarity = 0.88 } = {}) {
+        this.nameSimilarity = nameSimilarity;
+    }
+
+    /**
+     * Normaliza un correo; devuelve null si no parece un correo real
+     */
+    static normalizeEmail(value) {
+        const email = String(value || '').trim().toLowerCase();
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : null;
+    }
+
+    /**
+     * Normaliza un teléfono ya en formato internacional; descarta números demasiado cortos
+     */
+    static normalizePhone(value) {
+        const digits = String(value || '').replace(/\D/g, '');
+        return digits.length >= 7 ? `+${digits}` : null;
+    }
+
+    /**
+     * Normaliza un nombre de persona: sin tildes, minúsculas, tokens ordenados.
+     * Los nombres con dígitos (ej: "Pedido 2 de febrero") son etiquetas, no personas.
+     */
+    static normalizePersonName(value) {
+        if (/\d/.test(String(value || ''))) return null;
+        const tokens = String(value || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z\s]/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean);
+        const name = tokens.join(' ');
+        if (!name || PLACEHOLDER_NAMES.has(name)) return null;
+        return tokens.sort().join(' ');
+    }
+
+    /**
+     * Similitud basada en distancia de Levenshtein (1 = idénticos)
+     */
+    static similarity(a, b) {
+        if (a === b) return 1;
+        if (!a || !b) return 0;
+        const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            let diag = prev[0];
+            prev[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const tmp = prev[j];
+                prev[j] = Math.min(
+                    prev[j] + 1,
+                    prev[j - 1] + 1,
+                    diag + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                diag = tmp;
+            }
+        }
+        return 1 - prev[b.length] / Math.max(a.length, b.length);
+    }
+
+    /**
+     * Resuelve identidades sobre una lista de pedidos
+     * @param {Array} records - Pedidos (crudos o normalizados)
+     * @param {Object} accessors - Funciones para leer teléfono, correo y nombre de cada pedido
+     * @returns {{ ids: Array<string|null>, customers: Map<string, Object> }}
+     */
+    resolve(records = [], {
+        getPhone = r => r.buyerPhoneNormalized,
+        getEmail = r => r.correo_comprador,
+        getName = r => r.nombre_comprador
+    } = {}) {
+        const list = Array.isArray(records) ? records : [];
+        const keys = list.map(r => ({
+            phone: CustomerIdentityResolver.normalizePhone(getPhone(r)),
+            email: CustomerIdentityResolver.normalizeEmail(getEmail(r)),
+            name: CustomerIdentityResolver.normalizePersonName(getName(r))
+        }));
+
+        const sets = new DisjointSet(keys);
+
+        // 1. Identificadores fuertes: teléfono y correo exactos
+        const byPhone = new Map();
+        const byEmail = new Map();
+        keys.forEach((k, i) => {
+            if (k.phone) {
+                if (byPhone.has(k.phone)) sets.union(byPhone.get(k.phone), i);
+                else byPhone.set(k.phone, i);
+            }
+            if (k.email) {
+                if (byEmail.has(k.email)) sets.union(byEmail.get(k.email), i);
+                else byEmail.set(k.email, i);
+            }
+        });
+
+        // 2. Nombre: exacto (tokens ordenados) y aproximado entre nombres distintos
+        const byName = new Map();
+        keys.forEach((k, i) => {
+            if (!k.name) return;
+            if (!byName.has(k.name)) byName.set(k.name, []);
+            byName.get(k.name).push(i);
+        });
+
+        // Con teléfonos distintos o correos distintos son personas distintas aunque se llamen igual
+        const conflicts = (ra, rb) =>
+            disjoint(sets.phones[ra], sets.phones[rb]) || disjoint(sets.emails[ra], sets.emails[rb]);
+        const mergeByName = (i, j) => {
+            const ri = sets.find(i);
+            const rj = sets.find(j);
+            if (ri === rj) return true;
+            if (conflicts(ri, rj)) return false;
+            sets.union(ri, rj);
+            return true;
+        };
+
+        // Cada pedido se une al primer grupo del mismo nombre con el que no tenga conflicto
+        const nameRoots = new Map();
+        byName.forEach((indices, name) => {
+            const roots = [];
+            indices.forEach(i => {
+                if (!roots.some(r => mergeByName(r, i))) roots.push(i);
+            });
+            nameRoots.set(name, roots);
+        });
+
+        // Ordenados por longitud para cortar en cuanto la diferencia supera 4 caracteres
+        const names = Array.from(byName.keys())
+            .filter(name => name.split(' ').length >= 2 && name.length >= 6)
+            .sort((a, b) => a.length - b.length || (a < b ? -1 : 1));
+        for (let a = 0; a < names.length; a++) {
+            for (let b = a + 1; b < names.length; b++) {
+                if (names[b].length - names[a].length > 4) break;
+                if (CustomerIdentityResolver.similarity(names[a], names[b]) >= this.nameSimilarity) {
+                    const rootsB = nameRoots.get(names[b]);
+                    nameRoots.get(names[a]).forEach(ra => rootsB.some(rb => mergeByName(ra, rb)));
+                }
+            }
+        }
+
+        // 3. Construir clientes con ID estable derivado de su identificador principal
+        const groups = new Map();
+        keys.forEach((k, i) => {
+            if (!k.phone && !k.email && !k.name) return;
+            const root = sets.find(i);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(i);
+        });
+
+        const ids = new Array(list.length).fill(null);
+        const customers = new Map();
+        groups.forEach(indices => {
+            const emails = new Set();
+            const phones = new Set();
+            const nameCounts = new Map();
+            indices.forEach(i => {
+                const k = keys[i];
+                if (k.email) emails.add(k.email);
+                if (k.phone) phones.add(k.phone);
+                const displayName = String(getName(list[i]) || '').trim();
+                if (displayName) nameCounts.set(displayName, (nameCounts.get(displayName) || 0) + 1);
+            });
+
+            const anchor = [...emails].sort()[0] || [...phones].sort()[0] || keys[indices[0]].name;
+            // Dos identificadores distintos con el mismo hash no deben pisarse en el Map
+            let id = `CUS-${shortHash(anchor)}`;
+            for (let n = 2; customers.has(id); n++) id = `CUS-${shortHash(anchor)}-${n}`;
+            const name = [...nameCounts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 'Desconocido';
+
+            indices.forEach(i => { ids[i] = id; });
+            customers.set(id, {
+                id,
+                name,
+                names: [...nameCounts.keys()],
+                emails: [...emails],
+                phones: [...phones],
+                recordIndices: indices
+            });
+        });
+
+        return { ids, customers };
+    }
+}
@@ -0,0 +1,235 @@
+/**
+ * Geografía de entregas
+ * Localiza `direccion_envio` en provincia y municipio de Cuba con el nomenclátor
+ * local (Json/cuba_municipios.json) y agrega pedidos, ingresos y densidad de
+ * entregas por zona para planificar rutas y detectar municipios sin servicio.
+ * Las direcciones sin zona reconocible (solo calle y número) pueden asignarse
+ * a una zona predeterminada, configurable en Preferencias.
+ */
+
+import { CONFIG } from '../../Core/config.js';
+
+export const UNRESOLVED_AREA = 'Sin identificar';
+
+const DEFAULT_AREA_STORAGE_KEY = 'delivery_default_area';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Textos que el backend guarda cuando falta la dirección
+const EMPTY_ADDRESSES = [' n a ', ' no especificada ', ' no especificado '];
+
+/**
+ * Texto comparable: sin acentos, en minúsculas y con espacios en los extremos
+ * para buscar nombres como palabras completas
+ */
+function normalize(text) {
+    const clean = String(text ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+    return clean ? ` ${clean} ` : '';
+}
+
+function contains(text, key) {
+    return Boolean(key) && text.includes(key);
+}
+
+/**
+ * Zona predeterminada para las direcciones sin zona: la guardada en preferencias o la de la configuración
+ * @returns {{ province: string, municipality: string|null }|null}
+ */
+export function getDefaultDeliveryArea() {
+    let stored = null;
+    try {
+        stored = localStorage.getItem(DEFAULT_AREA_STORAGE_KEY);
+    } catch (e) {
+        // Sin localStorage (ej: scripts fuera del navegador)
+    }
+    let area = CONFIG.DELIVERY?.DEFAULT_AREA || null;
+    if (stored !== null) {
+        try {
+            area = JSON.parse(stored);
+        } catch (e) {
+            // Valor corrupto: se usa el de la configuración
+        }
+    }
+    return area && area.province ? { province: area.province, municipality: area.municipality || null } : null;
+}
+
+/**
+ * Guarda la zona predeterminada (null = dejar las direcciones sin zona como "Sin identificar")
+ */
+export function setDefaultDeliveryArea(area) {
+    const value = area && area.province ? { province: area.province, municipality: area.municipality || null } : null;
+    localStorage.setItem(DEFAULT_AREA_STORAGE_KEY, JSON.stringify(value));
+}
+
+export class DeliveryGeography {
+    /**
+     * @param {Object} gazetteer - { excluir, extranjero: Array<string>, provincias: [{ nombre, alias, municipios: [{ nombre, alias, ambiguo, repartos, calles }] }] }
+     * @param {Object} options
+     * @param {Object|null} options.defaultArea - { province, municipality } para las direcciones sin zona
+     */
+    constructor(gazetteer = {}, { defaultArea = null } = {}) {
+        // Calles con nombre de lugar (ej: "Camilo Cienfuegos") que no indican la zona
+        this.exclusions = (gazetteer.excluir || []).map(normalize).filter(Boolean);
+        // Palabras de direcciones fuera de Cuba (ej: "street"): no reciben la zona predeterminada
+        this.foreignWords = (gazetteer.extranjero || []).map(normalize).filter(Boolean);
+        this.provinces = (gazetteer.provincias || []).map(p => ({
+            name: p.nombre,
+            keys: [p.nombre, ...(p.alias || [])].map(normalize).filter(Boolean),
+            municipalities: (p.municipios || []).map(m => ({
+                name: m.nombre,
+                province: p.nombre,
+                keys: [m.nombre, ...(m.alias || [])].map(normalize).filter(Boolean),
+                // Nombres que también son calles o personas: solo cuentan si se menciona su provincia
+                ambiguous: Boolean(m.ambiguo),
+                neighbourhoods: (m.repartos || []).map(normalize).filter(Boolean),
+                streets: (m.calles || []).map(normalize).filter(Boolean)
+            }))
+        }));
+        this.municipalities = this.provinces.flatMap(p => p.municipalities);
+        this.cache = new Map();
+        this.setDefaultArea(defaultArea);
+    }
+
+    /**
+     * Zona para las direcciones sin zona reconocible; se ignora si no está en el nomenclátor
+     * @param {{ province: string, municipality: string|null }|null} area
+     */
+    setDefaultArea(area) {
+        const province = area ? this.provinces.find(p => p.name === area.province) : null;
+        const municipality = province && area.municipality ? province.municipalities.find(m => m.name === area.municipality) : null;
+        this.defaultArea = province && (municipality || !area.municipality)
+            ? { province: province.name, municipality: municipality ? municipality.name : null }
+            : null;
+        this.cache.clear();
+    }
+
+    /**
+     * Provincia y municipio de una dirección
+     * Orden de búsqueda: "municipio X" explícito, nombre de municipio, reparto o calle conocidos,
+     * provincia y, por último, la zona predeterminada (salvo direcciones vacías o del extranjero).
+     * @returns {{ province: string, municipality: string|null, matchedBy: 'municipio' | 'reparto' | 'calle' | 'provincia' | 'predeterminada' }|null}
+     */
+    locate(address) {
+        const text = normalize(address);
+        if (!text) return null;
+        if (this.cache.has(text)) return this.cache.get(text);
+
+        let result = this.match(text);
+        if (!result && this.defaultArea && !EMPTY_ADDRESSES.includes(text) && !this.foreignWords.some(word => contains(text, word))) {
+            result = { ...this.defaultArea, matchedBy: 'predeterminada' };
+        }
+        this.cache.set(text, result);
+        return result;
+    }
+
+    match(text) {
+        const found = (municipality, matchedBy) => ({ province: municipality.province, municipality: municipality.name, matchedBy });
+
+        const explicit = this.municipalities.find(m => m.keys.some(key => contains(text, ` municipio${key}`)));
+        if (explicit) return found(explicit, 'municipio');
+
+        const cleaned = this.exclusions.reduce((acc, phrase) => acc.split(phrase).join(' '), text);
+        const provinces = this.provinces.filter(p => p.keys.some(key => contains(cleaned, key))).map(p => p.name);
+        const provinceKeys = new Set(this.provinces.flatMap(p => p.keys));
+
+        const candidates = this.municipalities
+            .map(m => ({ municipality: m, key: m.keys.filter(key => contains(cleaned, key)).sort((a, b) => b.length - a.length)[0] }))
+            .filter(({ municipality, key }) => key && (!municipality.ambiguous || provinces.includes(municipality.province)));
+        if (candidates.length > 0) {
+            // Un municipio con nombre propio es más preciso que el que se llama como la provincia
+            candidates.sort((a, b) => (provinceKeys.has(a.key) - provinceKeys.has(b.key)) || b.key.length - a.key.length);
+            return found(candidates[0].municipality, 'municipio');
+        }
+
+        const neighbourhood = this.municipalities.find(m =>
+            (provinces.length === 0 || provinces.includes(m.province)) && m.neighbourhoods.some(key => contains(cleaned, key)));
+        if (neighbourhood) return found(neighbourhood, 'reparto');
+
+        const street = this.municipalities.find(m =>
+            (provinces.length === 0 || provinces.includes(m.province)) && m.streets.some(key => contains(cleaned, key)));
+        if (street) return found(street, 'calle');
+
+        if (provinces.length > 0) return { province: provinces[0], municipality: null, matchedBy: 'provincia' };
+        return null;
+    }
+
+    /**
+     * Pedidos, ingresos y densidad de entregas por provincia y municipio
+     * @param {Array} orders - Pedidos normalizados (con `deliveryArea`, ver DataManager.normalizeData)
+     * @returns {{ provinces: Array, unresolved: Object, totals: Object, weeks: number }}
+     *   totals.defaulted: entregas asignadas a la zona predeterminada
+     *   Cada provincia incluye sus municipios; los que no tienen pedidos aparecen con `unserved: true`
+     */
+    buildReport(orders = []) {
+        const deliveries = (orders || []).filter(o => Array.isArray(o.compras) && o.compras.length > 0);
+        const times = deliveries.map(o => o.date?.getTime()).filter(t => Number.isFinite(t));
+        // Densidad: entregas por semana dentro del periodo que cubren los pedidos
+        const weeks = times.length > 0 ? Math.max(1, (Math.max(...times) - Math.min(...times) + DAY_MS) / (7 * DAY_MS)) : 1;
+
+        const createArea = (name) => ({ name, orders: 0, revenue: 0, customers: new Set(), addresses: new Set() });
+        const addTo = (area, order) => {
+            area.orders++;
+            area.revenue += order.total || 0;
+            if (order.customerId) area.customers.add(order.customerId);
+            area.addresses.add(normalize(order.direccion_envio));
+        };
+
+        const byProvince = new Map();
+        const unresolved = { ...createArea(UNRESOLVED_AREA), samples: [] };
+        let defaulted = 0;
+        deliveries.forEach(order => {
+            const area = order.deliveryArea !== undefined ? order.deliveryArea : this.locate(order.direccion_envio);
+            if (!area) {
+                addTo(unresolved, order);
+                if (order.direccion_envio && unresolved.samples.length < 5 && !unresolved.samples.includes(order.direccion_envio)) {
+                    unresolved.samples.push(order.direccion_envio);
+                }
+                return;
+            }
+            if (area.matchedBy === 'predeterminada') defaulted++;
+            if (!byProvince.has(area.province)) byProvince.set(area.province, { ...createArea(area.province), municipalities: new Map() });
+            const province = byProvince.get(area.province);
+            const municipalityName = area.municipality || UNRESOLVED_AREA;
+            if (!province.municipalities.has(municipalityName)) province.municipalities.set(municipalityName, createArea(municipalityName));
+            addTo(province, order);
+            addTo(province.municipalities.get(municipalityName), order);
+        });
+
+        const totalOrders = deliveries.length;
+        const finish = ({ customers, addresses, ...area }) => ({
+            ...area,
+            customers: customers.size,
+            addresses: addresses.size,
+            perWeek: area.orders / weeks,
+            share: totalOrders > 0 ? (area.orders / totalOrders) * 100 : 0
+        });
+
+        const provinces = Array.from(byProvince.values())
+            .map(({ municipalities, ...province }) => {
+                const served = Array.from(municipalities.values()).map(finish).sort((a, b) => b.orders - a.orders);
+                const unserved = (this.provinces.find(p => p.name === province.name)?.municipalities || [])
+                    .filter(m => !municipalities.has(m.name))
+                    .map(m => ({ ...finish(createArea(m.name)), unserved: true }));
+                return { ...finish(province), municipalities: [...served, ...unserved] };
+            })
+            .sort((a, b) => b.orders - a.orders);
+
+        const located = provinces.reduce((acc, p) => acc + p.orders, 0);
+        return {
+            provinces,
+            unresolved: { ...finish(unresolved), samples: unresolved.samples },
+            totals: {
+                orders: totalOrders,
+                revenue: deliveries.reduce((acc, o) => acc + (o.total || 0), 0),
+                located,
+                defaulted,
+                coverage: totalOrders > 0 ? (located / totalOrders) * 100 : 0
+            },
+            weeks
+        };
+    }
+}
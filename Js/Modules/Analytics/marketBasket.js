@@ -0,0 +1,109 @@
+/**
+ * Análisis de cesta de la compra (productos que se compran juntos)
+ * Reglas de asociación entre pares de productos de un mismo pedido con
+ * soporte, confianza y lift.
+ */
+
+/**
+ * Normaliza un nombre de producto para compararlo (sin acentos, mayúsculas ni espacios extra)
+ */
+export function normalizeProductName(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+export class MarketBasketAnalyzer {
+    /**
+     * @param {Object} options
+     * @param {number} options.minCount - Pedidos mínimos en los que aparece el par
+     * @param {number} options.minSupport - Soporte mínimo del par (fracción de pedidos)
+     * @param {number} options.minConfidence - Confianza mínima de la regla A → B
+     */
+    constructor({ minCount = 2, minSupport = 0, minConfidence = 0.1 } = {}) {
+        this.minCount = minCount;
+        this.minSupport = minSupport;
+        this.minConfidence = minConfidence;
+    }
+
+    /**
+     * Convierte los pedidos en transacciones (productos distintos de cada pedido)
+     * @param {Array} data - Pedidos normalizados por DataManager
+     */
+    static toTransactions(data = []) {
+        return (data || [])
+            .map(order => Array.from(new Set((order.compras || []).map(p => p.name).filter(Boolean))))
+            .filter(items => items.length > 0);
+    }
+
+    /**
+     * Calcula pares frecuentes y reglas de asociación
+     * @param {Array} data - Pedidos normalizados por DataManager
+     * @returns {{ transactions, multiItemTransactions, pairs: Array, rules: Array }}
+     *   pairs: [{ a, b, count, support, lift, confidenceAB, confidenceBA }] ordenados por veces que se compran juntos
+     *   rules: [{ antecedent, consequent, count, support, confidence, lift }] ordenadas por lift
+     */
+    analyze(data = []) {
+        const transactions = MarketBasketAnalyzer.toTransactions(data);
+        const n = transactions.length;
+        const itemCounts = new Map();
+        const pairCounts = new Map();
+
+        transactions.forEach(items => {
+            items.forEach(item => itemCounts.set(item, (itemCounts.get(item) || 0) + 1));
+            const sorted = [...items].sort();
+            for (let i = 0; i < sorted.length; i++) {
+                for (let j = i + 1; j < sorted.length; j++) {
+                    const key = JSON.stringify([sorted[i], sorted[j]]);
+                    pairCounts.set(key, (pairCounts.get(key) || 0) + 1);
+                }
+            }
+        });
+
+        const pairs = [];
+        const rules = [];
+        pairCounts.forEach((count, key) => {
+            const support = count / n;
+            if (count < this.minCount || support < this.minSupport) return;
+            const [a, b] = JSON.parse(key);
+            const supportA = itemCounts.get(a) / n;
+            const supportB = itemCounts.get(b) / n;
+            const lift = support / (supportA * supportB);
+            pairs.push({ a, b, count, support, lift, confidenceAB: support / supportA, confidenceBA: support / supportB });
+
+            [[a, b, supportA], [b, a, supportB]].forEach(([antecedent, consequent, antecedentSupport]) => {
+                const confidence = support / antecedentSupport;
+                if (confidence < this.minConfidence) return;
+                rules.push({ antecedent, consequent, count, support, confidence, lift });
+            });
+        });
+
+        pairs.sort((x, y) => y.count - x.count || y.lift - x.lift);
+        rules.sort((x, y) => y.lift - x.lift || y.confidence - x.confidence || y.count - x.count);
+
+        return {
+            transactions: n,
+            multiItemTransactions: transactions.filter(items => items.length > 1).length,
+            pairs,
+            rules
+        };
+    }
+
+    /**
+     * Reglas cuyo antecedente es un producto concreto (comparación sin acentos ni mayúsculas)
+     * @param {Object} analysis - Resultado de analyze()
+     * @param {string} productName
+     * @param {number} limit
+     */
+    static getRulesFor(analysis, productName, limit = 5) {
+        const target = normalizeProductName(productName);
+        if (!analysis || !target) return [];
+        return analysis.rules
+            .filter(rule => normalizeProductName(rule.antecedent) === target)
+            .sort((x, y) => y.confidence - x.confidence || y.lift - x.lift)
+            .slice(0, limit);
+    }
+}
@@ -0,0 +1,68 @@
+/**
+ * Mapa de calor día de la semana × hora
+ * Cuenta pedidos e ingresos en una cuadrícula 7×24 en la zona horaria elegida
+ * (los compradores están en EE. UU. pero el negocio opera en Cuba).
+ */
+
+import { TIME_ZONE_OPTIONS, getBusinessTimeZone, getZonedParts, isValidTimeZone } from '../../Core/timezone.js';
+
+/**
+ * Zonas del selector: las de Ajustes (incluida la del negocio si es personalizada)
+ * más la hora del navegador
+ * @returns {Array<{ id, label }>}
+ */
+export function getHeatmapTimeZones() {
+    const business = getBusinessTimeZone();
+    const zones = TIME_ZONE_OPTIONS.some(tz => tz.id === business)
+        ? TIME_ZONE_OPTIONS
+        : [...TIME_ZONE_OPTIONS, { id: business, label: business }];
+    return [...zones, { id: 'local', label: 'Hora del navegador' }];
+}
+
+// Filas de lunes a domingo (índices de Date.getDay)
+export const HEATMAP_WEEKDAYS = [1, 2, 3, 4, 5, 6, 0];
+
+export class OrderHeatmap {
+    /**
+     * Construye la cuadrícula
+     * @param {Array} orders - Pedidos normalizados (solo cuentan los que tienen compras)
+     * @param {string} timeZone - Zona IANA o 'local' (por defecto, la zona horaria del negocio)
+     * @returns {{ cells: Array<Array<{ orders, revenue }>>, weekdayTotals, hourTotals, max, peak, totals, timeZone }}
+     *   cells[fila][hora], con las filas en el orden de HEATMAP_WEEKDAYS
+     */
+    static build(orders = [], timeZone = getBusinessTimeZone()) {
+        const zone = isValidTimeZone(timeZone) ? timeZone : getBusinessTimeZone();
+        const empty = () => ({ orders: 0, revenue: 0 });
+        const cells = HEATMAP_WEEKDAYS.map(() => Array.from({ length: 24 }, empty));
+        const weekdayTotals = HEATMAP_WEEKDAYS.map(empty);
+        const hourTotals = Array.from({ length: 24 }, empty);
+        const totals = empty();
+
+        (orders || []).forEach(order => {
+            if (!Array.isArray(order.compras) || order.compras.length === 0) return;
+            if (!(order.date instanceof Date) || isNaN(order.date.getTime())) return;
+
+            const { weekday, hour } = getZonedParts(order.date, zone);
+            const row = HEATMAP_WEEKDAYS.indexOf(weekday);
+            if (row < 0 || isNaN(hour)) return;
+
+            const revenue = order.total || 0;
+            [cells[row][hour], weekdayTotals[row], hourTotals[hour], totals].forEach(bucket => {
+                bucket.orders++;
+                bucket.revenue += revenue;
+            });
+        });
+
+        const max = empty();
+        let peak = null;
+        cells.forEach((hours, row) => hours.forEach((cell, hour) => {
+            max.orders = Math.max(max.orders, cell.orders);
+            max.revenue = Math.max(max.revenue, cell.revenue);
+            if (cell.orders > 0 && (!peak || cell.orders > peak.orders || (cell.orders === peak.orders && cell.revenue > peak.revenue))) {
+                peak = { weekday: HEATMAP_WEEKDAYS[row], hour, ...cell };
+            }
+        }));
+
+        return { cells, weekdayTotals, hourTotals, max, peak, totals, timeZone: zone };
+    }
+}
@@ -0,0 +1,296 @@
+/**
+ * Vinculación de líneas de pedido con el catálogo
+ * Asigna a cada producto de `compras` el ID de products.json o packs.json:
+ * primero por ID, después por la tabla de alias guardada y por último por
+ * similitud de nombre. Las coincidencias dudosas quedan en una cola de revisión.
+ */
+
+const ALIASES_STORAGE_KEY = 'product_catalog_aliases';
+
+// Palabras que no aportan al comparar nombres de productos
+const STOPWORDS = new Set(['de', 'del', 'la', 'el', 'los', 'las', 'con', 'y', 'por', 'para', 'en', 'x', 'u', 'un', 'una']);
+
+// Unidades de medida: se unen al número para comparar "1 kg" y "1kg" igual
+const UNIT_PATTERN = /(\d+(?:[.,]\d+)?)\s*(kg|kilos?|g|gr|grs|lbs?|libras?|l|lt|lts|litros?|ml|oz|u|und|unidades?)\b/g;
+
+/**
+ * Normaliza un nombre para compararlo: sin acentos, emojis ni signos y con
+ * las cantidades unidas a su unidad (ej: "Arroz de (1 Kg) 🍚" -> "arroz de 1kg")
+ */
+export function normalizeCatalogName(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9.,\s]/g, ' ')
+        .replace(UNIT_PATTERN, (match, qty, unit) => ` ${qty.replace(',', '.')}${unit.replace(/s$/, '')} `)
+        .replace(/[.,](?!\d)/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Palabras significativas de un nombre normalizado
+ */
+function tokenize(normalized) {
+    return normalized.split(' ').filter(token => token && !STOPWORDS.has(token));
+}
+
+/**
+ * Trigramas de caracteres (tolera errores de escritura)
+ */
+function trigrams(normalized) {
+    const padded = `  ${normalized} `;
+    const result = new Set();
+    for (let i = 0; i < padded.length - 2; i++) result.add(padded.slice(i, i + 3));
+    return result;
+}
+
+/**
+ * Coeficiente de Dice entre dos conjuntos
+ */
+function dice(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    a.forEach(item => { if (b.has(item)) shared++; });
+    return 2 * shared / (a.size + b.size);
+}
+
+export class ProductCatalogResolver {
+    /**
+     * @param {Object} options
+     * @param {number} options.autoThreshold - Similitud a partir de la cual se vincula sin revisión
+     * @param {number} options.minScore - Similitud mínima para proponer un candidato
+     * @param {number} options.ambiguityMargin - Diferencia mínima con el segundo candidato para no considerarlo dudoso
+     */
+    constructor({ autoThreshold = 0.82, minScore = 0.45, ambiguityMargin = 0.08 } = {}) {
+        this.autoThreshold = autoThreshold;
+        this.minScore = minScore;
+        this.ambiguityMargin = ambiguityMargin;
+        this.entries = [];
+        this.byKey = new Map();
+        this.aliases = this.loadAliases();
+        this.cache = new Map();
+    }
+
+    /**
+     * Clave única de una entrada de catálogo (los IDs de packs y productos pueden coincidir)
+     */
+    static getEntryKey(type, id) {
+        return `${type}:${id}`;
+    }
+
+    /**
+     * Carga el catálogo de productos y packs
+     * @param {Array} products - Productos de products.json (ProductManager.products)
+     * @param {Array} packs - Packs de packs.json (PackManager.packs)
+     */
+    setCatalog(products = [], packs = []) {
+        const build = (item, type) => {
+            const name = item.nombre || item.name || '';
+            const normalized = normalizeCatalogName(name);
+            return {
+                key: ProductCatalogResolver.getEntryKey(type, item.id),
+                id: String(item.id),
+                type,
+                name,
+                normalized,
+                tokens: new Set(tokenize(normalized)),
+                trigrams: trigrams(normalized)
+            };
+        };
+
+        this.entries = [
+            ...(products || []).filter(p => p && p.id).map(p => build(p, 'product')),
+            ...(packs || []).filter(p => p && p.id).map(p => build(p, 'pack'))
+        ].filter(entry => entry.normalized);
+        this.byKey = new Map(this.entries.map(entry => [entry.key, entry]));
+        this.cache.clear();
+        return this.entries.length;
+    }
+
+    /**
+     * Indica si hay catálogo cargado
+     */
+    hasCatalog() {
+        return this.entries.length > 0;
+    }
+
+    /**
+     * Lista de entradas del catálogo ordenadas por nombre
+     */
+    getCatalogEntries() {
+        return [...this.entries].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Similitud entre un nombre normalizado y una entrada de catálogo (0-1)
+     */
+    score(normalized, entry) {
+        if (normalized === entry.normalized) return 1;
+        const tokenScore = dice(new Set(tokenize(normalized)), entry.tokens);
+        const charScore = dice(trigrams(normalized), entry.trigrams);
+        return 0.5 * tokenScore + 0.5 * charScore;
+    }
+
+    /**
+     * Indica si ambos nombres indican cantidades distintas ("2lt" frente a "3lt"):
+     * en ese caso no se vincula automáticamente aunque el resto del nombre coincida
+     */
+    hasQuantityConflict(normalized, entry) {
+        const quantities = (tokens) => [...tokens].filter(token => /\d/.test(token)).sort().join(' ');
+        const own = quantities(tokenize(normalized));
+        const other = quantities(entry.tokens);
+        return own !== '' && other !== '' && own !== other;
+    }
+
+    /**
+     * Resuelve una línea de pedido
+     * @param {string} name - Nombre tal como aparece en el pedido
+     * @param {string|null} lineId - ID guardado en la línea (puede ser null o un "group_...")
+     * @returns {{ status, entry, score, candidates }}
+     *   status: 'id' | 'alias' | 'ignored' | 'exact' | 'fuzzy' | 'ambiguous' | 'unmatched'
+     */
+    resolve(name, lineId = null) {
+        if (lineId !== null && lineId !== undefined) {
+            const byId = this.byKey.get(ProductCatalogResolver.getEntryKey('product', lineId))
+                || this.byKey.get(ProductCatalogResolver.getEntryKey('pack', lineId));
+            if (byId) return { status: 'id', entry: byId, score: 1, candidates: [] };
+        }
+
+        const normalized = normalizeCatalogName(name);
+        if (!normalized) return { status: 'unmatched', entry: null, score: 0, candidates: [] };
+
+        if (Object.prototype.hasOwnProperty.call(this.aliases, normalized)) {
+            const aliasKey = this.aliases[normalized];
+            if (aliasKey === null) return { status: 'ignored', entry: null, score: 0, candidates: [] };
+            const aliased = this.byKey.get(aliasKey);
+            if (aliased) return { status: 'alias', entry: aliased, score: 1, candidates: [] };
+        }
+
+        if (this.cache.has(normalized)) return this.cache.get(normalized);
+
+        const candidates = this.entries
+            .map(entry => ({ entry, score: this.score(normalized, entry) }))
+            .filter(c => c.score >= this.minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 5);
+
+        const [best, second] = candidates;
+        let result;
+        if (!best) {
+            result = { status: 'unmatched', entry: null, score: 0, candidates: [] };
+        } else if (best.score === 1 && (!second || second.score < 1)) {
+            result = { status: 'exact', entry: best.entry, score: 1, candidates };
+        } else if (best.score >= this.autoThreshold
+            && (!second || best.score - second.score >= this.ambiguityMargin)
+            && !this.hasQuantityConflict(normalized, best.entry)) {
+            result = { status: 'fuzzy', entry: best.entry, score: best.score, candidates };
+        } else {
+            result = { status: 'ambiguous', entry: null, score: best.score, candidates };
+        }
+
+        this.cache.set(normalized, result);
+        return result;
+    }
+
+    /**
+     * Vincula todas las líneas de pedido con el catálogo (en el sitio).
+     * Cada línea conserva su nombre original en `originalName` y, si se vincula,
+     * pasa a usar el nombre del catálogo para que los rankings no se dividan
+     * entre variantes de escritura.
+     * @param {Array} data - Pedidos normalizados por DataManager
+     * @returns {{ lines, linked, byStatus, reviewQueue }}
+     */
+    linkDataset(data = []) {
+        const byStatus = {};
+        const queue = new Map();
+        let lines = 0;
+        let linked = 0;
+
+        (data || []).forEach(order => {
+            (order.compras || []).forEach(line => {
+                if (line.originalName === undefined) line.originalName = line.name;
+                const { status, entry, candidates } = this.resolve(line.originalName, line.id);
+                lines++;
+                byStatus[status] = (byStatus[status] || 0) + 1;
+
+                line.catalogId = entry ? entry.id : null;
+                line.catalogType = entry ? entry.type : null;
+                line.catalogMatch = status;
+                line.name = entry ? entry.name : line.originalName;
+                line.producto = line.name;
+
+                if (entry) {
+                    linked++;
+                } else if (status === 'ambiguous' || status === 'unmatched') {
+                    const key = normalizeCatalogName(line.originalName);
+                    if (!queue.has(key)) {
+                        queue.set(key, {
+                            key,
+                            name: line.originalName,
+                            status,
+                            occurrences: 0,
+                            candidates: candidates.map(c => ({ key: c.entry.key, name: c.entry.name, type: c.entry.type, score: c.score }))
+                        });
+                    }
+                    queue.get(key).occurrences++;
+                }
+            });
+        });
+
+        const reviewQueue = Array.from(queue.values())
+            .sort((a, b) => (a.status === b.status ? 0 : a.status === 'ambiguous' ? -1 : 1) || b.occurrences - a.occurrences);
+
+        return { lines, linked, byStatus, reviewQueue };
+    }
+
+    /**
+     * Tabla de alias guardada: nombre normalizado -> clave de catálogo (null = no pertenece al catálogo)
+     */
+    loadAliases() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(ALIASES_STORAGE_KEY) || '{}');
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    saveAliases() {
+        localStorage.setItem(ALIASES_STORAGE_KEY, JSON.stringify(this.aliases));
+    }
+
+    /**
+     * Guarda un alias para un nombre de pedido
+     * @param {string} name - Nombre tal como aparece en los pedidos
+     * @param {string|null} entryKey - Clave de catálogo ("product:ID" / "pack:ID") o null para ignorarlo
+     */
+    setAlias(name, entryKey) {
+        const normalized = normalizeCatalogName(name);
+        if (!normalized) return;
+        this.aliases[normalized] = entryKey;
+        this.cache.delete(normalized);
+        this.saveAliases();
+    }
+
+    removeAlias(normalized) {
+        delete this.aliases[normalized];
+        this.cache.delete(normalized);
+        this.saveAliases();
+    }
+
+    /**
+     * Alias guardados con el nombre del producto de catálogo al que apuntan
+     */
+    getAliases() {
+        return Object.entries(this.aliases)
+            .map(([key, entryKey]) => ({
+                key,
+                entryKey,
+                target: entryKey ? (this.byKey.get(entryKey)?.name || null) : null,
+                ignored: entryKey === null
+            }))
+            .sort((a, b) => a.key.localeCompare(b.key));
+    }
+}
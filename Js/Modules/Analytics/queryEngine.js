@@ -0,0 +1,265 @@
+/**
+ * Motor de consultas sobre pedidos
+ * Consultas declarativas con filtros (where), agrupación por cualquier
+ * dimensión (groupBy) y agregados (suma, conteo, media, distintos, percentiles),
+ * más tablas dinámicas (pivot) construidas sobre ellas.
+ */
+
+import { getWeekdayName, getMonthName } from '../../Core/utils.js';
+import { getZonedParts } from '../../Core/timezone.js';
+import { RFMAnalyzer } from './rfmSegmentation.js';
+import { CHANNELS } from './channelAttribution.js';
+
+/**
+ * Dimensiones por las que se puede filtrar y agrupar.
+ * - get(order, line): valor de la dimensión (line solo existe al desglosar por producto)
+ * - sortKey: orden natural de los valores (días de la semana, horas...)
+ * - perLine: la dimensión es de la línea de pedido, no del pedido
+ */
+export const QUERY_DIMENSIONS = {
+    country: { label: 'País', get: (o) => o.country },
+    province: { label: 'Provincia de entrega', get: (o) => o.deliveryArea?.province || 'Sin identificar' },
+    municipality: { label: 'Municipio de entrega', get: (o) => o.deliveryArea?.municipality || 'Sin identificar' },
+    affiliate: { label: 'Afiliado', get: (o) => o.affiliate },
+    browser: { label: 'Navegador', get: (o) => o.browser },
+    os: { label: 'Sistema operativo', get: (o) => o.operatingSystem },
+    trafficSource: { label: 'Fuente de tráfico', get: (o) => o.trafficSource },
+    channel: { label: 'Canal', get: (o) => CHANNELS[o.attribution?.channel]?.label || 'No especificado' },
+    userType: { label: 'Tipo de usuario', get: (o) => o.userType },
+    source: { label: 'Origen', get: (o) => o.sourceLabel },
+    segment: { label: 'Segmento RFM', get: (o) => RFMAnalyzer.getSegment(o.rfmSegment)?.label || 'Sin segmento' },
+    weekday: {
+        label: 'Día de la semana',
+        get: (o) => getWeekdayName(getZonedParts(o.date).weekday),
+        // Lunes primero
+        sortKey: (value) => ([1, 2, 3, 4, 5, 6, 0].map(getWeekdayName).indexOf(value))
+    },
+    hour: {
+        label: 'Hora',
+        get: (o) => `${String(getZonedParts(o.date).hour).padStart(2, '0')}:00`,
+        sortKey: (value) => parseInt(value, 10)
+    },
+    month: {
+        label: 'Mes',
+        get: (o) => {
+            const { year, month } = getZonedParts(o.date);
+            return `${year}-${String(month).padStart(2, '0')}`;
+        },
+        format: (value) => {
+            const [year, month] = value.split('-').map(Number);
+            return `${getMonthName(month - 1)} ${year}`;
+        },
+        sortKey: (value) => value
+    },
+    product: { label: 'Producto', get: (o, line) => line?.name, perLine: true }
+};
+
+/**
+ * Campos numéricos o identificadores sobre los que se agrega.
+ * Al desglosar por producto, total y unidades son los de la línea.
+ */
+export const QUERY_FIELDS = {
+    total: { label: 'Ventas', get: (o, line) => line ? (line.precio_total || 0) : o.total },
+    units: { label: 'Unidades', get: (o, line) => line ? (line.quantity || 0) : o.productsCount },
+    order: { label: 'Pedido', get: (o) => o },
+    customer: { label: 'Cliente', get: (o) => o.customerId }
+};
+
+/**
+ * Métricas predefinidas para la tabla dinámica del dashboard
+ */
+export const QUERY_METRICS = {
+    sales: { label: 'Ventas', measure: { field: 'total', agg: 'sum' }, format: 'currency' },
+    orders: { label: 'Pedidos', measure: { field: 'order', agg: 'distinct' }, format: 'number' },
+    units: { label: 'Unidades', measure: { field: 'units', agg: 'sum' }, format: 'number' },
+    customers: { label: 'Clientes únicos', measure: { field: 'customer', agg: 'distinct' }, format: 'number' },
+    avgTicket: { label: 'Ticket medio', measure: { field: 'total', agg: 'avg' }, format: 'currency' },
+    medianTicket: { label: 'Ticket mediano', measure: { field: 'total', agg: 'percentile', p: 50 }, format: 'currency' },
+    p90Ticket: { label: 'Ticket p90', measure: { field: 'total', agg: 'percentile', p: 90 }, format: 'currency' }
+};
+
+/**
+ * Percentil con interpolación lineal entre los dos valores más próximos
+ */
+function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Funciones de agregación sobre la lista de valores de un grupo
+ */
+const AGGREGATES = {
+    sum: (values) => values.reduce((acc, v) => acc + (Number(v) || 0), 0),
+    count: (values) => values.length,
+    avg: (values) => values.length > 0 ? AGGREGATES.sum(values) / values.length : null,
+    min: (values) => values.length > 0 ? Math.min(...values) : null,
+    max: (values) => values.length > 0 ? Math.max(...values) : null,
+    distinct: (values) => new Set(values.filter(v => v !== null && v !== undefined)).size,
+    percentile: (values, { p = 50 } = {}) => percentile(values.map(Number).filter(v => !isNaN(v)), p)
+};
+
+/**
+ * Operadores de las condiciones where
+ */
+const OPERATORS = {
+    eq: (value, target) => value === target,
+    neq: (value, target) => value !== target,
+    in: (value, target) => Array.isArray(target) && target.includes(value),
+    nin: (value, target) => Array.isArray(target) && !target.includes(value),
+    gt: (value, target) => value > target,
+    gte: (value, target) => value >= target,
+    lt: (value, target) => value < target,
+    lte: (value, target) => value <= target,
+    contains: (value, target) => String(value ?? '').toLowerCase().includes(String(target ?? '').toLowerCase())
+};
+
+export class QueryEngine {
+    /**
+     * Obtiene el extractor de una dimensión o campo
+     */
+    static getAccessor(name) {
+        const accessor = QUERY_DIMENSIONS[name] || QUERY_FIELDS[name];
+        if (!accessor) throw new Error(`Campo de consulta desconocido: ${name}`);
+        return accessor;
+    }
+
+    /**
+     * Nombre de la columna de resultado de un agregado (ej: "sum_total", "percentile90_total")
+     */
+    static getMeasureKey(measure) {
+        if (measure.as) return measure.as;
+        const agg = measure.agg === 'percentile' ? `percentile${measure.p ?? 50}` : measure.agg;
+        return measure.field ? `${agg}_${measure.field}` : agg;
+    }
+
+    /**
+     * Ejecuta una consulta
+     * @param {Array} data - Pedidos normalizados por DataManager
+     * @param {Object} query
+     * @param {Array} query.where - [{ field, op, value }] (op: eq, neq, in, nin, gt, gte, lt, lte, contains)
+     * @param {Array<string>} query.groupBy - Dimensiones de QUERY_DIMENSIONS
+     * @param {Array} query.measures - [{ field, agg, p, as }] (agg: sum, count, avg, min, max, distinct, percentile)
+     * @param {Object} query.orderBy - { key, direction: 'asc' | 'desc' }
+     * @param {number} query.limit
+     * @returns {{ columns: Array<string>, rows: Array<Object> }}
+     */
+    static run(data = [], { where = [], groupBy = [], measures = [{ agg: 'count' }], orderBy = null, limit = null } = {}) {
+        const fields = [...where.map(c => c.field), ...groupBy, ...measures.map(m => m.field).filter(Boolean)];
+        fields.forEach(name => QueryEngine.getAccessor(name));
+        (where || []).forEach(c => {
+            if (!OPERATORS[c.op || 'eq']) throw new Error(`Operador de consulta desconocido: ${c.op}`);
+        });
+        measures.forEach(m => {
+            if (!AGGREGATES[m.agg]) throw new Error(`Agregado de consulta desconocido: ${m.agg}`);
+        });
+
+        // Si alguna dimensión es de línea (producto), cada línea de pedido es una fila
+        const perLine = fields.some(name => QUERY_DIMENSIONS[name]?.perLine);
+        const rows = [];
+        (data || []).forEach(order => {
+            if (!(order.date instanceof Date) || isNaN(order.date.getTime())) return;
+            if (perLine) (order.compras || []).forEach(line => rows.push([order, line]));
+            else rows.push([order, null]);
+        });
+
+        const matches = ([order, line]) => (where || []).every(({ field, op = 'eq', value }) =>
+            OPERATORS[op](QueryEngine.getAccessor(field).get(order, line), value));
+
+        const groups = new Map();
+        rows.filter(matches).forEach(([order, line]) => {
+            const keys = groupBy.map(name => QUERY_DIMENSIONS[name].get(order, line) ?? 'No especificado');
+            const groupKey = JSON.stringify(keys);
+            if (!groups.has(groupKey)) groups.set(groupKey, { keys, values: measures.map(() => []) });
+            const group = groups.get(groupKey);
+            measures.forEach((m, i) => {
+                group.values[i].push(m.field ? QueryEngine.getAccessor(m.field).get(order, line) : 1);
+            });
+        });
+
+        const measureKeys = measures.map(QueryEngine.getMeasureKey);
+        let result = Array.from(groups.values()).map(({ keys, values }) => {
+            const row = {};
+            groupBy.forEach((name, i) => { row[name] = keys[i]; });
+            measures.forEach((m, i) => { row[measureKeys[i]] = AGGREGATES[m.agg](values[i], m); });
+            return row;
+        });
+
+        if (orderBy) {
+            const factor = orderBy.direction === 'asc' ? 1 : -1;
+            result.sort((a, b) => {
+                const x = a[orderBy.key], y = b[orderBy.key];
+                return factor * (typeof x === 'string' ? x.localeCompare(y) : (x ?? 0) - (y ?? 0));
+            });
+        } else if (groupBy.length > 0) {
+            result.sort((a, b) => QueryEngine.compareKeys(groupBy[0], a[groupBy[0]], b[groupBy[0]]));
+        }
+        if (limit) result = result.slice(0, limit);
+
+        return { columns: [...groupBy, ...measureKeys], rows: result };
+    }
+
+    /**
+     * Compara dos valores de una dimensión según su orden natural (o alfabético)
+     */
+    static compareKeys(dimension, a, b) {
+        const sortKey = QUERY_DIMENSIONS[dimension]?.sortKey;
+        if (sortKey) {
+            const x = sortKey(a), y = sortKey(b);
+            return x < y ? -1 : x > y ? 1 : 0;
+        }
+        return String(a).localeCompare(String(b));
+    }
+
+    /**
+     * Etiqueta legible de un valor de dimensión
+     */
+    static formatKey(dimension, value) {
+        const format = QUERY_DIMENSIONS[dimension]?.format;
+        return format ? format(value) : value;
+    }
+
+    /**
+     * Construye una tabla dinámica. Los totales se calculan con consultas propias,
+     * ya que medias, distintos y percentiles no se pueden sumar por celdas.
+     * @param {Object} spec
+     * @param {string} spec.rows - Dimensión de las filas
+     * @param {string|null} spec.columns - Dimensión de las columnas (opcional)
+     * @param {Object} spec.measure - { field, agg, p }
+     * @param {Array} spec.where
+     * @returns {{ rows, columns, rowKeys, columnKeys, cells, rowTotals, columnTotals, grandTotal }}
+     */
+    static pivot(data = [], { rows, columns = null, measure = { agg: 'count' }, where = [] } = {}) {
+        const key = 'value';
+        const m = { ...measure, as: key };
+        const groupBy = columns ? [rows, columns] : [rows];
+
+        const cellsResult = QueryEngine.run(data, { where, groupBy, measures: [m] });
+        const rowResult = columns ? QueryEngine.run(data, { where, groupBy: [rows], measures: [m] }) : cellsResult;
+        const columnResult = columns ? QueryEngine.run(data, { where, groupBy: [columns], measures: [m] }) : null;
+        const grandResult = QueryEngine.run(data, { where, groupBy: [], measures: [m] });
+
+        const rowTotals = new Map(rowResult.rows.map(r => [r[rows], r[key]]));
+        const columnTotals = columnResult ? new Map(columnResult.rows.map(r => [r[columns], r[key]])) : new Map();
+        const cells = new Map();
+        cellsResult.rows.forEach(r => {
+            if (!cells.has(r[rows])) cells.set(r[rows], new Map());
+            cells.get(r[rows]).set(columns ? r[columns] : key, r[key]);
+        });
+
+        return {
+            rows,
+            columns,
+            rowKeys: Array.from(rowTotals.keys()).sort((a, b) => QueryEngine.compareKeys(rows, a, b)),
+            columnKeys: Array.from(columnTotals.keys()).sort((a, b) => QueryEngine.compareKeys(columns, a, b)),
+            cells,
+            rowTotals,
+            columnTotals,
+            grandTotal: grandResult.rows[0]?.[key] ?? null
+        };
+    }
+}
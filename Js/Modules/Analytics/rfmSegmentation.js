@@ -0,0 +1,122 @@
+/**
+ * Segmentación RFM (Recencia, Frecuencia, Valor monetario)
+ * Puntúa a cada cliente de 1 a 5 en cada dimensión según su posición
+ * relativa (percentil) y le asigna un segmento con nombre.
+ */
+
+/**
+ * Segmentos en orden de evaluación: gana la primera regla que se cumple
+ */
+export const RFM_SEGMENTS = [
+    { key: 'champions', label: 'Campeones', description: 'Compran a menudo, hace poco y gastan mucho', test: (r, f, m) => r >= 4 && f >= 4 && m >= 4 },
+    { key: 'loyal', label: 'Leales', description: 'Compran con regularidad', test: (r, f, m) => r >= 3 && f >= 4 && m >= 3 },
+    { key: 'potential', label: 'Leales potenciales', description: 'Recientes y con varias compras', test: (r, f) => r >= 4 && f >= 2 },
+    { key: 'new', label: 'Nuevos', description: 'Primera compra reciente', test: (r) => r >= 4 },
+    { key: 'need_attention', label: 'Requieren atención', description: 'Recencia media, poca frecuencia', test: (r) => r === 3 },
+    { key: 'at_risk', label: 'En riesgo', description: 'Buenos clientes que hace tiempo no compran', test: (r, f, m) => r <= 2 && (f >= 3 || m >= 4) },
+    { key: 'hibernating', label: 'Hibernando', description: 'Pocas compras y hace tiempo', test: (r) => r === 2 },
+    { key: 'lost', label: 'Perdidos', description: 'Sin compras desde hace mucho', test: () => true }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Puntuación 1-5 por percentil: fracción de valores estrictamente peores.
+ * Los empates reciben la misma puntuación.
+ */
+function percentileScores(values, higherIsBetter = true) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const n = sorted.length;
+    const countBelow = (v) => {
+        let lo = 0, hi = n;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (sorted[mid] < v) lo = mid + 1; else hi = mid;
+        }
+        return lo;
+    };
+    const countAbove = (v) => {
+        let lo = 0, hi = n;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (sorted[mid] <= v) lo = mid + 1; else hi = mid;
+        }
+        return n - lo;
+    };
+    return values.map(v => {
+        const worse = higherIsBetter ? countBelow(v) : countAbove(v);
+        return Math.min(5, 1 + Math.floor(worse / n * 5));
+    });
+}
+
+export class RFMAnalyzer {
+    /**
+     * Busca la definición de un segmento por clave
+     */
+    static getSegment(key) {
+        return RFM_SEGMENTS.find(s => s.key === key) || null;
+    }
+
+    /**
+     * Calcula RFM por cliente
+     * @param {Array} data - Pedidos normalizados (con customerId)
+     * @param {Object} options
+     * @param {Date} options.referenceDate - Fecha desde la que se mide la recencia (por defecto, el último pedido)
+     * @returns {Map<string, Object>} customerId -> { recencyDays, frequency, monetary, r, f, m, score, segment }
+     */
+    static score(data = [], { referenceDate = null } = {}) {
+        const customers = new Map();
+        (data || []).forEach(order => {
+            if (!order.customerId || !(order.date instanceof Date) || isNaN(order.date.getTime())) return;
+            if (!customers.has(order.customerId)) {
+                customers.set(order.customerId, { lastPurchase: order.date, frequency: 0, monetary: 0 });
+            }
+            const c = customers.get(order.customerId);
+            c.frequency++;
+            c.monetary += order.total || 0;
+            if (order.date > c.lastPurchase) c.lastPurchase = order.date;
+        });
+
+        const result = new Map();
+        if (customers.size === 0) return result;
+
+        const entries = Array.from(customers.entries());
+        const reference = referenceDate
+            || new Date(Math.max(...entries.map(([, c]) => c.lastPurchase.getTime())));
+
+        const recency = entries.map(([, c]) => Math.max(0, Math.floor((reference - c.lastPurchase) / DAY_MS)));
+        const rScores = percentileScores(recency, false);
+        const fScores = percentileScores(entries.map(([, c]) => c.frequency));
+        const mScores = percentileScores(entries.map(([, c]) => c.monetary));
+
+        entries.forEach(([id, c], i) => {
+            const r = rScores[i], f = fScores[i], m = mScores[i];
+            const segment = RFM_SEGMENTS.find(s => s.test(r, f, m));
+            result.set(id, {
+                recencyDays: recency[i],
+                frequency: c.frequency,
+                monetary: c.monetary,
+                lastPurchase: c.lastPurchase,
+                r, f, m,
+                score: `${r}${f}${m}`,
+                segment: segment.key
+            });
+        });
+
+        return result;
+    }
+
+    /**
+     * Resume los clientes y el valor de cada segmento
+     * @param {Map} scores - Resultado de score()
+     */
+    static summarize(scores) {
+        const totals = new Map(RFM_SEGMENTS.map(s => [s.key, { key: s.key, label: s.label, description: s.description, customers: 0, monetary: 0 }]));
+        scores.forEach(entry => {
+            const seg = totals.get(entry.segment);
+            seg.customers++;
+            seg.monetary += entry.monetary;
+        });
+        return Array.from(totals.values());
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * Pronóstico de ventas
+ * Holt-Winters aditivo (nivel + tendencia + estacionalidad semanal) sobre la
+ * serie diaria de ventas y pedidos, con bandas de confianza.
+ */
+
+// Rejilla de parámetros de suavizado que se prueban al ajustar el modelo
+const SMOOTHING_GRID = [0.05, 0.1, 0.2, 0.3, 0.5, 0.7];
+
+/**
+ * Suma un número de días a una fecha YYYY-MM-DD
+ */
+function addDays(isoDate, days) {
+    const d = new Date(`${isoDate}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().split('T')[0];
+}
+
+export class SalesForecaster {
+    /**
+     * @param {Object} options
+     * @param {number} options.seasonLength - Longitud de la estacionalidad en días (7 = semanal)
+     * @param {number} options.z - Multiplicador de la banda de confianza (1.96 ≈ 95%)
+     */
+    constructor({ seasonLength = 7, z = 1.96 } = {}) {
+        this.seasonLength = seasonLength;
+        this.z = z;
+    }
+
+    /**
+     * Completa con ceros los días sin pedidos entre el primer y el último día
+     * @param {Array} trend - [{ date: 'YYYY-MM-DD', total, orders }] (ver DataManager.getSalesTrend)
+     * @param {string|null} until - Opcional; prolonga la serie con ceros hasta este día
+     */
+    static densify(trend = [], until = null) {
+        if (trend.length === 0) return [];
+        const byDate = new Map(trend.map(d => [d.date, d]));
+        const sorted = [...byDate.keys()].sort();
+        const last = until && until > sorted[sorted.length - 1] ? until : sorted[sorted.length - 1];
+        const result = [];
+        for (let date = sorted[0]; date <= last; date = addDays(date, 1)) {
+            const day = byDate.get(date);
+            result.push({ date, total: day?.total || 0, orders: day?.orders || 0 });
+        }
+        return result;
+    }
+
+    /**
+     * Ejecuta Holt-Winters aditivo con parámetros dados
+     * @returns {{ sse, level, trend, season }}
+     */
+    run(values, alpha, beta, gamma) {
+        const m = this.seasonLength;
+        const firstSeason = values.slice(0, m);
+        const secondSeason = values.slice(m, 2 * m);
+        const mean = (arr) => arr.reduce((a, b) => a + b, 0) / arr.length;
+
+        let level = mean(firstSeason);
+        let trend = (mean(secondSeason) - level) / m;
+        const season = firstSeason.map(v => v - level);
+        let sse = 0;
+
+        for (let t = m; t < values.length; t++) {
+            const s = season[t % m];
+            const predicted = level + trend + s;
+            const error = values[t] - predicted;
+            sse += error * error;
+
+            const prevLevel = level;
+            level = alpha * (values[t] - s) + (1 - alpha) * (level + trend);
+            trend = beta * (level - prevLevel) + (1 - beta) * trend;
+            season[t % m] = gamma * (values[t] - level) + (1 - gamma) * s;
+        }
+
+        return { sse, level, trend, season };
+    }
+
+    /**
+     * Ajusta alpha, beta y gamma minimizando el error cuadrático a un paso
+     */
+    fit(values) {
+        let best = null;
+        SMOOTHING_GRID.forEach(alpha => {
+            SMOOTHING_GRID.forEach(beta => {
+                SMOOTHING_GRID.forEach(gamma => {
+                    const state = this.run(values, alpha, beta, gamma);
+                    if (!best || state.sse < best.sse) best = { ...state, alpha, beta, gamma };
+                });
+            });
+        });
+        const dof = Math.max(1, values.length - this.seasonLength - 3);
+        best.sigma = Math.sqrt(best.sse / dof);
+        best.n = values.length;
+        return best;
+    }
+
+    /**
+     * Proyecta una serie numérica
+     * @returns {Array<{ mean, lower, upper }>|null} null si no hay al menos dos temporadas de datos
+     */
+    forecast(values, horizon) {
+        if (values.length < this.seasonLength * 2) return null;
+
+        const model = this.fit(values);
+        const { alpha, beta, level, trend, season, sigma, n } = model;
+        const m = this.seasonLength;
+
+        return Array.from({ length: horizon }, (_, i) => {
+            const h = i + 1;
+            const mean = Math.max(0, level + h * trend + season[(n + i) % m]);
+            // Varianza aproximada del error a h pasos (nivel + tendencia)
+            const variance = sigma * sigma * (1 + (h - 1) * alpha * alpha * (1 + h * beta + h * (2 * h - 1) * beta * beta / 6));
+            const band = this.z * Math.sqrt(variance);
+            return { mean, lower: Math.max(0, mean - band), upper: mean + band };
+        });
+    }
+
+    /**
+     * Pronostica ingresos y pedidos a partir de la tendencia diaria
+     * @param {Array} trend - Resultado de DataManager.getSalesTrend
+     * @param {number} horizon - Días a proyectar
+     * @param {string|null} today - Día actual YYYY-MM-DD en la zona del negocio (ver getTodayKey).
+     *   El pronóstico empieza hoy: el día en curso está incompleto, así que el ajuste usa
+     *   la serie hasta ayer con ceros en los días sin pedidos. Sin él, empieza tras el último pedido.
+     * @returns {Object|null} { horizon, from, dates, revenue, orders, totals }
+     */
+    forecastTrend(trend, horizon = 30, today = null) {
+        // Con pedidos posteriores a "hoy" (reloj desajustado) se proyecta desde el último
+        const anchored = Boolean(today) && !trend.some(d => d.date > today);
+        const daily = anchored
+            ? SalesForecaster.densify(trend.filter(d => d.date < today), addDays(today, -1))
+            : SalesForecaster.densify(trend);
+        const revenue = this.forecast(daily.map(d => d.total), horizon);
+        const orders = this.forecast(daily.map(d => d.orders), horizon);
+        if (!revenue || !orders) return null;
+
+        const last = daily[daily.length - 1].date;
+        const sum = (arr, key) => arr.reduce((acc, p) => acc + p[key], 0);
+        // La banda del total no es la suma de bandas diarias: se combinan como errores independientes
+        const combinedBand = (arr) => Math.sqrt(arr.reduce((acc, p) => acc + Math.pow(p.upper - p.mean, 2), 0));
+
+        return {
+            horizon,
+            from: addDays(last, 1),
+            dates: Array.from({ length: horizon }, (_, i) => addDays(last, i + 1)),
+            revenue,
+            orders,
+            totals: {
+                revenue: sum(revenue, 'mean'),
+                revenueLower: Math.max(0, sum(revenue, 'mean') - combinedBand(revenue)),
+                revenueUpper: sum(revenue, 'mean') + combinedBand(revenue),
+                orders: sum(orders, 'mean'),
+                ordersLower: Math.max(0, sum(orders, 'mean') - combinedBand(orders)),
+                ordersUpper: sum(orders, 'mean') + combinedBand(orders)
+            }
+        };
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * Embudo de sesiones
+ * Recorre las visitas de /obtener-estadisticas por etapas (visita, sesión con
+ * interacción, compra y compra repetida) y calcula el abandono entre etapas,
+ * en total o desglosado por país, dispositivo, navegador o canal.
+ */
+
+import { ChannelAttribution, CHANNELS } from './channelAttribution.js';
+import { parseDateTime } from '../../Core/timezone.js';
+
+// Segundos de sesión a partir de los que una visita cuenta como "con interacción"
+export const DEFAULT_ENGAGED_SECONDS = 30;
+
+export const FUNNEL_STAGES = [
+    { key: 'visit', label: 'Visitas' },
+    { key: 'engaged', label: 'Sesiones con interacción' },
+    { key: 'purchase', label: 'Compras' },
+    { key: 'repeat', label: 'Compras repetidas' }
+];
+
+const MOBILE_OS = ['android', 'ios', 'iphone', 'ipad', 'ipados'];
+
+/**
+ * Dimensiones de desglose del embudo
+ */
+export const FUNNEL_BREAKDOWNS = {
+    country: { label: 'País', get: (s) => s.pais || 'Desconocido' },
+    device: {
+        label: 'Dispositivo',
+        get: (s) => {
+            const os = String(s.sistema_operativo || '').toLowerCase();
+            if (!os) return 'Desconocido';
+            return MOBILE_OS.some(name => os.includes(name)) ? 'Móvil' : 'Escritorio';
+        }
+    },
+    browser: { label: 'Navegador', get: (s) => s.navegador || 'Desconocido' },
+    channel: { label: 'Canal', get: (s) => CHANNELS[ChannelAttribution.classify(s).channel]?.label || 'Desconocido' }
+};
+
+function hasPurchase(session) {
+    return Array.isArray(session.compras) && session.compras.length > 0;
+}
+
+function getTime(session) {
+    const time = parseDateTime(session.fecha_hora_entrada).getTime();
+    return isNaN(time) ? Infinity : time;
+}
+
+export class SessionFunnel {
+    /**
+     * Etapa más profunda alcanzada por cada visita (0 = visita ... 3 = compra repetida)
+     * - Una compra cuenta también como sesión con interacción: los pedidos no siempre traen la duración.
+     * - Compra repetida: el cliente ya había comprado en una visita anterior.
+     * @param {Array} stats - Visitas de /obtener-estadisticas
+     * @param {Object} options
+     * @param {number} options.engagedSeconds - Umbral de duración de sesión
+     * @param {Array<string|null>} options.customerIds - Cliente de cada visita (paralelo a stats)
+     * @returns {Array<number>}
+     */
+    static getDepths(stats = [], { engagedSeconds = DEFAULT_ENGAGED_SECONDS, customerIds = [] } = {}) {
+        const depths = new Array(stats.length).fill(0);
+        const seenCustomers = new Set();
+
+        // Orden cronológico para saber qué compra es la primera de cada cliente
+        stats.map((session, i) => i)
+            .sort((a, b) => getTime(stats[a]) - getTime(stats[b]))
+            .forEach(i => {
+                const session = stats[i];
+                if (hasPurchase(session)) {
+                    const customerId = customerIds[i] || null;
+                    depths[i] = customerId && seenCustomers.has(customerId) ? 3 : 2;
+                    if (customerId) seenCustomers.add(customerId);
+                } else if ((Number(session.duracion_sesion_segundos) || 0) >= engagedSeconds) {
+                    depths[i] = 1;
+                }
+            });
+
+        return depths;
+    }
+
+    /**
+     * Etapas de un grupo de visitas a partir de sus profundidades
+     * @returns {{ stages: Array<{ key, label, count, rate, dropOff }>, visits, avgSessionSeconds, avgPageSeconds }}
+     *   rate: % sobre las visitas; dropOff: % perdido respecto a la etapa anterior
+     */
+    static summarize(sessions = [], depths = []) {
+        const stages = FUNNEL_STAGES.map((stage, level) => ({
+            ...stage,
+            count: depths.filter(depth => depth >= level).length
+        }));
+        const visits = stages[0].count;
+
+        stages.forEach((stage, level) => {
+            const previous = level > 0 ? stages[level - 1].count : null;
+            stage.rate = visits > 0 ? (stage.count / visits) * 100 : 0;
+            stage.dropOff = previous ? ((previous - stage.count) / previous) * 100 : null;
+        });
+
+        const average = (field) => visits > 0
+            ? sessions.reduce((acc, s) => acc + (Number(s[field]) || 0), 0) / visits
+            : 0;
+
+        return {
+            stages,
+            visits,
+            avgSessionSeconds: average('duracion_sesion_segundos'),
+            avgPageSeconds: average('tiempo_promedio_pagina')
+        };
+    }
+
+    /**
+     * Embudo total y, opcionalmente, desglosado por una dimensión de FUNNEL_BREAKDOWNS
+     * @param {Array} stats - Visitas de /obtener-estadisticas
+     * @param {Object} options - { engagedSeconds, customerIds, breakdown }
+     * @returns {{ total: Object, groups: Array<{ key, ...summary }>, engagedSeconds }}
+     */
+    static build(stats = [], { engagedSeconds = DEFAULT_ENGAGED_SECONDS, customerIds = [], breakdown = null } = {}) {
+        const sessions = Array.isArray(stats) ? stats : [];
+        const depths = SessionFunnel.getDepths(sessions, { engagedSeconds, customerIds });
+        const dimension = FUNNEL_BREAKDOWNS[breakdown];
+
+        let groups = [];
+        if (dimension) {
+            const byKey = new Map();
+            sessions.forEach((session, i) => {
+                const key = dimension.get(session);
+                if (!byKey.has(key)) byKey.set(key, { sessions: [], depths: [] });
+                byKey.get(key).sessions.push(session);
+                byKey.get(key).depths.push(depths[i]);
+            });
+            groups = Array.from(byKey.entries())
+                .map(([key, group]) => ({ key, ...SessionFunnel.summarize(group.sessions, group.depths) }))
+                .sort((a, b) => b.visits - a.visits);
+        }
+
+        return {
+            total: SessionFunnel.summarize(sessions, depths),
+            groups,
+            engagedSeconds
+        };
+    }
+}
@@ -5,6 +5,7 @@
  */
 
 import { CONFIG } from '../../Core/config.js';
+import { ANOMALY_TYPES } from './anomalyDetection.js';
 
 export const SummaryBot = (() => {
     let bubble, panel, notificationBadge;
@@ -19,6 +20,10 @@ export const SummaryBot = (() => {
     let notificationIndex = 0;
     let notificationInterval = null;
     let notificationHideTimeout = null;    let resizeHandler = null;
+    let dataManager = null;
+    let resolveDataManager;
+    // DataManager del dashboard (ver setDataManager); el bot espera a que esté listo
+    const dataManagerReady = new Promise(resolve => { resolveDataManager = resolve; });
     // Funciones para bloquear/desbloquear scroll del body
     const disableBodyScroll = () => {
         try {
@@ -425,6 +430,15 @@ export const SummaryBot = (() => {
             return Math.round(num).toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
         };
         
+        // Días anómalos recientes (picos, caídas o días sin pedidos)
+        (stats.anomalies || []).slice(0, 3).forEach(anomaly => {
+            const type = ANOMALY_TYPES[anomaly.type];
+            const [, month, day] = anomaly.date.split('-');
+            notifs.push(anomaly.type === 'zero'
+                ? `${type.icon} ${day}/${month}: 0 pedidos`
+                : `${type.icon} ${day}/${month}: $${formatNumber(anomaly.total)}`);
+        });
+
         // Total revenue notification - CORRECTED
         notifs.push(`💰 Ingresos: $${formatNumber(stats.totalRevenue)}`);
         
@@ -502,10 +516,32 @@ export const SummaryBot = (() => {
         }
     }
 
+    /**
+     * Usa el DataManager del dashboard: pedidos ya normalizados y con customerId
+     * (los nombres de producto se vinculan al catálogo en cuanto carga el inventario)
+     */
+    function setDataManager(dm) {
+        dataManager = dm;
+        resolveDataManager(dm);
+    }
+
     async function loadData() {
-        const resp = await fetch('Json/my_data.json');
-        if (!resp.ok) throw new Error('no data');
-        return await resp.json();
+        const dm = await dataManagerReady;
+        return dm.data;
+    }
+
+    /**
+     * Anomalías de los últimos días con datos (las más recientes primero)
+     */
+    function getRecentAnomalies(days = 14) {
+        if (!dataManager) return [];
+        const anomalies = dataManager.getSalesAnomalies();
+        if (anomalies.length === 0) return [];
+        const lastDate = dataManager.getSalesTrend(dataManager.data).slice(-1)[0]?.date;
+        const limit = new Date(`${lastDate}T00:00:00Z`);
+        limit.setUTCDate(limit.getUTCDate() - days);
+        const limitStr = limit.toISOString().split('T')[0];
+        return anomalies.filter(a => a.date > limitStr).reverse();
     }
 
     function computeStats(data) {
@@ -518,16 +554,17 @@ export const SummaryBot = (() => {
         
         (data || []).forEach(order => {
             const name = order.nombre_comprador || 'Desconocido';
+            const customerId = order.customerId || name;
             const orderTotal = parseFloat(order.precio_compra_total) || 0;
             
-            uniqueCustomers.add(name);
+            uniqueCustomers.add(customerId);
             totalRevenue += orderTotal;
             
-            if (!customerMap[name]) {
-                customerMap[name] = {name, orders: 0, spent: 0};
+            if (!customerMap[customerId]) {
+                customerMap[customerId] = {name, orders: 0, spent: 0};
             }
-            customerMap[name].orders++;
-            customerMap[name].spent += orderTotal;
+            customerMap[customerId].orders++;
+            customerMap[customerId].spent += orderTotal;
             if (Array.isArray(order.compras)) {
                 order.compras.forEach(item => {
                     const key = item.name || 'Sin nombre';
@@ -559,7 +596,8 @@ export const SummaryBot = (() => {
             avgOrderValue,
             uniqueCustomers: uniqueCount,
             topCustomers,
-            topItems
+            topItems,
+            anomalies: getRecentAnomalies()
         };
     }
 
@@ -623,6 +661,22 @@ export const SummaryBot = (() => {
         `;
         content.appendChild(avgSection);
 
+        // Días anómalos recientes
+        if (stats.anomalies && stats.anomalies.length > 0) {
+            const h = document.createElement('h4');
+            h.textContent = '🚨 Días Inusuales';
+            content.appendChild(h);
+            const ul = document.createElement('ul');
+            ul.className = 'summary-list';
+            stats.anomalies.forEach(anomaly => {
+                const type = ANOMALY_TYPES[anomaly.type];
+                const li = document.createElement('li');
+                li.innerHTML = `<span>${type.icon} ${anomaly.date} · ${type.label}</span> <span style="color: ${type.color}; font-weight: 600;">${formatCurrency(anomaly.total)} (esp. ${formatCurrency(anomaly.expected)})</span>`;
+                ul.appendChild(li);
+            });
+            content.appendChild(ul);
+        }
+
         // Top Customers
         if (stats.topCustomers && stats.topCustomers.length > 0) {
             const h = document.createElement('h4');
@@ -664,7 +718,7 @@ export const SummaryBot = (() => {
         return isBotEnabled();
     }
 
-    return { init, setEnabled, isEnabled, destroy };
+    return { init, setEnabled, isEnabled, destroy, setDataManager };
 })();
 
 window.SummaryBot = SummaryBot;
@@ -0,0 +1,189 @@
+/**
+ * Exportación de datos
+ * Descarga los pedidos filtrados como CSV o XLSX, generados en el navegador.
+ * Cada fila puede ser un pedido o una línea de producto, con las columnas que
+ * elija el usuario. El CSV lleva BOM UTF-8 para que Excel respete los acentos.
+ */
+
+import { XlsxWriter } from './xlsxWriter.js';
+import { CHANNELS } from '../Analytics/channelAttribution.js';
+import { RFMAnalyzer } from '../Analytics/rfmSegmentation.js';
+import { getZonedParts, getTodayKey } from '../../Core/timezone.js';
+
+const BOM = '\uFEFF';
+
+export const EXPORT_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+    xlsx: { label: 'Excel (XLSX)', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+export const EXPORT_LEVELS = {
+    orders: { label: 'Un pedido por fila', fileName: 'pedidos', sheetName: 'Pedidos' },
+    lines: { label: 'Una línea de producto por fila', fileName: 'lineas_pedido', sheetName: 'Líneas de pedido' }
+};
+
+// Separadores de CSV: con ";" los decimales van con coma (Excel en español)
+export const CSV_DELIMITERS = {
+    ',': { label: 'Coma (estándar)', decimal: '.' },
+    ';': { label: 'Punto y coma (Excel en español)', decimal: ',' }
+};
+
+/**
+ * Columnas disponibles
+ * - get(order, line): valor de la celda (line solo existe en el nivel "lines")
+ * - type: 'text' | 'number' | 'currency' | 'date'
+ * - levels: niveles en los que se ofrece la columna
+ * - selected: marcada por defecto
+ */
+export const EXPORT_COLUMNS = [
+    { key: 'date', label: 'Fecha', type: 'date', width: 18, levels: ['orders', 'lines'], selected: true, get: (o) => o.date },
+    { key: 'customerId', label: 'ID cliente', type: 'text', levels: ['orders', 'lines'], selected: false, get: (o) => o.customerId },
+    { key: 'buyerName', label: 'Comprador', type: 'text', width: 28, levels: ['orders', 'lines'], selected: true, get: (o) => o.nombre_comprador },
+    { key: 'buyerPhone', label: 'Teléfono', type: 'text', levels: ['orders', 'lines'], selected: true, get: (o) => o.telefono_comprador },
+    { key: 'buyerEmail', label: 'Correo', type: 'text', width: 28, levels: ['orders'], selected: false, get: (o) => o.correo_comprador },
+    { key: 'country', label: 'País', type: 'text', width: 8, levels: ['orders', 'lines'], selected: true, get: (o) => o.pais },
+    { key: 'shippingAddress', label: 'Dirección de envío', type: 'text', width: 40, levels: ['orders'], selected: true, get: (o) => o.direccion_envio },
+    { key: 'province', label: 'Provincia', type: 'text', levels: ['orders', 'lines'], selected: false, get: (o) => o.deliveryArea?.province },
+    { key: 'municipality', label: 'Municipio', type: 'text', levels: ['orders', 'lines'], selected: false, get: (o) => o.deliveryArea?.municipality },
+    {
+        key: 'products', label: 'Productos', type: 'text', width: 50, levels: ['orders'], selected: true,
+        get: (o) => (o.compras || []).map(line => `${line.quantity} × ${line.name}`).join(', ')
+    },
+    { key: 'productsCount', label: 'Unidades', type: 'number', width: 10, levels: ['orders'], selected: true, get: (o) => o.productsCount },
+    { key: 'product', label: 'Producto', type: 'text', width: 40, levels: ['lines'], selected: true, get: (o, line) => line?.name },
+    { key: 'catalogId', label: 'ID catálogo', type: 'text', levels: ['lines'], selected: false, get: (o, line) => line?.catalogId },
+    { key: 'quantity', label: 'Cantidad', type: 'number', width: 10, levels: ['lines'], selected: true, get: (o, line) => line?.quantity },
+    { key: 'unitPrice', label: 'Precio unitario', type: 'currency', width: 14, levels: ['lines'], selected: true, get: (o, line) => line?.unitPrice },
+    { key: 'discount', label: 'Descuento (%)', type: 'number', width: 12, levels: ['lines'], selected: false, get: (o, line) => line?.discount || 0 },
+    { key: 'lineTotal', label: 'Importe línea', type: 'currency', width: 14, levels: ['lines'], selected: true, get: (o, line) => line?.precio_total },
+    { key: 'total', label: 'Total pedido', type: 'currency', width: 14, levels: ['orders', 'lines'], selected: true, get: (o) => o.total },
+    { key: 'affiliate', label: 'Afiliado', type: 'text', levels: ['orders', 'lines'], selected: true, get: (o) => o.affiliate },
+    { key: 'userType', label: 'Tipo de usuario', type: 'text', levels: ['orders'], selected: false, get: (o) => o.userType },
+    { key: 'channel', label: 'Canal', type: 'text', levels: ['orders', 'lines'], selected: false, get: (o) => CHANNELS[o.attribution?.channel]?.label },
+    { key: 'campaign', label: 'Campaña', type: 'text', levels: ['orders'], selected: false, get: (o) => o.attribution?.campaign },
+    { key: 'source', label: 'Origen', type: 'text', levels: ['orders', 'lines'], selected: false, get: (o) => o.sourceLabel },
+    { key: 'segment', label: 'Segmento RFM', type: 'text', levels: ['orders'], selected: false, get: (o) => RFMAnalyzer.getSegment(o.rfmSegment)?.label },
+    { key: 'browser', label: 'Navegador', type: 'text', levels: ['orders'], selected: false, get: (o) => o.navegador },
+    { key: 'os', label: 'Sistema operativo', type: 'text', levels: ['orders'], selected: false, get: (o) => o.sistema_operativo }
+];
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+/**
+ * Fecha legible y ordenable (YYYY-MM-DD HH:mm:ss) en la zona del negocio
+ */
+function formatDateCell(date) {
+    const p = getZonedParts(date);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+}
+
+/**
+ * Escapa un campo de CSV; los textos que Excel interpretaría como fórmula
+ * (=, +, -, @) se prefijan con un apóstrofo, salvo que sean números o teléfonos
+ */
+function escapeCsv(value, delimiter) {
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?[\d\s().]+$/.test(text)) text = `'${text}`;
+    return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export class DataExporter {
+    /**
+     * Columnas disponibles para un nivel
+     */
+    static getColumns(level = 'orders') {
+        return EXPORT_COLUMNS.filter(column => column.levels.includes(level));
+    }
+
+    /**
+     * Claves de las columnas marcadas por defecto
+     */
+    static getDefaultColumns(level = 'orders') {
+        return DataExporter.getColumns(level).filter(column => column.selected).map(column => column.key);
+    }
+
+    /**
+     * Tabla a exportar: columnas elegidas (en el orden de EXPORT_COLUMNS) y valores sin formatear
+     * En el nivel "lines" los pedidos sin productos no generan filas.
+     * @param {Array} orders - Pedidos normalizados (normalmente DataManager.filteredData)
+     * @param {Object} options - { level, columns: Array<string> }
+     * @returns {{ columns: Array, rows: Array<Array> }}
+     */
+    static buildTable(orders = [], { level = 'orders', columns = null } = {}) {
+        const keys = Array.isArray(columns) ? columns : DataExporter.getDefaultColumns(level);
+        const selected = DataExporter.getColumns(level).filter(column => keys.includes(column.key));
+
+        const records = level === 'lines'
+            ? (orders || []).flatMap(order => (order.compras || []).map(line => [order, line]))
+            : (orders || []).map(order => [order, null]);
+
+        const rows = records.map(([order, line]) => selected.map(column => {
+            const value = column.get(order, line);
+            if (column.type === 'date') return value instanceof Date && !isNaN(value.getTime()) ? value : null;
+            if (column.type !== 'text') return Number.isFinite(Number(value)) && value !== null && value !== '' ? Number(value) : null;
+            return value === undefined || value === null ? '' : String(value);
+        }));
+
+        return { columns: selected, rows };
+    }
+
+    /**
+     * Texto CSV con BOM UTF-8 y saltos de línea CRLF
+     * @param {Object} table - Resultado de buildTable
+     * @param {Object} options - { delimiter: ',' | ';' }
+     */
+    static toCSV({ columns, rows }, { delimiter = ',' } = {}) {
+        const decimal = CSV_DELIMITERS[delimiter]?.decimal || '.';
+        const formatValue = (value, column) => {
+            if (value === null || value === undefined || value === '') return '';
+            if (column.type === 'date') return formatDateCell(value);
+            if (column.type === 'currency') return value.toFixed(2).replace('.', decimal);
+            if (column.type === 'number') return String(value).replace('.', decimal);
+            return escapeCsv(value, delimiter);
+        };
+
+        const lines = [
+            columns.map(column => escapeCsv(column.label, delimiter)).join(delimiter),
+            ...rows.map(values => values.map((value, i) => formatValue(value, columns[i])).join(delimiter))
+        ];
+        return `${BOM}${lines.join('\r\n')}\r\n`;
+    }
+
+    /**
+     * Archivo XLSX (fechas en la zona del negocio, como fechas nativas de Excel)
+     * @returns {Uint8Array}
+     */
+    static toXLSX({ columns, rows }, { sheetName = 'Datos' } = {}) {
+        const converted = rows.map(values => values.map((value, i) =>
+            columns[i].type === 'date' && value ? XlsxWriter.toSerialDate(getZonedParts(value)) : value));
+        return XlsxWriter.build({ columns, rows: converted }, { sheetName });
+    }
+
+    /**
+     * Genera el archivo de exportación
+     * @param {Array} orders
+     * @param {Object} options - { format: 'csv' | 'xlsx', level, columns, delimiter }
+     * @returns {{ blob: Blob, fileName: string, rows: number }}
+     */
+    static export(orders = [], { format = 'csv', level = 'orders', columns = null, delimiter = ',' } = {}) {
+        const target = EXPORT_FORMATS[format];
+        if (!target) throw new Error(`Formato de exportación desconocido: ${format}`);
+        const levelKey = EXPORT_LEVELS[level] ? level : 'orders';
+        const levelInfo = EXPORT_LEVELS[levelKey];
+
+        const table = DataExporter.buildTable(orders, { level: levelKey, columns });
+        if (table.columns.length === 0) throw new Error('Selecciona al menos una columna');
+
+        const content = format === 'xlsx'
+            ? DataExporter.toXLSX(table, { sheetName: levelInfo.sheetName })
+            : DataExporter.toCSV(table, { delimiter });
+
+        return {
+            blob: new Blob([content], { type: target.mimeType }),
+            fileName: `${levelInfo.fileName}_${getTodayKey()}.${target.extension}`,
+            rows: table.rows.length
+        };
+    }
+}
@@ -0,0 +1,224 @@
+/**
+ * Escritor mínimo de XLSX
+ * Genera en el navegador un libro de una hoja (SpreadsheetML dentro de un ZIP
+ * sin compresión), sin dependencias externas. Los textos van como cadenas en
+ * línea, los números y fechas como valores nativos de Excel.
+ */
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const SHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Índices de cellXfs en styles.xml
+const STYLE = { text: 0, header: 1, date: 2, number: 3, currency: 4 };
+
+// Caracteres de control que XML 1.0 no admite
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(INVALID_XML_CHARS, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Letra de columna de Excel (0 -> A, 26 -> AA)
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+/**
+ * Empaqueta archivos en un ZIP sin compresión (método "store")
+ * @param {Array<{ name: string, content: string }>} files
+ * @returns {Uint8Array}
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // Nombres en UTF-8
+        local.setUint16(8, 0, true);
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+
+        localParts.push(new Uint8Array(local.buffer), name, data);
+        centralParts.push(new Uint8Array(central.buffer), name);
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((acc, part) => acc + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const output = new Uint8Array(parts.reduce((acc, part) => acc + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        output.set(part, position);
+        position += part.length;
+    });
+    return output;
+}
+
+const STYLES_XML = `${XML_HEADER}<styleSheet xmlns="${SHEET_NS}">`
+    + '<numFmts count="1"><numFmt numFmtId="164" formatCode="dd/mm/yyyy hh:mm"/></numFmts>'
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="5">'
+    + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+    + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+    + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+    + '<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+    + '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+    + '</cellXfs>'
+    + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+    + '</styleSheet>';
+
+export class XlsxWriter {
+    /**
+     * Número de serie de Excel para una hora de pared
+     * @param {{ year, month, day, hour, minute, second }} parts - month 1-12
+     */
+    static toSerialDate({ year, month, day, hour = 0, minute = 0, second = 0 }) {
+        return Date.UTC(year, month - 1, day, hour, minute, second) / 86400000 + 25569;
+    }
+
+    /**
+     * Celda de la hoja
+     * @param {*} value - Texto, número o número de serie de fecha (null = celda vacía)
+     * @param {string} type - 'text' | 'number' | 'currency' | 'date'
+     */
+    static cell(ref, value, type = 'text', header = false) {
+        if (value === null || value === undefined || value === '') return '';
+        if (header) return `<c r="${ref}" s="${STYLE.header}" t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+        if (type !== 'text' && typeof value === 'number' && Number.isFinite(value)) {
+            return `<c r="${ref}" s="${STYLE[type] ?? STYLE.text}"><v>${value}</v></c>`;
+        }
+        return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    }
+
+    /**
+     * Construye el archivo XLSX
+     * @param {Object} table
+     * @param {Array<{ label: string, type: string, width?: number }>} table.columns
+     * @param {Array<Array>} table.rows - Valores ya convertidos (fechas como número de serie)
+     * @param {Object} options - { sheetName }
+     * @returns {Uint8Array}
+     */
+    static build({ columns = [], rows = [] }, { sheetName = 'Datos' } = {}) {
+        const name = escapeXml(String(sheetName).replace(/[\\/?*[\]:]/g, ' ').slice(0, 31) || 'Datos');
+
+        const cols = columns
+            .map((column, i) => `<col min="${i + 1}" max="${i + 1}" width="${column.width || 16}" customWidth="1"/>`)
+            .join('');
+        const headerRow = `<row r="1">${columns.map((column, i) => XlsxWriter.cell(`${columnName(i)}1`, column.label, 'text', true)).join('')}</row>`;
+        const dataRows = rows.map((values, r) => {
+            const rowNumber = r + 2;
+            const cells = columns.map((column, i) => XlsxWriter.cell(`${columnName(i)}${rowNumber}`, values[i], column.type)).join('');
+            return `<row r="${rowNumber}">${cells}</row>`;
+        }).join('');
+
+        const sheet = `${XML_HEADER}<worksheet xmlns="${SHEET_NS}" xmlns:r="${REL_NS}">`
+            + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+            + (cols ? `<cols>${cols}</cols>` : '')
+            + `<sheetData>${headerRow}${dataRows}</sheetData>`
+            + '</worksheet>';
+
+        return createZip([
+            {
+                name: '[Content_Types].xml',
+                content: `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+                    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                    + '<Default Extension="xml" ContentType="application/xml"/>'
+                    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+                    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+                    + '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+                    + `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>`
+                    + '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                content: `${XML_HEADER}<workbook xmlns="${SHEET_NS}" xmlns:r="${REL_NS}">`
+                    + `<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets>`
+                    + '</workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                content: `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+                    + `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>`
+                    + `<Relationship Id="rId2" Type="${REL_NS}/styles" Target="styles.xml"/>`
+                    + '</Relationships>'
+            },
+            { name: 'xl/worksheets/sheet1.xml', content: sheet },
+            { name: 'xl/styles.xml', content: STYLES_XML }
+        ]);
+    }
+}
@@ -1,6 +1,9 @@
 import { InventoryApiClient } from '../Inventory/inventoryApiClient.js';
 import FinanzasManager from './finanzasManager.js';
-import { formatCurrency, showAlert, formatNumber } from '../../Core/utils.js';
+import { formatCurrency, showAlert, formatNumber, escapeHtml, downloadFile } from '../../Core/utils.js';
+import { GitHubManager } from '../Github/githubManager.js';
+import { PayoutRulesEngine, SETTLEMENT_WINDOWS } from './payoutRules.js';
+import { confirm as modalConfirm } from '../../UI/modalUtils.js';
 
 export class FinanzasUI {
     constructor(containerSelector = '#finanzas-view') {
@@ -13,6 +16,7 @@ export class FinanzasUI {
         this.productManager = null;
         this.dataManager = null;
         this.metrics = null; // Guardar métricas para filtrado
+        this.payoutMonth = 0; // Mes de la liquidación (0 = mes actual)
     }
 
     setProductManager(pm) {
@@ -45,6 +49,20 @@ export class FinanzasUI {
         }
     }
 
+    /**
+     * Totales financieros del inventario actual (para el informe mensual)
+     * @returns {Promise<{ tasa: number, totales: Object }|null>} null si no hay inventario cargado
+     */
+    async getFinancialSummary() {
+        if (!this.productManager) return null;
+        const inv = await this.manager.getValorDolar({ useCache: true });
+        const tasa = inv && inv.precio_compra ? parseFloat(inv.precio_compra) : 0;
+        const products = this.productManager.products?.length ? this.productManager.products : await this.productManager.loadProducts();
+        if (!products || products.length === 0) return null;
+        const { totales } = await this.manager.calculateFinancials(products, tasa, 0);
+        return { tasa, totales };
+    }
+
     async showFinanzas(totalSales = 0, programadorData = null) {
         try {
             if (!this.container) this.container = document.querySelector(this.containerSelector);
@@ -155,9 +173,12 @@ export class FinanzasUI {
                 <div id="finanzas-table-container">
                     ${metrics ? this._renderDetailsTable(metrics.detalles, tasa) : ''}
                 </div>
+
+                <div id="finanzas-payouts" class="finanzas-details-section"></div>
             `;
 
             this.setupListeners();
+            this.renderPayouts();
             this._attachManagerListeners();
             await this.loadValorDolar();
             this._updateLastSaveInfo();
@@ -309,6 +330,360 @@ export class FinanzasUI {
         `).join('');
     }
 
+    /**
+     * Renderiza las liquidaciones de las reglas de pago, el editor de reglas y el histórico
+     */
+    renderPayouts() {
+        const container = document.getElementById('finanzas-payouts');
+        if (!container || !this.dataManager) return;
+
+        const engine = this.dataManager.payoutEngine;
+        const statements = this.dataManager.getPayoutStatements(this.payoutMonth, this.tasa);
+        const history = engine.getHistory();
+        const formatCUP = (value) => value === null || value === undefined ? '—' : `${formatCurrency(value).replace('$', '')} CUP`;
+        const formatUSD = (value) => value === null || value === undefined ? '—' : formatCurrency(value);
+        const describeWindow = (window = {}) => window.preset === 'custom'
+            ? `Personalizada (día 1 ${window.startOffset >= 0 ? '+' : ''}${window.startOffset} · último día ${window.endOffset >= 0 ? '+' : ''}${window.endOffset})`
+            : (SETTLEMENT_WINDOWS[window.preset] || SETTLEMENT_WINDOWS.shifted).label;
+
+        container.innerHTML = `
+            <div class="payout-header">
+                <h3><i class="fas fa-hand-holding-usd"></i> Pagos y Liquidaciones</h3>
+                <div class="finanzas-filter-group">
+                    <label for="payout-month">Periodo:</label>
+                    <select id="payout-month">
+                        ${[0, 1, 2, 3, 4, 5, 6, 9, 12].map(offset => `
+                            <option value="${offset}" ${offset === this.payoutMonth ? 'selected' : ''}>${offset === 0 ? 'Mes actual' : (offset === 1 ? 'Mes anterior' : `Hace ${offset} meses`)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            </div>
+            <p class="finanzas-help">Tasa aplicada: <strong>${this.tasa ? `${formatCurrency(this.tasa).replace('$', '')} CUP` : 'sin tasa de cambio'}</strong> por USD. Los periodos cerrados conservan la tasa y el importe del cierre.</p>
+            <div class="payout-sync">
+                <span class="payout-sync-status ${engine.pendingSync ? 'pending' : ''}">
+                    ${engine.pendingSync
+                        ? '<i class="fas fa-exclamation-triangle"></i> Hay cambios guardados solo en este navegador'
+                        : '<i class="fas fa-check"></i> Reglas e histórico al día con Json/payouts.json'}
+                </span>
+                <button type="button" class="btn" data-payout-sync="save"><i class="fab fa-github"></i> Guardar en GitHub</button>
+                <button type="button" class="btn btn-outline" data-payout-sync="export"><i class="fas fa-file-export"></i> Exportar JSON</button>
+                <label class="btn btn-outline"><i class="fas fa-file-import"></i> Importar JSON
+                    <input type="file" accept=".json,application/json" data-payout-sync="import" hidden>
+                </label>
+            </div>
+
+            ${statements.length === 0 ? '<p class="no-data">No hay beneficiarios configurados.</p>' : `
+                <div class="table-responsive">
+                    <table class="finanzas-table payout-table">
+                        <thead>
+                            <tr>
+                                <th>Beneficiario</th>
+                                <th>Regla</th>
+                                <th>Periodo</th>
+                                <th>Pedidos</th>
+                                <th>Ventas (USD)</th>
+                                <th>A pagar (USD)</th>
+                                <th>A pagar (CUP)</th>
+                                <th>Estado</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${statements.map(st => `
+                                <tr>
+                                    <td data-label="Beneficiario"><strong>${escapeHtml(st.rule.name)}</strong></td>
+                                    <td data-label="Regla">${PayoutRulesEngine.describeRule(st.rule)}</td>
+                                    <td data-label="Periodo">${st.startDate} → ${st.endDate}</td>
+                                    <td data-label="Pedidos">${formatNumber(st.orders)}</td>
+                                    <td data-label="Ventas (USD)">${formatUSD(st.sales)}</td>
+                                    <td data-label="A pagar (USD)">${formatUSD(st.amountUSD)}</td>
+                                    <td data-label="A pagar (CUP)">${formatCUP(st.amountCUP)}</td>
+                                    <td data-label="Estado">
+                                        ${st.closed
+                                            ? `<span class="badge success" title="Cerrado el ${new Date(st.closed.closedAt).toLocaleString()}">Cerrado</span>`
+                                            : `<button type="button" class="btn btn-outline payout-close-btn" data-payee="${st.rule.id}">Cerrar periodo</button>`}
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `}
+
+            <h4 class="payout-subtitle">Beneficiarios y reglas</h4>
+            <ul class="payout-rules">
+                ${engine.getRules().map(rule => `
+                    <li>
+                        <div>
+                            <strong>${escapeHtml(rule.name)}</strong>
+                            <span class="payout-rule-meta">${PayoutRulesEngine.describeRule(rule)} · ${describeWindow(rule.window)}${rule.affiliate ? ` · Ventas del afiliado ${escapeHtml(rule.affiliate)}` : ''}</span>
+                        </div>
+                        <div class="payout-rule-actions">
+                            <button type="button" class="btn btn-outline" data-edit-rule="${rule.id}"><i class="fas fa-edit"></i> Editar</button>
+                            <button type="button" class="btn btn-outline" data-remove-rule="${rule.id}" aria-label="Eliminar ${escapeHtml(rule.name)}"><i class="fas fa-trash"></i></button>
+                        </div>
+                    </li>
+                `).join('')}
+            </ul>
+            <form id="payout-rule-form" class="payout-rule-form">
+                <input type="hidden" name="id">
+                <div class="finanzas-filter-group">
+                    <label for="payout-rule-name">Beneficiario</label>
+                    <input type="text" id="payout-rule-name" name="name" class="input-light" placeholder="Nombre" required>
+                </div>
+                <div class="finanzas-filter-group">
+                    <label for="payout-rule-type">Tipo</label>
+                    <select id="payout-rule-type" name="type">
+                        <option value="percent">% de las ventas</option>
+                        <option value="tiers">% por tramos de ventas</option>
+                        <option value="fixed">Cuota fija por periodo</option>
+                    </select>
+                </div>
+                <div class="finanzas-filter-group" data-field="value">
+                    <label for="payout-rule-value">Importe</label>
+                    <input type="number" id="payout-rule-value" name="value" class="input-light" step="0.01" min="0" required>
+                </div>
+                <div class="finanzas-filter-group" data-field="tiers" hidden>
+                    <label for="payout-rule-tiers">Tramos (ventas desde : %)</label>
+                    <input type="text" id="payout-rule-tiers" name="tiers" class="input-light" placeholder="0:5; 500:7; 1000:10">
+                </div>
+                <div class="finanzas-filter-group" data-field="currency" hidden>
+                    <label for="payout-rule-currency">Moneda</label>
+                    <select id="payout-rule-currency" name="currency">
+                        <option value="USD">USD</option>
+                        <option value="CUP">CUP</option>
+                    </select>
+                </div>
+                <div class="finanzas-filter-group">
+                    <label for="payout-rule-affiliate">Afiliado (opcional)</label>
+                    <input type="text" id="payout-rule-affiliate" name="affiliate" class="input-light" placeholder="Todas las ventas" title="Con afiliado, la regla es su comisión y solo cuenta sus ventas">
+                </div>
+                <div class="finanzas-filter-group">
+                    <label for="payout-rule-window">Ventana de liquidación</label>
+                    <select id="payout-rule-window" name="settlementWindow">
+                        ${Object.entries(SETTLEMENT_WINDOWS).map(([key, win]) => `<option value="${key}">${win.label}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="finanzas-filter-group" data-field="offsets" hidden>
+                    <label for="payout-rule-start">Inicio (días desde el 1)</label>
+                    <input type="number" id="payout-rule-start" name="startOffset" class="input-light" value="0" step="1">
+                </div>
+                <div class="finanzas-filter-group" data-field="offsets" hidden>
+                    <label for="payout-rule-end">Fin (días desde el último día)</label>
+                    <input type="number" id="payout-rule-end" name="endOffset" class="input-light" value="0" step="1">
+                </div>
+                <div class="payout-rule-form-actions">
+                    <button type="submit" class="btn"><i class="fas fa-save"></i> <span>Añadir beneficiario</span></button>
+                    <button type="button" class="btn btn-outline" data-action="cancel" hidden>Cancelar</button>
+                </div>
+            </form>
+
+            <h4 class="payout-subtitle">Histórico de periodos cerrados</h4>
+            ${history.length === 0 ? '<p class="no-data">Aún no se ha cerrado ningún periodo.</p>' : `
+                <div class="table-responsive">
+                    <table class="finanzas-table payout-table">
+                        <thead>
+                            <tr>
+                                <th>Beneficiario</th>
+                                <th>Periodo</th>
+                                <th>Regla</th>
+                                <th>Ventas (USD)</th>
+                                <th>Pagado (USD)</th>
+                                <th>Tasa</th>
+                                <th>Pagado (CUP)</th>
+                                <th>Cerrado</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${history.map(entry => `
+                                <tr>
+                                    <td data-label="Beneficiario"><strong>${escapeHtml(entry.payeeName)}</strong></td>
+                                    <td data-label="Periodo">${entry.startDate} → ${entry.endDate}</td>
+                                    <td data-label="Regla">${entry.rule}</td>
+                                    <td data-label="Ventas (USD)">${formatUSD(entry.sales)}</td>
+                                    <td data-label="Pagado (USD)">${formatUSD(entry.amountUSD)}</td>
+                                    <td data-label="Tasa">${formatCUP(entry.exchangeRate)}</td>
+                                    <td data-label="Pagado (CUP)">${formatCUP(entry.amountCUP)}</td>
+                                    <td data-label="Cerrado">${new Date(entry.closedAt).toLocaleDateString()}</td>
+                                    <td><button type="button" class="btn btn-outline" data-reopen="${entry.id}">Reabrir</button></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `}
+        `;
+
+        this._setupPayoutListeners(container);
+    }
+
+    _setupPayoutListeners(container) {
+        const engine = this.dataManager.payoutEngine;
+
+        container.querySelector('#payout-month')?.addEventListener('change', (e) => {
+            this.payoutMonth = parseInt(e.target.value, 10) || 0;
+            this.renderPayouts();
+        });
+
+        container.querySelector('[data-payout-sync="save"]')?.addEventListener('click', (e) => this.savePayoutsToGitHub(e.currentTarget));
+        container.querySelector('[data-payout-sync="export"]')?.addEventListener('click', () => {
+            const json = JSON.stringify(engine.toJSON(), null, 2);
+            downloadFile(`data:application/json;charset=utf-8,${encodeURIComponent(json)}`, 'reglas_de_pago.json');
+        });
+        container.querySelector('[data-payout-sync="import"]')?.addEventListener('change', (e) => this.importPayouts(e.target.files?.[0]));
+
+        container.querySelectorAll('.payout-close-btn').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const rule = engine.getRule(btn.dataset.payee);
+                const ok = await modalConfirm(`¿Cerrar el periodo de ${rule ? escapeHtml(rule.name) : 'este beneficiario'}? El importe quedará fijado con la tasa actual.`);
+                if (!ok) return;
+                try {
+                    this.dataManager.closePayoutPeriod(btn.dataset.payee, this.payoutMonth, this.tasa);
+                    showAlert('✅ Periodo cerrado', 'success', 2000);
+                    this.renderPayouts();
+                } catch (err) {
+                    showAlert(`❌ ${err.message}`, 'error');
+                }
+            });
+        });
+
+        container.querySelectorAll('[data-reopen]').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const ok = await modalConfirm('¿Reabrir este periodo? Se eliminará del histórico y se volverá a calcular.');
+                if (!ok) return;
+                engine.reopenPeriod(btn.dataset.reopen);
+                this.renderPayouts();
+            });
+        });
+
+        container.querySelectorAll('[data-remove-rule]').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const rule = engine.getRule(btn.dataset.removeRule);
+                const ok = await modalConfirm(`¿Eliminar a ${rule ? escapeHtml(rule.name) : 'este beneficiario'}? Su histórico de periodos cerrados se conserva.`);
+                if (!ok) return;
+                engine.removeRule(btn.dataset.removeRule);
+                this.renderPayouts();
+            });
+        });
+
+        const form = container.querySelector('#payout-rule-form');
+        if (!form) return;
+        const submitLabel = form.querySelector('button[type="submit"] span');
+        const cancelBtn = form.querySelector('[data-action="cancel"]');
+        const syncFields = () => {
+            const isTiers = form.elements.type.value === 'tiers';
+            form.querySelector('[data-field="currency"]').hidden = form.elements.type.value !== 'fixed';
+            form.querySelector('[data-field="value"]').hidden = isTiers;
+            form.querySelector('[data-field="tiers"]').hidden = !isTiers;
+            form.elements.value.required = !isTiers;
+            form.elements.tiers.required = isTiers;
+            form.querySelectorAll('[data-field="offsets"]').forEach(el => { el.hidden = form.elements.settlementWindow.value !== 'custom'; });
+        };
+        const resetForm = () => {
+            form.reset();
+            form.elements.id.value = '';
+            submitLabel.textContent = 'Añadir beneficiario';
+            cancelBtn.hidden = true;
+            syncFields();
+        };
+
+        form.elements.type.addEventListener('change', syncFields);
+        form.elements.settlementWindow.addEventListener('change', syncFields);
+        cancelBtn.addEventListener('click', resetForm);
+
+        container.querySelectorAll('[data-edit-rule]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const rule = engine.getRule(btn.dataset.editRule);
+                if (!rule) return;
+                form.elements.id.value = rule.id;
+                form.elements.name.value = rule.name;
+                form.elements.type.value = rule.type;
+                form.elements.value.value = rule.value ?? '';
+                form.elements.tiers.value = PayoutRulesEngine.formatTiers(rule.tiers);
+                form.elements.affiliate.value = rule.affiliate || '';
+                form.elements.currency.value = rule.currency || 'USD';
+                form.elements.settlementWindow.value = rule.window?.preset || 'shifted';
+                form.elements.startOffset.value = rule.window?.startOffset ?? 0;
+                form.elements.endOffset.value = rule.window?.endOffset ?? 0;
+                submitLabel.textContent = 'Guardar cambios';
+                cancelBtn.hidden = false;
+                syncFields();
+                form.elements.name.focus();
+            });
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const { id, name, type, value, tiers, affiliate, currency, settlementWindow, startOffset, endOffset } = form.elements;
+            try {
+                const rule = engine.saveRule({
+                    id: id.value || undefined,
+                    name: name.value,
+                    type: type.value,
+                    value: value.value,
+                    tiers: tiers.value,
+                    affiliate: affiliate.value,
+                    currency: currency.value,
+                    window: { preset: settlementWindow.value, startOffset: startOffset.value, endOffset: endOffset.value }
+                });
+                showAlert(`✅ Regla de ${escapeHtml(rule.name)} guardada`, 'success', 2000);
+                this.renderPayouts();
+            } catch (err) {
+                showAlert(`❌ ${err.message}`, 'error');
+            }
+        });
+    }
+
+    /**
+     * Guarda reglas e histórico en Json/payouts.json para que no dependan de este navegador
+     */
+    async savePayoutsToGitHub(button) {
+        const engine = this.dataManager.payoutEngine;
+        const githubManager = new GitHubManager();
+        if (!githubManager.isConfigured()) {
+            showAlert('❌ Por favor, configura tu token de GitHub en Ajustes', 'error', 3000);
+            return;
+        }
+
+        const originalHtml = button.innerHTML;
+        button.disabled = true;
+        button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Guardando...';
+        try {
+            const timestamp = new Date().toLocaleString('es-ES');
+            const result = await githubManager.savePayouts(
+                engine.toJSON(),
+                `Actualizar reglas de pago - ${timestamp} (${engine.getRules().length} reglas, ${engine.getHistory().length} periodos cerrados)`
+            );
+            engine.setPendingSync(false);
+            showAlert(`✅ ${result.message}`, 'success', 3000);
+            this.renderPayouts();
+        } catch (err) {
+            console.error('Error al guardar las reglas de pago:', err);
+            showAlert(`❌ Error: ${escapeHtml(err.message)}`, 'error', 4000);
+            button.disabled = false;
+            button.innerHTML = originalHtml;
+        }
+    }
+
+    /**
+     * Sustituye reglas e histórico por los de un archivo exportado
+     */
+    async importPayouts(file) {
+        if (!file) return;
+        try {
+            const data = JSON.parse(await file.text());
+            const { rules, history } = PayoutRulesEngine.parseData(data);
+            const ok = await modalConfirm(`Se sustituirán las reglas de pago y el histórico por los del archivo (${rules.length} reglas, ${history.length} periodos cerrados). ¿Continuar?`);
+            if (!ok) return;
+            this.dataManager.payoutEngine.replaceData(data);
+            showAlert('✅ Reglas de pago importadas. Guárdalas en GitHub para compartirlas.', 'success', 3000);
+        } catch (err) {
+            showAlert(`❌ ${escapeHtml(err.message)}`, 'error', 4000);
+        } finally {
+            this.renderPayouts();
+        }
+    }
+
     filterTable(term) {
         if (!this.metrics || !this.metrics.detalles) return;
         const lowerTerm = term.toLowerCase();
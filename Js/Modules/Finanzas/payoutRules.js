@@ -0,0 +1,360 @@
+/**
+ * Reglas de pago (reparto de ingresos)
+ * Cada beneficiario cobra un porcentaje de las ventas, un porcentaje por tramos
+ * de ventas o una cuota fija por periodo de liquidación. Una regla con `affiliate`
+ * es la comisión de ese afiliado y solo cuenta sus ventas. Los importes se
+ * convierten a CUP con la tasa real (FinanzasManager.getValorDolar) y los
+ * periodos cerrados quedan en un histórico.
+ * Reglas e histórico se guardan en Json/payouts.json (GitHubManager.savePayouts);
+ * localStorage solo es la copia de trabajo de este navegador.
+ */
+
+import { getBusinessTimeZone, getZonedParts, makeDateKey, startOfDay, endOfDay } from '../../Core/timezone.js';
+
+const RULES_STORAGE_KEY = 'payout_rules';
+const HISTORY_STORAGE_KEY = 'payout_history';
+// 'true' si hay cambios locales que aún no están en Json/payouts.json
+const PENDING_STORAGE_KEY = 'payout_pending_sync';
+
+/**
+ * Ventanas de liquidación predefinidas, en días respecto al mes seleccionado:
+ * inicio = día 1 + startOffset, fin = último día + endOffset
+ */
+export const SETTLEMENT_WINDOWS = {
+    shifted: { label: 'Último día del mes anterior al penúltimo del mes', startOffset: -1, endOffset: -1 },
+    calendar: { label: 'Mes natural (del 1 al último día)', startOffset: 0, endOffset: 0 },
+    custom: { label: 'Personalizada', startOffset: 0, endOffset: 0 }
+};
+
+// Reglas iniciales: equivalen al antiguo pago del programador (5% de las ventas)
+export const DEFAULT_PAYOUT_RULES = [
+    { id: 'programador', name: 'Programador', type: 'percent', value: 5, currency: 'USD', window: { preset: 'shifted' } }
+];
+
+// Desplazamiento máximo de una ventana personalizada (días)
+const MAX_WINDOW_OFFSET = 27;
+
+function readStorage(key, fallback) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(key));
+        return Array.isArray(stored) ? stored : fallback;
+    } catch (e) {
+        return fallback;
+    }
+}
+
+export class PayoutRulesEngine {
+    constructor() {
+        this.rules = readStorage(RULES_STORAGE_KEY, DEFAULT_PAYOUT_RULES.map(rule => ({ ...rule, window: { ...rule.window } })));
+        this.history = readStorage(HISTORY_STORAGE_KEY, []);
+        const pending = localStorage.getItem(PENDING_STORAGE_KEY);
+        // Sin marca: datos de antes de guardarse en GitHub, se tratan como pendientes para no perderlos
+        this.pendingSync = pending === null
+            ? localStorage.getItem(RULES_STORAGE_KEY) !== null || localStorage.getItem(HISTORY_STORAGE_KEY) !== null
+            : pending === 'true';
+    }
+
+    /**
+     * Desplazamientos efectivos de una ventana (preset o personalizada)
+     */
+    static resolveWindow(window = {}) {
+        const preset = SETTLEMENT_WINDOWS[window.preset] || SETTLEMENT_WINDOWS.shifted;
+        if (window.preset !== 'custom') return { startOffset: preset.startOffset, endOffset: preset.endOffset };
+        return {
+            startOffset: Number(window.startOffset) || 0,
+            endOffset: Number(window.endOffset) || 0
+        };
+    }
+
+    /**
+     * Periodo de liquidación de un mes
+     * monthOffset = 0 -> mes actual, 1 -> mes anterior, etc.
+     * Los días se cuentan en la zona horaria del negocio.
+     * @returns {{ start: Date, end: Date, startDate: string, endDate: string, periodLabel: string }}
+     */
+    static getSettlementWindow(window = {}, monthOffset = 0, now = new Date(), timeZone = getBusinessTimeZone()) {
+        const { startOffset, endOffset } = PayoutRulesEngine.resolveWindow(window);
+        const { year, month } = getZonedParts(now, timeZone);
+
+        const startDate = makeDateKey(year, month - monthOffset, 1 + startOffset);
+        const endDate = makeDateKey(year, month - monthOffset + 1, endOffset);
+
+        return {
+            start: startOfDay(startDate, timeZone),
+            end: endOfDay(endDate, timeZone),
+            startDate,
+            endDate,
+            periodLabel: monthOffset === 0 ? 'Mes actual' : `${monthOffset} meses atrás`
+        };
+    }
+
+    /**
+     * Interpreta tramos escritos por el usuario ("0:5; 500:7; 1000:10" = ventas desde : porcentaje)
+     * o ya como lista. El primer tramo siempre empieza en 0 para que toda venta tenga porcentaje.
+     * @returns {Array<{ from, rate }>}
+     */
+    static parseTiers(value) {
+        const parts = Array.isArray(value)
+            ? value.map(tier => [tier?.from, tier?.rate])
+            : String(value ?? '').replace(/%/g, '').split(/[;\n]+/).map(part => part.trim()).filter(Boolean).map(part => part.split(':'));
+
+        const tiers = parts.map(([from, rate]) => {
+            const tier = { from: parseFloat(String(from ?? '').trim().replace(',', '.')), rate: parseFloat(String(rate ?? '').trim().replace(',', '.')) };
+            if (isNaN(tier.from) || isNaN(tier.rate) || tier.from < 0 || tier.rate < 0 || tier.rate > 100) {
+                throw new Error(`Tramo no válido: ${from}:${rate}`);
+            }
+            return tier;
+        }).sort((a, b) => a.from - b.from);
+        if (tiers.length === 0) throw new Error('Indica al menos un tramo (ej: 0:5; 500:7)');
+        if (tiers[0].from > 0) tiers.unshift({ from: 0, rate: 0 });
+        return tiers;
+    }
+
+    /**
+     * Texto editable de unos tramos (inverso de parseTiers)
+     */
+    static formatTiers(tiers = []) {
+        return tiers.map(tier => `${tier.from}:${tier.rate}`).join('; ');
+    }
+
+    /**
+     * Tramo alcanzado con las ventas del periodo (su porcentaje se aplica a todas las ventas)
+     */
+    static getTier(tiers = [], sales = 0) {
+        return [...tiers].reverse().find(tier => sales >= tier.from) || tiers[0] || null;
+    }
+
+    /**
+     * Indica si un pedido cuenta para la regla (las comisiones de afiliado solo cuentan sus ventas)
+     */
+    static appliesTo(rule, order) {
+        return !rule.affiliate || String(order.afiliado ?? '').trim() === rule.affiliate;
+    }
+
+    /**
+     * Texto corto de una regla (ej: "5% de las ventas", "50 USD fijos", "3 tramos de ventas")
+     */
+    static describeRule(rule) {
+        if (rule.type === 'fixed') return `${rule.value} ${rule.currency || 'USD'} fijos`;
+        if (rule.type === 'tiers') return `${rule.tiers.length} tramos de ventas (${PayoutRulesEngine.formatTiers(rule.tiers)})`;
+        return `${rule.value}% de las ventas`;
+    }
+
+    /**
+     * Calcula el importe de una regla sobre los pedidos de su periodo
+     * @param {Object} rule
+     * @param {Array} orders - Pedidos dentro de la ventana de liquidación
+     * @param {number|null} exchangeRate - CUP por USD (null si no se pudo cargar)
+     * @returns {{ orders, sales, amountUSD, amountCUP, exchangeRate, tier }} tier = tramo aplicado (solo reglas por tramos)
+     */
+    static calculate(rule, orders = [], exchangeRate = null) {
+        const counted = orders.filter(order => PayoutRulesEngine.appliesTo(rule, order));
+        const sales = counted.reduce((acc, order) => acc + (order.total || 0), 0);
+        const rate = Number(exchangeRate) > 0 ? Number(exchangeRate) : null;
+        const tier = rule.type === 'tiers' ? PayoutRulesEngine.getTier(rule.tiers, sales) : null;
+        let amountUSD = null;
+        let amountCUP = null;
+
+        if (rule.type === 'fixed' && rule.currency === 'CUP') {
+            amountCUP = Number(rule.value) || 0;
+            amountUSD = rate ? amountCUP / rate : null;
+        } else {
+            const percent = rule.type === 'tiers' ? (tier?.rate || 0) : (Number(rule.value) || 0);
+            amountUSD = rule.type === 'fixed' ? (Number(rule.value) || 0) : sales * percent / 100;
+            amountCUP = rate ? amountUSD * rate : null;
+        }
+
+        return { orders: counted.length, sales, amountUSD, amountCUP, exchangeRate: rate, tier };
+    }
+
+    /**
+     * Valida y normaliza una regla escrita en el formulario
+     */
+    static normalizeRule(rule = {}) {
+        const name = String(rule.name || '').trim();
+        if (!name) throw new Error('El beneficiario necesita un nombre');
+
+        const type = ['fixed', 'tiers'].includes(rule.type) ? rule.type : 'percent';
+        const tiers = type === 'tiers' ? PayoutRulesEngine.parseTiers(rule.tiers) : null;
+        const value = type === 'tiers' ? null : parseFloat(String(rule.value ?? '').replace(',', '.'));
+        if (type !== 'tiers' && (isNaN(value) || value < 0)) throw new Error('El importe debe ser un número positivo');
+        if (type === 'percent' && value > 100) throw new Error('El porcentaje no puede superar el 100%');
+        const affiliate = String(rule.affiliate ?? '').trim();
+
+        const preset = SETTLEMENT_WINDOWS[rule.window?.preset] ? rule.window.preset : 'shifted';
+        const window = { preset };
+        if (preset === 'custom') {
+            window.startOffset = parseInt(rule.window.startOffset, 10) || 0;
+            window.endOffset = parseInt(rule.window.endOffset, 10) || 0;
+            if ([window.startOffset, window.endOffset].some(offset => Math.abs(offset) > MAX_WINDOW_OFFSET)) {
+                throw new Error(`Los desplazamientos de la ventana deben estar entre -${MAX_WINDOW_OFFSET} y ${MAX_WINDOW_OFFSET} días`);
+            }
+        }
+
+        const id = rule.id || name.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || `beneficiario-${Date.now()}`;
+        return {
+            id,
+            name,
+            type,
+            ...(tiers ? { tiers } : { value }),
+            currency: type === 'fixed' && rule.currency === 'CUP' ? 'CUP' : 'USD',
+            window,
+            ...(affiliate ? { affiliate } : {})
+        };
+    }
+
+    getRules() {
+        return [...this.rules];
+    }
+
+    getRule(id) {
+        return this.rules.find(rule => rule.id === id) || null;
+    }
+
+    /**
+     * Regla de comisión de un afiliado (null si no tiene)
+     */
+    getAffiliateRule(affiliate) {
+        const key = String(affiliate ?? '').trim();
+        return this.rules.find(rule => rule.affiliate === key) || null;
+    }
+
+    /**
+     * Crea o actualiza una regla (mismo id = actualización)
+     */
+    saveRule(rule) {
+        const normalized = PayoutRulesEngine.normalizeRule(rule);
+        const duplicate = this.rules.some(r => r.id !== rule.id
+            && (r.id === normalized.id || r.name.toLowerCase() === normalized.name.toLowerCase()));
+        if (duplicate) throw new Error(`Ya existe un beneficiario llamado "${normalized.name}"`);
+        if (normalized.affiliate && this.rules.some(r => r.id !== normalized.id && r.affiliate === normalized.affiliate)) {
+            throw new Error(`El afiliado "${normalized.affiliate}" ya tiene una regla de comisión`);
+        }
+
+        const idx = this.rules.findIndex(r => r.id === normalized.id);
+        if (idx >= 0) this.rules[idx] = normalized;
+        else this.rules.push(normalized);
+        this.persistRules();
+        return normalized;
+    }
+
+    removeRule(id) {
+        this.rules = this.rules.filter(rule => rule.id !== id);
+        this.persistRules();
+    }
+
+    persistRules() {
+        localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(this.rules));
+        this.setPendingSync(true);
+    }
+
+    /**
+     * Periodos cerrados, del más reciente al más antiguo
+     */
+    getHistory(payeeId = null) {
+        return this.history
+            .filter(entry => !payeeId || entry.payeeId === payeeId)
+            .sort((a, b) => b.endDate.localeCompare(a.endDate) || a.payeeName.localeCompare(b.payeeName));
+    }
+
+    getClosedPeriod(payeeId, startDate, endDate) {
+        return this.history.find(entry => entry.payeeId === payeeId && entry.startDate === startDate && entry.endDate === endDate) || null;
+    }
+
+    /**
+     * Cierra un periodo: congela el importe calculado con la regla y la tasa de ese momento
+     * @param {Object} statement - Elemento de DataManager.getPayoutStatements
+     */
+    closePeriod(statement) {
+        if (statement.closed) throw new Error('Este periodo ya está cerrado');
+        if (!statement.exchangeRate) throw new Error('No hay tasa de cambio cargada para cerrar el periodo');
+
+        const entry = {
+            id: `${statement.rule.id}:${statement.startDate}:${statement.endDate}`,
+            payeeId: statement.rule.id,
+            payeeName: statement.rule.name,
+            rule: PayoutRulesEngine.describeRule(statement.rule),
+            startDate: statement.startDate,
+            endDate: statement.endDate,
+            orders: statement.orders,
+            sales: statement.sales,
+            amountUSD: statement.amountUSD,
+            amountCUP: statement.amountCUP,
+            exchangeRate: statement.exchangeRate,
+            closedAt: new Date().toISOString()
+        };
+        this.history.push(entry);
+        this.persistHistory();
+        return entry;
+    }
+
+    /**
+     * Reabre un periodo cerrado (elimina la entrada del histórico)
+     */
+    reopenPeriod(entryId) {
+        this.history = this.history.filter(entry => entry.id !== entryId);
+        this.persistHistory();
+    }
+
+    persistHistory() {
+        localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(this.history));
+        this.setPendingSync(true);
+    }
+
+    setPendingSync(pending) {
+        this.pendingSync = pending;
+        localStorage.setItem(PENDING_STORAGE_KEY, String(pending));
+    }
+
+    /**
+     * Contenido de Json/payouts.json y de la exportación a archivo
+     */
+    toJSON() {
+        return { type: 'buquenque-payouts', exportedAt: new Date().toISOString(), rules: this.rules, history: this.history };
+    }
+
+    /**
+     * Valida el contenido de Json/payouts.json o de un archivo exportado
+     * @returns {{ rules: Array, history: Array }}
+     */
+    static parseData(data) {
+        if (!data || typeof data !== 'object' || !Array.isArray(data.rules) || !Array.isArray(data.history)) {
+            throw new Error('El archivo no tiene el formato de reglas de pago ({ rules, history })');
+        }
+        const isDateKey = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value));
+        const invalid = data.history.find(entry => !entry || !entry.id || !entry.payeeId
+            || !isDateKey(entry.startDate) || !isDateKey(entry.endDate) || typeof entry.amountUSD !== 'number');
+        if (invalid) throw new Error(`Periodo cerrado no válido en el histórico: ${invalid?.id || JSON.stringify(invalid)}`);
+
+        return {
+            rules: data.rules.map(rule => PayoutRulesEngine.normalizeRule(rule)),
+            history: data.history.map(entry => ({ ...entry }))
+        };
+    }
+
+    /**
+     * Sustituye reglas e histórico por los de un archivo
+     * @param {Object} data - { rules, history }
+     * @param {boolean} synced - true si vienen de Json/payouts.json (no quedan cambios pendientes)
+     * @returns {{ rules: number, history: number }}
+     */
+    replaceData(data, { synced = false } = {}) {
+        const { rules, history } = PayoutRulesEngine.parseData(data);
+        this.rules = rules;
+        this.history = history;
+        this.persistRules();
+        this.persistHistory();
+        this.setPendingSync(!synced);
+        return { rules: rules.length, history: history.length };
+    }
+
+    /**
+     * Aplica Json/payouts.json al arrancar, salvo que haya cambios locales sin guardar en GitHub
+     * @returns {boolean} true si se aplicó
+     */
+    applyRemote(data) {
+        if (this.pendingSync) return false;
+        this.replaceData(data, { synced: true });
+        return true;
+    }
+}
@@ -92,10 +92,11 @@ export class GitHubManager {
   }
 
   /**
-   * Obtiene el contenido actual del archivo desde GitHub
+   * Obtiene el contenido actual de un archivo JSON desde GitHub
    * @param {number} retries - Número de reintentos
+   * @param {string} filePath - Ruta en el repositorio (por defecto, los pedidos)
    */
-  async getFileContent(retries = 3) {
+  async getFileContent(retries = 3, filePath = GITHUB_CONFIG.FILE_PATH) {
     if (!this.isConfigured()) {
       throw new Error("Configuración incompleta.");
     }
@@ -104,7 +105,7 @@ export class GitHubManager {
     for (let attempt = 0; attempt < retries; attempt++) {
       try {
         const response = await fetch(
-          `${this.apiBase}/repos/${GITHUB_CONFIG.REPO}/contents/${GITHUB_CONFIG.FILE_PATH}`,
+          `${this.apiBase}/repos/${GITHUB_CONFIG.REPO}/contents/${filePath}`,
           {
             headers: {
               Authorization: `token ${this.token}`,
@@ -239,6 +240,27 @@ export class GitHubManager {
     commitMessage = "Actualizar pedidos - Analytics Dashboard",
     retries = 5,
   ) {
+    const result = await this.saveJsonFile(GITHUB_CONFIG.FILE_PATH, pedidos, commitMessage, retries);
+    return { ...result, message: "Pedidos guardados exitosamente en GitHub" };
+  }
+
+  /**
+   * Guarda las reglas de pago y el histórico de periodos cerrados
+   * @param {Object} payouts - { rules, history } (PayoutRulesEngine.toJSON)
+   */
+  async savePayouts(payouts, commitMessage = "Actualizar reglas de pago - Analytics Dashboard") {
+    const result = await this.saveJsonFile(GITHUB_CONFIG.PAYOUTS_PATH, payouts, commitMessage);
+    return { ...result, message: "Reglas de pago guardadas exitosamente en GitHub" };
+  }
+
+  /**
+   * Guarda un archivo JSON del repositorio de Analytics con reintentos automáticos
+   * @param {string} filePath - Ruta en el repositorio
+   * @param {*} content - Datos a serializar
+   * @param {String} commitMessage - Mensaje del commit
+   * @param {number} retries - Número de reintentos en caso de conflicto
+   */
+  async saveJsonFile(filePath, content, commitMessage, retries = 5) {
     if (!this.isConfigured()) {
       throw new Error(
         "Configuración incompleta. Por favor, configura tu token de GitHub.",
@@ -253,7 +275,7 @@ export class GitHubManager {
         let existing = null;
         
         try {
-          existing = await this.getFileContent(3);
+          existing = await this.getFileContent(3, filePath);
           if (existing) {
             sha = existing.sha;
           }
@@ -262,8 +284,8 @@ export class GitHubManager {
         }
 
         // Limpiar datos antes de stringify para evitar referencias circulares
-        const cleanedPedidos = this.cleanData(pedidos);
-        const fileContent = JSON.stringify(cleanedPedidos, null, 2);
+        const cleanedContent = this.cleanData(content);
+        const fileContent = JSON.stringify(cleanedContent, null, 2);
 
         // Codificar a Base64 preservando UTF-8 (sin usar apply para evitar stack overflow)
         const encoder = new TextEncoder();
@@ -289,7 +311,7 @@ export class GitHubManager {
 
         // Hacer la solicitud PUT a GitHub
         const response = await fetch(
-          `${this.apiBase}/repos/${GITHUB_CONFIG.REPO}/contents/${GITHUB_CONFIG.FILE_PATH}`,
+          `${this.apiBase}/repos/${GITHUB_CONFIG.REPO}/contents/${filePath}`,
           {
             method: "PUT",
             headers: {
@@ -333,9 +355,10 @@ export class GitHubManager {
         const result = await response.json();
         return {
           success: true,
-          message: "Pedidos guardados exitosamente en GitHub",
+          message: "Archivo guardado exitosamente en GitHub",
           commit: result.commit.html_url,
           sha: result.content.sha,
+          file: filePath,
           attempt: attempt + 1,
         };
       } catch (error) {
@@ -352,7 +375,7 @@ export class GitHubManager {
       }
     }
     
-    throw new Error(`Error al guardar pedidos después de ${retries} intentos: ${lastError.message}`);
+    throw new Error(`Error al guardar ${filePath} después de ${retries} intentos: ${lastError.message}`);
   }
 
   /**
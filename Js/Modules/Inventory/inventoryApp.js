@@ -13,9 +13,19 @@ export class InventoryApp {
         this.productManager = null;
         this.uiRenderer = null;
         this.githubManager = githubManager;
+        this.dataManager = null;
         this.initialized = false;
     }
 
+    /**
+     * Enlaza el DataManager del dashboard para mostrar en el modal de producto
+     * los productos que se compran junto a él
+     */
+    setDataManager(dm) {
+        this.dataManager = dm;
+        if (this.uiRenderer) this.uiRenderer.setDataManager(dm);
+    }
+
     /**
      * Inicializa la aplicación de inventario (prepara manager). La UI se inicializa bajo demanda
      */
@@ -63,6 +73,7 @@ export class InventoryApp {
 
             if (!this.uiRenderer) {
                 this.uiRenderer = new InventoryUIRenderer('#inventory-view');
+                this.uiRenderer.setDataManager(this.dataManager);
                 await this.uiRenderer.initInventoryUI(this.productManager, this.packManager);
             }
 
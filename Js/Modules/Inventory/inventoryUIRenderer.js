@@ -8,12 +8,14 @@ import { formatDate } from '../../Core/utils.js';
 import { GitHubSaveModal } from '../Github/githubSaveModal.js';
 import { GitHubImagesModal } from '../Github/githubImagesModal.js';
 import { InventoryApiClient } from './inventoryApiClient.js';
+import { MarketBasketAnalyzer } from '../Analytics/marketBasket.js';
 
 export class InventoryUIRenderer {
     constructor(containerSelector = '#inventory-view') {
         this.container = document.querySelector(containerSelector);
         this.productManager = null;
         this.packManager = null;
+        this.dataManager = null; // pedidos del dashboard (productos que se compran juntos)
         this.currentView = 'products'; // 'products' or 'packs' or 'changes'
         this.inventoryApiClient = new InventoryApiClient();
         this._backgroundInventoryFetches = new Set(); // evitar fetchs concurrentes por producto
@@ -51,6 +53,45 @@ export class InventoryUIRenderer {
         } catch (e) { return null; }
     }
 
+    /**
+     * Enlaza el DataManager con los pedidos del dashboard
+     */
+    setDataManager(dataManager) {
+        this.dataManager = dataManager;
+    }
+
+    /**
+     * Genera la sección "Se compra junto con" del modal de producto a partir
+     * de las reglas de asociación de todos los pedidos, como ayuda para diseñar packs
+     * @private
+     */
+    _renderProductAssociations(product) {
+        if (!product || !this.dataManager || !Array.isArray(this.dataManager.data) || this.dataManager.data.length === 0) return '';
+
+        const analysis = this.dataManager.getProductAssociations(this.dataManager.data);
+        const rules = MarketBasketAnalyzer.getRulesFor(analysis, product.nombre, 5);
+        const body = rules.length === 0
+            ? '<p>No hay suficientes pedidos que combinen este producto con otros.</p>'
+            : `
+                <p>Clientes que compraron este producto también compraron:</p>
+                <ul>
+                    ${rules.map(rule => `
+                        <li>
+                            <span>${rule.consequent}</span>
+                            <span title="Pedidos juntos: ${rule.count} · Lift: ${rule.lift.toFixed(2)}">${(rule.confidence * 100).toFixed(0)}% de los pedidos</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+
+        return `
+            <div class="product-associations">
+                <h4><i class="fas fa-shopping-basket" style="color: #4a90e2;"></i> Se compra junto con</h4>
+                ${body}
+            </div>
+        `;
+    }
+
     /**
      * Inicializa la UI del inventario
      */
@@ -990,6 +1031,8 @@ export class InventoryUIRenderer {
                             </div>
                             ` : ''}
                         </form>
+
+                        ${mode === 'edit' ? this._renderProductAssociations(product) : ''}
                     </div>
 
                     <div class="form-actions">
@@ -0,0 +1,514 @@
+/**
+ * Registro manual de pedidos (ventas por teléfono, WhatsApp o en persona)
+ * Formulario con productos del catálogo, autocompletado de clientes anteriores y
+ * teléfono normalizado. Los pedidos quedan pendientes en localStorage hasta que
+ * se guardan en my_data.json (marcados con "buquenqe.com": false).
+ */
+
+import { GitHubManager } from '../Github/githubManager.js';
+import { OrderImporter, IMPORTED_ID_PREFIX } from './orderImport.js';
+import { previewMerge } from './orderMerge.js';
+import { showAlert, formatCurrency, escapeHtml } from '../../Core/utils.js';
+import { getZonedParts } from '../../Core/timezone.js';
+import { confirm as modalConfirm } from '../../UI/modalUtils.js';
+
+const STAGED_STORAGE_KEY = 'manual_orders_staged';
+
+export const MANUAL_ORDER_ORIGINS = ['WhatsApp', 'Teléfono', 'En persona', 'Otro'];
+
+// Textos que el backend guarda cuando falta un dato
+const EMPTY_VALUES = ['', 'N/A', 'No especificado', 'No especificada', 'Desconocido'];
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+function hasValue(value) {
+    return !EMPTY_VALUES.includes(String(value ?? '').trim());
+}
+
+export class ManualOrderUI {
+    constructor(containerSelector = '#manual-order') {
+        this.containerSelector = containerSelector;
+        this.container = null;
+        this.productManager = null;
+        this.dataManager = null;
+        this.countries = [];
+        this.lines = []; // Líneas del pedido en edición
+        this.customers = [];
+        this.rendered = false;
+    }
+
+    setProductManager(pm) {
+        this.productManager = pm;
+    }
+
+    setDataManager(dm) {
+        this.dataManager = dm;
+    }
+
+    /**
+     * Pedidos pendientes de guardar
+     */
+    static getStagedOrders() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STAGED_STORAGE_KEY));
+            return Array.isArray(stored) ? stored : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    static saveStagedOrders(orders) {
+        localStorage.setItem(STAGED_STORAGE_KEY, JSON.stringify(orders));
+    }
+
+    /**
+     * Construye el registro de my_data.json a partir del formulario
+     * @param {Object} values - { date, buyerName, phone, country, email, address, recipientName, recipientPhone, origin, affiliate, lines }
+     * @param {Function} normalizePhone - DataManager.normalizeWhatsAppPhone
+     * @returns {Object} Pedido con "buquenqe.com": false
+     */
+    static buildOrder(values, normalizePhone = (phone) => phone) {
+        const date = OrderImporter.parseDate(String(values.date || '').replace('T', ' '));
+        if (!date) throw new Error('Fecha no válida');
+        const buyer = String(values.buyerName || '').trim();
+        if (!buyer) throw new Error('Falta el nombre del comprador');
+
+        const lines = Array.isArray(values.lines) ? values.lines : [];
+        if (lines.length === 0) throw new Error('Añade al menos un producto');
+        const compras = lines.map(line => {
+            const name = String(line.name || '').trim();
+            const quantity = Number(line.quantity);
+            const unitPrice = Number(line.unitPrice);
+            const discount = Number(line.discount) || 0;
+            if (!name) throw new Error('Hay una línea sin producto');
+            if (!(quantity > 0)) throw new Error(`Cantidad no válida para "${name}"`);
+            if (!(unitPrice >= 0)) throw new Error(`Precio no válido para "${name}"`);
+            if (!(discount >= 0 && discount <= 100)) throw new Error(`Descuento no válido para "${name}"`);
+            return { id: line.id || null, name, quantity, type: 'product', unitPrice, discount };
+        });
+        const total = compras.reduce((acc, line) => acc + line.quantity * line.unitPrice * (1 - line.discount / 100), 0);
+
+        const country = String(values.country || '').trim().toUpperCase();
+        const phone = String(values.phone || '').trim();
+        const recipientPhone = String(values.recipientPhone || '').trim();
+        const order = {
+            ip: `${IMPORTED_ID_PREFIX}${Date.now().toString(36).toUpperCase()}`,
+            pais: country,
+            fecha_hora_entrada: OrderImporter.formatEntryDate(date),
+            origen: String(values.origin || '').trim() || 'Otro',
+            afiliado: String(values.affiliate || '').trim() || 'Ninguno',
+            nombre_comprador: buyer,
+            telefono_comprador: phone ? (normalizePhone(phone, country) || phone) : '',
+            correo_comprador: String(values.email || '').trim(),
+            direccion_envio: String(values.address || '').trim(),
+            compras,
+            precio_compra_total: total.toFixed(2),
+            'buquenqe.com': false
+        };
+        if (String(values.recipientName || '').trim()) order.nombre_persona_entrega = String(values.recipientName).trim();
+        if (recipientPhone) order.telefono_persona_entrega = recipientPhone;
+        return order;
+    }
+
+    /**
+     * Clientes anteriores (el pedido más reciente de cada uno) para el autocompletado
+     */
+    static getPastCustomers(orders = []) {
+        const byCustomer = new Map();
+        orders.forEach(order => {
+            if (!hasValue(order.nombre_comprador)) return;
+            const id = order.customerId || order.nombre_comprador;
+            const current = byCustomer.get(id);
+            if (!current || order.date > current.date) byCustomer.set(id, order);
+        });
+        return Array.from(byCustomer.values())
+            .map(order => ({
+                name: String(order.nombre_comprador).trim(),
+                phone: hasValue(order.telefono_comprador) ? order.telefono_comprador : '',
+                phoneNormalized: order.buyerPhoneNormalized || null,
+                country: hasValue(order.pais) ? order.pais : '',
+                email: hasValue(order.correo_comprador) ? order.correo_comprador : '',
+                address: hasValue(order.direccion_envio) ? order.direccion_envio : '',
+                recipientName: hasValue(order.nombre_persona_entrega) ? order.nombre_persona_entrega : '',
+                recipientPhone: hasValue(order.telefono_persona_entrega) ? order.telefono_persona_entrega : '',
+                date: order.date
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name, 'es'));
+    }
+
+    /**
+     * Muestra el formulario (al abrir la vista Herramientas)
+     */
+    async show() {
+        if (!this.container) this.container = document.querySelector(this.containerSelector);
+        if (!this.container) return;
+
+        if (!this.rendered) {
+            this.render();
+            this.setupListeners();
+            this.rendered = true;
+            this.loadCountries();
+        }
+
+        this.customers = ManualOrderUI.getPastCustomers(this.dataManager?.data || []);
+        this.renderCustomerOptions();
+        this.renderStaged();
+
+        try {
+            if (this.productManager && this.productManager.products.length === 0) await this.productManager.loadProducts();
+        } catch (err) {
+            console.warn('Pedido manual: no se pudo cargar el catálogo', err);
+        }
+        this.renderProductOptions();
+    }
+
+    render() {
+        const now = getZonedParts(new Date());
+        this.container.innerHTML = `
+            <div class="card-header">
+                <h3><i class="fas fa-cash-register"></i> Registrar pedido manual</h3>
+                <p class="small-muted">Ventas fuera de la web: quedan pendientes en este navegador hasta guardarlas en my_data.json.</p>
+            </div>
+            <div class="card-body manual-order">
+                <section class="import-step">
+                    <h4>Cliente</h4>
+                    <div class="manual-order-grid">
+                        <label>Comprador *<input type="text" id="manual-buyer" list="manual-customers" autocomplete="off"></label>
+                        <label>País
+                            <select id="manual-country"><option value="US">Estados Unidos</option><option value="CU">Cuba</option></select>
+                        </label>
+                        <label>Teléfono<input type="tel" id="manual-phone" autocomplete="off"><span class="small-muted" id="manual-phone-hint"></span></label>
+                        <label>Correo<input type="email" id="manual-email"></label>
+                        <label class="wide">Dirección de envío<input type="text" id="manual-address"></label>
+                        <label>Destinatario<input type="text" id="manual-recipient"></label>
+                        <label>Teléfono del destinatario<input type="tel" id="manual-recipient-phone"></label>
+                        <label>Fecha y hora
+                            <input type="datetime-local" id="manual-date" value="${now.year}-${pad(now.month)}-${pad(now.day)}T${pad(now.hour)}:${pad(now.minute)}">
+                        </label>
+                        <label>Origen
+                            <select id="manual-origin">${MANUAL_ORDER_ORIGINS.map(origin => `<option value="${origin}">${origin}</option>`).join('')}</select>
+                        </label>
+                        <label>Afiliado<input type="text" id="manual-affiliate" placeholder="Ninguno"></label>
+                    </div>
+                    <datalist id="manual-customers"></datalist>
+                </section>
+
+                <section class="import-step">
+                    <h4>Productos</h4>
+                    <div class="manual-order-line-form">
+                        <label class="wide">Producto<input type="text" id="manual-product" list="manual-products" autocomplete="off" placeholder="Buscar en el catálogo o escribir"></label>
+                        <label>Cantidad<input type="number" id="manual-quantity" min="1" step="1" value="1"></label>
+                        <label>Precio<input type="number" id="manual-price" min="0" step="0.01"></label>
+                        <label>Descuento (%)<input type="number" id="manual-discount" min="0" max="100" step="1" value="0"></label>
+                        <button type="button" class="btn btn-secondary" id="manual-add-line"><i class="fas fa-plus"></i> Añadir</button>
+                    </div>
+                    <datalist id="manual-products"></datalist>
+                    <div id="manual-lines"></div>
+                    <button type="button" class="btn btn-primary" id="manual-stage"><i class="fas fa-inbox"></i> Añadir a pendientes</button>
+                </section>
+
+                <section class="import-step">
+                    <h4>Pendientes de guardar</h4>
+                    <div id="manual-staged"></div>
+                    <button type="button" class="btn btn-primary" id="manual-commit"><i class="fas fa-cloud-upload-alt"></i> Guardar en GitHub</button>
+                </section>
+            </div>
+        `;
+        this.renderLines();
+    }
+
+    async loadCountries() {
+        try {
+            const response = await fetch('Json/paises.json');
+            if (!response.ok) return;
+            this.countries = await response.json();
+            const select = document.getElementById('manual-country');
+            const selected = select.value;
+            select.innerHTML = this.countries
+                .slice()
+                .sort((a, b) => a.pais.localeCompare(b.pais, 'es'))
+                .map(c => `<option value="${escapeHtml(c.abreviatura)}">${escapeHtml(c.pais)}</option>`)
+                .join('');
+            select.value = selected;
+        } catch (err) {
+            console.warn('Pedido manual: no se pudo cargar la lista de países', err);
+        }
+    }
+
+    renderCustomerOptions() {
+        const datalist = document.getElementById('manual-customers');
+        if (!datalist) return;
+        datalist.innerHTML = this.customers
+            .map(c => `<option value="${escapeHtml(c.name)}">${escapeHtml([c.phone, c.country].filter(Boolean).join(' · '))}</option>`)
+            .join('');
+    }
+
+    renderProductOptions() {
+        const datalist = document.getElementById('manual-products');
+        if (!datalist) return;
+        datalist.innerHTML = (this.productManager?.products || [])
+            .filter(p => p.nombre)
+            .map(p => `<option value="${escapeHtml(p.nombre)}">${formatCurrency(p.precioFinal ?? p.precio)}${p.disponibilidad === false ? ' · no disponible' : ''}</option>`)
+            .join('');
+    }
+
+    setupListeners() {
+        const byId = (id) => document.getElementById(id);
+
+        byId('manual-buyer').addEventListener('change', () => this.fillCustomer());
+        byId('manual-phone').addEventListener('blur', () => this.normalizePhoneField());
+        byId('manual-country').addEventListener('change', () => this.normalizePhoneField());
+
+        // Al elegir un producto del catálogo se proponen su precio y su descuento de oferta
+        byId('manual-product').addEventListener('change', () => {
+            const product = this.findProduct(byId('manual-product').value);
+            if (!product) return;
+            byId('manual-price').value = product.precio;
+            byId('manual-discount').value = product.oferta === true ? product.descuento : 0;
+        });
+        byId('manual-add-line').addEventListener('click', () => this.addLine());
+        byId('manual-product').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.addLine();
+            }
+        });
+
+        // Edición y borrado de líneas
+        byId('manual-lines').addEventListener('change', (e) => {
+            const input = e.target.closest('input[data-line]');
+            if (!input) return;
+            const line = this.lines[Number(input.dataset.line)];
+            if (line) line[input.dataset.field] = parseFloat(input.value) || 0;
+            this.renderLines();
+        });
+        byId('manual-lines').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-remove-line]');
+            if (!button) return;
+            this.lines.splice(Number(button.dataset.removeLine), 1);
+            this.renderLines();
+        });
+
+        byId('manual-stage').addEventListener('click', () => this.stageOrder());
+        byId('manual-staged').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-remove-staged]');
+            if (button) this.removeStaged(button.dataset.removeStaged);
+        });
+        byId('manual-commit').addEventListener('click', () => this.commitStaged());
+    }
+
+    findProduct(name) {
+        const term = String(name || '').trim().toLowerCase();
+        if (!term) return null;
+        return (this.productManager?.products || []).find(p => String(p.nombre || '').trim().toLowerCase() === term) || null;
+    }
+
+    /**
+     * Rellena los datos de un cliente anterior al elegirlo en el autocompletado
+     */
+    fillCustomer() {
+        const name = document.getElementById('manual-buyer').value.trim().toLowerCase();
+        const matches = this.customers.filter(c => c.name.toLowerCase() === name);
+        if (matches.length === 0) return;
+
+        // Con nombres repetidos, el que coincide con el teléfono escrito o el más reciente
+        const phoneField = document.getElementById('manual-phone');
+        const typed = phoneField.value.trim()
+            ? this.dataManager?.normalizeWhatsAppPhone(phoneField.value, document.getElementById('manual-country').value)
+            : null;
+        const customer = matches.find(c => typed && c.phoneNormalized === typed)
+            || matches.slice().sort((a, b) => b.date - a.date)[0];
+
+        const set = (id, value) => { if (value) document.getElementById(id).value = value; };
+        if (customer.country && document.querySelector(`#manual-country option[value="${CSS.escape(customer.country)}"]`)) {
+            document.getElementById('manual-country').value = customer.country;
+        }
+        set('manual-phone', customer.phone);
+        set('manual-email', customer.email);
+        set('manual-address', customer.address);
+        set('manual-recipient', customer.recipientName);
+        set('manual-recipient-phone', customer.recipientPhone);
+        this.normalizePhoneField();
+    }
+
+    /**
+     * Normaliza el teléfono con el país elegido (mismo criterio que los enlaces de WhatsApp)
+     */
+    normalizePhoneField() {
+        const field = document.getElementById('manual-phone');
+        const hint = document.getElementById('manual-phone-hint');
+        if (!field.value.trim() || !this.dataManager) {
+            hint.textContent = '';
+            return;
+        }
+        const country = document.getElementById('manual-country').value;
+        const normalized = this.dataManager.normalizeWhatsAppPhone(field.value, country);
+        if (normalized) field.value = normalized;
+        hint.textContent = normalized ? `WhatsApp: ${normalized}` : 'Teléfono no válido';
+    }
+
+    addLine() {
+        const productInput = document.getElementById('manual-product');
+        const name = productInput.value.trim();
+        const quantity = parseFloat(document.getElementById('manual-quantity').value);
+        const unitPrice = parseFloat(document.getElementById('manual-price').value);
+        const discount = parseFloat(document.getElementById('manual-discount').value) || 0;
+
+        if (!name) return showAlert('⚠️ Escribe o elige un producto', 'warning', 2500);
+        if (!(quantity > 0)) return showAlert('⚠️ La cantidad debe ser mayor que cero', 'warning', 2500);
+        if (!(unitPrice >= 0)) return showAlert('⚠️ Indica el precio unitario', 'warning', 2500);
+        if (!(discount >= 0 && discount <= 100)) return showAlert('⚠️ El descuento debe estar entre 0 y 100', 'warning', 2500);
+
+        const product = this.findProduct(name);
+        this.lines.push({ id: product?.id || null, name: product?.nombre || name, quantity, unitPrice, discount });
+        productInput.value = '';
+        document.getElementById('manual-quantity').value = 1;
+        document.getElementById('manual-price').value = '';
+        document.getElementById('manual-discount').value = 0;
+        productInput.focus();
+        this.renderLines();
+    }
+
+    renderLines() {
+        const container = document.getElementById('manual-lines');
+        if (!container) return;
+        if (this.lines.length === 0) {
+            container.innerHTML = '<p class="small-muted">Sin productos todavía.</p>';
+            return;
+        }
+
+        const lineTotal = (line) => line.quantity * line.unitPrice * (1 - (line.discount || 0) / 100);
+        const total = this.lines.reduce((acc, line) => acc + lineTotal(line), 0);
+        const input = (i, field, value, attrs) => `<input type="number" data-line="${i}" data-field="${field}" value="${value}" ${attrs}>`;
+        container.innerHTML = `
+            <table class="import-table manual-order-lines">
+                <thead><tr><th>Producto</th><th>Cantidad</th><th>Precio</th><th>Dto. %</th><th>Importe</th><th></th></tr></thead>
+                <tbody>
+                    ${this.lines.map((line, i) => `
+                        <tr>
+                            <td>${escapeHtml(line.name)}${line.id ? '' : ' <span class="small-muted">(fuera del catálogo)</span>'}</td>
+                            <td>${input(i, 'quantity', line.quantity, 'min="1" step="1"')}</td>
+                            <td>${input(i, 'unitPrice', line.unitPrice, 'min="0" step="0.01"')}</td>
+                            <td>${input(i, 'discount', line.discount, 'min="0" max="100" step="1"')}</td>
+                            <td>${formatCurrency(lineTotal(line))}</td>
+                            <td><button type="button" class="btn btn-secondary" data-remove-line="${i}" aria-label="Quitar"><i class="fas fa-times"></i></button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+                <tfoot><tr><th colspan="4">Total</th><th colspan="2">${formatCurrency(total)}</th></tr></tfoot>
+            </table>
+        `;
+    }
+
+    stageOrder() {
+        const value = (id) => document.getElementById(id)?.value || '';
+        let order;
+        try {
+            order = ManualOrderUI.buildOrder({
+                date: value('manual-date'),
+                buyerName: value('manual-buyer'),
+                phone: value('manual-phone'),
+                country: value('manual-country'),
+                email: value('manual-email'),
+                address: value('manual-address'),
+                recipientName: value('manual-recipient'),
+                recipientPhone: value('manual-recipient-phone'),
+                origin: value('manual-origin'),
+                affiliate: value('manual-affiliate'),
+                lines: this.lines
+            }, (phone, country) => this.dataManager?.normalizeWhatsAppPhone(phone, country));
+        } catch (error) {
+            showAlert(`⚠️ ${error.message}`, 'warning', 3000);
+            return;
+        }
+
+        const staged = ManualOrderUI.getStagedOrders();
+        staged.push(order);
+        ManualOrderUI.saveStagedOrders(staged);
+        showAlert(`✅ Pedido de ${order.nombre_comprador} añadido a pendientes`, 'success', 2500);
+
+        // Limpiar el formulario (se conservan país, fecha y origen para cargar varios seguidos)
+        this.lines = [];
+        ['manual-buyer', 'manual-phone', 'manual-email', 'manual-address', 'manual-recipient', 'manual-recipient-phone', 'manual-affiliate']
+            .forEach(id => { document.getElementById(id).value = ''; });
+        document.getElementById('manual-phone-hint').textContent = '';
+        this.renderLines();
+        this.renderStaged();
+    }
+
+    removeStaged(id) {
+        ManualOrderUI.saveStagedOrders(ManualOrderUI.getStagedOrders().filter(order => order.ip !== id));
+        this.renderStaged();
+    }
+
+    renderStaged() {
+        const container = document.getElementById('manual-staged');
+        const commit = document.getElementById('manual-commit');
+        if (!container) return;
+        const staged = ManualOrderUI.getStagedOrders();
+        if (commit) commit.disabled = staged.length === 0;
+        if (staged.length === 0) {
+            container.innerHTML = '<p class="small-muted">No hay pedidos pendientes.</p>';
+            return;
+        }
+        container.innerHTML = `
+            <div class="import-table-wrapper">
+                <table class="import-table">
+                    <thead><tr><th>Fecha</th><th>Comprador</th><th>Teléfono</th><th>Productos</th><th>Total</th><th></th></tr></thead>
+                    <tbody>
+                        ${staged.map(order => `
+                            <tr>
+                                <td>${escapeHtml(order.fecha_hora_entrada)}</td>
+                                <td>${escapeHtml(order.nombre_comprador)}</td>
+                                <td>${escapeHtml(order.telefono_comprador)}</td>
+                                <td>${escapeHtml(order.compras.map(line => `${line.quantity} × ${line.name}`).join(', '))}</td>
+                                <td>${formatCurrency(order.precio_compra_total)}</td>
+                                <td><button type="button" class="btn btn-secondary" data-remove-staged="${escapeHtml(order.ip)}" aria-label="Descartar"><i class="fas fa-trash"></i></button></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Añade los pendientes a my_data.json en GitHub
+     */
+    async commitStaged() {
+        const staged = ManualOrderUI.getStagedOrders();
+        if (staged.length === 0) return;
+        const githubManager = new GitHubManager();
+        if (!githubManager.isConfigured()) {
+            showAlert('❌ Por favor, configura tu token de GitHub en Ajustes', 'error', 3000);
+            return;
+        }
+        const ok = await modalConfirm(`Se añadirán ${staged.length} pedido(s) manuales a my_data.json. ¿Continuar?`);
+        if (!ok) return;
+
+        const button = document.getElementById('manual-commit');
+        const originalHtml = button.innerHTML;
+        button.disabled = true;
+        button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Guardando...';
+        try {
+            const existing = await githubManager.loadPedidos();
+            const { merged, added } = previewMerge(existing, staged);
+            if (added.length > 0) {
+                const timestamp = new Date().toLocaleString('es-ES');
+                const result = await githubManager.savePedidos(merged, `Añadir pedidos manuales - ${timestamp} (${added.length} pedidos externos)`);
+                showAlert(`✅ ${result.message}`, 'success', 3000);
+            } else {
+                showAlert('⚠️ Los pedidos pendientes ya estaban en my_data.json', 'warning', 3000);
+            }
+            ManualOrderUI.saveStagedOrders([]);
+        } catch (error) {
+            console.error('Error al guardar pedidos manuales:', error);
+            showAlert(`❌ Error: ${error.message}`, 'error', 4000);
+        } finally {
+            button.innerHTML = originalHtml;
+            this.renderStaged();
+        }
+    }
+}
@@ -0,0 +1,391 @@
+/**
+ * Importación de pedidos desde CSV o JSON
+ * Convierte archivos con pedidos tomados por teléfono o WhatsApp al esquema de
+ * my_data.json: lectura del archivo, asignación de columnas, validación y
+ * construcción de los registros (marcados con "buquenqe.com": false).
+ *
+ * Formatos admitidos:
+ * - CSV (",", ";" o tabulador) con una línea de producto por fila; las filas con
+ *   el mismo número de pedido (o misma fecha, comprador y teléfono) forman un pedido.
+ * - JSON: un array de filas como las del CSV, o de pedidos con el array `compras`
+ *   (el propio formato de my_data.json).
+ */
+
+import { getZonedParts, zonedTimeToDate, getBusinessTimeZone, getSourceTimeZone } from '../../Core/timezone.js';
+
+const BOM = '\uFEFF';
+
+// Prefijo del identificador (campo ip) de los pedidos importados; el recibo lo muestra como "Pedido ID"
+export const IMPORTED_ID_PREFIX = 'EXT-';
+
+/**
+ * Campos del esquema de my_data.json que se pueden asignar
+ * - level: 'order' (datos del pedido) | 'line' (línea de producto)
+ * - aliases: nombres de columna que se reconocen automáticamente
+ */
+export const IMPORT_FIELDS = [
+    { key: 'ip', label: 'ID / IP del pedido', level: 'order', aliases: ['ip', 'pedido id'] },
+    { key: 'numero_pedido', label: 'Nº de pedido', level: 'order', aliases: ['pedido', 'numero', 'order', 'order id', 'orden', 'id pedido', 'referencia'] },
+    { key: 'fecha_hora_entrada', label: 'Fecha y hora', level: 'order', required: true, aliases: ['fecha', 'fecha hora', 'date', 'datetime', 'fecha pedido'] },
+    { key: 'nombre_comprador', label: 'Comprador', level: 'order', required: true, aliases: ['comprador', 'cliente', 'nombre', 'name', 'customer', 'buyer'] },
+    { key: 'telefono_comprador', label: 'Teléfono', level: 'order', aliases: ['telefono', 'tel', 'movil', 'phone', 'whatsapp'] },
+    { key: 'correo_comprador', label: 'Correo', level: 'order', aliases: ['correo', 'email', 'e mail', 'mail'] },
+    { key: 'pais', label: 'País', level: 'order', aliases: ['pais', 'country'] },
+    { key: 'direccion_envio', label: 'Dirección de envío', level: 'order', aliases: ['direccion', 'address', 'envio', 'direccion entrega'] },
+    { key: 'nombre_persona_entrega', label: 'Destinatario', level: 'order', aliases: ['destinatario', 'recibe', 'persona entrega', 'entregar a'] },
+    { key: 'telefono_persona_entrega', label: 'Teléfono del destinatario', level: 'order', aliases: ['telefono destinatario', 'telefono entrega'] },
+    { key: 'afiliado', label: 'Afiliado', level: 'order', aliases: ['affiliate'] },
+    { key: 'origen', label: 'Origen', level: 'order', aliases: ['canal', 'source', 'via'] },
+    { key: 'precio_compra_total', label: 'Total del pedido', level: 'order', aliases: ['total', 'importe total', 'total pedido', 'precio total'] },
+    { key: 'id', label: 'ID de producto', level: 'line', aliases: ['product id', 'id producto', 'sku'] },
+    { key: 'name', label: 'Producto', level: 'line', required: true, aliases: ['producto', 'product', 'articulo', 'descripcion'] },
+    { key: 'quantity', label: 'Cantidad', level: 'line', required: true, aliases: ['cantidad', 'qty', 'unidades', 'cant'] },
+    { key: 'unitPrice', label: 'Precio unitario', level: 'line', required: true, aliases: ['precio', 'precio unitario', 'price', 'unit price'] },
+    { key: 'discount', label: 'Descuento (%)', level: 'line', aliases: ['descuento', 'dto', 'discount'] }
+];
+
+// Nombres de país frecuentes que no están en Json/paises.json
+const COUNTRY_ALIASES = { USA: 'US', 'UNITED STATES': 'US', 'EEUU': 'US', 'EE UU': 'US', 'CUBA': 'CU', 'PUERTO RICO': 'PR' };
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+/**
+ * Minúsculas, sin tildes ni signos (para comparar nombres de columna)
+ */
+function normalizeName(text) {
+    return String(text ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function cleanText(value) {
+    return value === undefined || value === null ? '' : String(value).trim();
+}
+
+/**
+ * Hash corto y estable (FNV-1a) para identificar pedidos sin número
+ */
+function shortHash(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).toUpperCase().padStart(8, '0');
+}
+
+/**
+ * Separador de un CSV: el que más aparece en la cabecera fuera de comillas
+ */
+function detectDelimiter(headerLine) {
+    const counts = { ',': 0, ';': 0, '\t': 0 };
+    let quoted = false;
+    for (const char of headerLine) {
+        if (char === '"') quoted = !quoted;
+        else if (!quoted && char in counts) counts[char]++;
+    }
+    const [delimiter, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    return count > 0 ? delimiter : ',';
+}
+
+/**
+ * Filas de un CSV (campos entre comillas con "" como comilla escapada)
+ * @returns {Array<Array<string>>}
+ */
+function parseCsvRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(values => values.some(value => value.trim() !== ''));
+}
+
+export class OrderImporter {
+    /**
+     * Lee un archivo CSV o JSON
+     * @param {string} text - Contenido del archivo
+     * @param {string} fileName - Para elegir el formato por la extensión
+     * @returns {{ format: 'csv'|'json', columns: Array<string>, rows: Array<Object>, nested: boolean, delimiter?: string }}
+     *   nested = las filas son pedidos con `compras` (formato de my_data.json)
+     */
+    static parseFile(text, fileName = '') {
+        const content = String(text ?? '').replace(new RegExp(`^${BOM}`), '');
+        const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(content);
+
+        if (isJson) {
+            let data;
+            try {
+                data = JSON.parse(content);
+            } catch (e) {
+                throw new Error(`JSON no válido: ${e.message}`);
+            }
+            const rows = Array.isArray(data) ? data : (data?.pedidos || data?.orders || data?.data);
+            if (!Array.isArray(rows)) throw new Error('El JSON debe ser un array de pedidos o filas');
+            const objects = rows.filter(row => row && typeof row === 'object' && !Array.isArray(row));
+            const nested = objects.some(row => Array.isArray(row.compras));
+            const columns = Array.from(new Set(objects.flatMap(row => Object.keys(row))))
+                .filter(column => !(nested && column === 'compras'));
+            return { format: 'json', columns, rows: objects, nested };
+        }
+
+        const firstLine = content.split(/\r?\n/, 1)[0] || '';
+        const delimiter = detectDelimiter(firstLine);
+        const [header = [], ...values] = parseCsvRows(content, delimiter);
+        const columns = header.map((name, i) => name.trim() || `Columna ${i + 1}`);
+        if (columns.length === 0) throw new Error('El archivo está vacío');
+        const rows = values.map(cells => Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? ''])));
+        return { format: 'csv', columns, rows, nested: false, delimiter };
+    }
+
+    /**
+     * Campos que se pueden asignar (en JSON con `compras` las líneas ya vienen en el pedido)
+     */
+    static getFields(nested = false) {
+        return IMPORT_FIELDS.filter(field => !nested || field.level === 'order');
+    }
+
+    /**
+     * Asignación automática por nombre de columna
+     * @returns {Object} { campo: columna }
+     */
+    static suggestMapping(columns = [], nested = false) {
+        const normalized = columns.map(column => ({ column, name: normalizeName(column) }));
+        const used = new Set();
+        const mapping = {};
+
+        OrderImporter.getFields(nested).forEach(field => {
+            const candidates = [field.key, field.label, ...(field.aliases || [])].map(normalizeName);
+            const match = normalized.find(({ column, name }) => !used.has(column) && candidates.includes(name));
+            if (match) {
+                mapping[field.key] = match.column;
+                used.add(match.column);
+            }
+        });
+        return mapping;
+    }
+
+    /**
+     * Número con punto o coma decimal ("1.234,56", "1,5", "$ 12.00")
+     * @returns {number} NaN si no es un número
+     */
+    static parseNumber(value) {
+        if (typeof value === 'number') return value;
+        let text = cleanText(value).replace(/[^\d,.-]/g, '');
+        if (!text) return NaN;
+        const lastComma = text.lastIndexOf(',');
+        const lastDot = text.lastIndexOf('.');
+        if (lastComma > lastDot) text = text.replace(/\./g, '').replace(',', '.');
+        else text = text.replace(/,/g, '');
+        return /^-?\d+(\.\d+)?$/.test(text) ? parseFloat(text) : NaN;
+    }
+
+    /**
+     * Fecha de un pedido importado. Las horas sin zona se leen en la zona del negocio.
+     * Admite "YYYY-MM-DD HH:mm[:ss]", "DD/MM/YYYY HH:mm[:ss]", ISO con zona y números de serie de Excel.
+     * @returns {Date|null}
+     */
+    static parseDate(value) {
+        if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+        const zone = getBusinessTimeZone();
+
+        if (typeof value === 'number' || /^\d{5}(\.\d+)?$/.test(cleanText(value))) {
+            // Número de serie de Excel (días desde 1899-12-30)
+            const serial = Number(value);
+            if (serial < 20000 || serial > 80000) return null;
+            const wall = new Date(Math.round((serial - 25569) * 86400000));
+            return zonedTimeToDate({
+                year: wall.getUTCFullYear(), month: wall.getUTCMonth() + 1, day: wall.getUTCDate(),
+                hour: wall.getUTCHours(), minute: wall.getUTCMinutes(), second: wall.getUTCSeconds()
+            }, zone);
+        }
+
+        const text = cleanText(value);
+        if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text) && /^\d{4}-\d{2}-\d{2}T/.test(text)) {
+            const date = new Date(text);
+            return isNaN(date.getTime()) ? null : date;
+        }
+
+        const time = '(?:[ T]+(\\d{1,2}):(\\d{2})(?::(\\d{2}))?)?';
+        let parts = null;
+        let match = text.match(new RegExp(`^(\\d{4})-(\\d{1,2})-(\\d{1,2})${time}$`));
+        if (match) parts = { year: match[1], month: match[2], day: match[3], hour: match[4], minute: match[5], second: match[6] };
+        match = text.match(new RegExp(`^(\\d{1,2})[/.-](\\d{1,2})[/.-](\\d{4})${time}$`));
+        if (match) parts = { year: match[3], month: match[2], day: match[1], hour: match[4], minute: match[5], second: match[6] };
+        if (!parts) return null;
+
+        const numeric = Object.fromEntries(Object.entries(parts).map(([key, n]) => [key, parseInt(n || 0, 10)]));
+        if (numeric.month < 1 || numeric.month > 12 || numeric.day < 1 || numeric.day > 31 || numeric.hour > 23 || numeric.minute > 59 || numeric.second > 59) return null;
+        const date = zonedTimeToDate(numeric, zone);
+        // Rechazar fechas que se desbordan (31/02...)
+        return getZonedParts(date, zone).day === numeric.day ? date : null;
+    }
+
+    /**
+     * fecha_hora_entrada en el formato del backend (hora de pared de la zona de origen)
+     */
+    static formatEntryDate(date) {
+        const p = getZonedParts(date, getSourceTimeZone());
+        return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+    }
+
+    /**
+     * Código de país de dos letras a partir de un código o un nombre
+     * @param {Array<{ abreviatura, pais }>} countries - Json/paises.json
+     * @returns {{ code: string, known: boolean }}
+     */
+    static normalizeCountry(value, countries = []) {
+        const text = cleanText(value);
+        if (!text) return { code: '', known: true };
+        const upper = normalizeName(text).toUpperCase();
+        if (COUNTRY_ALIASES[upper]) return { code: COUNTRY_ALIASES[upper], known: true };
+        const byCode = countries.find(c => c.abreviatura === upper);
+        if (byCode) return { code: byCode.abreviatura, known: true };
+        const byName = countries.find(c => normalizeName(c.pais).toUpperCase() === upper);
+        if (byName) return { code: byName.abreviatura, known: true };
+        return { code: text.length === 2 ? text.toUpperCase() : text, known: false };
+    }
+
+    /**
+     * Construye y valida los pedidos
+     * @param {Object} parsed - Resultado de parseFile
+     * @param {Object} mapping - { campo: columna }
+     * @param {Object} options - { countries: Json/paises.json, defaultCountry }
+     * @returns {{ orders: Array, errors: Array<{ row, message }>, warnings: Array<{ row, message }>, rowsRead: number }}
+     *   row = número de fila en el archivo (en CSV la cabecera es la fila 1)
+     */
+    static buildOrders(parsed, mapping = {}, { countries = [], defaultCountry = '' } = {}) {
+        const errors = [];
+        const warnings = [];
+        const firstRow = parsed.format === 'csv' ? 2 : 1;
+        const read = (row, key) => (mapping[key] ? row[mapping[key]] : undefined);
+
+        const missing = OrderImporter.getFields(parsed.nested).filter(field => field.required && !mapping[field.key]);
+        if (missing.length > 0) {
+            throw new Error(`Falta asignar: ${missing.map(field => field.label).join(', ')}`);
+        }
+
+        // Agrupar filas en pedidos
+        const groups = new Map();
+        parsed.rows.forEach((row, index) => {
+            const number = cleanText(read(row, 'numero_pedido'));
+            const key = parsed.nested
+                ? `row:${index}`
+                : number
+                    ? `n:${number}`
+                    : `k:${cleanText(read(row, 'fecha_hora_entrada'))}|${cleanText(read(row, 'nombre_comprador')).toLowerCase()}|${cleanText(read(row, 'telefono_comprador'))}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push({ row, line: index + firstRow });
+        });
+
+        const orders = [];
+        groups.forEach(rows => {
+            const { row: head, line: headLine } = rows[0];
+            const fail = (message, row = headLine) => errors.push({ row, message });
+
+            const date = OrderImporter.parseDate(read(head, 'fecha_hora_entrada'));
+            if (!date) return fail(`Fecha no válida: "${cleanText(read(head, 'fecha_hora_entrada'))}"`);
+            const buyer = cleanText(read(head, 'nombre_comprador'));
+            if (!buyer) return fail('Falta el nombre del comprador');
+
+            const rawLines = parsed.nested
+                ? (Array.isArray(head.compras) ? head.compras : []).map(line => ({ source: line, line: headLine, nested: true }))
+                : rows.map(({ row, line }) => ({ source: row, line, nested: false }));
+            const compras = [];
+            for (const { source, line, nested } of rawLines) {
+                const get = (key) => (nested ? source[key] : read(source, key));
+                const name = cleanText(get('name'));
+                const quantity = OrderImporter.parseNumber(get('quantity'));
+                const unitPrice = OrderImporter.parseNumber(get('unitPrice'));
+                const discountRaw = cleanText(get('discount'));
+                const discount = discountRaw ? OrderImporter.parseNumber(discountRaw.replace('%', '')) : 0;
+
+                if (!name) return fail('Falta el producto', line);
+                if (!(quantity > 0)) return fail(`Cantidad no válida para "${name}"`, line);
+                if (!(unitPrice >= 0)) return fail(`Precio no válido para "${name}"`, line);
+                if (!(discount >= 0 && discount <= 100)) return fail(`Descuento no válido para "${name}"`, line);
+                if (!Number.isInteger(quantity)) warnings.push({ row: line, message: `Cantidad decimal (${quantity}) en "${name}"` });
+
+                compras.push({ id: cleanText(get('id')) || null, name, quantity, unitPrice, discount });
+            }
+            if (compras.length === 0) return fail('El pedido no tiene productos');
+
+            const computed = compras.reduce((acc, line) => acc + line.quantity * line.unitPrice * (1 - line.discount / 100), 0);
+            const totalRaw = cleanText(read(head, 'precio_compra_total'));
+            let total = computed;
+            if (totalRaw) {
+                const fileTotal = OrderImporter.parseNumber(totalRaw);
+                if (!(fileTotal >= 0)) return fail(`Total no válido: "${totalRaw}"`);
+                if (Math.abs(fileTotal - computed) > 0.01) {
+                    warnings.push({ row: headLine, message: `El total del archivo (${fileTotal.toFixed(2)}) no coincide con la suma de las líneas (${computed.toFixed(2)}); se usa el del archivo` });
+                }
+                total = fileTotal;
+            }
+
+            const country = OrderImporter.normalizeCountry(read(head, 'pais') ?? defaultCountry, countries);
+            if (!country.known) warnings.push({ row: headLine, message: `País no reconocido: "${country.code}"` });
+
+            const entryDate = OrderImporter.formatEntryDate(date);
+            const number = cleanText(read(head, 'numero_pedido'));
+            const phone = cleanText(read(head, 'telefono_comprador'));
+            const record = {
+                // Identificador estable: reimportar el mismo archivo se detecta como duplicado
+                ip: cleanText(read(head, 'ip')) || `${IMPORTED_ID_PREFIX}${number || shortHash(`${entryDate}|${buyer.toLowerCase()}|${phone}`)}`,
+                ...(number && { numero_pedido: number }),
+                pais: country.code || cleanText(defaultCountry),
+                fecha_hora_entrada: entryDate,
+                origen: cleanText(read(head, 'origen')) || 'Importado',
+                afiliado: cleanText(read(head, 'afiliado')) || 'Ninguno',
+                nombre_comprador: buyer,
+                telefono_comprador: phone,
+                correo_comprador: cleanText(read(head, 'correo_comprador')),
+                direccion_envio: cleanText(read(head, 'direccion_envio')),
+                compras,
+                precio_compra_total: total.toFixed(2),
+                'buquenqe.com': false
+            };
+            ['nombre_persona_entrega', 'telefono_persona_entrega'].forEach(key => {
+                const value = cleanText(read(head, key));
+                if (value) record[key] = value;
+            });
+            orders.push(record);
+        });
+
+        return { orders, errors, warnings, rowsRead: parsed.rows.length };
+    }
+}
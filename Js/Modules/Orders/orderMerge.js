@@ -0,0 +1,65 @@
+/**
+ * Combinación de pedidos con my_data.json
+ * Un pedido se identifica por IP + fecha_hora_entrada (la misma clave que usan
+ * las tarjetas de pedidos). Lo comparten el guardado del panel del servidor y
+ * la importación de archivos.
+ */
+
+/**
+ * Clave única de un pedido
+ */
+export function getPedidoKey(pedido) {
+    return `${pedido.ip}_${pedido.fecha_hora_entrada}`;
+}
+
+/**
+ * Combina pedidos nuevos con los existentes, evitando duplicados
+ * (si la clave ya existe se conserva el pedido existente)
+ * @param {Array} existingData - Pedidos existentes en GitHub
+ * @param {Array} newOrders - Pedidos nuevos
+ * @returns {Array} Pedidos combinados sin duplicados
+ */
+export function mergePedidos(existingData, newOrders) {
+    const existing = Array.isArray(existingData) ? existingData : [];
+    const incoming = Array.isArray(newOrders) ? newOrders : [];
+
+    const existingMap = {};
+    existing.forEach(pedido => {
+        existingMap[getPedidoKey(pedido)] = pedido;
+    });
+
+    incoming.forEach(newPedido => {
+        const key = getPedidoKey(newPedido);
+        if (!existingMap[key]) {
+            existingMap[key] = newPedido;
+        }
+    });
+
+    return Object.values(existingMap);
+}
+
+/**
+ * Simula mergePedidos para revisar el resultado antes de guardar
+ * @returns {{ merged: Array, added: Array, duplicates: Array<{ order, existing, inFile: boolean }> }}
+ *   inFile = el duplicado es otro pedido del mismo lote, no uno de my_data.json
+ */
+export function previewMerge(existingData, newOrders) {
+    const existingMap = new Map((Array.isArray(existingData) ? existingData : []).map(pedido => [getPedidoKey(pedido), pedido]));
+    const batchMap = new Map();
+    const added = [];
+    const duplicates = [];
+
+    (Array.isArray(newOrders) ? newOrders : []).forEach(order => {
+        const key = getPedidoKey(order);
+        if (existingMap.has(key)) {
+            duplicates.push({ order, existing: existingMap.get(key), inFile: false });
+        } else if (batchMap.has(key)) {
+            duplicates.push({ order, existing: batchMap.get(key), inFile: true });
+        } else {
+            batchMap.set(key, order);
+            added.push(order);
+        }
+    });
+
+    return { merged: mergePedidos(existingData, newOrders), added, duplicates };
+}
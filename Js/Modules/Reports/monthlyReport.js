@@ -0,0 +1,409 @@
+/**
+ * Informe mensual en PDF
+ * Reúne los datos de un mes (resumen general, gráficos, productos y clientes
+ * principales, finanzas y liquidaciones de las reglas de pago) y los maqueta en
+ * páginas A4 que se rasterizan con html2canvas y se empaquetan con jsPDF.
+ * Cabecera configurable: título, subtítulo, logo y color de acento.
+ */
+
+import { UIRenderer } from '../../UI/uiRenderer.js';
+import { formatCurrency, formatNumber, formatDate, getMonthName, escapeHtml } from '../../Core/utils.js';
+import { getZonedParts, makeDateKey, startOfDay, endOfDay, addDaysToKey } from '../../Core/timezone.js';
+import { PayoutRulesEngine } from '../Finanzas/payoutRules.js';
+
+const TEMPLATE_STORAGE_KEY = 'report_template';
+
+// Tamaño máximo del logo guardado en localStorage
+export const MAX_LOGO_BYTES = 300 * 1024;
+
+export const DEFAULT_REPORT_TEMPLATE = {
+    title: 'Buquenque',
+    subtitle: 'Informe mensual de ventas',
+    logo: '',
+    accentColor: '#4A90E2'
+};
+
+// Página A4 a 96 ppp
+const PAGE_WIDTH = 794;
+const PAGE_HEIGHT = 1123;
+
+function percentChange(current, previous) {
+    return previous > 0 ? ((current - previous) / previous) * 100 : null;
+}
+
+/**
+ * Espera a que terminen de cargar las imágenes (logo y gráficos) del contenedor
+ */
+function waitForImages(container) {
+    return Promise.all(Array.from(container.querySelectorAll('img')).map(img =>
+        img.complete ? Promise.resolve() : new Promise(resolve => { img.onload = img.onerror = resolve; })));
+}
+
+/**
+ * Numera las páginas en el pie ("Página N de M")
+ */
+function numberPages(container) {
+    const pages = container.querySelectorAll('.report-page');
+    pages.forEach((el, i) => {
+        el.querySelector('.report-page-number').textContent = `Página ${i + 1} de ${pages.length}`;
+    });
+}
+
+function deltaHtml(delta) {
+    if (delta === null) return '<span class="report-delta">sin datos del mes anterior</span>';
+    const className = delta > 0 ? 'positive' : delta < 0 ? 'negative' : '';
+    return `<span class="report-delta ${className}">${delta >= 0 ? '▲' : '▼'} ${Math.abs(delta).toFixed(1)}% vs. mes anterior</span>`;
+}
+
+export class MonthlyReport {
+    /**
+     * Plantilla de cabecera guardada (o la predeterminada)
+     */
+    static getTemplate() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(TEMPLATE_STORAGE_KEY));
+            return { ...DEFAULT_REPORT_TEMPLATE, ...(stored && typeof stored === 'object' ? stored : {}) };
+        } catch (e) {
+            return { ...DEFAULT_REPORT_TEMPLATE };
+        }
+    }
+
+    static saveTemplate(template = {}) {
+        const clean = {
+            title: String(template.title ?? '').trim() || DEFAULT_REPORT_TEMPLATE.title,
+            subtitle: String(template.subtitle ?? '').trim(),
+            logo: typeof template.logo === 'string' ? template.logo : '',
+            accentColor: /^#[0-9a-f]{6}$/i.test(template.accentColor) ? template.accentColor : DEFAULT_REPORT_TEMPLATE.accentColor
+        };
+        try {
+            localStorage.setItem(TEMPLATE_STORAGE_KEY, JSON.stringify(clean));
+        } catch (e) {
+            throw new Error('No se pudo guardar la plantilla (¿logo demasiado grande?)');
+        }
+        return clean;
+    }
+
+    /**
+     * Meses con pedidos, del más reciente al más antiguo
+     * @returns {Array<{ year, month, label }>} month 1-12
+     */
+    static getAvailableMonths(orders = []) {
+        const keys = new Set();
+        orders.forEach(order => {
+            if (!Array.isArray(order.compras) || order.compras.length === 0) return;
+            if (!(order.date instanceof Date) || isNaN(order.date.getTime())) return;
+            const { year, month } = getZonedParts(order.date);
+            keys.add(year * 100 + month);
+        });
+        return Array.from(keys)
+            .sort((a, b) => b - a)
+            .map(key => {
+                const year = Math.floor(key / 100);
+                const month = key % 100;
+                return { year, month, label: `${getMonthName(month - 1)} ${year}` };
+            });
+    }
+
+    /**
+     * Datos del informe de un mes (en la zona horaria del negocio)
+     * @param {DataManager} dataManager
+     * @param {Object} options
+     * @param {number} options.year
+     * @param {number} options.month - 1-12
+     * @param {number} options.fiscalStartMonth - Mes de inicio del año fiscal (0 = Enero)
+     * @param {Object|null} options.financials - { tasa, totales } de FinanzasManager.calculateFinancials
+     */
+    static collect(dataManager, { year, month, fiscalStartMonth = 0, financials = null, now = new Date() }) {
+        const firstDay = makeDateKey(year, month, 1);
+        const lastDay = makeDateKey(year, month + 1, 0);
+        const between = (from, to) => dataManager.data.filter(order =>
+            order.date >= from && order.date <= to && Array.isArray(order.compras) && order.compras.length > 0);
+
+        const orders = between(startOfDay(firstDay), endOfDay(lastDay));
+        const previousOrders = between(startOfDay(makeDateKey(year, month - 1, 1)), endOfDay(makeDateKey(year, month, 0)));
+        const stats = dataManager.getStats(orders);
+        const previousStats = dataManager.getStats(previousOrders);
+        const deltas = {};
+        Object.keys(stats).forEach(key => { deltas[key] = percentChange(stats[key], previousStats[key]); });
+
+        // Serie diaria completa (los días sin ventas cuentan como cero)
+        const daily = new Map(dataManager.getSalesTrend(orders).map(d => [d.date, d]));
+        const trend = [];
+        for (let key = firstDay; key <= lastDay; key = addDaysToKey(key, 1)) {
+            trend.push({ date: key, total: daily.get(key)?.total || 0, orders: daily.get(key)?.orders || 0 });
+        }
+
+        const customers = new Map();
+        orders.forEach(order => {
+            const id = order.customerId || order.buyerPhoneNormalized || order.buyerName;
+            if (!customers.has(id)) customers.set(id, { name: order.buyerName, phone: order.buyerPhone, orders: 0, revenue: 0 });
+            const customer = customers.get(id);
+            customer.orders++;
+            customer.revenue += order.total || 0;
+        });
+        const topCustomers = Array.from(customers.values())
+            .sort((a, b) => b.revenue - a.revenue || b.orders - a.orders)
+            .slice(0, 10);
+
+        const fiscalYear = dataManager.getFiscalYear(startOfDay(firstDay), fiscalStartMonth);
+        const today = getZonedParts(now);
+        const monthOffset = (today.year - year) * 12 + (today.month - month);
+
+        return {
+            year,
+            month,
+            label: `${getMonthName(month - 1)} ${year}`,
+            range: { startDate: firstDay, endDate: lastDay },
+            orders,
+            stats,
+            previousStats,
+            deltas,
+            trend,
+            topProducts: dataManager.getTopProducts(orders, 10, 'revenue'),
+            topCustomers,
+            monthlyData: dataManager.getMonthlyComparison(dataManager.data, { year: fiscalYear, fiscalStartMonth }),
+            fiscalYear,
+            fiscalStartMonth,
+            // Las liquidaciones solo existen para el mes actual o meses pasados
+            payouts: monthOffset >= 0 ? dataManager.getPayoutStatements(monthOffset, financials?.tasa || null) : [],
+            financials
+        };
+    }
+
+    /**
+     * HTML de las páginas del informe
+     * @param {Object} report - Resultado de collect
+     * @param {Object} options - { template, charts: { trend, products } (data URLs) }
+     * @returns {HTMLElement} Contenedor con un .report-page por página
+     */
+    static renderPages(report, { template = MonthlyReport.getTemplate(), charts = {} } = {}) {
+        const container = document.createElement('div');
+        container.className = 'report-render';
+        container.style.setProperty('--report-accent', template.accentColor || DEFAULT_REPORT_TEMPLATE.accentColor);
+
+        const generatedAt = formatDate(new Date(), { second: undefined });
+        const header = `
+            <header class="report-header">
+                ${template.logo ? `<img class="report-logo" src="${template.logo}" alt="">` : ''}
+                <div class="report-heading">
+                    <h1>${escapeHtml(template.title)}</h1>
+                    ${template.subtitle ? `<p>${escapeHtml(template.subtitle)}</p>` : ''}
+                </div>
+                <div class="report-period">${report.label}</div>
+            </header>
+        `;
+        const footer = `
+            <footer class="report-footer">
+                <span>Generado el ${generatedAt}</span>
+                <span class="report-page-number"></span>
+            </footer>
+        `;
+        const page = (body) => `<section class="report-page" style="width:${PAGE_WIDTH}px;height:${PAGE_HEIGHT}px;">${header}<div class="report-body">${body}</div>${footer}</section>`;
+        const { stats, deltas } = report;
+
+        const kpis = [
+            { label: 'Ventas', value: formatCurrency(stats.totalSales), delta: deltas.totalSales },
+            { label: 'Pedidos', value: formatNumber(stats.totalOrders), delta: deltas.totalOrders },
+            { label: 'Ticket medio', value: formatCurrency(stats.avgOrderValue), delta: deltas.avgOrderValue },
+            { label: 'Productos vendidos', value: formatNumber(stats.totalProducts), delta: deltas.totalProducts },
+            { label: 'Clientes únicos', value: formatNumber(stats.uniqueCustomers), delta: deltas.uniqueCustomers }
+        ];
+
+        const overview = `
+            <div class="report-summary summary-grid"></div>
+            <h2>Indicadores del mes</h2>
+            <div class="report-kpis">
+                ${kpis.map(kpi => `
+                    <div class="report-kpi">
+                        <div class="report-kpi-value">${kpi.value}</div>
+                        <div class="report-kpi-label">${kpi.label}</div>
+                        ${deltaHtml(kpi.delta)}
+                    </div>
+                `).join('')}
+            </div>
+            <h2>Ventas diarias</h2>
+            ${charts.trend ? `<img class="report-chart" src="${charts.trend}" alt="">` : '<p class="report-muted">Sin gráfico disponible.</p>'}
+        `;
+
+        const products = `
+            <h2>Productos más vendidos</h2>
+            ${charts.products ? `<img class="report-chart" src="${charts.products}" alt="">` : ''}
+            <table class="report-table">
+                <thead><tr><th>#</th><th>Producto</th><th>Unidades</th><th>Ingresos</th></tr></thead>
+                <tbody>
+                    ${report.topProducts.map((p, i) => `
+                        <tr><td>${i + 1}</td><td>${escapeHtml(p.product)}</td><td>${formatNumber(p.quantity)}</td><td>${formatCurrency(p.revenue)}</td></tr>
+                    `).join('') || '<tr><td colspan="4" class="report-muted">Sin ventas este mes.</td></tr>'}
+                </tbody>
+            </table>
+        `;
+
+        // En página aparte: junto al gráfico y a los nombres largos de producto se recortaban filas
+        const customers = `
+            <h2>Mejores clientes</h2>
+            <table class="report-table">
+                <thead><tr><th>#</th><th>Cliente</th><th>Teléfono</th><th>Pedidos</th><th>Total</th></tr></thead>
+                <tbody>
+                    ${report.topCustomers.map((c, i) => `
+                        <tr><td>${i + 1}</td><td>${escapeHtml(c.name)}</td><td>${escapeHtml(c.phone)}</td><td>${formatNumber(c.orders)}</td><td>${formatCurrency(c.revenue)}</td></tr>
+                    `).join('') || '<tr><td colspan="5" class="report-muted">Sin clientes este mes.</td></tr>'}
+                </tbody>
+            </table>
+        `;
+
+        const totals = report.financials?.totales;
+        const rate = report.financials?.tasa;
+        const finance = `
+            <h2>Finanzas</h2>
+            ${totals ? `
+                <p class="report-muted">Valor del inventario actual a la tasa de ${formatNumber(rate)} CUP por USD.</p>
+                <div class="report-kpis">
+                    <div class="report-kpi"><div class="report-kpi-value">${formatCurrency(totals.costoUSD)}</div><div class="report-kpi-label">Costo del inventario (USD)</div></div>
+                    <div class="report-kpi"><div class="report-kpi-value">${formatCurrency(totals.ventaUSD)}</div><div class="report-kpi-label">Valor de venta (USD)</div></div>
+                    <div class="report-kpi"><div class="report-kpi-value">${formatCurrency(totals.gananciaUSD)}</div><div class="report-kpi-label">Ganancia potencial (USD)</div></div>
+                    <div class="report-kpi"><div class="report-kpi-value">${formatNumber(totals.items)}</div><div class="report-kpi-label">Unidades en stock</div></div>
+                    <div class="report-kpi"><div class="report-kpi-value">${totals.margenPromedio.toFixed(1)}%</div><div class="report-kpi-label">Margen promedio</div></div>
+                </div>
+            ` : '<p class="report-muted">Datos financieros no disponibles (inventario o tasa de cambio sin cargar).</p>'}
+            <h2>Liquidaciones</h2>
+            <table class="report-table">
+                <thead><tr><th>Beneficiario</th><th>Regla</th><th>Periodo</th><th>Ventas</th><th>Importe USD</th><th>Importe CUP</th><th>Estado</th></tr></thead>
+                <tbody>
+                    ${report.payouts.map(s => `
+                        <tr>
+                            <td>${escapeHtml(s.rule.name)}</td>
+                            <td>${PayoutRulesEngine.describeRule(s.rule)}${s.rule.affiliate ? ` (afiliado ${escapeHtml(s.rule.affiliate)})` : ''}</td>
+                            <td>${s.startDate} → ${s.endDate}</td>
+                            <td>${formatCurrency(s.sales)}</td>
+                            <td>${s.amountUSD !== null ? formatCurrency(s.amountUSD) : '—'}</td>
+                            <td>${s.amountCUP !== null ? `${formatNumber(Math.round(s.amountCUP))} CUP` : '—'}</td>
+                            <td>${s.closed ? 'Cerrado' : 'Abierto'}</td>
+                        </tr>
+                    `).join('') || '<tr><td colspan="7" class="report-muted">Sin reglas de pago para este mes.</td></tr>'}
+                </tbody>
+            </table>
+        `;
+
+        container.innerHTML = [overview, products, customers, finance].map(page).join('');
+
+        // Resumen general con el mismo componente del dashboard, referido al mes del informe
+        UIRenderer.renderGeneralSummary(container.querySelector('.report-summary'), report.monthlyData, report.orders, 'month', {
+            year: report.fiscalYear,
+            fiscalStartMonth: report.fiscalStartMonth,
+            reference: { year: report.year, monthIndex: report.month - 1 }
+        });
+
+        numberPages(container);
+        return container;
+    }
+
+    /**
+     * Reparte en páginas nuevas el contenido que no cabe en su página A4.
+     * Mide el contenido ya maquetado, así que el contenedor debe estar en el documento
+     * y con las imágenes cargadas. Las tablas se cortan por filas y siguen en la
+     * página siguiente con la cabecera repetida.
+     * @param {HTMLElement} container - Resultado de renderPages
+     */
+    static paginate(container) {
+        let page = container.querySelector('.report-page');
+        while (page) {
+            const next = MonthlyReport.splitOverflow(page);
+            if (next) page.after(next);
+            page = page.nextElementSibling;
+        }
+        numberPages(container);
+    }
+
+    /**
+     * Saca de la página lo que desborda su cuerpo
+     * @returns {HTMLElement|null} Página de continuación, o null si todo cabe (o no se puede cortar)
+     */
+    static splitOverflow(page) {
+        const body = page.querySelector('.report-body');
+        if (body.scrollHeight <= body.clientHeight) return null;
+
+        const limit = body.getBoundingClientRect().bottom - parseFloat(getComputedStyle(body).paddingBottom || 0);
+        const blocks = Array.from(body.children);
+        const index = blocks.findIndex(el => el.getBoundingClientRect().bottom > limit);
+        if (index === -1) return null;
+
+        const next = page.cloneNode(true);
+        const nextBody = next.querySelector('.report-body');
+        nextBody.replaceChildren();
+
+        const block = blocks[index];
+        const rows = block.matches('table') ? Array.from(block.tBodies[0]?.rows || []) : [];
+        const firstRow = rows.findIndex(row => row.getBoundingClientRect().bottom > limit);
+        const heading = blocks.slice(0, index).reverse().find(el => el.matches('h2'));
+        const continueHeading = () => {
+            if (!heading) return;
+            const title = heading.cloneNode(true);
+            title.textContent = `${heading.textContent} (continuación)`;
+            nextBody.append(title);
+        };
+
+        // Todas las filas caben (solo desborda el margen): pasa lo que viene después
+        if (rows.length > 0 && firstRow === -1) {
+            if (index === blocks.length - 1) return null;
+            nextBody.append(...blocks.slice(index + 1));
+            return next;
+        }
+
+        if (firstRow > 0) {
+            // La tabla sigue en la página siguiente con su título y la cabecera
+            continueHeading();
+            const table = block.cloneNode(false);
+            if (block.tHead) table.append(block.tHead.cloneNode(true));
+            const tbody = document.createElement('tbody');
+            tbody.append(...rows.slice(firstRow));
+            table.append(tbody);
+            nextBody.append(table, ...blocks.slice(index + 1));
+            return next;
+        }
+
+        // El bloque pasa entero, junto con su título si lo tiene justo encima
+        const start = index > 0 && blocks[index - 1].matches('h2') ? index - 1 : index;
+        // Si ni el primer bloque cabe solo, no hay corte posible
+        if (start === 0) return null;
+        if (start === index && !block.matches('h2')) continueHeading();
+        nextBody.append(...blocks.slice(start));
+        return next;
+    }
+
+    /**
+     * Genera y descarga el PDF (una imagen por página A4)
+     * @returns {Promise<string>} Nombre del archivo
+     */
+    static async exportPDF(report, { template, charts } = {}) {
+        const jsPDF = window.jspdf?.jsPDF;
+        if (!jsPDF || !window.html2canvas) throw new Error('No se pudieron cargar las librerías de PDF');
+
+        const container = MonthlyReport.renderPages(report, { template, charts });
+        // Fuera de pantalla pero en el documento, para que html2canvas aplique los estilos
+        container.style.position = 'fixed';
+        container.style.left = '-10000px';
+        container.style.top = '0';
+        document.body.appendChild(container);
+
+        try {
+            await waitForImages(container);
+            MonthlyReport.paginate(container);
+            // Las páginas añadidas copian la cabecera con el logo
+            await waitForImages(container);
+
+            const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+            const pages = Array.from(container.querySelectorAll('.report-page'));
+            for (let i = 0; i < pages.length; i++) {
+                const canvas = await window.html2canvas(pages[i], { scale: 2, backgroundColor: '#FFFFFF', useCORS: true });
+                if (i > 0) pdf.addPage();
+                pdf.addImage(canvas.toDataURL('image/jpeg', 0.92), 'JPEG', 0, 0, 210, 297);
+            }
+
+            const fileName = `informe_${report.year}-${String(report.month).padStart(2, '0')}.pdf`;
+            pdf.save(fileName);
+            return fileName;
+        } finally {
+            container.remove();
+        }
+    }
+}
@@ -0,0 +1,174 @@
+/**
+ * Vistas guardadas del dashboard
+ * Guarda con nombre el estado completo de los filtros (criterios de
+ * filterByCriteria y comparación), el término de búsqueda y la vista activa.
+ * El mismo estado se serializa en el hash de la URL para poder compartirlo.
+ */
+
+const STORAGE_KEY = 'dashboard_saved_views';
+
+/**
+ * Campos del estado -> id del control en el modal de filtros.
+ * - param: nombre corto en el hash de la URL
+ * - empty: valor que equivale a "sin filtro" (no se escribe en el hash)
+ */
+export const FILTER_FIELDS = {
+    period: { id: 'filter-period', param: 'periodo', empty: 'all' },
+    startDate: { id: 'filter-date-start', param: 'desde', empty: '' },
+    endDate: { id: 'filter-date-end', param: 'hasta', empty: '' },
+    country: { id: 'filter-country', param: 'pais', empty: 'all' },
+    affiliate: { id: 'filter-affiliate', param: 'afiliado', empty: 'all' },
+    userType: { id: 'filter-user-type', param: 'usuario', empty: 'all' },
+    segment: { id: 'filter-segment', param: 'segmento', empty: 'all' },
+    browser: { id: 'filter-browser', param: 'navegador', empty: 'all' },
+    os: { id: 'filter-os', param: 'so', empty: 'all' },
+    minTotal: { id: 'filter-min-total', param: 'min', empty: '' },
+    maxTotal: { id: 'filter-max-total', param: 'max', empty: '' },
+    hasPurchase: { id: 'filter-has-purchase', param: 'compra', empty: 'all' },
+    compare: { id: 'filter-compare', param: 'comparar', empty: 'none' }
+};
+
+const SEARCH_PARAM = 'q';
+const VIEW_PARAM = 'vista';
+const DEFAULT_VIEW = 'dashboard';
+
+export class SavedViewsManager {
+    constructor() {
+        this.views = this.load();
+    }
+
+    /**
+     * Lee el estado actual de los controles
+     * @returns {{ filters: Object, search: string, view: string }}
+     */
+    static readState() {
+        const filters = {};
+        Object.entries(FILTER_FIELDS).forEach(([key, { id, empty }]) => {
+            filters[key] = document.getElementById(id)?.value || empty;
+        });
+        return {
+            filters,
+            search: document.getElementById('search-data')?.value || '',
+            view: document.querySelector('.menu-item.active[data-view]')?.dataset.view || DEFAULT_VIEW
+        };
+    }
+
+    /**
+     * Escribe un estado en los controles (no aplica los filtros)
+     * Los campos ausentes vuelven a su valor "sin filtro".
+     */
+    static writeState(state = {}) {
+        const filters = state.filters || {};
+        Object.entries(FILTER_FIELDS).forEach(([key, { id, empty }]) => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            const value = filters[key] ?? empty;
+            // Valores que aún no existen en un select (ej: afiliado sin pedidos cargados)
+            if (el.tagName === 'SELECT' && value !== empty && !Array.from(el.options).some(o => o.value === value)) {
+                el.add(new Option(value, value));
+            }
+            el.value = value;
+        });
+        const searchInput = document.getElementById('search-data');
+        if (searchInput) searchInput.value = state.search || '';
+    }
+
+    /**
+     * Serializa un estado para el hash de la URL (solo los valores con filtro)
+     */
+    static toHash(state = {}) {
+        const params = new URLSearchParams();
+        if (state.view && state.view !== DEFAULT_VIEW) params.set(VIEW_PARAM, state.view);
+        Object.entries(FILTER_FIELDS).forEach(([key, { param, empty }]) => {
+            const value = state.filters?.[key];
+            // El periodo se escribe siempre: sin él no se distingue "Todos" del valor inicial
+            if (key === 'period' || (value !== undefined && value !== null && value !== empty)) params.set(param, value ?? empty);
+        });
+        if (state.search) params.set(SEARCH_PARAM, state.search);
+        return params.toString();
+    }
+
+    /**
+     * Interpreta el hash de la URL
+     * @returns {Object|null} Estado o null si el hash no contiene filtros
+     */
+    static fromHash(hash = '') {
+        const params = new URLSearchParams(String(hash).replace(/^#/, ''));
+        const known = [VIEW_PARAM, SEARCH_PARAM, ...Object.values(FILTER_FIELDS).map(f => f.param)];
+        if (!known.some(param => params.has(param))) return null;
+
+        const filters = {};
+        Object.entries(FILTER_FIELDS).forEach(([key, { param, empty }]) => {
+            filters[key] = params.get(param) ?? empty;
+        });
+        return {
+            filters,
+            search: params.get(SEARCH_PARAM) || '',
+            view: params.get(VIEW_PARAM) || DEFAULT_VIEW
+        };
+    }
+
+    /**
+     * Criterios para DataManager.filterByCriteria (sin la comparación, que es del dashboard)
+     */
+    static toCriteria(filters = {}) {
+        const criteria = {};
+        Object.entries(FILTER_FIELDS).forEach(([key, { empty }]) => {
+            if (key === 'compare') return;
+            const value = filters[key] ?? empty;
+            criteria[key] = value === '' && (key === 'startDate' || key === 'endDate') ? null : value;
+        });
+        return criteria;
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            return Array.isArray(stored) ? stored.filter(v => v && v.name && v.state) : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    persist() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.views));
+    }
+
+    /**
+     * Vistas guardadas ordenadas por nombre
+     */
+    list() {
+        return [...this.views].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    get(name) {
+        return this.views.find(v => v.name === name) || null;
+    }
+
+    /**
+     * Guarda (o sobrescribe) una vista con nombre
+     */
+    save(name, state) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) throw new Error('La vista necesita un nombre');
+        const view = { name: trimmed, state, savedAt: new Date().toISOString() };
+        const idx = this.views.findIndex(v => v.name === trimmed);
+        if (idx >= 0) this.views[idx] = view;
+        else this.views.push(view);
+        this.persist();
+        return view;
+    }
+
+    remove(name) {
+        this.views = this.views.filter(v => v.name !== name);
+        this.persist();
+    }
+
+    /**
+     * JSON con las vistas guardadas (o solo la indicada)
+     */
+    exportJSON(name = null) {
+        const views = name ? this.views.filter(v => v.name === name) : this.list();
+        return JSON.stringify({ type: 'buquenque-saved-views', exportedAt: new Date().toISOString(), views }, null, 2);
+    }
+}
@@ -7,6 +7,8 @@ import { GitHubManager } from '../Github/githubManager.js';
 import { showAlert } from '../../Core/utils.js';
 import { confirm as modalConfirm } from '../../UI/modalUtils.js';
 import { CONFIG } from '../../Core/config.js';
+import { TIME_ZONE_OPTIONS, getBusinessTimeZone, setBusinessTimeZone } from '../../Core/timezone.js';
+import { getDefaultDeliveryArea, setDefaultDeliveryArea } from '../Analytics/deliveryGeography.js';
 
 export class SettingsUI {
     constructor() {
@@ -33,6 +35,9 @@ export class SettingsUI {
         this.autoSaveCheckbox = document.getElementById('auto-save-enabled');
         this.autoSaveInterval = document.getElementById('auto-save-interval');
         this.summaryBotCheckbox = document.getElementById('summary-bot-enabled');
+        this.fiscalYearStartSelect = document.getElementById('fiscal-year-start');
+        this.businessTimeZoneSelect = document.getElementById('business-timezone');
+        this.deliveryAreaSelect = document.getElementById('delivery-default-area');
         this.savePreferencesBtn = document.getElementById('save-preferences');
     }
 
@@ -66,6 +71,63 @@ export class SettingsUI {
         if (this.summaryBotCheckbox) {
             this.summaryBotCheckbox.checked = summaryBotEnabled;
         }
+        if (this.fiscalYearStartSelect) {
+            this.fiscalYearStartSelect.value = String(SettingsUI.getFiscalYearStartMonth());
+        }
+        if (this.businessTimeZoneSelect) {
+            const current = getBusinessTimeZone();
+            const options = TIME_ZONE_OPTIONS.some(tz => tz.id === current)
+                ? TIME_ZONE_OPTIONS
+                : [...TIME_ZONE_OPTIONS, { id: current, label: current }];
+            this.businessTimeZoneSelect.innerHTML = options
+                .map(tz => `<option value="${tz.id}">${tz.label}</option>`)
+                .join('');
+            this.businessTimeZoneSelect.value = current;
+        }
+        this.loadDeliveryAreaOptions();
+    }
+
+    /**
+     * Valor de la zona de entrega en el selector: "Provincia" o "Provincia|Municipio" ('' = ninguna)
+     */
+    static toDeliveryAreaValue(area) {
+        if (!area) return '';
+        return area.municipality ? `${area.province}|${area.municipality}` : area.province;
+    }
+
+    /**
+     * Rellena el selector de zona de entrega con el nomenclátor de municipios
+     */
+    async loadDeliveryAreaOptions() {
+        if (!this.deliveryAreaSelect) return;
+        let provinces = [];
+        try {
+            const response = await fetch('Json/cuba_municipios.json');
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            provinces = (await response.json()).provincias || [];
+        } catch (error) {
+            console.warn('No se pudo cargar el nomenclátor para la zona de entrega:', error);
+        }
+
+        const escapeAttr = (text) => String(text).replace(/"/g, '&quot;');
+        this.deliveryAreaSelect.innerHTML = '<option value="">Ninguna (dejar sin identificar)</option>' +
+            provinces.map(p => `
+                <optgroup label="${escapeAttr(p.nombre)}">
+                    <option value="${escapeAttr(p.nombre)}">${p.nombre} (toda la provincia)</option>
+                    ${(p.municipios || []).map(m => `<option value="${escapeAttr(`${p.nombre}|${m.nombre}`)}">${m.nombre}</option>`).join('')}
+                </optgroup>
+            `).join('');
+        this.deliveryAreaSelect.value = SettingsUI.toDeliveryAreaValue(getDefaultDeliveryArea());
+        // Sin nomenclátor el selector no refleja la zona guardada: no se sobrescribe al guardar
+        this.deliveryAreasLoaded = provinces.length > 0;
+    }
+
+    /**
+     * Mes de inicio del año fiscal guardado (0 = Enero)
+     */
+    static getFiscalYearStartMonth() {
+        const stored = parseInt(localStorage.getItem('fiscal_year_start_month'), 10);
+        return stored >= 0 && stored <= 11 ? stored : CONFIG.FISCAL_YEAR.START_MONTH;
     }
 
     toggleTokenVisibility() {
@@ -172,6 +234,28 @@ export class SettingsUI {
         localStorage.setItem('auto_save_interval', autoSaveInterval);
         localStorage.setItem('summary_bot_enabled', summaryBotEnabled.toString());
 
+        const previousFiscalStart = SettingsUI.getFiscalYearStartMonth();
+        const fiscalYearStart = this.fiscalYearStartSelect?.value ?? String(previousFiscalStart);
+        localStorage.setItem('fiscal_year_start_month', fiscalYearStart);
+        if (Number(fiscalYearStart) !== previousFiscalStart) {
+            document.dispatchEvent(new CustomEvent('preferences:fiscal-year', { detail: { startMonth: Number(fiscalYearStart) } }));
+        }
+
+        const previousTimeZone = getBusinessTimeZone();
+        const timeZone = this.businessTimeZoneSelect?.value || previousTimeZone;
+        if (timeZone !== previousTimeZone) {
+            setBusinessTimeZone(timeZone);
+            document.dispatchEvent(new CustomEvent('preferences:timezone', { detail: { timeZone } }));
+        }
+
+        const previousArea = SettingsUI.toDeliveryAreaValue(getDefaultDeliveryArea());
+        const areaValue = this.deliveryAreaSelect?.value ?? previousArea;
+        if (this.deliveryAreasLoaded && areaValue !== previousArea) {
+            const [province, municipality = null] = areaValue ? areaValue.split('|') : [];
+            setDefaultDeliveryArea(province ? { province, municipality } : null);
+            document.dispatchEvent(new CustomEvent('preferences:delivery-area', { detail: { area: getDefaultDeliveryArea() } }));
+        }
+
         if (window.SummaryBot && typeof window.SummaryBot.setEnabled === 'function') {
             window.SummaryBot.setEnabled(summaryBotEnabled);
         }
@@ -0,0 +1,281 @@
+/**
+ * Asistente de importación de pedidos (vista Herramientas)
+ * Pasos: archivo CSV/JSON → asignación de columnas → validación →
+ * vista previa de duplicados frente a my_data.json → guardado en GitHub.
+ */
+
+import { GitHubManager } from "../Github/githubManager.js";
+import { OrderImporter } from "../Orders/orderImport.js";
+import { previewMerge } from "../Orders/orderMerge.js";
+import { showAlert, formatCurrency, formatNumber, escapeHtml } from "../../Core/utils.js";
+import { confirm } from "../../UI/modalUtils.js";
+
+// Máximo de errores / avisos que se listan en la validación
+const MAX_LISTED_ISSUES = 20;
+
+class OrderImportWizard {
+  constructor() {
+    this.root = document.getElementById("order-import");
+    if (!this.root) return;
+    this.countries = [];
+    this.reset();
+    this.setupEventListeners();
+    this.loadCountries();
+  }
+
+  /**
+   * Países (código y nombre) para normalizar la columna País
+   */
+  async loadCountries() {
+    try {
+      const response = await fetch("Json/paises.json");
+      if (response.ok) this.countries = await response.json();
+    } catch (error) {
+      console.warn("Importación: no se pudo cargar la lista de países", error);
+    }
+  }
+
+  setupEventListeners() {
+    document
+      .getElementById("import-file")
+      ?.addEventListener("change", (e) => this.readFile(e.target.files?.[0]));
+    document
+      .getElementById("import-reset")
+      ?.addEventListener("click", () => this.reset());
+    document
+      .getElementById("import-validate")
+      ?.addEventListener("click", () => this.validate());
+    document
+      .getElementById("import-preview")
+      ?.addEventListener("click", () => this.preview());
+    document
+      .getElementById("import-commit")
+      ?.addEventListener("click", () => this.commit());
+    // Cambiar la asignación o el país invalida los pasos siguientes
+    document
+      .getElementById("import-mapping")
+      ?.addEventListener("change", () => this.showStep("mapping"));
+    document
+      .getElementById("import-default-country")
+      ?.addEventListener("change", () => {
+        if (this.parsed) this.showStep("mapping");
+      });
+  }
+
+  reset() {
+    this.parsed = null;
+    this.fileName = "";
+    this.result = null;
+    this.mergePreview = null;
+    const input = document.getElementById("import-file");
+    if (input) input.value = "";
+    const info = document.getElementById("import-file-info");
+    if (info) info.textContent = "";
+    this.showStep("file");
+  }
+
+  /**
+   * Muestra los pasos hasta `step` y oculta los siguientes
+   */
+  showStep(step) {
+    const steps = ["file", "mapping", "validation", "preview"];
+    const current = steps.indexOf(step);
+    if (current < steps.indexOf("validation")) this.result = null;
+    if (current < steps.indexOf("preview")) this.mergePreview = null;
+    steps.slice(1).forEach((name, i) => {
+      const section = document.getElementById(`import-step-${name}`);
+      if (section) section.hidden = i + 1 > current;
+    });
+  }
+
+  async readFile(file) {
+    if (!file) return;
+    try {
+      const text = await file.text();
+      this.parsed = OrderImporter.parseFile(text, file.name);
+      this.fileName = file.name;
+      if (this.parsed.rows.length === 0) throw new Error("El archivo no tiene filas");
+
+      const info = document.getElementById("import-file-info");
+      if (info) {
+        const format = this.parsed.format === "csv"
+          ? `CSV (separador "${this.parsed.delimiter === "\t" ? "tabulador" : this.parsed.delimiter}")`
+          : this.parsed.nested
+            ? "JSON con el formato de my_data.json"
+            : "JSON";
+        info.textContent = `${file.name}: ${format}, ${formatNumber(this.parsed.rows.length)} fila(s), ${this.parsed.columns.length} columna(s).`;
+      }
+      this.renderMapping(OrderImporter.suggestMapping(this.parsed.columns, this.parsed.nested));
+      this.showStep("mapping");
+    } catch (error) {
+      this.parsed = null;
+      this.showStep("file");
+      showAlert(`❌ ${error.message}`, "error", 4000);
+    }
+  }
+
+  renderMapping(mapping) {
+    const container = document.getElementById("import-mapping");
+    if (!container) return;
+    const options = (selected) => [
+      `<option value="">— Ignorar —</option>`,
+      ...this.parsed.columns.map((column) =>
+        `<option value="${escapeHtml(column)}" ${column === selected ? "selected" : ""}>${escapeHtml(column)}</option>`),
+    ].join("");
+
+    container.innerHTML = OrderImporter.getFields(this.parsed.nested)
+      .map((field) => `
+        <label class="import-mapping-row">
+          <span>${field.label}${field.required ? ' <strong class="import-required">*</strong>' : ""}<code>${field.key}</code></span>
+          <select data-field="${field.key}">${options(mapping[field.key])}</select>
+        </label>
+      `)
+      .join("");
+  }
+
+  getMapping() {
+    const mapping = {};
+    document.querySelectorAll("#import-mapping select[data-field]").forEach((select) => {
+      if (select.value) mapping[select.dataset.field] = select.value;
+    });
+    return mapping;
+  }
+
+  validate() {
+    if (!this.parsed) return;
+    try {
+      const defaultCountry = document.getElementById("import-default-country")?.value || "";
+      this.result = OrderImporter.buildOrders(this.parsed, this.getMapping(), {
+        countries: this.countries,
+        defaultCountry,
+      });
+    } catch (error) {
+      showAlert(`❌ ${error.message}`, "error", 4000);
+      return;
+    }
+
+    const { orders, errors, warnings, rowsRead } = this.result;
+    const list = (items, className) => items.length === 0 ? "" : `
+      <ul class="import-issues ${className}">
+        ${items.slice(0, MAX_LISTED_ISSUES).map((item) => `<li>Fila ${item.row}: ${escapeHtml(item.message)}</li>`).join("")}
+        ${items.length > MAX_LISTED_ISSUES ? `<li>… y ${items.length - MAX_LISTED_ISSUES} más</li>` : ""}
+      </ul>
+    `;
+
+    document.getElementById("import-validation").innerHTML = `
+      <p>
+        ${formatNumber(rowsRead)} fila(s) leídas:
+        <strong>${formatNumber(orders.length)} pedido(s) válidos</strong>,
+        ${formatNumber(errors.length)} con errores (se omiten),
+        ${formatNumber(warnings.length)} aviso(s).
+      </p>
+      ${list(errors, "errors")}
+      ${list(warnings, "warnings")}
+    `;
+    this.showStep("validation");
+    document.getElementById("import-preview").disabled = orders.length === 0;
+  }
+
+  /**
+   * Descarga my_data.json y simula la combinación (mergePedidos)
+   */
+  async preview() {
+    if (!this.result || this.result.orders.length === 0) return;
+    const githubManager = new GitHubManager();
+    if (!githubManager.isConfigured()) {
+      showAlert("❌ Por favor, configura tu token de GitHub en Ajustes", "error", 3000);
+      return;
+    }
+
+    const button = document.getElementById("import-preview");
+    button.disabled = true;
+    try {
+      const existing = await githubManager.loadPedidos();
+      this.mergePreview = previewMerge(existing, this.result.orders);
+    } catch (error) {
+      console.error("Error al cargar pedidos para la importación:", error);
+      showAlert(`❌ ${error.message}`, "error", 4000);
+      return;
+    } finally {
+      button.disabled = false;
+    }
+
+    const { added, duplicates, merged } = this.mergePreview;
+    const duplicateOf = new Map(duplicates.map((d) => [d.order, d]));
+    const rows = this.result.orders.map((order) => {
+      const duplicate = duplicateOf.get(order);
+      const status = !duplicate
+        ? '<span class="import-status new">Nuevo</span>'
+        : duplicate.inFile
+          ? '<span class="import-status duplicate">Repetido en el archivo</span>'
+          : `<span class="import-status duplicate" title="${escapeHtml(duplicate.existing.nombre_comprador)}">Ya está en my_data.json</span>`;
+      return `
+        <tr class="${duplicate ? "is-duplicate" : ""}">
+          <td>${escapeHtml(order.fecha_hora_entrada)}</td>
+          <td>${escapeHtml(order.ip)}</td>
+          <td>${escapeHtml(order.nombre_comprador)}</td>
+          <td>${escapeHtml(order.compras.map((line) => `${line.quantity} × ${line.name}`).join(", "))}</td>
+          <td>${formatCurrency(order.precio_compra_total)}</td>
+          <td>${status}</td>
+        </tr>
+      `;
+    }).join("");
+
+    document.getElementById("import-preview-result").innerHTML = `
+      <p>
+        <strong>${formatNumber(added.length)} pedido(s) nuevos</strong> y
+        ${formatNumber(duplicates.length)} duplicado(s) que se omitirán.
+        my_data.json pasará de ${formatNumber(merged.length - added.length)} a ${formatNumber(merged.length)} pedidos.
+      </p>
+      <div class="import-table-wrapper">
+        <table class="import-table">
+          <thead><tr><th>Fecha</th><th>ID</th><th>Comprador</th><th>Productos</th><th>Total</th><th>Estado</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+    this.showStep("preview");
+    document.getElementById("import-commit").disabled = added.length === 0;
+  }
+
+  /**
+   * Guarda en GitHub. Se vuelve a descargar my_data.json para no pisar cambios recientes.
+   */
+  async commit() {
+    if (!this.mergePreview || this.mergePreview.added.length === 0) return;
+    const ok = await confirm(`Se añadirán ${this.mergePreview.added.length} pedido(s) a my_data.json. ¿Continuar?`);
+    if (!ok) return;
+
+    const githubManager = new GitHubManager();
+    const button = document.getElementById("import-commit");
+    const originalHtml = button.innerHTML;
+    button.disabled = true;
+    button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Guardando...';
+
+    try {
+      const existing = await githubManager.loadPedidos();
+      const { merged, added } = previewMerge(existing, this.result.orders);
+      if (added.length === 0) {
+        showAlert("⚠️ Todos los pedidos ya están en my_data.json", "warning", 3000);
+        return;
+      }
+      const timestamp = new Date().toLocaleString("es-ES");
+      const result = await githubManager.savePedidos(
+        merged,
+        `Importar pedidos - ${timestamp} (${added.length} pedidos externos de ${this.fileName})`,
+      );
+      showAlert(`✅ ${result.message}`, "success", 3000);
+      this.reset();
+    } catch (error) {
+      console.error("Error al importar pedidos:", error);
+      showAlert(`❌ Error: ${error.message}`, "error", 4000);
+    } finally {
+      button.disabled = false;
+      button.innerHTML = originalHtml;
+    }
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  new OrderImportWizard();
+});
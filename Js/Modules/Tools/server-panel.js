@@ -4,9 +4,22 @@
 
 import { GitHubManager } from "../Github/githubManager.js";
 import { GitHubSaveModal } from "../Github/githubSaveModal.js";
-import { showAlert } from "../../Core/utils.js";
+import { showAlert, formatDate, normalizeWhatsAppPhone } from "../../Core/utils.js";
 import { CONFIG } from "../../Core/config.js";
+import {
+  parseDateTime,
+  getZonedParts,
+  zonedTimeToDate,
+  getBusinessTimeZone,
+} from "../../Core/timezone.js";
 import { confirm } from "../../UI/modalUtils.js";
+import { mergePedidos } from "../Orders/orderMerge.js";
+import { CustomerIdentityResolver } from "../Analytics/customerIdentity.js";
+import {
+  SessionFunnel,
+  FUNNEL_BREAKDOWNS,
+  DEFAULT_ENGAGED_SECONDS,
+} from "../Analytics/sessionFunnel.js";
 
 const BACKEND_URL = CONFIG.BACKEND_URL;
 
@@ -15,7 +28,14 @@ class ServerPanel {
   constructor() {
     this.githubManager = new GitHubManager();
     this.saveModal = new GitHubSaveModal();
+    this.identityResolver = new CustomerIdentityResolver();
+    // Umbral (segundos) de sesión con interacción para el embudo
+    this.funnelEngagedSeconds =
+      parseInt(localStorage.getItem("funnel_engaged_seconds"), 10) ||
+      DEFAULT_ENGAGED_SECONDS;
     this.allOrdersData = [];
+    // customerId de cada visita de allOrdersData (ver getSessionCustomerIds)
+    this.sessionCustomerIds = null;
     this.newOrdersData = [];
     this.previousNewOrdersCount = 0;
     this.autoSaveInterval = null;
@@ -92,6 +112,23 @@ class ServerPanel {
       this.setAutoRefresh(interval);
     });
 
+    // Embudo de sesiones: umbral de interacción y desglose
+    const funnelSecondsInput = document.getElementById("funnel-engaged-seconds");
+    if (funnelSecondsInput) funnelSecondsInput.value = this.funnelEngagedSeconds;
+    funnelSecondsInput?.addEventListener("change", (e) => {
+      const seconds = parseInt(e.target.value, 10);
+      if (isNaN(seconds) || seconds < 0) {
+        e.target.value = this.funnelEngagedSeconds;
+        return;
+      }
+      this.funnelEngagedSeconds = seconds;
+      localStorage.setItem("funnel_engaged_seconds", String(seconds));
+      this.updateSessionFunnel();
+    });
+    document
+      .getElementById("funnel-breakdown")
+      ?.addEventListener("change", () => this.updateSessionFunnel());
+
     // Initial data load if server view is loaded
     if (this.currentView === "server") {
       this.loadServerData();
@@ -235,6 +272,7 @@ class ServerPanel {
       this.updateCountriesDistribution(statsData);
       this.updateBrowserStats(statsData);
       this.updateConversionAnalytics(statsData);
+      this.updateSessionFunnel(statsData);
       this.updatePerformanceMetrics(statsData);
 
       // Update last update time
@@ -461,7 +499,7 @@ class ServerPanel {
                       .map(
                         (order) => `
                         <tr>
-                            <td>${new Date(order.fecha_hora_entrada).toLocaleString("es-ES")}</td>
+                            <td>${formatDate(parseDateTime(order.fecha_hora_entrada))}</td>
                             <td>${order.nombre_comprador || "N/A"}</td>
                             <td>${order.telefono_comprador || "N/A"}</td>
                             <td>${(order.compras || []).length}</td>
@@ -536,7 +574,7 @@ class ServerPanel {
                         <tr>
                             <td class="ip-col">${user.ip}</td>
                             <td>${user.pais || "N/A"}</td>
-                            <td class="date-col">${new Date(user.fecha_hora_entrada).toLocaleString("es-ES")}</td>
+                            <td class="date-col">${formatDate(parseDateTime(user.fecha_hora_entrada))}</td>
                             <td class="origen-col">${user.origen || "N/A"}</td>
                             <td><span class="badge">${user.tipo_usuario || "N/A"}</span></td>
                             <td>${user.duracion_sesion_segundos || 0}</td>
@@ -569,21 +607,17 @@ class ServerPanel {
       return;
     }
 
+    // Horas en la zona del negocio, no en la del navegador
+    const timeZone = getBusinessTimeZone();
     const hourCounts = new Array(24).fill(0);
     let sumX = 0, sumY = 0, total = 0;
 
     stats.forEach((s) => {
       const ts = s.fecha_hora_entrada;
       if (!ts) return;
-      // try to parse robustly
-      let d = new Date(ts);
-      if (isNaN(d.getTime())) {
-        // try replacing space with T
-        try { d = new Date(ts.replace(' ', 'T')); } catch (e) { d = new Date(ts); }
-      }
+      const d = parseDateTime(ts);
       if (isNaN(d.getTime())) return;
-      const h = d.getHours();
-      const m = d.getMinutes();
+      const { hour: h, minute: m } = getZonedParts(d, timeZone);
       const frac = h + m / 60;
       hourCounts[h] = (hourCounts[h] || 0) + 1;
       const angle = (frac / 24) * (2 * Math.PI);
@@ -609,9 +643,9 @@ class ServerPanel {
     if (avgEl) {
       // Format with AM/PM and include short timezone name when possible
       try {
-        const now = new Date();
-        const avgDate = new Date(now.getFullYear(), now.getMonth(), now.getDate(), Math.floor(meanHour), Math.round((meanHour - Math.floor(meanHour)) * 60));
-        const timeStr = avgDate.toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit', hour12: true, timeZoneName: 'short' });
+        const today = getZonedParts(new Date(), timeZone);
+        const avgDate = zonedTimeToDate({ year: today.year, month: today.month, day: today.day, hour: meanH, minute: meanM }, timeZone);
+        const timeStr = avgDate.toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit', hour12: true, timeZoneName: 'short', ...(timeZone !== 'local' && { timeZone }) });
         avgEl.textContent = timeStr;
       } catch (e) {
         avgEl.textContent = `${pad(meanH)}:${pad(meanM)}`;
@@ -918,6 +952,152 @@ class ServerPanel {
     container.innerHTML = html;
   }
 
+  /**
+   * Métricas de clientes sobre las visitas con compra, agrupando por el
+   * mismo customerId que usa el dashboard (teléfono, correo o nombre)
+   */
+  getCustomerMetrics(stats) {
+    const purchases = (stats || []).filter(
+      (s) => Array.isArray(s.compras) && s.compras.length > 0,
+    );
+
+    const ordersByCustomer = {};
+    this.getSessionCustomerIds(stats).filter(Boolean).forEach((id) => {
+      ordersByCustomer[id] = (ordersByCustomer[id] || 0) + 1;
+    });
+
+    const uniqueCustomers = Object.keys(ordersByCustomer).length;
+    const repeatCustomers = Object.values(ordersByCustomer).filter((n) => n > 1).length;
+
+    return {
+      uniqueCustomers,
+      repeatCustomers,
+      ordersPerCustomer: uniqueCustomers > 0 ? purchases.length / uniqueCustomers : 0,
+    };
+  }
+
+  /**
+   * Cliente de cada visita (null si no compró). La resolución se hace una vez
+   * por cada carga de estadísticas y la comparten las métricas y el embudo.
+   */
+  getSessionCustomerIds(stats) {
+    if (this.sessionCustomerIds && this.sessionCustomerIds.stats === stats) {
+      return this.sessionCustomerIds.ids;
+    }
+
+    const purchaseIndexes = [];
+    (stats || []).forEach((s, i) => {
+      if (Array.isArray(s.compras) && s.compras.length > 0) purchaseIndexes.push(i);
+    });
+    const { ids } = this.identityResolver.resolve(
+      purchaseIndexes.map((i) => stats[i]),
+      {
+        getPhone: (s) =>
+          normalizeWhatsAppPhone(s.telefono_comprador, s.pais),
+      },
+    );
+
+    const customerIds = new Array((stats || []).length).fill(null);
+    purchaseIndexes.forEach((statIndex, i) => {
+      customerIds[statIndex] = ids[i] || null;
+    });
+    this.sessionCustomerIds = { stats, ids: customerIds };
+    return customerIds;
+  }
+
+  /**
+   * Embudo visita -> interacción -> compra -> compra repetida,
+   * en total o desglosado por la dimensión elegida
+   */
+  updateSessionFunnel(stats = this.allOrdersData) {
+    const container = document.getElementById("session-funnel");
+    if (!container) return;
+
+    if (!Array.isArray(stats) || stats.length === 0) {
+      container.innerHTML = '<p class="no-data">Sin visitas registradas</p>';
+      return;
+    }
+
+    const breakdown = document.getElementById("funnel-breakdown")?.value || "";
+    const funnel = SessionFunnel.build(stats, {
+      engagedSeconds: this.funnelEngagedSeconds,
+      customerIds: this.getSessionCustomerIds(stats),
+      breakdown,
+    });
+    const formatDrop = (stage) =>
+      stage.dropOff === null ? "" : `-${stage.dropOff.toFixed(1)}%`;
+
+    const stagesHtml = funnel.total.stages
+      .map(
+        (stage) => `
+          <div class="funnel-stage">
+            <div class="funnel-stage-header">
+              <span class="label">${stage.label}</span>
+              <span class="value">
+                <span class="percentage">${stage.count} (${stage.rate.toFixed(1)}%)</span>
+                ${stage.dropOff === null ? "" : `<span class="funnel-drop" title="Abandono respecto a la etapa anterior">${formatDrop(stage)}</span>`}
+              </span>
+            </div>
+            <div class="funnel-bar">
+              <div class="progress-fill" style="--pct: ${stage.rate.toFixed(1)}%"></div>
+            </div>
+          </div>
+        `,
+      )
+      .join("");
+
+    const summaryHtml = `
+      <p class="funnel-note">
+        Interacción: sesiones de ${funnel.engagedSeconds}s o más (o con compra).
+        Duración promedio ${funnel.total.avgSessionSeconds.toFixed(1)}s ·
+        tiempo promedio por página ${funnel.total.avgPageSeconds.toFixed(1)}s
+      </p>
+    `;
+
+    let breakdownHtml = "";
+    if (funnel.groups.length > 0) {
+      breakdownHtml = `
+        <div class="table-responsive funnel-breakdown">
+          <table>
+            <thead>
+              <tr>
+                <th>${FUNNEL_BREAKDOWNS[breakdown].label}</th>
+                ${funnel.total.stages.map((stage) => `<th>${stage.label}</th>`).join("")}
+                <th>Conversión</th>
+                <th>Tiempo/página (s)</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${funnel.groups
+                .map(
+                  (group) => `
+                <tr>
+                  <td>${group.key}</td>
+                  ${group.stages
+                    .map(
+                      (stage) => `
+                    <td>
+                      ${stage.count}
+                      ${stage.dropOff === null ? "" : `<span class="funnel-drop">${formatDrop(stage)}</span>`}
+                    </td>
+                  `,
+                    )
+                    .join("")}
+                  <td>${group.stages[2].rate.toFixed(1)}%</td>
+                  <td>${group.avgPageSeconds.toFixed(1)}</td>
+                </tr>
+              `,
+                )
+                .join("")}
+            </tbody>
+          </table>
+        </div>
+      `;
+    }
+
+    container.innerHTML = `<div class="funnel-stages">${stagesHtml}</div>${summaryHtml}${breakdownHtml}`;
+  }
+
   updateConversionAnalytics(stats) {
     const container = document.getElementById("conversion-analytics");
     if (!container) return;
@@ -933,6 +1113,8 @@ class ServerPanel {
     ).length;
     const newUsers = stats.filter((s) => s.tipo_usuario === "Único").length;
 
+    const customerMetrics = this.getCustomerMetrics(stats);
+
     const avgSessionDuration = (
       stats.reduce((sum, s) => sum + (s.duracion_sesion_segundos || 0), 0) /
       totalVisits
@@ -955,6 +1137,18 @@ class ServerPanel {
                 <div class="metric-label">Usuarios Recurrentes</div>
                 <div class="metric-value">${recurringUsers}</div>
             </div>
+            <div class="metric-card">
+                <div class="metric-label">Clientes Únicos</div>
+                <div class="metric-value">${customerMetrics.uniqueCustomers}</div>
+            </div>
+            <div class="metric-card">
+                <div class="metric-label">Clientes que Repiten</div>
+                <div class="metric-value">${customerMetrics.repeatCustomers}</div>
+            </div>
+            <div class="metric-card">
+                <div class="metric-label">Pedidos por Cliente</div>
+                <div class="metric-value">${customerMetrics.ordersPerCustomer.toFixed(2)}</div>
+            </div>
             <div class="metric-card">
                 <div class="metric-label">Duración Promedio (s)</div>
                 <div class="metric-value">${avgSessionDuration}</div>
@@ -1215,31 +1409,7 @@ class ServerPanel {
    * @returns {Array} Pedidos combinados sin duplicados
    */
   mergePedidos(existingData, newOrders) {
-    if (!Array.isArray(existingData)) {
-      existingData = [];
-    }
-    if (!Array.isArray(newOrders)) {
-      newOrders = [];
-    }
-
-    // Crear un mapa de pedidos existentes para evitar duplicados
-    // Usamos IP + fecha_hora_entrada como clave única
-    const existingMap = {};
-    existingData.forEach((pedido) => {
-      const key = `${pedido.ip}_${pedido.fecha_hora_entrada}`;
-      existingMap[key] = pedido;
-    });
-
-    // Agregar nuevos pedidos que no estén duplicados
-    newOrders.forEach((newPedido) => {
-      const key = `${newPedido.ip}_${newPedido.fecha_hora_entrada}`;
-      if (!existingMap[key]) {
-        existingMap[key] = newPedido;
-      }
-    });
-
-    // Retornar array de valores
-    return Object.values(existingMap);
+    return mergePedidos(existingData, newOrders);
   }
 }
 
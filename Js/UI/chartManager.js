@@ -3,6 +3,7 @@
  */
 
 import { getCurrencySymbol } from '../Core/utils.js';
+import { ANOMALY_TYPES } from '../Modules/Analytics/anomalyDetection.js';
 
 export class ChartManager {
     constructor() {
@@ -10,6 +11,8 @@ export class ChartManager {
             products: null,
             salesTrend: null
         };
+        // Métrica del gráfico de productos: 'quantity' (unidades) | 'revenue' (ingresos netos)
+        this.productsMetric = 'quantity';
     }
 
     /**
@@ -26,17 +29,24 @@ export class ChartManager {
     }
 
     /**
-     * Inicializa gráfico de productos
+     * Inicializa gráfico de productos. El selector #products-metric alterna
+     * entre unidades vendidas e ingresos.
      */
     initProductsChart(gridColor, textColor, tooltipBg, tooltipTextColor) {
         const productsCtx = document.getElementById('products-chart')?.getContext('2d');
+        const metricSelect = document.getElementById('products-metric');
+        if (metricSelect) this.productsMetric = metricSelect.value;
+        const formatValue = (value) => this.productsMetric === 'revenue'
+            ? `${getCurrencySymbol()} ${Number(value).toFixed(2)}`
+            : `${value} unidades`;
+
         if (productsCtx) {
             this.charts.products = new Chart(productsCtx, {
                 type: 'bar',
                 data: {
                     labels: [],
                     datasets: [{
-                        label: 'Unidades Vendidas',
+                        label: this.getProductsMetricLabel(),
                         data: [],
                         backgroundColor: 'rgba(59, 130, 246, 0.8)',
                         borderColor: 'rgba(59, 130, 246, 1)',
@@ -52,7 +62,11 @@ export class ChartManager {
                         legend: { display: false },
                         tooltip: {
                             callbacks: {
-                                label: (context) => `${context.raw} unidades vendidas`
+                                label: (context) => context.dataset.isComparison
+                                    ? `${context.dataset.label}: ${formatValue(context.raw)}`
+                                    : this.productsMetric === 'revenue'
+                                        ? `${formatValue(context.raw)} en ventas`
+                                        : `${context.raw} unidades vendidas`
                             },
                             backgroundColor: tooltipBg,
                             titleColor: tooltipTextColor,
@@ -67,7 +81,10 @@ export class ChartManager {
                         y: {
                             beginAtZero: true,
                             grid: { color: gridColor },
-                            ticks: { color: textColor }
+                            ticks: {
+                                color: textColor,
+                                callback: (value) => this.productsMetric === 'revenue' ? `${getCurrencySymbol()} ${value}` : value
+                            }
                         },
                         x: {
                             grid: { display: false },
@@ -79,6 +96,24 @@ export class ChartManager {
         }
     }
 
+    /**
+     * Etiqueta de la serie del gráfico de productos según la métrica activa
+     */
+    getProductsMetricLabel() {
+        return this.productsMetric === 'revenue' ? `Ventas (${getCurrencySymbol()})` : 'Unidades Vendidas';
+    }
+
+    /**
+     * Cambia la métrica del gráfico de productos ('quantity' | 'revenue').
+     * Los datos se actualizan en la siguiente llamada a updateCharts.
+     */
+    setProductsMetric(metric) {
+        this.productsMetric = metric === 'revenue' ? 'revenue' : 'quantity';
+        if (this.charts.products) {
+            this.charts.products.data.datasets[0].label = this.getProductsMetricLabel();
+        }
+    }
+
     /**
      * Inicializa gráfico de tendencia de ventas
      */
@@ -111,7 +146,16 @@ export class ChartManager {
                         legend: { display: false },
                         tooltip: {
                             callbacks: {
-                                label: (context) => `${getCurrencySymbol()} ${context.raw.toFixed(2)}`
+                                label: (context) => {
+                                    const anomaly = context.dataset.anomalies?.[context.dataIndex];
+                                    if (anomaly) {
+                                        const type = ANOMALY_TYPES[anomaly.type];
+                                        return `${type.icon} ${type.label}: ${getCurrencySymbol()} ${anomaly.total.toFixed(2)} (esperado ~${getCurrencySymbol()} ${anomaly.expected.toFixed(2)})`;
+                                    }
+                                    return context.dataset.isComparison || context.dataset.isForecast
+                                        ? `${context.dataset.label}: ${getCurrencySymbol()} ${context.raw.toFixed(2)}`
+                                        : `${getCurrencySymbol()} ${context.raw.toFixed(2)}`;
+                                }
                             },
                             backgroundColor: tooltipBg,
                             titleColor: tooltipTextColor,
@@ -144,20 +188,245 @@ export class ChartManager {
     /**
      * Actualiza los datos de los gráficos
      */
-    updateCharts(productsData, trendData) {
+    updateCharts(productsData, trendData, comparison = null, forecast = null, anomalies = []) {
         if (this.charts.products) {
             this.charts.products.data.labels = productsData.map(p => p.product || 'Sin nombre');
-            this.charts.products.data.datasets[0].data = productsData.map(p => p.quantity || 0);
+            this.charts.products.data.datasets[0].data = productsData.map(p => p[this.productsMetric] || 0);
+            this.setGhostDataset(this.charts.products, comparison, comparison?.topProducts.map(p => p[this.productsMetric]), {
+                backgroundColor: 'rgba(156, 163, 175, 0.35)',
+                borderColor: 'rgba(156, 163, 175, 0.8)',
+                borderWidth: 1,
+                borderDash: [4, 4],
+                borderRadius: 8
+            });
             this.charts.products.update();
         }
 
         if (this.charts.salesTrend) {
             this.charts.salesTrend.data.labels = trendData.map(d => d.date);
             this.charts.salesTrend.data.datasets[0].data = trendData.map(d => d.total);
+            this.setGhostDataset(this.charts.salesTrend, comparison, comparison?.trend.map(d => d.total), {
+                borderColor: 'rgba(107, 114, 128, 0.7)',
+                backgroundColor: 'transparent',
+                borderWidth: 2,
+                borderDash: [6, 4],
+                fill: false,
+                tension: 0.4,
+                pointRadius: 0,
+                pointHoverRadius: 4
+            });
+            this.setAnomalyDataset(this.charts.salesTrend, anomalies);
+            this.setForecastDatasets(this.charts.salesTrend, forecast);
             this.charts.salesTrend.update();
         }
     }
 
+    /**
+     * Prolonga la tendencia con el pronóstico (línea discontinua) y su banda de confianza
+     * @param {Object} forecast - Resultado de DataManager.getSalesForecast
+     */
+    setForecastDatasets(chart, forecast) {
+        chart.data.datasets = chart.data.datasets.filter(ds => !ds.isForecast);
+        if (!forecast) {
+            this.updateLegend(chart);
+            return;
+        }
+
+        const realLength = chart.data.labels.length;
+        const lastDate = chart.data.labels[realLength - 1] || '';
+        const points = forecast.dates
+            .map((date, i) => ({ date, ...forecast.revenue[i] }))
+            .filter(p => p.date > lastDate);
+        if (points.length === 0) {
+            this.updateLegend(chart);
+            return;
+        }
+
+        chart.data.labels = [...chart.data.labels, ...points.map(p => p.date)];
+
+        // Huecos para los días reales; el último día real conecta la línea con el pronóstico
+        const pad = new Array(realLength).fill(null);
+        if (realLength > 0) pad[realLength - 1] = chart.data.datasets[0].data[realLength - 1];
+
+        const bandStyle = {
+            isForecast: true,
+            isBand: true,
+            borderWidth: 0,
+            pointRadius: 0,
+            pointHoverRadius: 0,
+            tension: 0.4
+        };
+
+        chart.data.datasets.push(
+            { ...bandStyle, label: 'Mínimo esperado', data: [...pad, ...points.map(p => p.lower)], fill: false, backgroundColor: 'transparent' },
+            { ...bandStyle, label: 'Máximo esperado', data: [...pad, ...points.map(p => p.upper)], fill: '-1', backgroundColor: 'rgba(37, 99, 235, 0.12)' },
+            {
+                isForecast: true,
+                label: `Pronóstico ${forecast.horizon} días`,
+                data: [...pad, ...points.map(p => p.mean)],
+                borderColor: '#2563EB',
+                backgroundColor: 'transparent',
+                borderWidth: 2,
+                borderDash: [8, 6],
+                fill: false,
+                tension: 0.4,
+                pointRadius: 0,
+                pointHoverRadius: 4
+            }
+        );
+        this.updateLegend(chart);
+    }
+
+    /**
+     * Marca los días anómalos sobre la tendencia. Los días sin pedidos no
+     * existen en la serie, así que se insertan con venta 0 para poder marcarlos.
+     * @param {Array} anomalies - Resultado de DataManager.getSalesAnomalies
+     */
+    setAnomalyDataset(chart, anomalies = []) {
+        chart.data.datasets = chart.data.datasets.filter(ds => !ds.isAnomaly);
+        const labels = chart.data.labels;
+        if (labels.length > 0) {
+            const first = labels[0];
+            const last = labels[labels.length - 1];
+            anomalies
+                .filter(a => a.date >= first && a.date <= last && !labels.includes(a.date))
+                .forEach(a => {
+                    const idx = labels.findIndex(label => label > a.date);
+                    labels.splice(idx, 0, a.date);
+                    chart.data.datasets.forEach((ds, i) => ds.data.splice(idx, 0, i === 0 ? a.total : null));
+                });
+        }
+
+        const byDate = new Map(anomalies.map(a => [a.date, a]));
+        const marked = labels.map(date => byDate.get(date) || null);
+        if (!marked.some(Boolean)) {
+            this.updateLegend(chart);
+            return;
+        }
+
+        chart.data.datasets.push({
+            isAnomaly: true,
+            label: 'Días anómalos',
+            data: marked.map(a => a ? a.total : null),
+            anomalies: marked,
+            showLine: false,
+            pointStyle: marked.map(a => a?.type === 'spike' ? 'triangle' : 'rectRot'),
+            pointRadius: marked.map(a => a ? 8 : 0),
+            pointHoverRadius: marked.map(a => a ? 10 : 0),
+            pointBackgroundColor: marked.map(a => a ? ANOMALY_TYPES[a.type].color : 'transparent'),
+            pointBorderColor: '#FFFFFF',
+            borderColor: ANOMALY_TYPES.drop.color,
+            backgroundColor: ANOMALY_TYPES.drop.color
+        });
+        this.updateLegend(chart);
+    }
+
+    /**
+     * Muestra la leyenda solo cuando hay series además de la principal (sin las bandas)
+     */
+    updateLegend(chart) {
+        const legend = chart.options.plugins.legend;
+        legend.labels = {
+            ...(legend.labels || {}),
+            filter: (item, data) => !data.datasets[item.datasetIndex]?.isBand
+        };
+        legend.display = chart.data.datasets.some(ds => ds.isComparison || ds.isForecast || ds.isAnomaly);
+    }
+
+    /**
+     * Añade, actualiza o quita la serie fantasma del periodo de comparación
+     */
+    setGhostDataset(chart, comparison, values, style) {
+        const datasets = chart.data.datasets;
+        const idx = datasets.findIndex(ds => ds.isComparison);
+
+        if (!comparison || !values) {
+            if (idx !== -1) datasets.splice(idx, 1);
+        } else {
+            const ghost = { ...style, label: comparison.label, data: values, isComparison: true };
+            if (idx === -1) datasets.push(ghost);
+            else datasets[idx] = ghost;
+        }
+        this.updateLegend(chart);
+    }
+
+    /**
+     * Gráficos del informe mensual como imágenes PNG (data URLs)
+     * @param {Object} report - Resultado de MonthlyReport.collect
+     * @returns {{ trend: string|null, products: string|null }}
+     */
+    renderReportCharts(report) {
+        const gridColor = 'rgba(107, 114, 128, 0.15)';
+        const textColor = '#1F2937';
+        const currency = (value) => `${getCurrencySymbol()} ${value}`;
+
+        const trend = ChartManager.toImage({
+            type: 'line',
+            data: {
+                labels: report.trend.map(d => d.date.slice(8)),
+                datasets: [{
+                    data: report.trend.map(d => d.total),
+                    borderColor: '#10B981',
+                    backgroundColor: 'rgba(16, 185, 129, 0.15)',
+                    borderWidth: 3,
+                    pointRadius: 2,
+                    tension: 0.3,
+                    fill: true
+                }]
+            },
+            options: {
+                plugins: { legend: { display: false } },
+                scales: {
+                    y: { beginAtZero: true, grid: { color: gridColor }, ticks: { color: textColor, callback: currency } },
+                    x: { grid: { display: false }, ticks: { color: textColor } }
+                }
+            }
+        }, 700, 300);
+
+        const products = report.topProducts.length === 0 ? null : ChartManager.toImage({
+            type: 'bar',
+            data: {
+                labels: report.topProducts.map(p => p.product.length > 28 ? `${p.product.slice(0, 27)}…` : p.product),
+                datasets: [{
+                    data: report.topProducts.map(p => p.revenue),
+                    backgroundColor: 'rgba(59, 130, 246, 0.8)',
+                    borderRadius: 6
+                }]
+            },
+            options: {
+                indexAxis: 'y',
+                plugins: { legend: { display: false } },
+                scales: {
+                    x: { beginAtZero: true, grid: { color: gridColor }, ticks: { color: textColor, callback: currency } },
+                    y: { grid: { display: false }, ticks: { color: textColor } }
+                }
+            }
+        }, 700, 260);
+
+        return { trend, products };
+    }
+
+    /**
+     * Dibuja un gráfico en un canvas temporal y devuelve la imagen
+     */
+    static toImage(config, width, height) {
+        if (typeof Chart === 'undefined') return null;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.style.cssText = `position: fixed; left: -10000px; width: ${width}px; height: ${height}px;`;
+        document.body.appendChild(canvas);
+
+        const chart = new Chart(canvas.getContext('2d'), {
+            ...config,
+            options: { ...config.options, responsive: false, animation: false, devicePixelRatio: 2 }
+        });
+        const image = chart.toBase64Image('image/png');
+        chart.destroy();
+        canvas.remove();
+        return image;
+    }
+
     /**
      * Destruye los gráficos
      */
@@ -2,7 +2,14 @@
  * Módulo de renderizado de UI
  */
 
-import { getCurrencySymbol, formatCurrency, formatNumber, getMonthName, getMonthIndex } from '../Core/utils.js';
+import { getCurrencySymbol, formatCurrency, formatNumber, getMonthName, getWeekdayName, formatDate, getFiscalYearLabel, escapeHtml } from '../Core/utils.js';
+import { getZonedParts, startOfDay, parseDateTime } from '../Core/timezone.js';
+import { disableBodyScroll, enableBodyScroll } from './modalUtils.js';
+import { RFMAnalyzer } from '../Modules/Analytics/rfmSegmentation.js';
+import { QueryEngine, QUERY_DIMENSIONS } from '../Modules/Analytics/queryEngine.js';
+import { AffiliateAnalyzer } from '../Modules/Analytics/affiliateReport.js';
+import { PayoutRulesEngine } from '../Modules/Finanzas/payoutRules.js';
+import { getHeatmapTimeZones, HEATMAP_WEEKDAYS } from '../Modules/Analytics/orderHeatmap.js';
 
 // --- Avatar helpers: MD5 (for Gravatar), gravatar URL, deterministic gradient, modal preview ---
 /* Minimal MD5 implementation (self-contained) */
@@ -248,26 +255,187 @@ function showAvatarPreview(el){
     disableBodyScroll();
 }
 
+// --- Comparación entre periodos: variación porcentual junto a cada métrica ---
+function formatDelta(delta){
+    if (delta === null || delta === undefined || !isFinite(delta)) return 'nuevo';
+    return `${delta >= 0 ? '▲' : '▼'} ${Math.abs(delta).toFixed(1)}%`;
+}
+
+function deltaClass(delta){
+    if (delta === null || delta === undefined || !isFinite(delta) || delta === 0) return '';
+    return delta > 0 ? 'positive' : 'negative';
+}
+
+function renderStatDelta(valueEl, comparison, delta, previousText){
+    const parent = valueEl.parentElement;
+    let badge = parent.querySelector(`.stat-change[data-delta-for="${valueEl.id}"]`);
+    if (!comparison) {
+        badge?.remove();
+        return;
+    }
+    if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'stat-change';
+        badge.dataset.deltaFor = valueEl.id;
+        parent.appendChild(badge);
+    }
+    badge.className = `stat-change ${deltaClass(delta)}`;
+    badge.textContent = delta === null ? `vs ${previousText}` : formatDelta(delta);
+    badge.title = `${comparison.label}: ${previousText}`;
+}
+
+// --- Perfil de cliente: panel lateral con valor de vida e historial de pedidos ---
+function createCustomerDrawer(){
+    if (document.getElementById('customer-profile-drawer')) return;
+
+    const drawer = document.createElement('div');
+    drawer.id = 'customer-profile-drawer';
+    drawer.className = 'customer-drawer';
+    drawer.setAttribute('aria-hidden', 'true');
+    drawer.innerHTML = `
+        <div class="customer-drawer-overlay"></div>
+        <aside class="customer-drawer-panel" role="dialog" aria-modal="true" aria-labelledby="customer-drawer-title">
+            <button class="customer-drawer-close" aria-label="Cerrar perfil">&times;</button>
+            <div class="customer-drawer-body"></div>
+        </aside>
+    `;
+    document.body.appendChild(drawer);
+
+    const closeDrawer = (e) => {
+        if (e) e.preventDefault();
+        if (!drawer.classList.contains('open')) return;
+        drawer.classList.remove('open');
+        drawer.setAttribute('aria-hidden', 'true');
+        enableBodyScroll();
+    };
+
+    drawer.querySelector('.customer-drawer-close').addEventListener('click', closeDrawer);
+    drawer.querySelector('.customer-drawer-overlay').addEventListener('click', closeDrawer);
+    document.addEventListener('keydown', (e) => {
+        // El visor de avatar se abre encima del panel: Escape cierra primero ese
+        if (e.key === 'Escape' && !document.getElementById('avatar-preview-modal')?.classList.contains('open')) {
+            closeDrawer();
+        }
+    });
+}
+
+function renderCustomerProfileHtml(profile){
+    const dateOnly = { hour: undefined, minute: undefined, second: undefined };
+    const otherNames = profile.names.filter(name => name !== profile.name);
+    const segment = profile.rfm ? RFMAnalyzer.getSegment(profile.rfm.segment) : null;
+
+    return `
+        <header class="customer-drawer-header">
+            <div class="customer-avatar customer-drawer-avatar" data-tooltip="${profile.name}" data-email="${profile.email || ''}">
+                <span class="avatar-initials">${getInitials(profile.name)}</span>
+            </div>
+            <div class="customer-drawer-identity">
+                <h3 id="customer-drawer-title">${profile.name}</h3>
+                ${segment ? `<span class="customer-segment-badge segment-${segment.key}" title="${segment.description} · RFM ${profile.rfm.score}">${segment.label}</span>` : ''}
+                ${otherNames.length > 0 ? `<div class="customer-drawer-aliases">También como: ${otherNames.join(', ')}</div>` : ''}
+                ${profile.email ? `<div class="meta-item"><i class="fas fa-envelope"></i> ${profile.email}</div>` : ''}
+                ${profile.phone ? `<div class="meta-item"><i class="fas fa-phone"></i> ${profile.phone}</div>` : ''}
+            </div>
+        </header>
+
+        ${profile.whatsappUrl ? `
+            <a href="${profile.whatsappUrl}" target="_blank" rel="noopener noreferrer" class="btn btn-primary customer-drawer-whatsapp">
+                <i class="fab fa-whatsapp"></i> Escribir por WhatsApp
+            </a>
+        ` : ''}
+
+        <div class="customer-drawer-stats">
+            <div class="summary-item">
+                <div class="stat-label">Valor de vida</div>
+                <div class="stat-value">${formatCurrency(profile.lifetimeValue)}</div>
+            </div>
+            <div class="summary-item">
+                <div class="stat-label">Pedidos</div>
+                <div class="stat-value">${formatNumber(profile.orderCount)}</div>
+            </div>
+            <div class="summary-item">
+                <div class="stat-label">Ticket medio</div>
+                <div class="stat-value">${formatCurrency(profile.avgBasket)}</div>
+            </div>
+            <div class="summary-item">
+                <div class="stat-label">Primera compra</div>
+                <div class="stat-value">${formatDate(profile.firstPurchase, dateOnly)}</div>
+            </div>
+            <div class="summary-item">
+                <div class="stat-label">Última compra</div>
+                <div class="stat-value">${formatDate(profile.lastPurchase, dateOnly)}</div>
+            </div>
+        </div>
+
+        <section class="customer-drawer-section">
+            <h4><i class="fas fa-heart"></i> Productos favoritos</h4>
+            <ol class="customer-drawer-products">
+                ${profile.favouriteProducts.map(p => `
+                    <li>
+                        <span>${p.product}</span>
+                        <span>${formatNumber(p.quantity)} uds · ${formatCurrency(p.revenue)}</span>
+                    </li>
+                `).join('')}
+            </ol>
+        </section>
+
+        <section class="customer-drawer-section">
+            <h4><i class="fas fa-map-marker-alt"></i> Direcciones de envío</h4>
+            ${profile.addresses.length > 0 ? `
+                <ul class="customer-drawer-addresses">
+                    ${profile.addresses.map(address => `<li>${address}</li>`).join('')}
+                </ul>
+            ` : '<p class="no-data">Sin direcciones registradas</p>'}
+        </section>
+
+        <section class="customer-drawer-section">
+            <h4><i class="fas fa-stream"></i> Historial de pedidos</h4>
+            <ul class="customer-timeline">
+                ${profile.orders.map(order => `
+                    <li class="customer-timeline-item">
+                        <div class="customer-timeline-head">
+                            <span><i class="fas fa-calendar"></i> ${order.dateStr}</span>
+                            <strong>${formatCurrency(order.total)}</strong>
+                        </div>
+                        <div class="customer-timeline-products">
+                            ${order.compras.map(p => `${p.quantity} × ${p.name}`).join(', ')}
+                        </div>
+                        ${order.direccion_envio ? `<div class="customer-timeline-address"><i class="fas fa-map-marker-alt"></i> ${order.direccion_envio}</div>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        </section>
+    `;
+}
+
 export class UIRenderer {
     /**
      * Renderiza resumen general
+     * @param {Object} options
+     * @param {number} options.year - Año fiscal mostrado (por defecto, el de monthlyData)
+     * @param {number} options.fiscalStartMonth - Mes de inicio del año fiscal (0 = Enero)
+     * @param {Object} options.forecast - Opcional; resultado de DataManager.getSalesForecast
+     * @param {Object} options.reference - Opcional; { year, monthIndex } del mes que se toma como "actual" (informes)
      */
-    static renderGeneralSummary(container, monthlyData, filteredData, period) {
+    static renderGeneralSummary(container, monthlyData, filteredData, period, { year = null, fiscalStartMonth = 0, forecast = null, reference = null } = {}) {
         if (!container) return;
 
-        const now = new Date();
-        const currentMonth = now.getMonth();
-        const currentYear = now.getFullYear();
+        const now = reference ? { year: reference.year, month: reference.monthIndex + 1 } : getZonedParts(new Date());
+        const currentMonth = now.month - 1;
+        const fiscalYear = year ?? monthlyData[0]?.fiscalYear ?? now.year;
+        const yearLabel = getFiscalYearLabel(fiscalYear, fiscalStartMonth);
 
         let referenceMonth = currentMonth;
-        let title = `Resumen ${currentYear}`;
-        let periodBadgeText = 'Anual';
+        let referenceYear = now.year;
+        let title = `Resumen ${yearLabel}`;
+        let periodBadgeText = fiscalStartMonth ? 'Año fiscal' : 'Anual';
 
         if (period === 'month') {
             title = `Resumen ${getMonthName(currentMonth)}`;
             periodBadgeText = getMonthName(currentMonth);
         } else if (period === 'last-month') {
             referenceMonth = (currentMonth - 1 + 12) % 12;
+            if (referenceMonth === 11) referenceYear--;
             title = `Resumen ${getMonthName(referenceMonth)}`;
             periodBadgeText = getMonthName(referenceMonth);
         } else {
@@ -275,7 +443,7 @@ export class UIRenderer {
         }
 
         const referenceData = referenceMonth !== null ?
-            monthlyData.find(m => getMonthIndex(m.month) === referenceMonth) ||
+            monthlyData.find(m => m.monthIndex === referenceMonth && m.year === referenceYear) ||
             { month: getMonthName(referenceMonth), orders: 0, sales: 0, products: 0 }
             : null;
 
@@ -324,14 +492,198 @@ export class UIRenderer {
                     ${monthlySummaryContent}
                     <div class="summary-item yearly">
                         <div class="stat-value">${formatCurrency(yearlyData.sales)}</div>
-                        <div class="stat-label">Ventas anuales totales</div>
+                        <div class="stat-label">Ventas totales ${yearLabel}</div>
                         <div class="stat-sub">${formatNumber(yearlyData.orders)} pedidos, ${formatNumber(yearlyData.products)} productos</div>
                     </div>
+                    ${forecast ? `
+                    <div class="summary-item forecast">
+                        <div class="stat-value">${formatCurrency(forecast.totals.revenue)}</div>
+                        <div class="stat-label">Pronóstico próximos ${forecast.horizon} días</div>
+                        <div class="stat-sub">
+                            Entre ${formatCurrency(forecast.totals.revenueLower)} y ${formatCurrency(forecast.totals.revenueUpper)}
+                            · ~${formatNumber(Math.round(forecast.totals.orders))} pedidos (desde ${formatDate(startOfDay(forecast.from), { hour: undefined, minute: undefined, second: undefined })})
+                        </div>
+                    </div>
+                    ` : ''}
                 </div>
             </div>
         `;
     }
 
+    /**
+     * Renderiza la tabla de crecimiento interanual (ventas por mes y año fiscal)
+     * @param {Object} yoy - Resultado de DataManager.getYearOverYearGrowth
+     */
+    static renderYearOverYear(container, yoy) {
+        if (!container) return;
+
+        if (!yoy || yoy.years.length === 0) {
+            container.innerHTML = '<p class="no-data">No hay ventas registradas.</p>';
+            return;
+        }
+
+        const growthHtml = (growth) => growth === null
+            ? ''
+            : `<span class="stat-change ${deltaClass(growth)}">${formatDelta(growth)}</span>`;
+
+        container.innerHTML = `
+            <div class="table-responsive">
+                <table class="yoy-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">Mes</th>
+                            ${yoy.years.map(y => `<th scope="col">${y.label}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${yoy.months.map(row => `
+                            <tr>
+                                <th scope="row">${row.month}</th>
+                                ${row.cells.map(cell => `
+                                    <td class="${cell.hasData ? '' : 'empty'}">
+                                        ${cell.hasData ? formatCurrency(cell.sales) : '—'}
+                                        ${growthHtml(cell.growth)}
+                                    </td>
+                                `).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <th scope="row">Total</th>
+                            ${yoy.years.map(y => `
+                                <td>
+                                    ${formatCurrency(y.sales)}
+                                    ${growthHtml(y.salesGrowth)}
+                                    <div class="stat-sub">${formatNumber(y.orders)} pedidos</div>
+                                </td>
+                            `).join('')}
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Renderiza el informe de reparación de codificación (textos con mojibake corregidos al cargar)
+     * @param {Object} report - Resultado de DataManager.getEncodingReport
+     */
+    static renderEncodingReport(container, report) {
+        if (!container) return;
+
+        if (!report || report.recordsFixed === 0) {
+            container.innerHTML = '<p class="no-data">No se encontraron textos con codificación dañada.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <p class="encoding-summary">
+                Se corrigieron <strong>${formatNumber(report.fieldsFixed)}</strong> campo(s) en
+                <strong>${formatNumber(report.recordsFixed)}</strong> de ${formatNumber(report.scanned)} pedidos.
+                Las correcciones solo se aplican en este navegador hasta que se guarden en GitHub.
+            </p>
+            <div class="encoding-records">
+                ${report.records.map(record => `
+                    <details class="encoding-record">
+                        <summary>${record.label} <span class="stat-sub">${record.fields.length} campo(s)</span></summary>
+                        <ul>
+                            ${record.fields.map(field => `
+                                <li>
+                                    <code>${field.path}</code>
+                                    <span class="encoding-before">${field.before}</span>
+                                    <i class="fas fa-arrow-right" aria-hidden="true"></i>
+                                    <span class="encoding-after">${field.after}</span>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    </details>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Renderiza la vinculación de pedidos con el catálogo: resumen, cola de
+     * revisión de nombres dudosos o sin coincidencia y tabla de alias guardados
+     * @param {Object} report - Resultado de DataManager.getCatalogReport
+     * @param {Array} aliases - ProductCatalogResolver.getAliases()
+     * @param {Array} entries - ProductCatalogResolver.getCatalogEntries()
+     * @param {Object} handlers - { onLink(name, entryKey|null), onIgnore(name), onRemoveAlias(key) }
+     */
+    static renderCatalogReview(container, report, aliases = [], entries = [], { onLink, onIgnore, onRemoveAlias } = {}) {
+        if (!container) return;
+
+        if (!report) {
+            container.innerHTML = '<p class="no-data">El catálogo de productos aún no está disponible.</p>';
+            return;
+        }
+
+        const linkedRate = report.lines > 0 ? report.linked / report.lines * 100 : 0;
+        const entryByLabel = new Map();
+        entries.forEach(entry => {
+            const label = entry.type === 'pack' ? `${entry.name} (Pack)` : entry.name;
+            if (!entryByLabel.has(label)) entryByLabel.set(label, entry.key);
+        });
+        const labelFor = (candidate) => candidate.type === 'pack' ? `${candidate.name} (Pack)` : candidate.name;
+
+        container.innerHTML = `
+            <p class="catalog-summary">
+                <strong>${linkedRate.toFixed(1)}%</strong> de las líneas de pedido (${formatNumber(report.linked)} de ${formatNumber(report.lines)})
+                están vinculadas con products.json o packs.json.
+                ${report.reviewQueue.length > 0 ? `Quedan <strong>${formatNumber(report.reviewQueue.length)}</strong> nombre(s) por revisar.` : ''}
+            </p>
+            <datalist id="catalog-entries-list">
+                ${Array.from(entryByLabel.keys()).map(label => `<option value="${label.replace(/"/g, '&quot;')}"></option>`).join('')}
+            </datalist>
+            ${report.reviewQueue.length > 0 ? `
+                <div class="catalog-queue">
+                    ${report.reviewQueue.map((item, idx) => `
+                        <div class="catalog-queue-item" data-index="${idx}">
+                            <div class="catalog-queue-name">
+                                <span>${item.name}</span>
+                                <span class="stat-sub">${item.status === 'ambiguous' ? 'Coincidencia dudosa' : 'Sin coincidencia'} · ${formatNumber(item.occurrences)} línea(s)</span>
+                            </div>
+                            <div class="catalog-queue-actions">
+                                <input type="text" class="input-light" list="catalog-entries-list" placeholder="Buscar en el catálogo..." value="${item.candidates[0] ? labelFor(item.candidates[0]).replace(/"/g, '&quot;') : ''}" aria-label="Producto del catálogo para ${item.name.replace(/"/g, '&quot;')}">
+                                <button type="button" class="btn btn-primary" data-action="link"><i class="fas fa-link"></i> Vincular</button>
+                                <button type="button" class="btn btn-secondary" data-action="ignore" title="No pertenece al catálogo"><i class="fas fa-ban"></i></button>
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : '<p class="no-data">No hay nombres pendientes de revisión.</p>'}
+            ${aliases.length > 0 ? `
+                <details class="catalog-aliases">
+                    <summary>Alias guardados (${formatNumber(aliases.length)})</summary>
+                    <ul>
+                        ${aliases.map(alias => `
+                            <li>
+                                <span>${alias.key}</span>
+                                <i class="fas fa-arrow-right" aria-hidden="true"></i>
+                                <span>${alias.ignored ? '<em>No pertenece al catálogo</em>' : (alias.target || '<em>Producto eliminado del catálogo</em>')}</span>
+                                <button type="button" class="catalog-alias-remove" data-alias="${alias.key.replace(/"/g, '&quot;')}" title="Eliminar alias"><i class="fas fa-times"></i></button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </details>
+            ` : ''}
+        `;
+
+        container.querySelectorAll('.catalog-queue-item').forEach(row => {
+            const item = report.reviewQueue[Number(row.dataset.index)];
+            const input = row.querySelector('input');
+            row.querySelector('[data-action="link"]')?.addEventListener('click', () => {
+                onLink?.(item.name, entryByLabel.get(input.value.trim()) || null);
+            });
+            row.querySelector('[data-action="ignore"]')?.addEventListener('click', () => onIgnore?.(item.name));
+        });
+
+        container.querySelectorAll('[data-alias]').forEach(button => {
+            button.addEventListener('click', () => onRemoveAlias?.(button.dataset.alias));
+        });
+    }
+
     /**
      * Renderiza resumen diario
      */
@@ -358,34 +710,752 @@ export class UIRenderer {
 
     /**
      * Actualiza estadísticas
+     * @param {Object} comparison - Opcional; resultado de DataManager.getComparison
      */
-    static updateStats(stats) {
-        document.getElementById('total-sales').textContent = formatCurrency(stats.totalSales);
-        document.getElementById('avg-order-value').textContent = formatCurrency(stats.avgOrderValue);
-        document.getElementById('total-products').textContent = formatNumber(stats.totalProducts);
-        document.getElementById('total-orders').textContent = formatNumber(stats.totalOrders);
-        document.getElementById('unique-customers').textContent = formatNumber(stats.uniqueCustomers);
+    static updateStats(stats, comparison = null) {
+        const fields = [
+            ['total-sales', 'totalSales', formatCurrency],
+            ['avg-order-value', 'avgOrderValue', formatCurrency],
+            ['total-products', 'totalProducts', formatNumber],
+            ['total-orders', 'totalOrders', formatNumber],
+            ['unique-customers', 'uniqueCustomers', formatNumber]
+        ];
+
+        fields.forEach(([id, key, format]) => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            el.textContent = format(stats[key]);
+            renderStatDelta(el, comparison, comparison?.deltas[key], format(comparison?.stats[key] ?? 0));
+        });
     }
 
     /**
      * Renderiza lista de productos top
+     * @param {Object} comparison - Opcional; añade el valor del periodo de comparación
+     * @param {string} metric - 'quantity' (unidades) | 'revenue' (ingresos)
      */
-    static renderTopProducts(container, productsData) {
+    static renderTopProducts(container, productsData, comparison = null, metric = 'quantity') {
         if (!container) return;
 
+        const format = (value) => metric === 'revenue' ? formatCurrency(value) : `${formatNumber(value)} unidades`;
+
         container.innerHTML = productsData
-            .map(({ product, quantity }) => `
-                <div class="ranking-item">
-                    <span>${product}</span>
-                    <span>${formatNumber(quantity)} unidades</span>
+            .map((item, idx) => {
+                const value = item[metric] || 0;
+                const previous = comparison?.topProducts[idx]?.[metric] ?? null;
+                const delta = previous > 0 ? (value - previous) / previous * 100 : null;
+                return `
+                    <div class="ranking-item">
+                        <span>${item.product}</span>
+                        <span>
+                            ${format(value)}
+                            ${comparison ? `<span class="stat-change ${deltaClass(delta)}" title="${comparison.label}: ${format(previous ?? 0)}">${formatDelta(delta)}</span>` : ''}
+                        </span>
+                    </div>
+                `;
+            }).join('');
+    }
+
+    /**
+     * Renderiza la tabla de rendimiento por producto. Las columnas se ordenan
+     * al pulsar su cabecera (un segundo clic invierte el orden).
+     * @param {Array} rows - Resultado de DataManager.getProductPerformance
+     * @param {Object} options - { sortBy, direction, onSort({ sortBy, direction }) para recordar la elección }
+     */
+    static renderProductPerformance(container, rows, { sortBy = 'netRevenue', direction = 'desc', onSort = null } = {}) {
+        if (!container) return;
+
+        if (!rows || rows.length === 0) {
+            container.innerHTML = '<p class="no-data">No hay productos vendidos en el periodo.</p>';
+            return;
+        }
+
+        const columns = [
+            { key: 'product', label: 'Producto', format: (v) => v },
+            { key: 'units', label: 'Unidades', format: formatNumber },
+            { key: 'grossRevenue', label: 'Ingresos brutos', format: formatCurrency },
+            { key: 'discount', label: 'Descuento', format: formatCurrency },
+            { key: 'netRevenue', label: 'Ingresos netos', format: formatCurrency },
+            { key: 'penetration', label: 'Penetración', format: (v) => `${v.toFixed(1)}%`, title: 'Porcentaje de pedidos que incluyen el producto' },
+            { key: 'avgPrice', label: 'Precio medio', format: formatCurrency, title: 'Ingresos netos por unidad' }
+        ];
+
+        // Una ordenación guardada que ya no existe vuelve a la de por defecto
+        if (!columns.some(col => col.key === sortBy)) sortBy = 'netRevenue';
+        const factor = direction === 'asc' ? 1 : -1;
+        const sorted = [...rows].sort((a, b) => sortBy === 'product'
+            ? factor * a.product.localeCompare(b.product)
+            : factor * (a[sortBy] - b[sortBy]));
+
+        container.innerHTML = `
+            <div class="table-responsive product-performance-wrapper">
+                <table class="product-performance-table">
+                    <thead>
+                        <tr>
+                            ${columns.map(col => `
+                                <th scope="col" aria-sort="${col.key === sortBy ? (direction === 'asc' ? 'ascending' : 'descending') : 'none'}">
+                                    <button type="button" class="sort-button${col.key === sortBy ? ' active' : ''}" data-sort="${col.key}"${col.title ? ` title="${col.title}"` : ''}>
+                                        ${col.label}
+                                        <i class="fas ${col.key === sortBy ? (direction === 'asc' ? 'fa-sort-up' : 'fa-sort-down') : 'fa-sort'}" aria-hidden="true"></i>
+                                    </button>
+                                </th>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${sorted.map(row => `
+                            <tr>
+                                ${columns.map(col => col.key === 'product'
+                                    ? `<th scope="row">${row.product}</th>`
+                                    : `<td class="${col.key === 'discount' && row.discount > 0 ? 'discount' : ''}">${col.format(row[col.key])}</td>`
+                                ).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        container.querySelectorAll('.sort-button').forEach(button => {
+            button.addEventListener('click', () => {
+                const key = button.dataset.sort;
+                const nextDirection = key === sortBy
+                    ? (direction === 'asc' ? 'desc' : 'asc')
+                    : (key === 'product' ? 'asc' : 'desc');
+                onSort?.({ sortBy: key, direction: nextDirection });
+                UIRenderer.renderProductPerformance(container, rows, { sortBy: key, direction: nextDirection, onSort });
+            });
+        });
+    }
+
+    /**
+     * Renderiza el informe de afiliados con la comisión editable de cada uno
+     * (la comisión es la regla de pago del afiliado; vacía = sin comisión)
+     * @param {Array} rows - Resultado de DataManager.getAffiliateReport
+     * @param {Object} handlers - { onCommissionChange(affiliate, text) }
+     */
+    static renderAffiliateReport(container, rows, { onCommissionChange } = {}) {
+        if (!container) return;
+
+        if (!rows || rows.length === 0) {
+            container.innerHTML = '<p class="no-data">No hay pedidos en el periodo.</p>';
+            return;
+        }
+
+        const affiliates = rows.filter(row => !row.isDirect);
+        const commissionLabel = (config) => {
+            if (!config) return 'Sin comisión';
+            if (config.type === 'percent') return `${config.value}% fijo`;
+            if (config.type === 'tiers') return `${config.tiers.length} tramos`;
+            return PayoutRulesEngine.describeRule(config);
+        };
+
+        container.innerHTML = `
+            ${affiliates.length === 0 ? '<p class="affiliate-note">Ningún pedido del periodo llegó a través de un afiliado.</p>' : ''}
+            <div class="table-responsive">
+                <table class="affiliate-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">Afiliado</th>
+                            <th scope="col" title="Visitas registradas por el servidor (— sin conexión o con filtros que no se aplican a las visitas)">Visitas</th>
+                            <th scope="col">Pedidos</th>
+                            <th scope="col">Ingresos</th>
+                            <th scope="col">Ticket medio</th>
+                            <th scope="col" title="Clientes cuyo primer pedido está en el periodo">Nuevos</th>
+                            <th scope="col">Recurrentes</th>
+                            <th scope="col" title="Pedidos hechos en la web sobre visitas">Conversión</th>
+                            <th scope="col" title="Porcentaje fijo (ej: 7.5) o tramos de ventas del periodo (ej: 0:5; 500:7; 1000:10). Se guarda como regla de pago en Finanzas">Comisión</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map((row, idx) => `
+                            <tr class="${row.isDirect ? 'affiliate-direct' : ''}">
+                                <th scope="row">${row.isDirect ? 'Directo (sin afiliado)' : escapeHtml(row.affiliate)}</th>
+                                <td>${row.sessions === null ? '—' : formatNumber(row.sessions)}</td>
+                                <td>${formatNumber(row.orders)}</td>
+                                <td>${formatCurrency(row.revenue)} <span class="stat-sub">${row.share.toFixed(1)}%</span></td>
+                                <td>${formatCurrency(row.avgTicket)}</td>
+                                <td>${formatNumber(row.newCustomers)}</td>
+                                <td>${formatNumber(row.returningCustomers)}</td>
+                                <td>${row.conversion === null ? '—' : `${row.conversion.toFixed(1)}%`}</td>
+                                <td>
+                                    ${row.isDirect ? '<span class="stat-sub">—</span>' : `
+                                        <input type="text" class="input-light affiliate-commission" data-index="${idx}"
+                                            value="${row.config?.type === 'fixed' ? '' : AffiliateAnalyzer.formatCommission(row.config)}"
+                                            ${row.config?.type === 'fixed' ? 'disabled title="Cuota fija: se edita en Finanzas"' : ''}
+                                            placeholder="ej: 5" aria-label="Comisión de ${escapeHtml(row.affiliate)}">
+                                        <span class="stat-sub">${commissionLabel(row.config)}</span>
+                                    `}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        container.querySelectorAll('.affiliate-commission').forEach(input => {
+            input.addEventListener('change', () => onCommissionChange?.(rows[Number(input.dataset.index)].affiliate, input.value));
+        });
+    }
+
+    /**
+     * Renderiza la liquidación mensual de comisiones de afiliados (sus reglas de pago;
+     * los periodos se cierran en Finanzas como los del resto de beneficiarios)
+     * @param {Object} payout - Resultado de DataManager.getAffiliatePayoutData
+     */
+    static renderAffiliatePayout(container, payout) {
+        if (!container) return;
+
+        if (!payout) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const formatCUP = (value) => value === null || value === undefined ? '—' : `${formatCurrency(value).replace('$', '')} CUP`;
+        const formatUSD = (value) => value === null || value === undefined ? '—' : formatCurrency(value);
+        const period = `
+            <p class="affiliate-payout-period">Tasa aplicada: <strong>${payout.exchangeRate ? formatCUP(payout.exchangeRate) : 'sin tasa de cambio'}</strong> por USD. Los periodos se cierran en Finanzas → Pagos y Liquidaciones.</p>
+        `;
+
+        if (payout.statements.length === 0) {
+            container.innerHTML = `${period}<p class="no-data">Ningún afiliado tiene comisión configurada.</p>`;
+            return;
+        }
+
+        container.innerHTML = `
+            ${period}
+            <div class="table-responsive">
+                <table class="affiliate-table affiliate-payout-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">Afiliado</th>
+                            <th scope="col">Periodo</th>
+                            <th scope="col">Pedidos</th>
+                            <th scope="col">Ventas</th>
+                            <th scope="col">Comisión</th>
+                            <th scope="col">A pagar (USD)</th>
+                            <th scope="col">A pagar (CUP)</th>
+                            <th scope="col">Estado</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${payout.statements.map(st => `
+                            <tr>
+                                <th scope="row">${escapeHtml(st.rule.affiliate)}</th>
+                                <td>${st.startDate} → ${st.endDate}</td>
+                                <td>${formatNumber(st.orders)}</td>
+                                <td>${formatCurrency(st.sales)}</td>
+                                <td>${st.tier ? `${st.tier.rate}% <span class="stat-sub">desde ${formatCurrency(st.tier.from)}</span>` : PayoutRulesEngine.describeRule(st.rule)}</td>
+                                <td>${formatUSD(st.amountUSD)}</td>
+                                <td>${formatCUP(st.amountCUP)}</td>
+                                <td>${st.closed ? '<span class="badge success">Cerrado</span>' : 'Abierto'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <th scope="row">Total</th>
+                            <td></td>
+                            <td>${formatNumber(payout.totalOrders)}</td>
+                            <td>${formatCurrency(payout.totalSales)}</td>
+                            <td></td>
+                            <td>${formatUSD(payout.totalCommissionUSD)}</td>
+                            <td>${formatCUP(payout.totalCommissionCUP)}</td>
+                            <td></td>
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Renderiza la atribución por canal (visitas, conversión, ingresos y ticket medio)
+     * y, si hay visitas con parámetros UTM, el desglose por campaña
+     * @param {Object} analysis - Resultado de DataManager.getChannelAttribution
+     */
+    static renderChannelAttribution(container, analysis) {
+        if (!container) return;
+
+        if (!analysis || analysis.channels.length === 0) {
+            container.innerHTML = '<p class="no-data">No hay visitas ni pedidos en el periodo.</p>';
+            return;
+        }
+
+        const formatConversion = (value) => value === null ? '—' : `${value.toFixed(1)}%`;
+        const formatVisits = (value) => value === null ? '—' : formatNumber(value);
+        const { totals } = analysis;
+        const notes = {
+            server: `Visitas registradas por el servidor (${formatVisits(totals.visits)}) cruzadas con los pedidos del periodo. La conversión solo cuenta los pedidos hechos en la web.`,
+            orders: 'Sin conexión con el servidor no hay visitas registradas: se muestran solo pedidos e ingresos.',
+            none: 'La búsqueda o los filtros de segmento, importe o compra no se pueden aplicar a las visitas del servidor: se muestran solo pedidos e ingresos.'
+        };
+
+        container.innerHTML = `
+            <p class="channel-note">${notes[analysis.visitsSource]}</p>
+            <div class="table-responsive">
+                <table class="channel-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">Canal</th>
+                            <th scope="col">Visitas</th>
+                            <th scope="col">Pedidos</th>
+                            <th scope="col">Conversión</th>
+                            <th scope="col">Ingresos</th>
+                            <th scope="col">Ticket medio</th>
+                            <th scope="col">Principales fuentes</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${analysis.channels.map(row => `
+                            <tr>
+                                <th scope="row"><span class="channel-dot" style="background:${row.color}"></span>${row.label}</th>
+                                <td>${formatVisits(row.visits)}</td>
+                                <td>${formatNumber(row.orders)}</td>
+                                <td>${formatConversion(row.conversion)}</td>
+                                <td>
+                                    ${formatCurrency(row.revenue)}
+                                    <div class="channel-share" title="${row.share.toFixed(1)}% de los ingresos"><span style="width:${row.share.toFixed(1)}%;background:${row.color}"></span></div>
+                                </td>
+                                <td>${formatCurrency(row.avgOrderValue)}</td>
+                                <td class="channel-sources">${row.topSources.map(s => s.source).join(', ') || '—'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <th scope="row">Total</th>
+                            <td>${formatVisits(totals.visits)}</td>
+                            <td>${formatNumber(totals.orders)}</td>
+                            <td>${formatConversion(totals.conversion)}</td>
+                            <td>${formatCurrency(totals.revenue)}</td>
+                            <td>${formatCurrency(totals.avgOrderValue)}</td>
+                            <td></td>
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+            ${analysis.campaigns.length > 0 ? `
+                <h4 class="card-subtitle">Campañas (UTM)</h4>
+                <div class="table-responsive">
+                    <table class="channel-table">
+                        <thead>
+                            <tr>
+                                <th scope="col">Fuente / Medio</th>
+                                <th scope="col">Campaña</th>
+                                <th scope="col">Visitas</th>
+                                <th scope="col">Pedidos</th>
+                                <th scope="col">Conversión</th>
+                                <th scope="col">Ingresos</th>
+                                <th scope="col">Ticket medio</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${analysis.campaigns.map(row => `
+                                <tr>
+                                    <th scope="row">${row.source} / ${row.medium}</th>
+                                    <td>${row.campaign || '—'}</td>
+                                    <td>${formatVisits(row.visits)}</td>
+                                    <td>${formatNumber(row.orders)}</td>
+                                    <td>${formatConversion(row.conversion)}</td>
+                                    <td>${formatCurrency(row.revenue)}</td>
+                                    <td>${formatCurrency(row.avgOrderValue)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
                 </div>
-            `).join('');
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Renderiza las entregas por provincia o, con una provincia seleccionada, por municipio.
+     * Los municipios sin pedidos se marcan para detectar zonas sin servicio.
+     * @param {Object|null} report - Resultado de DataManager.getDeliveryGeography
+     * @param {Object} options - { province: provincia seleccionada, onSelectProvince(name|null) }
+     */
+    static renderDeliveryGeography(container, report, { province = null, onSelectProvince } = {}) {
+        if (!container) return;
+
+        if (!report) {
+            container.innerHTML = '<p class="no-data">No se pudo cargar el nomenclátor de municipios.</p>';
+            return;
+        }
+        if (report.totals.orders === 0) {
+            container.innerHTML = '<p class="no-data">No hay entregas en el periodo.</p>';
+            return;
+        }
+
+        const selected = province ? report.provinces.find(p => p.name === province) : null;
+        const rows = selected ? selected.municipalities : report.provinces;
+        const servedRows = rows.filter(row => !row.unserved);
+        const unservedRows = rows.filter(row => row.unserved);
+        const maxOrders = Math.max(1, ...servedRows.map(row => row.orders));
+
+        container.innerHTML = `
+            <div class="geo-breadcrumb">
+                ${selected
+                    ? `<button type="button" class="geo-link geo-back"><i class="fas fa-arrow-left"></i> Cuba</button> / <strong>${selected.name}</strong>`
+                    : '<strong>Cuba</strong> <span class="geo-hint">(pulsa una provincia para ver sus municipios)</span>'}
+            </div>
+            <p class="geo-note">
+                ${formatNumber(report.totals.located)} de ${formatNumber(report.totals.orders)} entregas localizadas
+                (${report.totals.coverage.toFixed(1)}%) en ${report.weeks.toFixed(1)} semanas.
+                ${report.totals.defaulted > 0 ? `${formatNumber(report.totals.defaulted)} sin municipio ni reparto reconocible se asignan a la zona predeterminada (Ajustes → Preferencias).` : ''}
+            </p>
+            <div class="table-responsive">
+                <table class="geo-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">${selected ? 'Municipio' : 'Provincia'}</th>
+                            <th scope="col">Pedidos</th>
+                            <th scope="col">Ingresos</th>
+                            <th scope="col">Clientes</th>
+                            <th scope="col">Direcciones</th>
+                            <th scope="col">Entregas/semana</th>
+                            <th scope="col">% entregas</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${servedRows.map(row => `
+                            <tr>
+                                <th scope="row">
+                                    ${selected
+                                        ? row.name
+                                        : `<button type="button" class="geo-link geo-province" data-province="${row.name}">${row.name}</button>`}
+                                </th>
+                                <td>${formatNumber(row.orders)}</td>
+                                <td>${formatCurrency(row.revenue)}</td>
+                                <td>${formatNumber(row.customers)}</td>
+                                <td>${formatNumber(row.addresses)}</td>
+                                <td>${row.perWeek.toFixed(2)}</td>
+                                <td>
+                                    ${row.share.toFixed(1)}%
+                                    <div class="geo-bar"><span style="width:${((row.orders / maxOrders) * 100).toFixed(1)}%"></span></div>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${unservedRows.length > 0 ? `
+                <h4 class="card-subtitle">Municipios sin entregas en el periodo (${unservedRows.length})</h4>
+                <div class="geo-unserved">
+                    ${unservedRows.map(row => `<span class="geo-chip">${row.name}</span>`).join('')}
+                </div>
+            ` : ''}
+            ${!selected && report.unresolved.orders > 0 ? `
+                <details class="geo-unresolved">
+                    <summary>
+                        ${formatNumber(report.unresolved.orders)} entregas sin localizar (${formatCurrency(report.unresolved.revenue)})
+                    </summary>
+                    <p class="geo-hint">Ejemplos de direcciones; añade sus repartos, calles o alias en Json/cuba_municipios.json, o elige una zona predeterminada en Preferencias:</p>
+                    <ul>${report.unresolved.samples.map(address => `<li>${address}</li>`).join('')}</ul>
+                </details>
+            ` : ''}
+        `;
+
+        container.querySelector('.geo-back')?.addEventListener('click', () => onSelectProvince?.(null));
+        container.querySelectorAll('.geo-province').forEach(button => {
+            button.addEventListener('click', () => onSelectProvince?.(button.dataset.province));
+        });
+    }
+
+    /**
+     * Renderiza los pares de productos que se compran juntos
+     * @param {Object} analysis - Resultado de DataManager.getProductAssociations
+     * @param {string} sortBy - 'count' (más frecuentes) | 'lift' (mayor afinidad)
+     */
+    static renderFrequentlyBoughtTogether(container, analysis, sortBy = 'count', limit = 10) {
+        if (!container) return;
+
+        if (!analysis || analysis.pairs.length === 0) {
+            container.innerHTML = '<p class="no-data">No hay pedidos suficientes con varios productos.</p>';
+            return;
+        }
+
+        const pairs = [...analysis.pairs]
+            .sort((x, y) => sortBy === 'lift'
+                ? y.lift - x.lift || y.count - x.count
+                : y.count - x.count || y.lift - x.lift)
+            .slice(0, limit);
+        const percent = (value) => `${(value * 100).toFixed(1)}%`;
+        const multiRate = analysis.transactions > 0 ? analysis.multiItemTransactions / analysis.transactions : 0;
+
+        container.innerHTML = `
+            <p class="basket-note">
+                ${formatNumber(analysis.multiItemTransactions)} de ${formatNumber(analysis.transactions)} pedidos (${percent(multiRate)}) incluyen más de un producto.
+                Un lift mayor que 1 indica que se compran juntos más de lo esperado por azar.
+            </p>
+            <div class="table-responsive">
+                <table class="basket-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">Productos</th>
+                            <th scope="col" title="Pedidos que incluyen ambos productos">Juntos</th>
+                            <th scope="col" title="Fracción de todos los pedidos que incluyen ambos">Soporte</th>
+                            <th scope="col" title="Probabilidad de comprar uno sabiendo que se compró el otro">Confianza</th>
+                            <th scope="col">Lift</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${pairs.map(pair => `
+                            <tr>
+                                <th scope="row">
+                                    <span class="basket-product">${pair.a}</span>
+                                    <i class="fas fa-plus basket-plus" aria-hidden="true"></i>
+                                    <span class="basket-product">${pair.b}</span>
+                                </th>
+                                <td>${formatNumber(pair.count)}</td>
+                                <td>${percent(pair.support)}</td>
+                                <td>
+                                    <span title="${pair.a} → ${pair.b}">${percent(pair.confidenceAB)}</span>
+                                    <span class="stat-sub" title="${pair.b} → ${pair.a}">${percent(pair.confidenceBA)}</span>
+                                </td>
+                                <td><span class="basket-lift${pair.lift >= 1 ? ' positive' : ''}">${pair.lift.toFixed(2)}</span></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Renderiza el mapa de calor de cohortes (retención de clientes o ingresos)
+     * @param {HTMLElement} container
+     * @param {Object} analysis - Resultado de DataManager.getCohortAnalysis()
+     * @param {string} metric - 'customers' | 'revenue'
+     */
+    static renderCohortHeatmap(container, analysis, metric = 'customers') {
+        if (!container) return;
+
+        if (!analysis || analysis.cohorts.length === 0) {
+            container.innerHTML = '<p class="no-data">No hay compras suficientes para construir cohortes.</p>';
+            return;
+        }
+
+        const { cohorts, maxOffset, totalCustomers, repeatCustomers, userTypeAudit } = analysis;
+        const offsets = Array.from({ length: maxOffset + 1 }, (_, i) => i);
+        const repeatRate = totalCustomers > 0 ? (repeatCustomers / totalCustomers * 100).toFixed(1) : '0.0';
+
+        const cellHtml = (cell) => {
+            if (!cell) return '<td class="cohort-cell empty"></td>';
+            const rate = metric === 'revenue' ? cell.revenueRate : cell.customerRate;
+            const alpha = Math.min(1, rate / 100) * 0.85 + (rate > 0 ? 0.08 : 0);
+            const title = metric === 'revenue'
+                ? `${formatCurrency(cell.revenue)} (${rate.toFixed(1)}% del mes inicial)`
+                : `${formatNumber(cell.customers)} cliente(s) (${rate.toFixed(1)}%)`;
+            return `<td class="cohort-cell${alpha > 0.5 ? ' strong' : ''}" style="--cohort-alpha:${alpha.toFixed(2)}" title="${title}">${rate > 0 ? `${rate.toFixed(0)}%` : '—'}</td>`;
+        };
+
+        container.innerHTML = `
+            <div class="cohort-summary">
+                <div class="summary-item">
+                    <div class="stat-value">${formatNumber(totalCustomers)}</div>
+                    <div class="stat-label">Clientes</div>
+                </div>
+                <div class="summary-item">
+                    <div class="stat-value">${repeatRate}%</div>
+                    <div class="stat-label">Repiten compra</div>
+                </div>
+                <div class="summary-item" title="Pedidos etiquetados como Recurrente cuyo cliente ya había comprado antes">
+                    <div class="stat-value">${userTypeAudit.recurringPrecision.toFixed(1)}%</div>
+                    <div class="stat-label">"Recurrente" confirmado (${formatNumber(userTypeAudit.labeledRecurringConfirmed)}/${formatNumber(userTypeAudit.labeledRecurring)})</div>
+                </div>
+            </div>
+            <div class="table-responsive cohort-table-wrapper">
+                <table class="cohort-table">
+                    <thead>
+                        <tr>
+                            <th>Cohorte</th>
+                            <th>Clientes</th>
+                            ${offsets.map(o => `<th>M${o}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${cohorts.map(cohort => `
+                            <tr>
+                                <th scope="row">${cohort.label}</th>
+                                <td>${formatNumber(cohort.size)}</td>
+                                ${offsets.map(o => cellHtml(cohort.cells[o])).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Renderiza el mapa de calor 7×24 de pedidos o ingresos por día de la semana y hora
+     * @param {Object} heatmap - Resultado de DataManager.getOrderHeatmap
+     * @param {string} metric - 'orders' | 'revenue'
+     */
+    static renderOrderHeatmap(container, heatmap, metric = 'orders') {
+        if (!container) return;
+
+        if (!heatmap || heatmap.totals.orders === 0) {
+            container.innerHTML = '<p class="no-data">No hay pedidos para los filtros seleccionados.</p>';
+            return;
+        }
+
+        const format = (bucket) => metric === 'revenue' ? formatCurrency(bucket.revenue) : formatNumber(bucket.orders);
+        const max = metric === 'revenue' ? heatmap.max.revenue : heatmap.max.orders;
+        const hours = Array.from({ length: 24 }, (_, h) => h);
+        const pad = (h) => String(h).padStart(2, '0');
+        const zoneLabel = getHeatmapTimeZones().find(tz => tz.id === heatmap.timeZone)?.label || heatmap.timeZone;
+
+        const cellHtml = (cell, row, hour) => {
+            const value = metric === 'revenue' ? cell.revenue : cell.orders;
+            const alpha = max > 0 ? (value / max) * 0.85 + (value > 0 ? 0.08 : 0) : 0;
+            const title = `${getWeekdayName(HEATMAP_WEEKDAYS[row])} ${pad(hour)}:00 · ${formatNumber(cell.orders)} pedido(s) · ${formatCurrency(cell.revenue)}`;
+            return `<td class="heatmap-cell${alpha > 0.5 ? ' strong' : ''}" style="--heat-alpha:${alpha.toFixed(2)}" title="${title}">${value > 0 && metric === 'orders' ? cell.orders : ''}</td>`;
+        };
+
+        const { peak } = heatmap;
+        container.innerHTML = `
+            <p class="heatmap-note">
+                Horario: ${zoneLabel}.
+                ${peak ? `Franja más activa: <strong>${getWeekdayName(peak.weekday)} de ${pad(peak.hour)}:00 a ${pad((peak.hour + 1) % 24)}:00</strong> (${formatNumber(peak.orders)} pedido(s), ${formatCurrency(peak.revenue)}).` : ''}
+            </p>
+            <div class="table-responsive">
+                <table class="heatmap-table">
+                    <thead>
+                        <tr>
+                            <th scope="col"></th>
+                            ${hours.map(h => `<th scope="col">${pad(h)}</th>`).join('')}
+                            <th scope="col">Total</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${heatmap.cells.map((row, r) => `
+                            <tr>
+                                <th scope="row">${getWeekdayName(HEATMAP_WEEKDAYS[r]).slice(0, 3)}</th>
+                                ${row.map((cell, h) => cellHtml(cell, r, h)).join('')}
+                                <td class="heatmap-total">${format(heatmap.weekdayTotals[r])}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <th scope="row">Total</th>
+                            ${heatmap.hourTotals.map(bucket => `<td class="heatmap-total">${metric === 'revenue' ? formatNumber(Math.round(bucket.revenue)) : formatNumber(bucket.orders)}</td>`).join('')}
+                            <td class="heatmap-total">${format(heatmap.totals)}</td>
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Renderiza las casillas de columnas del modal de exportación
+     * @param {Array} columns - Columnas del nivel elegido (ver DataExporter.getColumns)
+     * @param {Array<string>} selected - Claves marcadas
+     */
+    static renderExportColumns(container, columns, selected = []) {
+        if (!container) return;
+
+        container.innerHTML = columns.map(column => `
+            <label class="export-column">
+                <input type="checkbox" value="${column.key}" ${selected.includes(column.key) ? 'checked' : ''}>
+                <span>${column.label}</span>
+            </label>
+        `).join('');
+    }
+
+    /**
+     * Renderiza una tabla dinámica con intensidad de color según el valor de cada celda
+     * @param {Object} pivot - Resultado de DataManager.getPivot
+     * @param {Object} metric - Entrada de QUERY_METRICS (label y formato)
+     */
+    static renderPivotTable(container, pivot, metric) {
+        if (!container) return;
+
+        if (!pivot || pivot.rowKeys.length === 0) {
+            container.innerHTML = '<p class="no-data">No hay pedidos para los filtros seleccionados.</p>';
+            return;
+        }
+
+        const format = (value) => value === null || value === undefined
+            ? '—'
+            : metric.format === 'currency' ? formatCurrency(value) : formatNumber(value);
+        const columnKeys = pivot.columns ? pivot.columnKeys : ['value'];
+        const cellValues = [];
+        pivot.cells.forEach(row => row.forEach(value => { if (value !== null) cellValues.push(value); }));
+        const max = Math.max(...cellValues, 0);
+
+        const cellHtml = (value) => {
+            if (value === null || value === undefined) return '<td class="pivot-cell empty">—</td>';
+            const alpha = max > 0 ? value / max * 0.85 : 0;
+            return `<td class="pivot-cell${alpha > 0.5 ? ' strong' : ''}" style="--pivot-alpha:${alpha.toFixed(2)}">${format(value)}</td>`;
+        };
+
+        container.innerHTML = `
+            <div class="table-responsive pivot-table-wrapper">
+                <table class="pivot-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">${QUERY_DIMENSIONS[pivot.rows].label}${pivot.columns ? ` / ${QUERY_DIMENSIONS[pivot.columns].label}` : ''}</th>
+                            ${pivot.columns
+                                ? columnKeys.map(key => `<th scope="col">${QueryEngine.formatKey(pivot.columns, key)}</th>`).join('')
+                                : `<th scope="col">${metric.label}</th>`}
+                            ${pivot.columns ? '<th scope="col" class="pivot-total">Total</th>' : ''}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${pivot.rowKeys.map(rowKey => `
+                            <tr>
+                                <th scope="row">${QueryEngine.formatKey(pivot.rows, rowKey)}</th>
+                                ${columnKeys.map(colKey => cellHtml(pivot.cells.get(rowKey)?.get(colKey))).join('')}
+                                ${pivot.columns ? `<td class="pivot-total">${format(pivot.rowTotals.get(rowKey))}</td>` : ''}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <th scope="row">Total</th>
+                            ${pivot.columns ? columnKeys.map(colKey => `<td>${format(pivot.columnTotals.get(colKey))}</td>`).join('') : ''}
+                            <td class="pivot-total">${format(pivot.grandTotal)}</td>
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Abre el panel lateral con el perfil de un cliente
+     * @param {Object} profile - Resultado de DataManager.getCustomerProfile
+     */
+    static showCustomerProfile(profile) {
+        if (!profile) return;
+        createCustomerDrawer();
+        const drawer = document.getElementById('customer-profile-drawer');
+        const body = drawer.querySelector('.customer-drawer-body');
+        body.innerHTML = renderCustomerProfileHtml(profile);
+        body.scrollTop = 0;
+
+        ensureAvatarFallbacks(body);
+        const avatar = body.querySelector('.customer-avatar');
+        avatar.style.cursor = 'pointer';
+        avatar.addEventListener('click', () => showAvatarPreview(avatar));
+
+        if (!drawer.classList.contains('open')) {
+            drawer.classList.add('open');
+            drawer.setAttribute('aria-hidden', 'false');
+            disableBodyScroll();
+        }
     }
 
     /**
      * Renderiza transacciones
+     * @param {Function} onCustomerClick - Opcional; recibe el pedido cuyo cliente se quiere ver
      */
-    static renderTransactions(container, data, onReceiptClick) {
+    static renderTransactions(container, data, onReceiptClick, onCustomerClick) {
         if (!container) return;
 
         if (data.length === 0) {
@@ -413,7 +1483,7 @@ export class UIRenderer {
                                         <span class="avatar-initials">${getInitials(order.nombre_comprador)}</span>
                                     `}
                                 </div>
-                                <h4>${order.nombre_comprador}</h4>
+                                <h4 class="${onCustomerClick ? 'customer-profile-link' : ''}" data-order-idx="${idx}">${order.nombre_comprador}</h4>
                             </div>
                             <div class="order-meta">
                                 <span class="meta-item">
@@ -474,6 +1544,7 @@ export class UIRenderer {
                             </div>
                         </div>
                         <div class="receipt-btn-container" style="text-align:right;margin-top:10px;">
+                            ${onCustomerClick ? `<button class="btn btn-secondary view-customer-btn" data-order-idx="${idx}"><i class="fas fa-user"></i> Ver Cliente</button>` : ''}
                             <button class="btn btn-secondary download-receipt-btn" data-order-idx="${idx}"><i class="fas fa-file-download"></i> Descargar Recibo</button>
                         </div>
                     </div>
@@ -506,8 +1577,26 @@ export class UIRenderer {
                 ensureAvatarFallbacks(container);
                 container.querySelectorAll('.customer-avatar').forEach(av => {
                     av.style.cursor = 'pointer';
-                    av.addEventListener('click', (e) => { e.stopPropagation(); showAvatarPreview(av); });
+                    av.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        // Con perfil disponible, el avatar abre el perfil (que incluye la vista previa)
+                        if (onCustomerClick) {
+                            const idx = av.closest('.order-card').getAttribute('data-order-idx');
+                            onCustomerClick(data[idx]);
+                        } else {
+                            showAvatarPreview(av);
+                        }
+                    });
+                });
+
+        if (onCustomerClick) {
+            container.querySelectorAll('.customer-profile-link, .view-customer-btn').forEach(el => {
+                el.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    onCustomerClick(data[el.getAttribute('data-order-idx')]);
                 });
+            });
+        }
     }
 
     /**
@@ -524,8 +1613,8 @@ export class UIRenderer {
             minute: '2-digit' 
         });
 
-        const orderDate = order.fecha_hora_entrada ? new Date(order.fecha_hora_entrada) : null;
-        const fechaPedido = orderDate ? orderDate.toLocaleDateString('es-ES', { day:'2-digit', month:'2-digit', year:'numeric', hour:'2-digit', minute:'2-digit' }) : '';
+        const orderDate = order.fecha_hora_entrada ? parseDateTime(order.fecha_hora_entrada) : null;
+        const fechaPedido = orderDate ? formatDate(orderDate, { second: undefined }) : '';
 
         const receiptHtml = `
             <div id="receipt-content" style="width:400px;padding:18px;background:#fff;border:1.5px solid #e3e6e8;border-radius:10px;box-shadow:0 2px 12px #0001;font-family:'Courier New',monospace;color:#222;">
@@ -581,7 +1670,7 @@ export class UIRenderer {
                 <!-- footer info -->
                 <div style="font-size:10px;text-align:center;color:#666;margin-top:6px;line-height:1.3;">
                     ${order.ip ? `Pedido ID: ${order.ip}` : ''}${order.ip ? '<br>' : ''}
-                    ${order.fecha_hora_entrada ? `Fecha pedido: ${new Date(order.fecha_hora_entrada).toLocaleString('es-ES')}` : ''}${(order.ip || order.fecha_hora_entrada) ? '<br>' : ''}
+                    ${order.fecha_hora_entrada ? `Fecha pedido: ${formatDate(orderDate)}` : ''}${(order.ip || order.fecha_hora_entrada) ? '<br>' : ''}
                     Fecha emisión: ${fechaDescarga}
                 </div>
                 <div style="font-size:12px;text-align:center;margin-top:14px;color:#3B82F6;font-weight:600;">
@@ -10,9 +10,19 @@ import { SettingsUI } from './Modules/Settings/settingsUI.js';
 import { InventoryApp } from './Modules/Inventory/inventoryApp.js';
 import { GitHubManager } from './Modules/Github/githubManager.js';
 import { NotificationEditorUI } from './Modules/Notifications/notificationEditorUI.js';
-import { showAlert, getCurrencySymbol, formatCurrency } from './Core/utils.js';
+import { showAlert, getCurrencySymbol, formatCurrency, formatNumber, getFiscalYearLabel, downloadFile, downloadBlob, copyToClipboard, escapeHtml } from './Core/utils.js';
 import { FinanzasUI } from './Modules/Finanzas/finanzasUI.js';
+import { ManualOrderUI } from './Modules/Orders/manualOrderUI.js';
+import { SummaryBot } from './Modules/Analytics/summaryBot.js';
 import { CONFIG } from './Core/config.js';
+import { getBusinessTimeZone } from './Core/timezone.js';
+import { EncodingRepair } from './Core/encodingRepair.js';
+import { QUERY_DIMENSIONS, QUERY_METRICS } from './Modules/Analytics/queryEngine.js';
+import { confirm as modalConfirm } from './UI/modalUtils.js';
+import { SavedViewsManager } from './Modules/Settings/savedViews.js';
+import { getHeatmapTimeZones } from './Modules/Analytics/orderHeatmap.js';
+import { DataExporter, EXPORT_FORMATS, EXPORT_LEVELS, CSV_DELIMITERS } from './Modules/Export/dataExport.js';
+import { MonthlyReport, MAX_LOGO_BYTES } from './Modules/Reports/monthlyReport.js';
 
 /**
  * Manager para controlar el loading panel con animaciones mejoradas
@@ -145,7 +155,15 @@ class DashboardApp {
         this.notificationEditor = null;
         this.githubManager = new GitHubManager();
         this.finanzasUI = new FinanzasUI();
+        this.manualOrderUI = new ManualOrderUI();
         this.loadingManager = new LoadingManager();
+        this.savedViews = new SavedViewsManager();
+        // El hash de la URL solo se actualiza una vez restaurado el estado compartido
+        this.urlStateReady = false;
+        // Visitas de /obtener-estadisticas (null mientras no respondan)
+        this.serverVisits = null;
+        // Provincia abierta en el desglose de entregas (null = todas)
+        this.deliveryProvince = null;
         this.initialize();
     }
 
@@ -166,6 +184,9 @@ class DashboardApp {
             // Paso 1: Conectar y cargar datos
             this.loadingManager.updateStep(0, 'Conectando con servidores...');
             await this.dataManager.loadData();
+            // El bot de resumen comparte los pedidos ya cargados; se enlaza antes del inventario
+            // para que un fallo al cargarlo no deje al bot esperando
+            SummaryBot.setDataManager(this.dataManager);
             this.loadingManager.updateStep(1, 'Cargando datos...');
             
             // Paso 2: Inicializar gráficos
@@ -182,11 +203,21 @@ class DashboardApp {
                 this.finanzasUI.setProductManager(this.inventoryApp.productManager);
             }
 
-            // Enlazar DataManager para reportes de órdenes y pagos del programador
+            // Enlazar DataManager para reportes de órdenes y liquidaciones de pagos
             if (this.finanzasUI) {
                 this.finanzasUI.setDataManager(this.dataManager);
             }
 
+            // Pedidos manuales: catálogo de productos y clientes anteriores
+            this.manualOrderUI.setProductManager(this.inventoryApp.productManager);
+            this.manualOrderUI.setDataManager(this.dataManager);
+
+            // Enlazar DataManager al inventario para sugerir productos que se compran juntos
+            this.inventoryApp.setDataManager(this.dataManager);
+
+            // Vincular las líneas de pedido con products.json y packs.json
+            await this.linkProductCatalog();
+
             // Paso 4: Preload Finanzas KPI
             this.loadingManager.updateStep(4, 'Configurando finanzas...');
             try {
@@ -201,6 +232,8 @@ class DashboardApp {
             
             // Paso 6: Configurar event listeners
             this.loadingManager.updateStep(6, 'Finalizando configuración...');
+            // Leer el estado compartido antes de que la navegación inicial reescriba el hash
+            const sharedState = SavedViewsManager.fromHash(window.location.hash);
             this.setupEventListeners();
             this.setupViewNavigation();
 
@@ -213,8 +246,17 @@ class DashboardApp {
 
             // Poblar opciones dinámicas de filtros (países, afiliados, navegadores, OS)
             this.populateFilterOptions();
+            this.populateYearOptions();
+            this.populatePivotOptions();
+            this.populateHeatmapOptions();
+            this.populateExportOptions();
+            UIRenderer.renderEncodingReport(document.getElementById('encoding-report'), this.dataManager.getEncodingReport());
+            this.renderSavedViews();
 
-            this.applyFilters();
+            // Un enlace compartido (#periodo=...&pais=...) sustituye a los filtros por defecto
+            this.urlStateReady = true;
+            if (sharedState) this.applyViewState(sharedState);
+            else this.applyFilters();
 
             // Configurar modal de filtros
             const openFiltersBtn = document.getElementById('open-filters');
@@ -318,6 +360,11 @@ class DashboardApp {
             this.finanzasUI.showFinanzas(totalSales).catch(err => console.warn('Error mostrando finanzas:', err));
         }
 
+        // Si la vista es herramientas, preparar el formulario de pedidos manuales
+        if (viewName === 'tools' && this.manualOrderUI) {
+            this.manualOrderUI.show().catch(err => console.warn('Error mostrando pedido manual:', err));
+        }
+
         // Si la vista es notificaciones, reinicializar el editor
         if (viewName === 'notifications' && this.notificationEditor) {
             // Reiniciar para cargar datos frescos
@@ -336,6 +383,8 @@ class DashboardApp {
         // Cerrar menu en mobile
         const sidebar = document.getElementById('sidebar-menu');
         if (sidebar && sidebar.classList.contains('active')) sidebar.classList.remove('active');
+
+        this.syncUrlState();
     }
 
     setupEventListeners() {
@@ -372,9 +421,115 @@ class DashboardApp {
                 const searchTerm = e.target.value.toLowerCase();
                 this.dataManager.search(searchTerm);
                 this.updateDashboard();
+                this.syncUrlState();
             });
         }
 
+        // Vistas guardadas y enlace compartible
+        document.getElementById('saved-views-select')?.addEventListener('change', (e) => {
+            const view = this.savedViews.get(e.target.value);
+            if (!view) return;
+            const nameInput = document.getElementById('saved-view-name');
+            if (nameInput) nameInput.value = view.name;
+            this.applyViewState(view.state);
+            showAlert(`🔖 Vista "${view.name}" aplicada`, 'success', 2000);
+        });
+        document.getElementById('saved-view-save')?.addEventListener('click', () => this.saveCurrentView());
+        document.getElementById('saved-view-delete')?.addEventListener('click', () => this.deleteSelectedView());
+        document.getElementById('saved-views-export')?.addEventListener('click', () => this.exportSavedViews());
+
+        // Exportación de los pedidos filtrados (CSV / XLSX)
+        document.getElementById('open-export')?.addEventListener('click', () => this.openExportModal());
+        ['export-modal-overlay', 'export-modal-close', 'export-close'].forEach(id =>
+            document.getElementById(id)?.addEventListener('click', () => this.closeExportModal()));
+        document.getElementById('export-download')?.addEventListener('click', () => this.exportFilteredData());
+        ['export-format', 'export-delimiter'].forEach(id =>
+            document.getElementById(id)?.addEventListener('change', () => this.saveExportOptions()));
+        document.getElementById('export-level')?.addEventListener('change', () => {
+            this.renderExportColumns();
+            this.saveExportOptions();
+        });
+        document.getElementById('export-columns')?.addEventListener('change', () => {
+            this.saveExportOptions();
+            this.updateExportSummary();
+        });
+        document.getElementById('export-columns-all')?.addEventListener('click', () => {
+            const level = document.getElementById('export-level')?.value || 'orders';
+            this.renderExportColumns(DataExporter.getColumns(level).map(column => column.key));
+        });
+        document.getElementById('export-columns-default')?.addEventListener('click', () => {
+            const level = document.getElementById('export-level')?.value || 'orders';
+            this.renderExportColumns(DataExporter.getDefaultColumns(level));
+        });
+        document.addEventListener('keydown', (e) => { if (e.key === 'Escape') this.closeExportModal(); });
+
+        // Informe mensual en PDF
+        document.getElementById('open-report')?.addEventListener('click', () => this.openReportModal());
+        ['report-modal-overlay', 'report-modal-close', 'report-close'].forEach(id =>
+            document.getElementById(id)?.addEventListener('click', () => this.closeReportModal()));
+        document.getElementById('report-generate')?.addEventListener('click', () => this.generateMonthlyReport());
+        ['report-title', 'report-subtitle', 'report-accent'].forEach(id =>
+            document.getElementById(id)?.addEventListener('change', () => this.saveReportTemplate()));
+        document.getElementById('report-logo')?.addEventListener('change', (e) => this.loadReportLogo(e.target));
+        document.getElementById('report-logo-remove')?.addEventListener('click', () => {
+            this.reportLogo = '';
+            this.saveReportTemplate();
+        });
+        document.addEventListener('keydown', (e) => { if (e.key === 'Escape') this.closeReportModal(); });
+        document.getElementById('copy-view-link')?.addEventListener('click', async () => {
+            this.syncUrlState();
+            const copied = await copyToClipboard(window.location.href);
+            showAlert(copied ? '🔗 Enlace copiado al portapapeles' : '❌ No se pudo copiar el enlace', copied ? 'success' : 'error', 2500);
+        });
+        // Pegar un enlace con otro estado en la misma pestaña
+        window.addEventListener('hashchange', () => {
+            const state = SavedViewsManager.fromHash(window.location.hash);
+            if (state) this.applyViewState(state);
+        });
+
+        // Horizonte del pronóstico de ventas
+        document.getElementById('forecast-horizon')?.addEventListener('change', () => this.updateDashboard());
+
+        // Año del resumen general y cambio de inicio del año fiscal
+        document.getElementById('summary-year')?.addEventListener('change', () => this.updateDashboard());
+        document.addEventListener('preferences:fiscal-year', () => {
+            this.populateYearOptions();
+            this.updateDashboard();
+        });
+        // Zona horaria del negocio: cambian los días, horas y meses de cada pedido
+        document.addEventListener('preferences:timezone', () => {
+            this.dataManager.applyBusinessTimeZone();
+            this.populateYearOptions();
+            this.populateHeatmapOptions();
+            this.applyFilters();
+        });
+        // Zona de entrega predeterminada: se vuelven a localizar las direcciones
+        document.addEventListener('preferences:delivery-area', () => {
+            this.dataManager.applyDeliveryDefaultArea();
+            this.applyFilters();
+        });
+
+        // Métrica del mapa de cohortes
+        document.getElementById('cohort-metric')?.addEventListener('change', () => this.renderCohorts());
+        document.getElementById('basket-sort')?.addEventListener('change', () => this.renderProductAssociations());
+
+        // Mes de la liquidación de comisiones de afiliados
+        document.getElementById('affiliate-payout-month')?.addEventListener('change', () => this.renderAffiliatePayout());
+        // Zona horaria y métrica del mapa de calor día/hora
+        document.getElementById('heatmap-timezone')?.addEventListener('change', (e) => {
+            localStorage.setItem('heatmap_timezone', e.target.value);
+            this.renderOrderHeatmap();
+        });
+        document.getElementById('heatmap-metric')?.addEventListener('change', () => this.renderOrderHeatmap());
+        ['pivot-rows', 'pivot-columns', 'pivot-metric'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.renderPivot());
+        });
+        document.getElementById('save-encoding-fixes')?.addEventListener('click', () => this.saveRepairedPedidos());
+        document.getElementById('products-metric')?.addEventListener('change', (e) => {
+            this.chartManager.setProductsMetric(e.target.value);
+            this.updateDashboard();
+        });
+
         // Pestañas de transacciones
         document.querySelectorAll('.tab-btn').forEach(btn => {
             btn.addEventListener('click', () => {
@@ -384,7 +539,8 @@ class DashboardApp {
                 const tab = btn.dataset.tab;
                 const filtered = this.dataManager.filterByTransactionType(tab);
                 UIRenderer.renderTransactions(document.getElementById('data-list'), filtered, 
-                    (order, idx) => UIRenderer.generateReceipt(order));
+                    (order, idx) => UIRenderer.generateReceipt(order),
+                    (order) => this.openCustomerProfile(order));
             });
         });
     }
@@ -400,6 +556,7 @@ class DashboardApp {
             const affiliateEl = document.getElementById('filter-affiliate');
             const browserEl = document.getElementById('filter-browser');
             const osEl = document.getElementById('filter-os');
+            const segmentEl = document.getElementById('filter-segment');
 
             if (countryEl) {
                 countries.forEach(c => {
@@ -421,34 +578,134 @@ class DashboardApp {
                     const opt = document.createElement('option'); opt.value = o; opt.textContent = o; osEl.appendChild(opt);
                 });
             }
+            if (segmentEl) {
+                this.dataManager.getRFMSegments()
+                    .filter(s => s.customers > 0)
+                    .forEach(s => {
+                        const opt = document.createElement('option');
+                        opt.value = s.key;
+                        opt.textContent = `${s.label} (${s.customers})`;
+                        opt.title = s.description;
+                        segmentEl.appendChild(opt);
+                    });
+            }
         } catch (err) {
             console.warn('Error poblando opciones de filtros', err);
         }
     }
 
-    applyFilters() {
-        // Obtener valores de filtros de fecha - convertir cadenas vacías a null
-        const startDate = document.getElementById('filter-date-start')?.value || null;
-        const endDate = document.getElementById('filter-date-end')?.value || null;
-        const period = document.getElementById('filter-period')?.value || 'all';
+    /**
+     * Rellena el selector de año del resumen con los años fiscales que tienen datos
+     */
+    populateYearOptions() {
+        const yearEl = document.getElementById('summary-year');
+        if (!yearEl) return;
 
-        const country = document.getElementById('filter-country')?.value || 'all';
-        const affiliate = document.getElementById('filter-affiliate')?.value || 'all';
-        const userType = document.getElementById('filter-user-type')?.value || 'all';
-        const browser = document.getElementById('filter-browser')?.value || 'all';
-        const os = document.getElementById('filter-os')?.value || 'all';
-        const minTotal = document.getElementById('filter-min-total')?.value;
-        const maxTotal = document.getElementById('filter-max-total')?.value;
-        const hasPurchase = document.getElementById('filter-has-purchase')?.value || 'all';
+        const fiscalStartMonth = SettingsUI.getFiscalYearStartMonth();
+        const currentYear = this.dataManager.getFiscalYear(new Date(), fiscalStartMonth);
+        const years = this.dataManager.getAvailableYears(this.dataManager.data, fiscalStartMonth);
+        if (!years.includes(currentYear)) years.unshift(currentYear);
+
+        yearEl.innerHTML = years
+            .map(year => `<option value="${year}">${getFiscalYearLabel(year, fiscalStartMonth)}</option>`)
+            .join('');
+        yearEl.value = String(currentYear);
+    }
 
-        this.dataManager.filterByCriteria({ startDate, endDate, period, country, affiliate, userType, browser, os, minTotal, maxTotal, hasPurchase });
+    applyFilters() {
+        // Leer los filtros del modal (las fechas vacías pasan a null)
+        const { filters } = SavedViewsManager.readState();
+
+        this.dataManager.filterByCriteria(SavedViewsManager.toCriteria(filters));
+        this.compareMode = filters.compare;
         this.updateDashboard();
+        this.syncUrlState();
+    }
+
+    /**
+     * Aplica un estado completo (filtros, búsqueda y vista) a los controles y al dashboard
+     * @param {Object} state - Resultado de SavedViewsManager.readState / fromHash
+     */
+    applyViewState(state) {
+        if (!state) return;
+        SavedViewsManager.writeState(state);
+        this.applyFilters();
+        // La búsqueda se aplica después de los filtros, igual que al escribir en el buscador
+        if (state.search) {
+            this.dataManager.search(state.search.toLowerCase());
+            this.updateDashboard();
+        }
+        const activeView = document.querySelector('.menu-item.active[data-view]')?.dataset.view;
+        if (state.view && state.view !== activeView && document.getElementById(`${state.view}-view`)) {
+            this.switchView(state.view);
+        }
+        this.syncUrlState();
+    }
+
+    /**
+     * Refleja el estado actual en el hash de la URL sin añadir entradas al historial
+     */
+    syncUrlState() {
+        if (!this.urlStateReady) return;
+        const hash = SavedViewsManager.toHash(SavedViewsManager.readState());
+        if (window.location.hash.replace(/^#/, '') === hash) return;
+        history.replaceState(null, '', `${window.location.pathname}${window.location.search}#${hash}`);
+    }
+
+    renderSavedViews(selected = '') {
+        const select = document.getElementById('saved-views-select');
+        if (!select) return;
+        const views = this.savedViews.list();
+        select.innerHTML = `<option value="">${views.length ? 'Elegir vista...' : 'No hay vistas guardadas'}</option>` +
+            views.map(v => `<option value="${v.name.replace(/"/g, '&quot;')}">${v.name.replace(/</g, '&lt;')}</option>`).join('');
+        select.value = selected;
+    }
+
+    async saveCurrentView() {
+        const nameInput = document.getElementById('saved-view-name');
+        const name = (nameInput?.value || '').trim();
+        if (!name) {
+            showAlert('⚠️ Escribe un nombre para la vista', 'warning', 2500);
+            nameInput?.focus();
+            return;
+        }
+        if (this.savedViews.get(name)) {
+            const ok = await modalConfirm(`Ya existe una vista "${name}". ¿Sobrescribirla con los filtros actuales?`);
+            if (!ok) return;
+        }
+        const view = this.savedViews.save(name, SavedViewsManager.readState());
+        this.renderSavedViews(view.name);
+        showAlert(`💾 Vista "${view.name}" guardada`, 'success', 2000);
+    }
+
+    async deleteSelectedView() {
+        const name = document.getElementById('saved-views-select')?.value;
+        if (!name) {
+            showAlert('⚠️ Selecciona la vista que quieres eliminar', 'warning', 2500);
+            return;
+        }
+        const ok = await modalConfirm(`¿Eliminar la vista "${name}"?`);
+        if (!ok) return;
+        this.savedViews.remove(name);
+        this.renderSavedViews();
+        showAlert(`🗑️ Vista "${name}" eliminada`, 'success', 2000);
+    }
+
+    exportSavedViews() {
+        if (this.savedViews.list().length === 0) {
+            showAlert('⚠️ No hay vistas guardadas para exportar', 'warning', 2500);
+            return;
+        }
+        const json = this.savedViews.exportJSON();
+        downloadFile(`data:application/json;charset=utf-8,${encodeURIComponent(json)}`, 'vistas_guardadas.json');
     }
 
     updateDashboard() {
-        // Actualizar estadísticas
+        // Actualizar estadísticas (con comparación si está activa)
         const stats = this.dataManager.getStats();
-        UIRenderer.updateStats(stats);
+        const topProducts = this.dataManager.getTopProducts(this.dataManager.filteredData, 5, this.chartManager.productsMetric);
+        const comparison = this.dataManager.getComparison(this.compareMode, { topProducts });
+        UIRenderer.updateStats(stats, comparison);
 
         // Mostrar 'Visitas Totales' obtenidas desde el backend (/obtener-estadisticas).
         (function updateVisitsFromBackend(self) {
@@ -462,6 +719,10 @@ class DashboardApp {
                     const totalVisits = Array.isArray(serverStats) ? serverStats.length : 0;
                     const el = document.getElementById('server-available-users');
                     if (el) el.textContent = totalVisits;
+                    // Las visitas del servidor dan la conversión real por canal
+                    self.serverVisits = Array.isArray(serverStats) ? serverStats : null;
+                    self.renderChannelAttribution();
+                    self.renderAffiliateReport();
                 })
                 .catch(err => {
                     console.warn('No se pudo obtener visitas totales desde backend, usando local', err);
@@ -472,13 +733,23 @@ class DashboardApp {
         })(this);
 
         // Actualizar resumen general
-        const monthlyData = this.dataManager.getMonthlyComparison();
+        const fiscalStartMonth = SettingsUI.getFiscalYearStartMonth();
+        const selectedYear = parseInt(document.getElementById('summary-year')?.value, 10);
+        const year = isNaN(selectedYear) ? null : selectedYear;
+        const monthlyData = this.dataManager.getMonthlyComparison(this.dataManager.data, { year, fiscalStartMonth });
         const period = document.getElementById('filter-period')?.value || 'all';
+        const horizon = parseInt(document.getElementById('forecast-horizon')?.value, 10) || 0;
+        const forecast = horizon > 0 ? this.dataManager.getSalesForecast(horizon) : null;
         UIRenderer.renderGeneralSummary(
             document.getElementById('general-summary'),
             monthlyData,
             this.dataManager.filteredData,
-            period
+            period,
+            { year, fiscalStartMonth, forecast }
+        );
+        UIRenderer.renderYearOverYear(
+            document.getElementById('yoy-growth'),
+            this.dataManager.getYearOverYearGrowth(this.dataManager.data, { fiscalStartMonth })
         );
 
         // Actualizar resumen diario
@@ -486,19 +757,545 @@ class DashboardApp {
         UIRenderer.renderDailySummary(document.getElementById('daily-summary'), dailySummary);
 
         // Actualizar productos top
-        const topProducts = this.dataManager.getTopProducts(this.dataManager.filteredData, 5);
-        UIRenderer.renderTopProducts(document.getElementById('top-products'), topProducts);
+        UIRenderer.renderTopProducts(document.getElementById('top-products'), topProducts, comparison, this.chartManager.productsMetric);
+        this.renderProductPerformance();
+
+        // Actualizar productos que se compran juntos
+        this.renderProductAssociations();
+
+        // Actualizar rendimiento y comisiones de afiliados
+        this.renderAffiliates();
+
+        // Actualizar atribución por canal de tráfico
+        this.renderChannelAttribution();
+
+        // Actualizar entregas por provincia y municipio
+        this.renderDeliveryGeography();
 
         // Actualizar transacciones
         UIRenderer.renderTransactions(
             document.getElementById('data-list'),
             this.dataManager.filteredData,
-            (order, idx) => UIRenderer.generateReceipt(order)
+            (order, idx) => UIRenderer.generateReceipt(order),
+            (order) => this.openCustomerProfile(order)
         );
 
         // Actualizar gráficos
         const trendData = this.dataManager.getSalesTrend();
-        this.chartManager.updateCharts(topProducts, trendData);
+        // Las anomalías usan los mismos filtros que la serie dibujada (país, afiliado, búsqueda...)
+        const anomalies = this.dataManager.getSalesAnomalies(this.dataManager.getHistoryForActiveFilters());
+        this.chartManager.updateCharts(topProducts, trendData, comparison, forecast, anomalies);
+
+        // Actualizar cohortes de retención
+        this.renderOrderHeatmap();
+        this.renderCohorts();
+
+        // Actualizar tabla dinámica
+        this.renderPivot();
+    }
+
+    openCustomerProfile(order) {
+        const profile = this.dataManager.getCustomerProfile(order?.customerId);
+        if (!profile) {
+            showAlert('No se pudo identificar al cliente de este pedido', 'warning');
+            return;
+        }
+        UIRenderer.showCustomerProfile(profile);
+    }
+
+    /**
+     * Descarga los pedidos de GitHub, repara su codificación y los vuelve a guardar
+     */
+    async saveRepairedPedidos() {
+        if (!this.githubManager.isConfigured()) {
+            showAlert('❌ Por favor, configura tu token de GitHub en Ajustes', 'error', 3000);
+            return;
+        }
+
+        const ok = await modalConfirm('Se descargarán los pedidos de GitHub, se corregirán los textos con codificación dañada y se guardarán de nuevo. ¿Continuar?');
+        if (!ok) return;
+
+        const button = document.getElementById('save-encoding-fixes');
+        const originalHtml = button?.innerHTML;
+        if (button) {
+            button.disabled = true;
+            button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Guardando...';
+        }
+
+        try {
+            const pedidos = await this.githubManager.loadPedidos();
+            const report = EncodingRepair.repairDataset(pedidos);
+            if (report.fieldsFixed === 0) {
+                showAlert('✅ Los pedidos en GitHub no tienen textos por corregir', 'success', 3000);
+                return;
+            }
+
+            const result = await this.githubManager.savePedidos(
+                pedidos,
+                `Corregir codificación de textos - ${report.fieldsFixed} campos en ${report.recordsFixed} pedidos`
+            );
+            showAlert(`✅ ${result.message}`, 'success', 3000);
+        } catch (error) {
+            console.error('Error al guardar los pedidos corregidos:', error);
+            showAlert(`❌ Error: ${error.message}`, 'error', 4000);
+        } finally {
+            if (button) {
+                button.disabled = false;
+                button.innerHTML = originalHtml;
+            }
+        }
+    }
+
+    /**
+     * Carga el catálogo del inventario en el DataManager y vincula los pedidos
+     */
+    async linkProductCatalog() {
+        const productManager = this.inventoryApp?.productManager;
+        const packManager = this.inventoryApp?.packManager;
+        if (!productManager) return;
+
+        try {
+            if (packManager && packManager.packs.length === 0) await packManager.loadPacks();
+        } catch (err) {
+            console.warn('No se pudieron cargar los packs para vincular pedidos:', err);
+        }
+
+        this.dataManager.setProductCatalog(productManager.products, packManager?.packs || []);
+        this.renderCatalogReview();
+    }
+
+    renderCatalogReview() {
+        const resolver = this.dataManager.catalogResolver;
+        UIRenderer.renderCatalogReview(
+            document.getElementById('catalog-review'),
+            this.dataManager.getCatalogReport(),
+            resolver.getAliases(),
+            resolver.getCatalogEntries(),
+            {
+                onLink: (name, entryKey) => {
+                    if (!entryKey) {
+                        showAlert('Selecciona un producto de la lista del catálogo', 'warning', 2500);
+                        return;
+                    }
+                    this.updateProductAlias(() => this.dataManager.setProductAlias(name, entryKey));
+                },
+                onIgnore: (name) => this.updateProductAlias(() => this.dataManager.setProductAlias(name, null)),
+                onRemoveAlias: (key) => this.updateProductAlias(() => this.dataManager.removeProductAlias(key))
+            }
+        );
+    }
+
+    /**
+     * Aplica un cambio en la tabla de alias y refresca el dashboard con los pedidos revinculados
+     */
+    updateProductAlias(change) {
+        change();
+        this.renderCatalogReview();
+        this.applyFilters();
+    }
+
+    renderProductAssociations() {
+        const sortBy = document.getElementById('basket-sort')?.value || 'count';
+        UIRenderer.renderFrequentlyBoughtTogether(
+            document.getElementById('basket-pairs'),
+            this.dataManager.getProductAssociations(),
+            sortBy
+        );
+    }
+
+    renderAffiliates() {
+        this.renderAffiliateReport();
+        this.renderAffiliatePayout();
+    }
+
+    renderAffiliateReport() {
+        UIRenderer.renderAffiliateReport(
+            document.getElementById('affiliate-report'),
+            this.dataManager.getAffiliateReport(this.dataManager.filteredData, this.serverVisits),
+            { onCommissionChange: (affiliate, text) => this.updateAffiliateCommission(affiliate, text) }
+        );
+    }
+
+    async renderAffiliatePayout() {
+        const monthOffset = parseInt(document.getElementById('affiliate-payout-month')?.value, 10) || 0;
+        // Tasa real del dólar; sin ella el importe en CUP se muestra como "—"
+        let exchangeRate = null;
+        try {
+            const inv = await this.finanzasUI?.manager.getValorDolar({ useCache: true });
+            exchangeRate = inv && inv.precio_compra ? parseFloat(inv.precio_compra) : null;
+        } catch (err) {
+            console.warn('Liquidación de afiliados sin tasa de cambio:', err);
+        }
+        UIRenderer.renderAffiliatePayout(
+            document.getElementById('affiliate-payout'),
+            this.dataManager.getAffiliatePayoutData(monthOffset, exchangeRate)
+        );
+    }
+
+    renderChannelAttribution() {
+        UIRenderer.renderChannelAttribution(
+            document.getElementById('channel-attribution'),
+            this.dataManager.getChannelAttribution(this.dataManager.filteredData, this.serverVisits)
+        );
+    }
+
+    renderDeliveryGeography() {
+        UIRenderer.renderDeliveryGeography(
+            document.getElementById('delivery-geography'),
+            this.dataManager.getDeliveryGeography(),
+            {
+                province: this.deliveryProvince,
+                onSelectProvince: (province) => {
+                    this.deliveryProvince = province;
+                    this.renderDeliveryGeography();
+                }
+            }
+        );
+    }
+
+    updateAffiliateCommission(affiliate, text) {
+        try {
+            const commission = this.dataManager.setAffiliateCommission(affiliate, text);
+            showAlert(commission ? `✅ Comisión de ${escapeHtml(affiliate)} guardada en las reglas de pago` : `↩️ ${escapeHtml(affiliate)} ya no tiene comisión`, 'success', 2000);
+        } catch (error) {
+            showAlert(`❌ ${escapeHtml(error.message)}`, 'error');
+        }
+        this.renderAffiliates();
+        // La comisión es una regla de pago más: Finanzas la muestra en sus liquidaciones
+        this.finanzasUI?.renderPayouts();
+    }
+
+    /**
+     * Rellena los selectores de la tabla dinámica con las dimensiones y métricas del motor de consultas
+     */
+    populatePivotOptions() {
+        const dimensionOptions = Object.entries(QUERY_DIMENSIONS)
+            .map(([key, dim]) => `<option value="${key}">${dim.label}</option>`)
+            .join('');
+        const rowsSelect = document.getElementById('pivot-rows');
+        const columnsSelect = document.getElementById('pivot-columns');
+        const metricSelect = document.getElementById('pivot-metric');
+
+        if (rowsSelect) {
+            rowsSelect.innerHTML = dimensionOptions;
+            rowsSelect.value = 'country';
+        }
+        if (columnsSelect) {
+            columnsSelect.innerHTML = `<option value="">Sin columnas</option>${dimensionOptions}`;
+            columnsSelect.value = 'weekday';
+        }
+        if (metricSelect) {
+            metricSelect.innerHTML = Object.entries(QUERY_METRICS)
+                .map(([key, metric]) => `<option value="${key}">${metric.label}</option>`)
+                .join('');
+        }
+    }
+
+    /**
+     * Rellena el selector de zona horaria del mapa de calor (recordando la última elegida;
+     * si no hay ninguna, la zona horaria del negocio)
+     */
+    populateHeatmapOptions() {
+        const select = document.getElementById('heatmap-timezone');
+        if (!select) return;
+        const zones = getHeatmapTimeZones();
+        select.innerHTML = zones
+            .map(tz => `<option value="${tz.id}">${tz.label}</option>`)
+            .join('');
+        const saved = localStorage.getItem('heatmap_timezone');
+        select.value = zones.some(tz => tz.id === saved) ? saved : getBusinessTimeZone();
+    }
+
+    /**
+     * Rellena los selectores del modal de exportación (recordando la última elección)
+     */
+    populateExportOptions() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem('export_options')) || {};
+        } catch (e) {
+            saved = {};
+        }
+        this.exportColumns = saved.columns || {};
+
+        const fill = (id, options, value) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            select.innerHTML = Object.entries(options)
+                .map(([key, option]) => `<option value="${key}">${option.label}</option>`)
+                .join('');
+            select.value = options[value] ? value : Object.keys(options)[0];
+        };
+        fill('export-format', EXPORT_FORMATS, saved.format);
+        fill('export-level', EXPORT_LEVELS, saved.level);
+        fill('export-delimiter', CSV_DELIMITERS, saved.delimiter);
+        this.renderExportColumns();
+    }
+
+    /**
+     * Opciones elegidas en el modal de exportación
+     */
+    getExportOptions() {
+        const level = document.getElementById('export-level')?.value || 'orders';
+        const checked = Array.from(document.querySelectorAll('#export-columns input[type="checkbox"]:checked'));
+        return {
+            format: document.getElementById('export-format')?.value || 'csv',
+            level,
+            delimiter: document.getElementById('export-delimiter')?.value || ',',
+            columns: checked.map(input => input.value)
+        };
+    }
+
+    saveExportOptions() {
+        const { format, level, delimiter, columns } = this.getExportOptions();
+        this.exportColumns = { ...this.exportColumns, [level]: columns };
+        localStorage.setItem('export_options', JSON.stringify({ format, level, delimiter, columns: this.exportColumns }));
+        this.updateExportSummary();
+    }
+
+    /**
+     * Casillas de columnas del nivel elegido
+     * @param {Array<string>|null} selected - Columnas a marcar (por defecto, las guardadas para ese nivel)
+     */
+    renderExportColumns(selected = null) {
+        const level = document.getElementById('export-level')?.value || 'orders';
+        const keys = selected || this.exportColumns?.[level] || DataExporter.getDefaultColumns(level);
+        UIRenderer.renderExportColumns(document.getElementById('export-columns'), DataExporter.getColumns(level), keys);
+        if (selected) this.saveExportOptions();
+        else this.updateExportSummary();
+    }
+
+    updateExportSummary() {
+        const summary = document.getElementById('export-summary');
+        const { format, level, columns } = this.getExportOptions();
+        const delimiterField = document.getElementById('export-delimiter-field');
+        if (delimiterField) delimiterField.style.display = format === 'csv' ? '' : 'none';
+        if (!summary) return;
+
+        const orders = this.dataManager.filteredData || [];
+        const rows = level === 'lines'
+            ? orders.reduce((acc, order) => acc + (order.compras?.length || 0), 0)
+            : orders.length;
+        summary.textContent = `${formatNumber(rows)} fila(s) × ${formatNumber(columns.length)} columna(s) con los filtros actuales.`;
+    }
+
+    openExportModal() {
+        const modal = document.getElementById('export-modal');
+        if (!modal) return;
+        this.updateExportSummary();
+        modal.classList.add('active');
+        modal.removeAttribute('inert');
+        modal.setAttribute('aria-hidden', 'false');
+        modal.querySelector('select, input, button')?.focus();
+    }
+
+    closeExportModal() {
+        const modal = document.getElementById('export-modal');
+        if (!modal || !modal.classList.contains('active')) return;
+        // Devolver el foco al botón que abre el modal antes de ocultarlo
+        if (modal.contains(document.activeElement)) document.getElementById('open-export')?.focus();
+        modal.classList.remove('active');
+        try { modal.inert = true; } catch (e) { modal.setAttribute('inert', ''); }
+        modal.setAttribute('aria-hidden', 'true');
+    }
+
+    exportFilteredData() {
+        try {
+            const { blob, fileName, rows } = this.dataManager.exportData(this.getExportOptions());
+            if (rows === 0) {
+                showAlert('⚠️ No hay filas que exportar con los filtros actuales', 'warning', 2500);
+                return;
+            }
+            downloadBlob(blob, fileName);
+            showAlert(`📄 ${formatNumber(rows)} fila(s) exportadas en ${fileName}`, 'success', 2500);
+            this.closeExportModal();
+        } catch (error) {
+            showAlert(`❌ ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Rellena el modal del informe: meses con pedidos y plantilla guardada
+     */
+    populateReportOptions() {
+        const monthSelect = document.getElementById('report-month');
+        if (monthSelect) {
+            const previous = monthSelect.value;
+            const months = MonthlyReport.getAvailableMonths(this.dataManager.data);
+            monthSelect.innerHTML = months
+                .map(({ year, month, label }) => `<option value="${year}-${month}">${label}</option>`)
+                .join('') || '<option value="">Sin pedidos</option>';
+            if (previous && months.some(({ year, month }) => `${year}-${month}` === previous)) monthSelect.value = previous;
+        }
+
+        const template = MonthlyReport.getTemplate();
+        this.reportLogo = template.logo;
+        const setValue = (id, value) => { const el = document.getElementById(id); if (el) el.value = value; };
+        setValue('report-title', template.title);
+        setValue('report-subtitle', template.subtitle);
+        setValue('report-accent', template.accentColor);
+        this.updateReportLogoPreview();
+    }
+
+    saveReportTemplate() {
+        try {
+            MonthlyReport.saveTemplate({
+                title: document.getElementById('report-title')?.value,
+                subtitle: document.getElementById('report-subtitle')?.value,
+                accentColor: document.getElementById('report-accent')?.value,
+                logo: this.reportLogo || ''
+            });
+        } catch (error) {
+            showAlert(`❌ ${error.message}`, 'error');
+        }
+        this.updateReportLogoPreview();
+    }
+
+    loadReportLogo(input) {
+        const file = input.files?.[0];
+        input.value = '';
+        if (!file) return;
+        if (!/^image\/(png|jpeg)$/.test(file.type)) {
+            showAlert('⚠️ El logo debe ser una imagen PNG o JPG', 'warning', 2500);
+            return;
+        }
+        if (file.size > MAX_LOGO_BYTES) {
+            showAlert(`⚠️ El logo no puede superar ${Math.round(MAX_LOGO_BYTES / 1024)} KB`, 'warning', 2500);
+            return;
+        }
+        const reader = new FileReader();
+        reader.onload = () => {
+            this.reportLogo = reader.result;
+            this.saveReportTemplate();
+        };
+        reader.readAsDataURL(file);
+    }
+
+    updateReportLogoPreview() {
+        const preview = document.getElementById('report-logo-preview');
+        const remove = document.getElementById('report-logo-remove');
+        if (preview) {
+            preview.hidden = !this.reportLogo;
+            if (this.reportLogo) preview.src = this.reportLogo;
+            else preview.removeAttribute('src');
+        }
+        if (remove) remove.hidden = !this.reportLogo;
+    }
+
+    openReportModal() {
+        const modal = document.getElementById('report-modal');
+        if (!modal) return;
+        this.populateReportOptions();
+        modal.classList.add('active');
+        modal.removeAttribute('inert');
+        modal.setAttribute('aria-hidden', 'false');
+        modal.querySelector('select, input, button')?.focus();
+    }
+
+    closeReportModal() {
+        const modal = document.getElementById('report-modal');
+        if (!modal || !modal.classList.contains('active')) return;
+        if (modal.contains(document.activeElement)) document.getElementById('open-report')?.focus();
+        modal.classList.remove('active');
+        try { modal.inert = true; } catch (e) { modal.setAttribute('inert', ''); }
+        modal.setAttribute('aria-hidden', 'true');
+    }
+
+    /**
+     * Genera el PDF del mes elegido (resumen, gráficos, productos, clientes, finanzas y liquidaciones)
+     */
+    async generateMonthlyReport() {
+        const [year, month] = (document.getElementById('report-month')?.value || '').split('-').map(Number);
+        if (!year || !month) {
+            showAlert('⚠️ No hay pedidos para generar un informe', 'warning', 2500);
+            return;
+        }
+
+        const button = document.getElementById('report-generate');
+        if (button) button.disabled = true;
+        const loading = showAlert('Generando informe...', 'loading');
+        try {
+            this.saveReportTemplate();
+
+            // Sin inventario o sin tasa el informe se genera igual, sin la sección de finanzas
+            let financials = null;
+            try {
+                financials = await this.finanzasUI?.getFinancialSummary();
+            } catch (error) {
+                console.warn('Informe mensual: datos financieros no disponibles', error);
+            }
+
+            const report = MonthlyReport.collect(this.dataManager, {
+                year,
+                month,
+                financials,
+                fiscalStartMonth: SettingsUI.getFiscalYearStartMonth()
+            });
+            const fileName = await MonthlyReport.exportPDF(report, {
+                template: MonthlyReport.getTemplate(),
+                charts: this.chartManager.renderReportCharts(report)
+            });
+            showAlert(`📄 Informe generado: ${fileName}`, 'success', 2500);
+            this.closeReportModal();
+        } catch (error) {
+            console.error('Error al generar el informe:', error);
+            showAlert(`❌ ${error.message}`, 'error');
+        } finally {
+            loading.remove();
+            if (button) button.disabled = false;
+        }
+    }
+
+    /**
+     * Tabla de rendimiento por producto, con la última ordenación elegida
+     * (se conserva al cambiar filtros o recargar, como la zona del mapa de calor)
+     */
+    renderProductPerformance() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem('product_performance_sort'));
+        } catch (e) {
+            saved = null;
+        }
+        UIRenderer.renderProductPerformance(
+            document.getElementById('product-performance'),
+            this.dataManager.getProductPerformance(),
+            {
+                sortBy: saved?.sortBy || 'netRevenue',
+                direction: saved?.direction === 'asc' ? 'asc' : 'desc',
+                onSort: (sort) => localStorage.setItem('product_performance_sort', JSON.stringify(sort))
+            }
+        );
+    }
+
+    renderOrderHeatmap() {
+        const timeZone = document.getElementById('heatmap-timezone')?.value || getBusinessTimeZone();
+        UIRenderer.renderOrderHeatmap(
+            document.getElementById('order-heatmap'),
+            this.dataManager.getOrderHeatmap(timeZone),
+            document.getElementById('heatmap-metric')?.value || 'orders'
+        );
+    }
+
+    renderPivot() {
+        const rows = document.getElementById('pivot-rows')?.value || 'country';
+        const selectedColumns = document.getElementById('pivot-columns')?.value || null;
+        const columns = selectedColumns === rows ? null : selectedColumns;
+        const metric = QUERY_METRICS[document.getElementById('pivot-metric')?.value] || QUERY_METRICS.sales;
+        UIRenderer.renderPivotTable(
+            document.getElementById('pivot-table'),
+            this.dataManager.getPivot({ rows, columns, measure: metric.measure }),
+            metric
+        );
+    }
+
+    renderCohorts() {
+        const metric = document.getElementById('cohort-metric')?.value || 'customers';
+        UIRenderer.renderCohortHeatmap(
+            document.getElementById('cohort-heatmap'),
+            this.dataManager.getCohortAnalysis(),
+            metric
+        );
     }
 }
 
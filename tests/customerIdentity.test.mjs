@@ -0,0 +1,63 @@
+/**
+ * Pruebas de la resolución de identidad de clientes
+ * Ejecutar con: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CustomerIdentityResolver } from '../Js/Modules/Analytics/customerIdentity.js';
+
+const resolver = new CustomerIdentityResolver();
+const order = (nombre_comprador, buyerPhoneNormalized = '', correo_comprador = '') => ({ nombre_comprador, buyerPhoneNormalized, correo_comprador });
+
+test('el mismo nombre con teléfonos distintos son clientes distintos', () => {
+    const { ids, customers } = resolver.resolve([
+        order('Juan Perez', '5351111111'),
+        order('Juan Perez', '5352222222')
+    ]);
+    assert.notEqual(ids[0], ids[1]);
+    assert.equal(customers.size, 2);
+});
+
+test('el mismo nombre con correos distintos son clientes distintos aunque un teléfono falte', () => {
+    const { ids } = resolver.resolve([
+        order('Ana Diaz', '5351111111', 'ana@example.com'),
+        order('Ana Diaz', '', 'ana.diaz@example.com')
+    ]);
+    assert.notEqual(ids[0], ids[1]);
+});
+
+test('un pedido sin identificadores se une al cliente con el mismo nombre', () => {
+    const { ids } = resolver.resolve([
+        order('Juan Perez', '5351111111'),
+        order('Juan Perez', '5352222222'),
+        order('Perez Juan')
+    ]);
+    assert.equal(ids[2], ids[0]);
+});
+
+test('los nombres parecidos con teléfonos distintos no se fusionan', () => {
+    const { ids } = resolver.resolve([
+        order('Maria Gonzalez', '5351111111'),
+        order('Mario Gonzalez', '5352222222')
+    ]);
+    assert.notEqual(ids[0], ids[1]);
+});
+
+test('los nombres parecidos sin identificadores en conflicto se fusionan', () => {
+    const { ids } = resolver.resolve([
+        order('María González', '5351111111'),
+        order('Maria Gonzales')
+    ]);
+    assert.equal(ids[0], ids[1]);
+});
+
+test('el teléfono compartido une pedidos con nombres distintos', () => {
+    const { ids, customers } = resolver.resolve([
+        order('Juan', '+53 5 111 1111'),
+        order('Juanito Perez', '5351111111')
+    ]);
+    assert.equal(ids[0], ids[1]);
+    assert.deepEqual(customers.get(ids[0]).phones, ['+5351111111']);
+});
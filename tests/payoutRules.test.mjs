@@ -0,0 +1,83 @@
+/**
+ * Pruebas de las reglas de pago: tramos de ventas y comisiones de afiliado
+ * Ejecutar con: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PayoutRulesEngine } from '../Js/Modules/Finanzas/payoutRules.js';
+
+// localStorage mínimo para las pruebas del motor (copia de trabajo del navegador)
+const store = new Map();
+globalThis.localStorage = {
+    getItem: (key) => store.has(key) ? store.get(key) : null,
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: (key) => store.delete(key)
+};
+
+const orders = [
+    { afiliado: 'Pepe', total: 300 },
+    { afiliado: ' Pepe ', total: 250 },
+    { afiliado: 'Ana', total: 100 },
+    { afiliado: 'Ninguno', total: 50 }
+];
+
+test('los tramos aplican el porcentaje del tramo alcanzado a todas las ventas', () => {
+    const rule = PayoutRulesEngine.normalizeRule({ name: 'Socio', type: 'tiers', tiers: '500:7; 0:5; 1000:10' });
+    assert.deepEqual(rule.tiers, [{ from: 0, rate: 5 }, { from: 500, rate: 7 }, { from: 1000, rate: 10 }]);
+    const result = PayoutRulesEngine.calculate(rule, orders, 400);
+    assert.equal(result.sales, 700);
+    assert.equal(result.tier.rate, 7);
+    assert.equal(result.amountUSD, 49);
+    assert.equal(result.amountCUP, 49 * 400);
+});
+
+test('los tramos que no empiezan en 0 cobran 0% por debajo del primero', () => {
+    assert.deepEqual(PayoutRulesEngine.parseTiers('500:7'), [{ from: 0, rate: 0 }, { from: 500, rate: 7 }]);
+    assert.throws(() => PayoutRulesEngine.parseTiers('0:150'), /Tramo no válido/);
+    assert.throws(() => PayoutRulesEngine.parseTiers(''), /al menos un tramo/);
+});
+
+test('la comisión de un afiliado solo cuenta sus ventas', () => {
+    const rule = PayoutRulesEngine.normalizeRule({ name: 'Afiliado Pepe', type: 'percent', value: '10', affiliate: ' Pepe ' });
+    assert.equal(rule.affiliate, 'Pepe');
+    const result = PayoutRulesEngine.calculate(rule, orders, null);
+    assert.equal(result.orders, 2);
+    assert.equal(result.sales, 550);
+    assert.equal(result.amountUSD, 55);
+    assert.equal(result.amountCUP, null);
+});
+
+test('una regla sin afiliado cuenta todas las ventas', () => {
+    const rule = PayoutRulesEngine.normalizeRule({ name: 'Programador', type: 'percent', value: 5 });
+    assert.equal('affiliate' in rule, false);
+    assert.equal(PayoutRulesEngine.calculate(rule, orders).sales, 700);
+});
+
+test('el histórico exportado se vuelve a importar igual', () => {
+    store.clear();
+    const engine = new PayoutRulesEngine();
+    assert.equal(engine.pendingSync, false);
+    engine.saveRule({ name: 'Afiliado Pepe', type: 'tiers', tiers: '0:5; 500:8', affiliate: 'Pepe' });
+    engine.closePeriod({ rule: engine.getRule('afiliado-pepe'), startDate: '2026-08-31', endDate: '2026-09-29', orders: 2, sales: 550, amountUSD: 44, amountCUP: 17600, exchangeRate: 400, closed: null });
+    assert.equal(engine.pendingSync, true);
+
+    const exported = JSON.parse(JSON.stringify(engine.toJSON()));
+    store.clear();
+    const other = new PayoutRulesEngine();
+    assert.equal(other.applyRemote(exported), true);
+    assert.equal(other.pendingSync, false);
+    assert.deepEqual(other.getRules(), engine.getRules());
+    assert.deepEqual(other.getHistory(), engine.getHistory());
+});
+
+test('los cambios locales sin guardar en GitHub no se sustituyen al cargar el archivo', () => {
+    store.clear();
+    const engine = new PayoutRulesEngine();
+    engine.saveRule({ name: 'Diseñadora', type: 'fixed', value: 50 });
+    assert.equal(engine.applyRemote({ rules: [], history: [] }), false);
+    assert.ok(engine.getRule('disenadora'));
+    assert.throws(() => engine.replaceData({ rules: [], history: [{ id: 'x' }] }), /no válido/);
+    assert.throws(() => engine.replaceData({ rules: [] }), /formato/);
+});
@@ -0,0 +1,39 @@
+/**
+ * Pruebas del pronóstico de ventas: el horizonte empieza hoy aunque el
+ * último pedido sea anterior, y los días sin pedidos cuentan como ceros.
+ * Ejecutar con: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SalesForecaster } from '../Js/Modules/Analytics/salesForecast.js';
+
+// 28 días seguidos con 100 de venta y 2 pedidos, del 1 al 28 de septiembre de 2026
+const trend = Array.from({ length: 28 }, (_, i) => ({
+    date: `2026-09-${String(i + 1).padStart(2, '0')}`,
+    total: 100,
+    orders: 2
+}));
+
+test('el pronóstico empieza hoy aunque no haya pedidos recientes', () => {
+    const forecast = new SalesForecaster().forecastTrend(trend, 7, '2026-10-19');
+    assert.equal(forecast.from, '2026-10-19');
+    assert.equal(forecast.dates[0], '2026-10-19');
+    assert.equal(forecast.dates.length, 7);
+    // Tres semanas sin ventas pesan en el ajuste: se espera mucho menos que 100 diarios
+    assert.ok(forecast.totals.revenue < 700 / 2);
+});
+
+test('el día en curso no entra en el ajuste', () => {
+    const withToday = [...trend, { date: '2026-09-29', total: 5, orders: 1 }];
+    const forecast = new SalesForecaster().forecastTrend(withToday, 7, '2026-09-29');
+    const reference = new SalesForecaster().forecastTrend(trend, 7, '2026-09-29');
+    assert.equal(forecast.from, '2026-09-29');
+    assert.deepEqual(forecast.revenue, reference.revenue);
+});
+
+test('sin fecha de hoy, o con pedidos posteriores, se proyecta tras el último pedido', () => {
+    assert.equal(new SalesForecaster().forecastTrend(trend, 7).from, '2026-09-29');
+    assert.equal(new SalesForecaster().forecastTrend(trend, 7, '2026-09-20').from, '2026-09-29');
+});
@@ -0,0 +1,79 @@
+/**
+ * Pruebas de la capa de fechas en los cambios de hora de Cuba (America/Havana)
+ * 2026: se adelanta el 8 de marzo a las 00:00 (día de 23 h) y se atrasa el
+ * 1 de noviembre a la 01:00 (día de 25 h, la hora 00:00-00:59 se repite).
+ * Ejecutar con: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseDateTime, zonedTimeToDate, getZonedParts, startOfDay, endOfDay } from '../Js/Core/timezone.js';
+import { isDateInRange } from '../Js/Core/utils.js';
+import { PayoutRulesEngine } from '../Js/Modules/Finanzas/payoutRules.js';
+
+const HAVANA = 'America/Havana';
+const HOUR_MS = 60 * 60 * 1000;
+
+test('la hora inexistente al adelantar el reloj se desplaza hacia delante', () => {
+    const date = parseDateTime('2026-03-08 00:30', HAVANA);
+    assert.equal(date.toISOString(), '2026-03-08T05:30:00.000Z');
+    const parts = getZonedParts(date, HAVANA);
+    assert.deepEqual([parts.day, parts.hour, parts.minute], [8, 1, 30]);
+});
+
+test('la hora repetida al atrasar el reloj usa la primera aparición', () => {
+    const date = parseDateTime('2026-11-01 00:30', HAVANA);
+    assert.equal(date.toISOString(), '2026-11-01T04:30:00.000Z');
+    // La segunda aparición (ya en horario estándar) es una hora después
+    assert.equal(getZonedParts(new Date(date.getTime() + HOUR_MS), HAVANA).hour, 0);
+    assert.equal(zonedTimeToDate({ year: 2026, month: 11, day: 1, hour: 1 }, HAVANA).toISOString(), '2026-11-01T06:00:00.000Z');
+});
+
+test('startOfDay y endOfDay en un día de 23 horas', () => {
+    const start = startOfDay('2026-03-08', HAVANA);
+    const end = endOfDay('2026-03-08', HAVANA);
+    assert.equal(start.toISOString(), '2026-03-08T05:00:00.000Z');
+    assert.equal(end.toISOString(), '2026-03-09T03:59:59.999Z');
+    assert.equal(end.getTime() + 1 - start.getTime(), 23 * HOUR_MS);
+});
+
+test('startOfDay y endOfDay en un día de 25 horas', () => {
+    const start = startOfDay('2026-11-01', HAVANA);
+    const end = endOfDay('2026-11-01', HAVANA);
+    assert.equal(start.toISOString(), '2026-11-01T04:00:00.000Z');
+    assert.equal(end.toISOString(), '2026-11-02T04:59:59.999Z');
+    assert.equal(end.getTime() + 1 - start.getTime(), 25 * HOUR_MS);
+});
+
+test('isDateInRange cuenta días completos en los cambios de hora', () => {
+    // Zona del negocio por defecto (CONFIG.TIMEZONE.BUSINESS = America/Havana)
+    assert.equal(isDateInRange(parseDateTime('2026-03-08 23:30', HAVANA), '2026-03-08', '2026-03-08'), true);
+    assert.equal(isDateInRange(parseDateTime('2026-03-09 00:00', HAVANA), '2026-03-08', '2026-03-08'), false);
+    assert.equal(isDateInRange(parseDateTime('2026-03-07 23:59', HAVANA), '2026-03-08', '2026-03-08'), false);
+
+    // Segunda aparición de las 00:30 y última hora del día de 25 horas
+    assert.equal(isDateInRange(new Date('2026-11-01T05:30:00Z'), '2026-11-01', '2026-11-01'), true);
+    assert.equal(isDateInRange(parseDateTime('2026-11-01 23:59', HAVANA), '2026-11-01', '2026-11-01'), true);
+    assert.equal(isDateInRange(parseDateTime('2026-11-02 00:00', HAVANA), '2026-11-01', '2026-11-01'), false);
+});
+
+test('getSettlementWindow abarca el cambio de hora de marzo', () => {
+    const now = new Date('2026-03-15T12:00:00Z');
+    const window = PayoutRulesEngine.getSettlementWindow({ preset: 'shifted' }, 0, now, HAVANA);
+    assert.equal(window.startDate, '2026-02-28');
+    assert.equal(window.endDate, '2026-03-30');
+    // Empieza en horario estándar (UTC-5) y termina en horario de verano (UTC-4)
+    assert.equal(window.start.toISOString(), '2026-02-28T05:00:00.000Z');
+    assert.equal(window.end.toISOString(), '2026-03-31T03:59:59.999Z');
+});
+
+test('getSettlementWindow abarca el cambio de hora de noviembre', () => {
+    const now = new Date('2026-12-10T12:00:00Z');
+    const window = PayoutRulesEngine.getSettlementWindow({ preset: 'calendar' }, 1, now, HAVANA);
+    assert.equal(window.startDate, '2026-11-01');
+    assert.equal(window.endDate, '2026-11-30');
+    assert.equal(window.start.toISOString(), '2026-11-01T04:00:00.000Z');
+    assert.equal(window.end.toISOString(), '2026-12-01T04:59:59.999Z');
+    assert.equal(window.periodLabel, '1 meses atrás');
+});